@@ -2,6 +2,66 @@
 // Main application interface for bolus optimization system
 
 class RemimazolamBolusApp {
+    // Between-subject variability parameter -> omega input
+    static OMEGA_INPUTS = {
+        v1: 'omegaV1', v2: 'omegaV2', v3: 'omegaV3', cl: 'omegaCL',
+        q2: 'omegaQ2', q3: 'omegaQ3', ke0: 'omegaKe0', ce50: 'omegaCe50'
+    };
+    
+    // PD model parameter -> input
+    static PD_INPUTS = {
+        moaas: { ce50: 'pdMoaasCe50', gamma: 'pdMoaasGamma' },
+        bis: { e0: 'pdBisE0', emin: 'pdBisEmin', ce50: 'pdBisCe50', gamma: 'pdBisGamma' }
+    };
+    
+    // Observation type -> residual error inputs (additive, proportional)
+    static RESIDUAL_INPUTS = {
+        plasma: { additive: 'residualPlasmaAdditive', proportional: 'residualPlasmaProportional' },
+        bis: { additive: 'residualBisAdditive', proportional: 'residualBisProportional' }
+    };
+    
+    // ValidationIssue field -> form inputs to mark
+    static FIELD_INPUTS = {
+        patientId: ['patientId'],
+        age: ['age'],
+        weight: ['weight'],
+        height: ['height'],
+        bmi: ['weight', 'height'],
+        bolusDose: ['bolusDose'],
+        targetCe: ['targetCe'],
+        targetSchedule: ['targetSchedule'],
+        targetReachTime: ['targetReachTime'],
+        upperThresholdRatio: ['upperThresholdRatio'],
+        reductionFactor: ['reductionFactor'],
+        controlMode: ['controlMode'],
+        'pdParams.moaas': Object.values(RemimazolamBolusApp.PD_INPUTS.moaas),
+        'pdParams.bis': Object.values(RemimazolamBolusApp.PD_INPUTS.bis),
+        decrementStopTime: ['decrementStopTime'],
+        awakeningCe: ['awakeningCe'],
+        'reversal.time': ['reversalTime'],
+        'reversal.dose': ['flumazenilDose'],
+        'reversal.resedationCe': ['resedationCe'],
+        'preparation.vialMg': ['prepVialMg'],
+        'preparation.dilutionMl': ['prepDilutionMl'],
+        'preparation.pumpMinRate': ['pumpMinRate'],
+        'preparation.pumpMaxRate': ['pumpMaxRate'],
+        'preparation.syringeVolumeMl': ['syringeVolumeMl'],
+        'monteCarlo.n': ['monteCarloN'],
+        'monteCarlo.seed': ['monteCarloSeed'],
+        ...Object.fromEntries(Object.entries(RemimazolamBolusApp.RESIDUAL_INPUTS).map(([type, inputs]) =>
+            [`residualError.${type}`, Object.values(inputs)])),
+        ...Object.fromEntries(Object.entries(RemimazolamBolusApp.OMEGA_INPUTS).flatMap(([key, inputId]) => [
+            [`monteCarlo.omega.${key}`, [inputId]],
+            [`omega.${key}`, [inputId]]
+        ]))
+    };
+    static PATIENT_FIELDS = ['patientId', 'age', 'weight', 'height', 'bmi'];
+    static OMEGA_FIELDS = Object.keys(RemimazolamBolusApp.OMEGA_INPUTS).map(key => `omega.${key}`);
+    static BAYES_FIELDS = [
+        ...RemimazolamBolusApp.OMEGA_FIELDS,
+        ...Object.keys(RemimazolamBolusApp.RESIDUAL_INPUTS).map(type => `residualError.${type}`)
+    ];
+    
     constructor() {
         this.calculator = null;
         this.protocolCalculator = new RemimazolamV33.BolusProtocolCalculator();
@@ -9,15 +69,28 @@ class RemimazolamBolusApp {
         this.concentrationChart = null;
         this.currentPatient = null;
         this.currentResults = null;
+        this.currentReplay = null;
+        this.currentIndividualization = null;
+        this.liveSession = null;
+        this.liveTimer = null;
+        this.caseStore = new CaseHistoryStore();
+        this.cohortResult = null;
+        this.cohortRunning = false;
+        this.currentInputs = null;
+        this.currentCaseId = null;
         
         this.initializeApp();
     }
     
     initializeApp() {
+        this.setupLanguage();
         this.handleDisclaimer();
+        this.populateModelOptions();
+        this.updateVariabilityInputs();
         this.setupEventListeners();
         this.initializeOptimizationPreview();
         this.requestNotificationPermission();
+        this.refreshCaseHistory();
     }
     
     handleDisclaimer() {
@@ -32,11 +105,98 @@ class RemimazolamBolusApp {
         });
     }
     
+    // Saved or browser language first; the header select switches it at runtime
+    setupLanguage() {
+        const storage = typeof localStorage !== 'undefined' ? localStorage : null;
+        I18n.setLocale(I18n.detectLocale(storage, navigator.languages || [navigator.language]));
+        I18n.translateDocument();
+        
+        const select = document.getElementById('languageSelect');
+        if (!select) return;
+        
+        I18n.list().forEach(({ locale, name }) => {
+            const option = document.createElement('option');
+            option.value = locale;
+            option.textContent = name;
+            option.selected = locale === I18n.locale;
+            select.appendChild(option);
+        });
+        select.addEventListener('change', () => {
+            I18n.setLocale(select.value);
+            storage?.setItem(I18n.STORAGE_KEY, select.value);
+            this.applyLanguage();
+        });
+    }
+    
+    applyLanguage() {
+        I18n.translateDocument();
+        this.showFieldIssues([]);
+        this.updatePatientInfo();
+        this.refreshCaseHistory();
+        if (this.cohortResult) {
+            this.renderCohortResults(this.cohortResult);
+        }
+        this.relocalizeResults();
+    }
+    
+    // Protocol, alerts, print and exports keep the strings they were calculated with, so the current case is
+    // recalculated (without saving a new history entry). Cases opened from history stay as they were saved.
+    relocalizeResults() {
+        if (!this.currentResults || this.currentCaseId !== null) return;
+        
+        const replayed = this.currentReplay !== null;
+        const individualized = this.currentIndividualization !== null;
+        try {
+            const inputs = this.currentInputs;
+            const results = this.protocolCalculator.calculateBolusProtocol(
+                this.currentResults.patient, inputs.bolusDose, inputs.targetCe, inputs.protocolParams
+            );
+            this.showCalculatedResults(results, inputs, { save: false });
+            if (replayed) this.replayDoseEvents();
+            if (individualized) this.individualizeFromObservations();
+        } catch (error) {
+            console.error('Relocalize error:', error);
+            this.showWarning(error.message);
+        }
+    }
+    
     async enableAudio() {
         await this.alertManager.enableAudio();
         this.alertManager.enableBolusAlerts(true);
     }
     
+    populateModelOptions() {
+        const select = document.getElementById('pkModel');
+        if (!select) return;
+        
+        select.innerHTML = '';
+        PKModelRegistry.list().forEach(model => {
+            const option = document.createElement('option');
+            option.value = model.id;
+            option.textContent = model.name;
+            option.selected = model.id === PKModelRegistry.DEFAULT_MODEL_ID;
+            select.appendChild(option);
+        });
+    }
+    
+    // Published omega of the selected model replace their inputs; only the rest are entered
+    updateVariabilityInputs() {
+        const published = PKModelRegistry.getVariability(this.getSelectedModelId()) || {};
+        Object.entries(RemimazolamBolusApp.OMEGA_INPUTS).forEach(([key, inputId]) => {
+            const input = document.getElementById(inputId);
+            input.disabled = published[key] !== undefined;
+            input.placeholder = published[key] !== undefined ? String(published[key]) : '';
+        });
+    }
+    
+    getSelectedModelId() {
+        return document.getElementById('pkModel')?.value || PKModelRegistry.DEFAULT_MODEL_ID;
+    }
+    
+    getSelectedEngine() {
+        return document.getElementById('solutionEngine')?.value || RemimazolamV33.MasuiModelConstants.DEFAULT_ENGINE;
+    }
+    
     requestNotificationPermission() {
         this.alertManager.requestNotificationPermission();
     }
@@ -56,8 +216,13 @@ class RemimazolamBolusApp {
             radio.addEventListener('change', () => this.updatePatientInfo());
         });
         
+        // Editing a regimen input clears its validation mark until the next calculation
+        ['bolusDose', 'targetCe', 'targetSchedule'].forEach(inputId => {
+            document.getElementById(inputId)?.addEventListener('input', () => this.setFieldError(inputId, []));
+        });
+        
         // Bolus and target concentration changes
-        const optimizationInputs = ['bolusDose', 'targetCe', 'targetReachTime'];
+        const optimizationInputs = ['bolusDose', 'targetCe', 'targetReachTime', 'clinicalEndpointType', 'clinicalEndpointValue'];
         optimizationInputs.forEach(inputId => {
             const element = document.getElementById(inputId);
             if (element) {
@@ -66,7 +231,7 @@ class RemimazolamBolusApp {
         });
         
         // Protocol parameters
-        const protocolInputs = ['upperThresholdRatio', 'reductionFactor'];
+        const protocolInputs = ['upperThresholdRatio', 'reductionFactor', 'pkModel', 'solutionEngine', 'controlMode'];
         protocolInputs.forEach(inputId => {
             const element = document.getElementById(inputId);
             if (element) {
@@ -74,11 +239,56 @@ class RemimazolamBolusApp {
             }
         });
         
+        document.getElementById('pkModel')?.addEventListener('change', () => this.updateVariabilityInputs());
+        
+        // Recovery prediction can be recomputed without re-running the optimization
+        ['decrementStopTime', 'awakeningCe'].forEach(inputId => {
+            document.getElementById(inputId)?.addEventListener('change', () => this.updateDecrementTimes());
+        });
+        
         // Generate optimization button
         document.getElementById('generateOptimizationBtn').addEventListener('click', () => {
             this.generateBolusOptimization();
         });
         
+        ['prepVialMg', 'prepDilutionMl'].forEach(inputId => {
+            document.getElementById(inputId)?.addEventListener('input', () => this.updatePreparationConcentration());
+        });
+        
+        // Replay of the actual administration record against the current protocol
+        document.getElementById('replayDoseEventsBtn')?.addEventListener('click', () => {
+            this.replayDoseEvents();
+        });
+        
+        // MAP Bayesian individualization from measured levels / BIS
+        document.getElementById('bayesEstimateBtn')?.addEventListener('click', () => {
+            this.individualizeFromObservations();
+        });
+        
+        // Live intraoperative mode
+        document.getElementById('startLiveCaseBtn')?.addEventListener('click', () => {
+            this.startLiveCase();
+        });
+        
+        document.getElementById('stopLiveCaseBtn')?.addEventListener('click', () => {
+            this.stopLiveCase();
+        });
+        
+        document.getElementById('liveAlertList')?.addEventListener('click', (e) => {
+            const button = e.target.closest('button[data-live-action]');
+            if (!button) return;
+            const id = Number(button.dataset.alertId);
+            if (button.dataset.liveAction === 'confirm') {
+                this.confirmLiveStep(id);
+            } else {
+                this.postponeLiveStep(id);
+            }
+        });
+        
+        // Case history controls
+        this.setupCaseHistoryControls();
+        this.setupCohortControls();
+        
         // Modal controls
         this.setupModalControls();
         
@@ -116,6 +326,67 @@ class RemimazolamBolusApp {
         document.getElementById('exportCsvBtn')?.addEventListener('click', () => {
             this.exportToCSV();
         });
+        
+        document.getElementById('exportJsonBtn')?.addEventListener('click', () => {
+            this.exportToJSON();
+        });
+        
+        document.getElementById('exportFhirBtn')?.addEventListener('click', () => {
+            this.exportToFHIR();
+        });
+        
+        document.getElementById('exportPumpBtn')?.addEventListener('click', () => {
+            this.exportPumpProgram();
+        });
+        
+        const importInput = document.getElementById('importJsonInput');
+        document.getElementById('importJsonBtn')?.addEventListener('click', () => {
+            importInput.click();
+        });
+        importInput?.addEventListener('change', () => {
+            if (importInput.files.length > 0) {
+                this.importFromJSON(importInput.files[0]);
+            }
+            importInput.value = '';
+        });
+    }
+    
+    setupCaseHistoryControls() {
+        document.getElementById('caseHistoryFilter')?.addEventListener('input', () => {
+            this.refreshCaseHistory();
+        });
+        
+        document.getElementById('compareCasesBtn')?.addEventListener('click', () => {
+            this.compareSelectedCases();
+        });
+        
+        document.querySelector('#caseHistoryTable tbody')?.addEventListener('click', (e) => {
+            const button = e.target.closest('button[data-case-action]');
+            if (!button) return;
+            const id = Number(button.dataset.caseId);
+            const actions = {
+                open: () => this.openCase(id),
+                duplicate: () => this.duplicateCase(id),
+                delete: () => this.deleteCase(id)
+            };
+            actions[button.dataset.caseAction]();
+        });
+    }
+    
+    setupCohortControls() {
+        const runButton = document.getElementById('runCohortBtn');
+        const fileInput = document.getElementById('cohortFileInput');
+        runButton?.addEventListener('click', () => {
+            if (fileInput.files.length > 0) {
+                this.runCohortBatch(fileInput.files[0]);
+            } else {
+                this.showAlert(I18n.t('app.cohort.title'), I18n.t('app.cohort.noFile'), 'warning');
+            }
+        });
+        
+        document.getElementById('exportCohortBtn')?.addEventListener('click', () => {
+            this.exportCohortCSV();
+        });
     }
     
     setupAudioControls() {
@@ -130,6 +401,117 @@ class RemimazolamBolusApp {
         });
     }
     
+    // Runs the current regimen for every CSV row, yielding to the browser between patients
+    async runCohortBatch(file) {
+        if (this.cohortRunning) return;
+        
+        const progress = document.getElementById('cohortProgress');
+        const runButton = document.getElementById('runCohortBtn');
+        this.cohortRunning = true;
+        runButton.disabled = true;
+        
+        try {
+            const rows = CohortBatchRunner.parseCSV(await file.text());
+            const { bolusDose, targetCe, protocolParams } = this.collectProtocolInputs();
+            const runner = new CohortBatchRunner(bolusDose, targetCe, protocolParams, this.protocolCalculator);
+            
+            const outcomes = [];
+            for (let i = 0; i < rows.length; i++) {
+                progress.textContent = I18n.t('app.cohort.progress', { current: i + 1, total: rows.length });
+                await new Promise(resolve => setTimeout(resolve, 0));
+                outcomes.push(runner.runRow(rows[i]));
+            }
+            
+            this.cohortResult = CohortBatchRunner.collect(outcomes);
+            progress.textContent = I18n.t('app.cohort.done', {
+                calculated: this.cohortResult.summaries.length, failed: this.cohortResult.failures.length
+            });
+            this.renderCohortResults(this.cohortResult);
+            this.hideWarning();
+        } catch (error) {
+            console.error('Cohort batch error:', error);
+            progress.textContent = '-';
+            this.showWarning(error.message);
+        } finally {
+            this.cohortRunning = false;
+            runButton.disabled = false;
+        }
+    }
+    
+    renderCohortResults(batchResult) {
+        document.getElementById('cohortResults').classList.remove('hidden');
+        
+        const distributionBody = document.querySelector('#cohortDistributionTable tbody');
+        distributionBody.innerHTML = '';
+        Object.entries(CohortBatchRunner.METRICS).forEach(([key, metric]) => {
+            const distribution = batchResult.distributions[key];
+            const format = value => value.toFixed(metric.digits);
+            const label = I18n.t(`cohort.metric.${key}`);
+            const tr = document.createElement('tr');
+            tr.innerHTML = distribution ? `
+                <td>${label}</td>
+                <td>${distribution.n}</td>
+                <td>${format(distribution.mean)} ± ${distribution.sd.toFixed(metric.digits + 1)}</td>
+                <td>${format(distribution.median)}</td>
+                <td>${format(distribution.p05)} - ${format(distribution.p95)}</td>
+                <td>${format(distribution.min)} - ${format(distribution.max)}</td>
+            ` : `<td>${label}</td><td>0</td><td colspan="4">-</td>`;
+            distributionBody.appendChild(tr);
+        });
+        
+        // Patient IDs come from the uploaded file, so the cells are text only
+        const summaryBody = document.querySelector('#cohortTable tbody');
+        summaryBody.innerHTML = '';
+        batchResult.summaries.forEach(summary => {
+            summaryBody.appendChild(this.createTextRow([
+                summary.line,
+                summary.patientId,
+                I18n.t('app.cohort.patient', { age: summary.age, weight: summary.weight, height: summary.height }),
+                `${summary.optimalRate.toFixed(3)} mg/kg/hr`,
+                `${summary.maxCe.toFixed(3)} μg/mL`,
+                `${summary.targetAccuracy.toFixed(1)}%`,
+                summary.adjustmentCount
+            ]));
+        });
+        
+        const failureList = document.getElementById('cohortFailures');
+        failureList.innerHTML = '';
+        batchResult.failures.forEach(failure => {
+            const li = document.createElement('li');
+            li.textContent = I18n.t('app.cohort.failure', { line: failure.line, patientId: failure.patientId, errors: failure.errors.join(', ') });
+            failureList.appendChild(li);
+        });
+        document.getElementById('cohortFailureContainer').classList.toggle('hidden', batchResult.failures.length === 0);
+    }
+    
+    // <tr> of text cells; for values that may come from files or saved records (patient IDs)
+    createTextRow(values) {
+        const tr = document.createElement('tr');
+        values.forEach(value => {
+            const td = document.createElement('td');
+            td.textContent = value;
+            tr.appendChild(td);
+        });
+        return tr;
+    }
+    
+    exportCohortCSV() {
+        if (!this.cohortResult) return;
+        
+        const csvData = '\uFEFF' + CohortBatchRunner.toCSV(this.cohortResult); // BOM for Excel compatibility
+        const blob = new Blob([csvData], { type: 'text/csv;charset=utf-8;' });
+        const link = document.createElement('a');
+        const url = URL.createObjectURL(blob);
+        
+        link.setAttribute('href', url);
+        link.setAttribute('download', `remimazolam_v3.3_cohort_${new Date().toISOString().split('T')[0]}.csv`);
+        link.style.visibility = 'hidden';
+        
+        document.body.appendChild(link);
+        link.click();
+        document.body.removeChild(link);
+    }
+    
     updatePatientInfo() {
         const patient = this.collectPatientData();
         
@@ -141,112 +523,872 @@ class RemimazolamBolusApp {
             // Update patient status
             const validation = patient.validate();
             const statusElement = document.getElementById('patientStatus');
-            statusElement.textContent = validation.isValid ? '正常範囲' : '要確認';
+            statusElement.textContent = I18n.t(validation.isValid ? 'app.patient.statusValid' : 'app.patient.statusInvalid');
             statusElement.className = `calculated-value ${validation.isValid ? 'valid' : 'invalid'}`;
+            this.showFieldIssues(validation.issues, RemimazolamBolusApp.PATIENT_FIELDS);
             
             this.currentPatient = patient;
             this.updateOptimizationPreview();
         }
     }
     
-    updateOptimizationPreview() {
-        if (!this.currentPatient) return;
+    updateOptimizationPreview() {
+        if (!this.currentPatient) return;
+        
+        try {
+            const bolusDose = parseFloat(document.getElementById('bolusDose').value) || 7;
+            const endpoint = this.getClinicalEndpoint();
+            const targetCe = endpoint ?
+                new RemimazolamPDModel(this.getPDParams()).targetCeForEndpoint(endpoint) :
+                parseFloat(document.getElementById('targetCe').value) || 1.0;
+            const targetReachTime = parseFloat(document.getElementById('targetReachTime').value) || 20;
+            
+            // Update preview values
+            document.getElementById('previewBolusValue').textContent = `${bolusDose} mg`;
+            
+            // Quick optimization preview
+            const pkCalculator = new RemimazolamV33.PKParameterCalculator();
+            const pkParams = pkCalculator.calculatePKParameters(this.currentPatient, this.getSelectedModelId());
+            const optimizer = new RemimazolamV33.BolusOptimizer(this.currentPatient, pkParams, this.getSelectedEngine());
+            
+            // Calculate initial concentration
+            const bolusState = optimizer.calculateBolusInitialState(bolusDose);
+            document.getElementById('previewInitialConc').textContent = 
+                `${bolusState.plasmaConc.toFixed(2)} μg/mL`;
+            
+            // Quick optimization
+            const optimizationResult = optimizer.optimizeContinuousRate(bolusDose, targetCe, targetReachTime);
+            document.getElementById('previewOptimalRate').textContent = 
+                `${optimizationResult.optimalRate.toFixed(2)} mg/kg/hr`;
+            document.getElementById('previewTargetReach').textContent = 
+                `${optimizationResult.predictedCe.toFixed(3)} μg/mL`;
+                
+        } catch (error) {
+            console.warn('Preview calculation error:', error);
+            ['previewInitialConc', 'previewOptimalRate', 'previewTargetReach'].forEach(id => {
+                document.getElementById(id).textContent = I18n.t('app.preview.error');
+            });
+        }
+    }
+    
+    initializeOptimizationPreview() {
+        // Set initial values
+        this.updatePatientInfo();
+    }
+    
+    collectPatientData() {
+        try {
+            const patientId = document.getElementById('patientId').value.trim();
+            const age = parseFloat(document.getElementById('age').value);
+            const weight = parseFloat(document.getElementById('weight').value);
+            const height = parseFloat(document.getElementById('height').value);
+            const sex = parseInt(document.querySelector('input[name="sex"]:checked')?.value || '0');
+            const asaPS = parseInt(document.querySelector('input[name="asa"]:checked')?.value || '0');
+            
+            return new RemimazolamV33.Patient(patientId, age, weight, height, sex, asaPS);
+        } catch (error) {
+            console.error('Patient data collection error:', error);
+            return null;
+        }
+    }
+    
+    generateBolusOptimization() {
+        this.showLoading(true);
+        this.showFieldIssues([]);
+        
+        try {
+            const patient = this.collectPatientData();
+            if (!patient) {
+                throw new Error(I18n.t('app.patient.collectFailed'));
+            }
+            
+            const validation = patient.validate();
+            if (!validation.isValid) {
+                throw new ValidationError(validation.issues);
+            }
+            
+            const { bolusDose, targetCe, protocolParams } = this.collectProtocolInputs();
+            
+            // Calculate bolus protocol
+            const results = this.protocolCalculator.calculateBolusProtocol(
+                patient, bolusDose, targetCe, protocolParams
+            );
+            
+            this.showCalculatedResults(results, { bolusDose, targetCe, protocolParams });
+            
+        } catch (error) {
+            console.error('Optimization error:', error);
+            if (error instanceof ValidationError) {
+                this.showFieldIssues(error.issues);
+            }
+            this.showWarning(error.message);
+        } finally {
+            this.showLoading(false);
+        }
+    }
+    
+    // Marks the inputs named by ValidationIssue fields; the inputs of `scope` are cleared first
+    showFieldIssues(issues, scope = Object.keys(RemimazolamBolusApp.FIELD_INPUTS)) {
+        const inputsFor = field => RemimazolamBolusApp.FIELD_INPUTS[field.replace(/\[.*$/, '')] || [];
+        const messages = new Map(scope.flatMap(inputsFor).map(inputId => [inputId, []]));
+        
+        issues.forEach(issue => {
+            inputsFor(issue.field).forEach(inputId => {
+                messages.set(inputId, [...(messages.get(inputId) || []), issue.message]);
+            });
+        });
+        messages.forEach((list, inputId) => this.setFieldError(inputId, list));
+    }
+    
+    setFieldError(inputId, messages) {
+        const input = document.getElementById(inputId);
+        if (!input) return;
+        
+        const invalid = messages.length > 0;
+        input.classList.toggle('input-invalid', invalid);
+        input.setAttribute('aria-invalid', String(invalid));
+        
+        let note = input.parentElement.querySelector('.field-error');
+        if (!note && invalid) {
+            note = document.createElement('div');
+            note.className = 'field-error';
+            input.insertAdjacentElement('afterend', note);
+        }
+        if (note) {
+            note.textContent = messages.join(' / ');
+            note.classList.toggle('hidden', !invalid);
+        }
+    }
+    
+    // Regimen from the form: bolus, target and protocol parameters (shared by single cases and cohort runs)
+    collectProtocolInputs() {
+        const bolusDose = parseFloat(document.getElementById('bolusDose').value);
+        const targetCe = parseFloat(document.getElementById('targetCe').value);
+        const targetReachTime = parseFloat(document.getElementById('targetReachTime').value) || 20;
+        const upperThresholdRatio = parseFloat(document.getElementById('upperThresholdRatio').value) || 1.2;
+        const reductionFactor = parseFloat(document.getElementById('reductionFactor').value) || 0.70;
+        const targetSchedule = this.parseTargetSchedule(
+            document.getElementById('targetSchedule')?.value || '', targetCe
+        );
+        
+        const protocolParams = {
+            targetReachTime: targetReachTime,
+            upperThresholdRatio: upperThresholdRatio,
+            reductionFactor: reductionFactor,
+            modelId: this.getSelectedModelId(),
+            engine: this.getSelectedEngine(),
+            controlMode: document.getElementById('controlMode')?.value || 'threshold',
+            targetSchedule: targetSchedule,
+            reversal: this.getReversalSettings(),
+            clinicalEndpoint: this.getClinicalEndpoint(),
+            pdParams: this.getPDParams(),
+            opioid: this.getOpioidSettings(),
+            preparation: this.getPreparationSettings(),
+            monteCarlo: this.getMonteCarloSettings(),
+            optimizeBolus: document.getElementById('optimizeBolus')?.checked || false,
+            ...this.getDecrementSettings()
+        };
+        
+        return { bolusDose, targetCe, protocolParams };
+    }
+    
+    // save: false re-displays a case that was already saved and alerted (language switch)
+    showCalculatedResults(results, inputs, { save = true } = {}) {
+        this.currentResults = results;
+        this.currentInputs = inputs;
+        this.currentCaseId = null;
+        this.currentReplay = null;
+        this.currentIndividualization = null;
+        this.displayResults(results);
+        this.hideWarning();
+        if (!save) return;
+        
+        results.modelWarnings.forEach(warning => {
+            this.showAlert(I18n.t('app.alert.modelValidity'), warning.message, 'warning');
+        });
+        
+        (results.validationWarnings || []).forEach(issue => {
+            this.showAlert(I18n.t('app.alert.ke0Fallback'), issue.message, 'warning');
+        });
+        
+        results.optimizationWarnings.forEach(message => {
+            this.showAlert(I18n.t('app.alert.targetUnreachable'), message, 'warning');
+        });
+        
+        (results.pumpProgram?.warnings || []).forEach(message => {
+            this.showAlert(I18n.t('app.alert.pumpRange'), message, 'warning');
+        });
+        
+        this.saveCase(results, inputs);
+    }
+    
+    async saveCase(results, inputs) {
+        try {
+            await this.caseStore.save(results, inputs);
+            await this.refreshCaseHistory();
+        } catch (error) {
+            console.warn('Case history save error:', error);
+            this.showAlert(I18n.t('app.history.title'), I18n.t('app.history.saveFailed', { message: error.message }), 'warning');
+        }
+    }
+    
+    async refreshCaseHistory() {
+        const tbody = document.querySelector('#caseHistoryTable tbody');
+        if (!tbody) return;
+        
+        try {
+            const filter = document.getElementById('caseHistoryFilter')?.value.trim() || '';
+            const records = (await this.caseStore.list())
+                .filter(record => record.patientId.includes(filter));
+            
+            tbody.innerHTML = '';
+            records.map(record => CaseHistoryStore.summarize(record)).forEach(summary => {
+                // Saved and imported records can carry any patient ID or version string
+                const row = this.createTextRow([
+                    new Date(summary.createdAt).toLocaleString(I18n.locale),
+                    summary.patientId,
+                    `${Number(summary.targetCe.toFixed(3))} μg/mL`,
+                    `${Number(summary.bolusDose.toFixed(2))} mg`,
+                    `${summary.initialRate.toFixed(2)} mg/kg/hr`,
+                    summary.model,
+                    `V${summary.appVersion}`
+                ]);
+                
+                const selectCell = document.createElement('td');
+                const checkbox = document.createElement('input');
+                checkbox.type = 'checkbox';
+                checkbox.className = 'case-select';
+                checkbox.value = summary.id;
+                selectCell.appendChild(checkbox);
+                row.prepend(selectCell);
+                
+                const actionCell = document.createElement('td');
+                ['open', 'duplicate', 'delete'].forEach(action => {
+                    const button = document.createElement('button');
+                    button.dataset.caseAction = action;
+                    button.dataset.caseId = summary.id;
+                    button.textContent = I18n.t(`app.history.${action}`);
+                    actionCell.append(button, ' ');
+                });
+                row.appendChild(actionCell);
+                tbody.appendChild(row);
+            });
+        } catch (error) {
+            console.warn('Case history load error:', error);
+            const row = this.createTextRow([error.message]);
+            row.firstChild.colSpan = 9;
+            tbody.replaceChildren(row);
+        }
+    }
+    
+    // Show a saved case exactly as it was suggested (no recalculation)
+    async openCase(id) {
+        try {
+            const record = await this.caseStore.get(id);
+            this.applyInputsToForm(record.inputs);
+            
+            this.currentResults = CaseHistoryStore.restoreResults(record);
+            this.currentInputs = record.inputs;
+            this.currentCaseId = record.id;
+            this.currentReplay = null;
+            this.currentIndividualization = null;
+            this.displayResults(this.currentResults);
+            this.hideWarning();
+            
+            this.showAlert(I18n.t('app.history.opened'),
+                `#${record.id} ${record.patientId} (${new Date(record.createdAt).toLocaleString(I18n.locale)}, V${record.appVersion})`, 'info');
+            if (record.appVersion !== RemimazolamV33.MasuiModelConstants.APP_VERSION) {
+                this.showAlert(I18n.t('app.history.versionMismatch'),
+                    I18n.t('app.history.versionMismatchMessage', { version: record.appVersion }), 'warning');
+            }
+        } catch (error) {
+            console.error('Case open error:', error);
+            this.showAlert(I18n.t('app.history.title'), error.message, 'warning');
+        }
+    }
+    
+    // Recalculate the saved inputs with the current version as a new case
+    async duplicateCase(id) {
+        try {
+            const record = await this.caseStore.get(id);
+            const inputs = record.inputs;
+            const source = inputs.patient;
+            const patient = new RemimazolamV33.Patient(
+                source.patientId, source.age, source.weight, source.height, source.sex, source.asaPS
+            );
+            this.applyInputsToForm(inputs);
+            
+            const results = this.protocolCalculator.calculateBolusProtocol(
+                patient, inputs.bolusDose, inputs.targetCe, inputs.protocolParams
+            );
+            this.showCalculatedResults(results, inputs);
+        } catch (error) {
+            console.error('Case duplicate error:', error);
+            this.showAlert(I18n.t('app.history.title'), error.message, 'warning');
+        }
+    }
+    
+    async deleteCase(id) {
+        if (!window.confirm(I18n.t('app.history.confirmDelete', { id: id }))) return;
+        
+        try {
+            await this.caseStore.delete(id);
+            await this.refreshCaseHistory();
+        } catch (error) {
+            console.error('Case delete error:', error);
+            this.showAlert(I18n.t('app.history.title'), error.message, 'warning');
+        }
+    }
+    
+    async compareSelectedCases() {
+        const ids = Array.from(document.querySelectorAll('#caseHistoryTable .case-select:checked'))
+            .map(checkbox => Number(checkbox.value));
+        if (ids.length !== 2) {
+            this.showAlert(I18n.t('app.compare.title'), I18n.t('app.compare.selectTwo'), 'warning');
+            return;
+        }
+        
+        try {
+            const [recordA, recordB] = await Promise.all(ids.map(id => this.caseStore.get(id)));
+            const format = value => typeof value === 'number' ? Number(value.toFixed(3)) : value;
+            
+            document.getElementById('caseCompareHeaderA').textContent = `#${recordA.id} ${recordA.patientId}`;
+            document.getElementById('caseCompareHeaderB').textContent = `#${recordB.id} ${recordB.patientId}`;
+            
+            const tbody = document.querySelector('#caseCompareTable tbody');
+            tbody.innerHTML = '';
+            CaseHistoryStore.compare(recordA, recordB).forEach(row => {
+                const tr = this.createTextRow([row.label, format(row.valueA), format(row.valueB)]);
+                tr.className = row.differs ? 'case-differs' : '';
+                tbody.appendChild(tr);
+            });
+            document.getElementById('caseCompareContainer').classList.remove('hidden');
+        } catch (error) {
+            console.error('Case compare error:', error);
+            this.showAlert(I18n.t('app.compare.title'), error.message, 'warning');
+        }
+    }
+    
+    // Patient and main dosing fields; the remaining settings are taken from the saved inputs
+    applyInputsToForm(inputs) {
+        const patient = inputs.patient;
+        const params = inputs.protocolParams;
+        const setValue = (id, value) => {
+            const element = document.getElementById(id);
+            if (element && value !== undefined && value !== null) element.value = value;
+        };
+        
+        setValue('patientId', patient.patientId);
+        setValue('age', patient.age);
+        setValue('weight', patient.weight);
+        setValue('height', patient.height);
+        document.querySelectorAll('input[name="sex"]').forEach(input => {
+            input.checked = parseInt(input.value) === patient.sex;
+        });
+        document.querySelectorAll('input[name="asa"]').forEach(input => {
+            input.checked = parseInt(input.value) === patient.asaPS;
+        });
+        
+        setValue('bolusDose', inputs.bolusDose);
+        setValue('targetCe', inputs.targetCe);
+        setValue('targetReachTime', params.targetReachTime);
+        setValue('upperThresholdRatio', params.upperThresholdRatio);
+        setValue('reductionFactor', params.reductionFactor);
+        setValue('pkModel', params.modelId);
+        setValue('solutionEngine', params.engine);
+        setValue('controlMode', params.controlMode);
+        
+        this.updateVariabilityInputs();
+        this.updatePatientInfo();
+    }
+    
+    getDecrementSettings() {
+        return {
+            decrementStopTime: parseFloat(document.getElementById('decrementStopTime')?.value) ||
+                RemimazolamV33.MasuiModelConstants.SIMULATION_DURATION,
+            awakeningCe: parseFloat(document.getElementById('awakeningCe')?.value) ||
+                DecrementTimeCalculator.DEFAULT_AWAKENING_CE
+        };
+    }
+    
+    getClinicalEndpoint() {
+        const type = document.getElementById('clinicalEndpointType')?.value;
+        if (!type) {
+            return null;
+        }
+        return { type: type, value: parseFloat(document.getElementById('clinicalEndpointValue').value) };
+    }
+    
+    // Entered PD models only; a model with every field empty is left out (no predictions from it)
+    getPDParams() {
+        return Object.fromEntries(Object.entries(RemimazolamBolusApp.PD_INPUTS)
+            .map(([group, inputs]) => [group, Object.entries(inputs)
+                .map(([key, inputId]) => [key, document.getElementById(inputId).value.trim()])])
+            .filter(([, values]) => values.some(([, value]) => value !== ''))
+            .map(([group, values]) => [group, Object.fromEntries(values.map(([key, value]) => [key, parseFloat(value)]))]));
+    }
+    
+    getReversalSettings() {
+        if (!document.getElementById('enableReversal')?.checked) {
+            return null;
+        }
+        return {
+            time: parseFloat(document.getElementById('reversalTime').value),
+            dose: parseFloat(document.getElementById('flumazenilDose').value),
+            resedationCe: parseFloat(document.getElementById('resedationCe').value),
+            stopInfusion: document.getElementById('reversalStopInfusion').checked
+        };
+    }
+    
+    getPreparationSettings() {
+        if (!document.getElementById('enablePreparation')?.checked) {
+            return null;
+        }
+        return {
+            vialMg: parseFloat(document.getElementById('prepVialMg').value),
+            dilutionMl: parseFloat(document.getElementById('prepDilutionMl').value),
+            pumpMinRate: parseFloat(document.getElementById('pumpMinRate').value),
+            pumpMaxRate: parseFloat(document.getElementById('pumpMaxRate').value),
+            syringeVolumeMl: parseFloat(document.getElementById('syringeVolumeMl').value)
+        };
+    }
+    
+    getMonteCarloSettings() {
+        if (!document.getElementById('enableMonteCarlo')?.checked) {
+            return null;
+        }
+        return {
+            n: parseInt(document.getElementById('monteCarloN').value, 10),
+            seed: parseInt(document.getElementById('monteCarloSeed').value, 10),
+            omega: this.getVariabilitySettings()
+        };
+    }
+    
+    // Entered omega only; empty fields are left out so the engine reports them as missing,
+    // and published ones (disabled inputs) are taken from the model registry
+    getVariabilitySettings() {
+        return Object.fromEntries(Object.entries(RemimazolamBolusApp.OMEGA_INPUTS)
+            .filter(([, inputId]) => !document.getElementById(inputId).disabled)
+            .map(([key, inputId]) => [key, document.getElementById(inputId).value.trim()])
+            .filter(([, value]) => value !== '')
+            .map(([key, value]) => [key, parseFloat(value)]));
+    }
+    
+    updatePreparationConcentration() {
+        const vialMg = parseFloat(document.getElementById('prepVialMg').value);
+        const dilutionMl = parseFloat(document.getElementById('prepDilutionMl').value);
+        document.getElementById('prepConcentration').textContent = vialMg > 0 && dilutionMl > 0 ?
+            `${(vialMg / dilutionMl).toFixed(2)} mg/mL` : '-';
+    }
+    
+    getOpioidSettings() {
+        if (!document.getElementById('enableOpioid')?.checked) {
+            return null;
+        }
+        const mode = document.getElementById('opioidMode').value;
+        const value = parseFloat(document.getElementById('opioidValue').value);
+        return {
+            mode: mode,
+            [mode === 'constant' ? 'ce' : 'rate']: value,
+            model: document.getElementById('interactionModel').value,
+            reduceTarget: document.getElementById('opioidReduceTarget').checked
+        };
+    }
+    
+    updateReversalSummary(reversal) {
+        const element = document.getElementById('reversalSummary');
+        if (!reversal) {
+            element.textContent = '-';
+            return;
+        }
+        
+        const reversed = reversal.reversedTime !== null ?
+            I18n.t('app.reversal.reversed', { time: reversal.reversedTime, resedationCe: reversal.resedationCe }) :
+            I18n.t('app.reversal.notReversed');
+        const resedation = reversal.resedationRisk ?
+            I18n.t(reversal.resedationProjected ? 'app.reversal.resedationRiskProjected' : 'app.reversal.resedationRisk',
+                { time: reversal.resedationTime, ce: reversal.ceAtResedation }) :
+            I18n.t('app.reversal.noResedationRisk');
+        element.textContent = this.placeholderLabel(I18n.t('app.reversal.summary', {
+            time: reversal.time, dose: reversal.dose, reversed: reversed, resedation: resedation
+        }), reversal.placeholders);
+    }
+    
+    // Marks a prediction that still depends on placeholder defaults (interaction surface, flumazenil KB)
+    // (saved cases from before the placeholders were recorded carry none)
+    placeholderLabel(text, ...placeholderLists) {
+        return placeholderLists.some(list => list && list.length > 0) ? I18n.t('app.placeholder.value', { value: text }) : text;
+    }
+    
+    updateDecrementTimes() {
+        if (!this.currentResults) return;
+        
+        try {
+            const results = this.currentResults;
+            const settings = this.getDecrementSettings();
+            const calculator = new DecrementTimeCalculator(results.patient, results.pkParams);
+            
+            results.decrementTimes = calculator.analyze(
+                results.bolusDose, results.simulationData, settings.decrementStopTime, settings.awakeningCe
+            );
+            Object.assign(results.protocolParams, settings);
+            
+            this.updateDecrementSection(results.decrementTimes);
+            this.createConcentrationChart(
+                results.simulationData, results.dosageAdjustments, results.protocolParams, results.decrementTimes,
+                this.currentReplay, results.monteCarlo, this.currentIndividualization
+            );
+        } catch (error) {
+            console.warn('Decrement time calculation error:', error);
+        }
+    }
+    
+    replayDoseEvents() {
+        if (!this.currentResults) return;
+        
+        try {
+            const results = this.currentResults;
+            const events = DoseEventReplaySimulator.parseEvents(document.getElementById('doseEventRecord').value);
+            const simulator = new DoseEventReplaySimulator(results.patient, results.pkParams);
+            const replay = simulator.simulate(events);
+            replay.comparison = simulator.compareWithProtocol(replay, results);
+            
+            this.currentReplay = replay;
+            this.updateReplaySection(replay);
+            this.createConcentrationChart(
+                results.simulationData, results.dosageAdjustments, results.protocolParams, results.decrementTimes, replay,
+                results.monteCarlo, this.currentIndividualization
+            );
+            this.hideWarning();
+        } catch (error) {
+            console.error('Dose event replay error:', error);
+            this.showWarning(error.message);
+        }
+    }
+    
+    individualizeFromObservations() {
+        if (!this.currentResults) return;
+        
+        this.showFieldIssues([], RemimazolamBolusApp.BAYES_FIELDS);
+        try {
+            const results = this.currentResults;
+            const observations = MAPBayesianEstimator.parseObservations(document.getElementById('bayesObservations').value);
+            // Recorded administration when replayed, otherwise the planned protocol
+            const events = this.currentReplay ?
+                DoseEventReplaySimulator.parseEvents(document.getElementById('doseEventRecord').value) :
+                MAPBayesianEstimator.eventsFromProtocol(results);
+            const estimator = new MAPBayesianEstimator(results.patient, results.pkParams, {
+                estimatePD: document.getElementById('bayesEstimatePD').checked,
+                pdParams: results.protocolParams.pdParams,
+                omega: this.getVariabilitySettings(),
+                residualError: this.getResidualErrorSettings()
+            });
+            
+            const estimate = estimator.estimate(events, observations);
+            estimate.simulation = estimator.resimulate(estimate, events);
+            estimate.doseSource = this.currentReplay ? 'replay' : 'protocol';
+            
+            this.currentIndividualization = estimate;
+            this.updateIndividualizationSection(estimate);
+            this.createConcentrationChart(
+                results.simulationData, results.dosageAdjustments, results.protocolParams, results.decrementTimes,
+                this.currentReplay, results.monteCarlo, estimate
+            );
+            this.hideWarning();
+        } catch (error) {
+            console.error('Bayesian individualization error:', error);
+            if (error instanceof ValidationError) {
+                this.showFieldIssues(error.issues, RemimazolamBolusApp.BAYES_FIELDS);
+            }
+            this.showWarning(error.message);
+        }
+    }
+    
+    // Empty fields become NaN so the estimator reports the observed types without a residual error
+    getResidualErrorSettings() {
+        return Object.fromEntries(Object.entries(RemimazolamBolusApp.RESIDUAL_INPUTS).map(([type, inputs]) =>
+            [type, Object.fromEntries(Object.entries(inputs).map(([component, inputId]) =>
+                [component, parseFloat(document.getElementById(inputId).value)]))]));
+    }
+    
+    updateIndividualizationSection(estimate) {
+        const set = (id, text) => { document.getElementById(id).textContent = text; };
+        const paramBody = document.querySelector('#bayesParamTable tbody');
+        const observationBody = document.querySelector('#bayesObservationTable tbody');
+        paramBody.innerHTML = '';
+        observationBody.innerHTML = '';
+        if (!estimate) {
+            ['bayesConvergence', 'bayesDoseSource', 'bayesFinalCe', 'bayesOmega'].forEach(id => set(id, '-'));
+            return;
+        }
+        
+        set('bayesConvergence', I18n.t('app.bayes.convergence', {
+            status: I18n.t(estimate.converged ? 'app.converged' : 'app.notConverged'),
+            iterations: estimate.iterations,
+            prior: estimate.objective.prior,
+            posterior: estimate.objective.posterior
+        }));
+        set('bayesDoseSource', I18n.t('app.bayes.doseSourceSummary', {
+            source: I18n.t(`app.bayes.doseSource.${estimate.doseSource}`),
+            time: estimate.simulation.lastObservationTime
+        }));
+        set('bayesFinalCe', `${estimate.simulation.prior.finalCe.toFixed(3)} → ${estimate.simulation.posterior.finalCe.toFixed(3)} μg/mL`);
+        set('bayesOmega', I18n.t(estimate.illustrative ? 'app.variability.illustrative' : 'app.variability.published'));
+        
+        const rows = [
+            ['V1 (L)', 'v1'], ['V2 (L)', 'v2'], ['V3 (L)', 'v3'], ['CL (L/min)', 'cl'],
+            ['Q2 (L/min)', 'q2'], ['Q3 (L/min)', 'q3'], ['ke0 (1/min)', 'ke0']
+        ].map(([label, key]) => [label, estimate.prior.pkParams[key], estimate.posterior.pkParams[key]]);
+        if (estimate.estimatePD) {
+            rows.push(['BIS Ce50 (μg/mL)', estimate.prior.pdParams.bis.ce50, estimate.posterior.pdParams.bis.ce50]);
+        }
+        rows.forEach(([label, prior, posterior]) => {
+            const tr = document.createElement('tr');
+            tr.innerHTML = `
+                <td>${label}</td>
+                <td>${prior.toFixed(4)}</td>
+                <td>${posterior.toFixed(4)}</td>
+                <td>${(posterior / prior).toFixed(2)}</td>
+            `;
+            paramBody.appendChild(tr);
+        });
+        
+        estimate.observations.forEach(observation => {
+            const digits = observation.type === 'plasma' ? 3 : 1;
+            const tr = document.createElement('tr');
+            tr.innerHTML = `
+                <td>${I18n.t('app.minutes', { value: observation.time })}</td>
+                <td>${I18n.t(`app.bayes.observationType.${observation.type}`)}</td>
+                <td>${observation.value.toFixed(digits)}</td>
+                <td>${observation.priorPrediction.toFixed(digits)}</td>
+                <td>${observation.posteriorPrediction.toFixed(digits)}</td>
+            `;
+            observationBody.appendChild(tr);
+        });
+    }
+    
+    updateReplaySection(replay) {
+        const set = (id, text) => { document.getElementById(id).textContent = text; };
+        if (!replay) {
+            ['replayActualDose', 'replayRecommendedDose', 'replayDoseBreakdown', 'replayMaxCeDifference', 'replayMeanCeDifference']
+                .forEach(id => set(id, '-'));
+            return;
+        }
+        
+        const dose = replay.cumulativeDose;
+        const comparison = replay.comparison;
+        set('replayActualDose', `${dose.total.toFixed(1)} mg (${dose.perKg.toFixed(2)} mg/kg)`);
+        set('replayRecommendedDose', `${comparison.recommendedDose.toFixed(1)} mg ` +
+            I18n.t('app.replay.difference', { sign: comparison.doseDifference >= 0 ? '+' : '', difference: comparison.doseDifference }));
+        set('replayDoseBreakdown', I18n.t('app.replay.breakdown', { bolus: dose.bolus, infusion: dose.infusion, flush: dose.flush }));
+        set('replayMaxCeDifference', comparison.timeOfMaxDifference !== null ?
+            I18n.t('app.replay.maxCeDifference', {
+                sign: comparison.maxCeDifference >= 0 ? '+' : '', difference: comparison.maxCeDifference, time: comparison.timeOfMaxDifference
+            }) : '-');
+        set('replayMeanCeDifference', comparison.meanAbsCeDifference !== null ?
+            `${comparison.meanAbsCeDifference.toFixed(3)} μg/mL` : '-');
+    }
+    
+    startLiveCase() {
+        if (!this.currentResults || this.liveSession?.isRunning()) return;
+        
+        const results = this.currentResults;
+        const alerts = this.alertManager.generateBolusAlerts(
+            results.dosageAdjustments, results.clinicalProtocol, true, results.inventory?.syringeChanges
+        );
+        this.liveSession = new LiveCaseSession(results, alerts);
+        this.liveSession.start();
+        
+        document.getElementById('startLiveCaseBtn').disabled = true;
+        document.getElementById('stopLiveCaseBtn').disabled = false;
+        
+        this.updateLiveCase();
+        this.liveTimer = setInterval(() => this.updateLiveCase(), 1000);
+    }
+    
+    updateLiveCase() {
+        const session = this.liveSession;
+        if (!session) return;
+        
+        const fired = session.tick();
+        fired.forEach(alert => {
+            const message = alert.postponeCount > 0 ?
+                alert.message + I18n.t('app.live.postponed', { count: alert.postponeCount }) : alert.message;
+            this.showAlert(alert.title, message, alert.type === 'warning' ? 'warning' : 'info');
+            if (document.getElementById('enableAudio')?.checked) {
+                this.alertManager.playBolusAlert(alert.type);
+            }
+            this.alertManager.showNotification(alert.title, message);
+        });
+        
+        const elapsed = session.getElapsedMinutes();
+        const minutes = Math.floor(elapsed);
+        const seconds = Math.floor((elapsed - minutes) * 60);
+        document.getElementById('liveClock').textContent = `${minutes}:${String(seconds).padStart(2, '0')}`;
+        
+        const concentrations = session.getCurrentConcentrations();
+        document.getElementById('liveCurrentCe').textContent = `${concentrations.predictedCe.toFixed(3)} μg/mL`;
+        document.getElementById('livePlannedCe').textContent = `${concentrations.plannedCe.toFixed(3)} μg/mL`;
+        
+        const next = session.getNextAlert();
+        document.getElementById('liveNextStep').textContent = next ?
+            I18n.t('app.live.nextStep', { title: next.title, minutes: next.time - elapsed }) : '-';
+        
+        if (fired.length > 0) {
+            this.renderLiveAlertList();
+        }
+    }
+    
+    renderLiveAlertList() {
+        const list = document.getElementById('liveAlertList');
+        list.innerHTML = '';
+        
+        this.liveSession.getDueAlerts().forEach(alert => {
+            const item = document.createElement('li');
+            item.innerHTML = `
+                <span class="live-alert-text"><strong>${alert.title}</strong> ${alert.message}</span>
+                <button data-live-action="confirm" data-alert-id="${alert.id}">${I18n.t('app.live.confirm')}</button>
+                <button data-live-action="postpone" data-alert-id="${alert.id}">${I18n.t('app.live.postpone', { minutes: LiveCaseSession.DEFAULT_POSTPONE_MINUTES })}</button>
+            `;
+            list.appendChild(item);
+        });
+    }
+    
+    confirmLiveStep(id) {
+        if (!this.liveSession) return;
+        this.liveSession.confirm(id);
+        this.renderLiveAlertList();
+        this.updateLiveCase();
+    }
+    
+    postponeLiveStep(id) {
+        if (!this.liveSession) return;
+        try {
+            this.liveSession.postpone(id);
+            this.renderLiveAlertList();
+            this.updateLiveCase();
+        } catch (error) {
+            this.showWarning(error.message);
+        }
+    }
+    
+    stopLiveCase() {
+        if (!this.liveSession) return;
         
-        try {
-            const bolusDose = parseFloat(document.getElementById('bolusDose').value) || 7;
-            const targetCe = parseFloat(document.getElementById('targetCe').value) || 1.0;
-            const targetReachTime = parseFloat(document.getElementById('targetReachTime').value) || 20;
-            
-            // Update preview values
-            document.getElementById('previewBolusValue').textContent = `${bolusDose} mg`;
-            
-            // Quick optimization preview
-            const pkCalculator = new RemimazolamV33.PKParameterCalculator();
-            const pkParams = pkCalculator.calculatePKParameters(this.currentPatient);
-            const optimizer = new RemimazolamV33.BolusOptimizer(this.currentPatient, pkParams);
-            
-            // Calculate initial concentration
-            const bolusState = optimizer.calculateBolusInitialState(bolusDose);
-            document.getElementById('previewInitialConc').textContent = 
-                `${bolusState.plasmaConc.toFixed(2)} μg/mL`;
-            
-            // Quick optimization
-            const optimizationResult = optimizer.optimizeContinuousRate(bolusDose, targetCe, targetReachTime);
-            document.getElementById('previewOptimalRate').textContent = 
-                `${optimizationResult.optimalRate.toFixed(2)} mg/kg/hr`;
-            document.getElementById('previewTargetReach').textContent = 
-                `${optimizationResult.predictedCe.toFixed(3)} μg/mL`;
-                
-        } catch (error) {
-            console.warn('Preview calculation error:', error);
-            document.getElementById('previewInitialConc').textContent = '計算エラー';
-            document.getElementById('previewOptimalRate').textContent = '計算エラー';
-            document.getElementById('previewTargetReach').textContent = '計算エラー';
+        clearInterval(this.liveTimer);
+        this.liveTimer = null;
+        this.liveSession.stop();
+        
+        document.getElementById('startLiveCaseBtn').disabled = false;
+        document.getElementById('stopLiveCaseBtn').disabled = true;
+        document.getElementById('liveAlertList').innerHTML = '';
+        
+        // Hand the confirmed steps over to the replay for comparison with the plan
+        const events = this.liveSession.getDoseEvents();
+        if (events.length > 0) {
+            document.getElementById('doseEventRecord').value = DoseEventReplaySimulator.formatEvents(events);
+            this.replayDoseEvents();
         }
     }
     
-    initializeOptimizationPreview() {
-        // Set initial values
-        this.updatePatientInfo();
+    updateInventorySection(inventory) {
+        const set = (id, text) => { document.getElementById(id).textContent = text; };
+        if (!inventory) {
+            ['inventoryTotalDose', 'inventoryVials', 'inventorySyringes', 'inventorySyringeChanges'].forEach(id => set(id, '-'));
+            return;
+        }
+        
+        set('inventoryTotalDose', `${inventory.totalDose.toFixed(1)} mg (${inventory.totalVolume.toFixed(1)} mL)`);
+        set('inventoryVials', I18n.t('app.inventory.vials', { count: inventory.vialsNeeded, vialMg: inventory.vialMg }));
+        set('inventorySyringes', I18n.t('app.inventory.syringes', {
+            count: inventory.syringesNeeded,
+            volume: inventory.syringeVolumeMl,
+            syringeMg: Number(inventory.syringeMg.toFixed(1)),
+            vials: inventory.vialsToPrepare,
+            waste: inventory.wasteMg
+        }));
+        set('inventorySyringeChanges', inventory.syringeChanges.length > 0 ?
+            inventory.syringeChanges.map(change => I18n.t('app.inventory.syringeChange', {
+                time: change.time, syringe: change.syringeNumber, next: change.syringeNumber + 1
+            })).join(', ') :
+            I18n.t('app.inventory.noSyringeChange'));
     }
     
-    collectPatientData() {
-        try {
-            const patientId = document.getElementById('patientId').value.trim();
-            const age = parseFloat(document.getElementById('age').value);
-            const weight = parseFloat(document.getElementById('weight').value);
-            const height = parseFloat(document.getElementById('height').value);
-            const sex = parseInt(document.querySelector('input[name="sex"]:checked')?.value || '0');
-            const asaPS = parseInt(document.querySelector('input[name="asa"]:checked')?.value || '0');
-            
-            return new RemimazolamV33.Patient(patientId, age, weight, height, sex, asaPS);
-        } catch (error) {
-            console.error('Patient data collection error:', error);
-            return null;
+    updateMonteCarloSection(monteCarlo) {
+        const set = (id, text) => { document.getElementById(id).textContent = text; };
+        if (!monteCarlo) {
+            ['monteCarloRun', 'monteCarloOvershoot', 'monteCarloBelowTarget', 'monteCarloFinalBand', 'monteCarloOmega'].forEach(id => set(id, '-'));
+            return;
         }
+        
+        const nominal = flag => I18n.t(flag ? 'app.monteCarlo.nominalYes' : 'app.monteCarlo.nominalNo');
+        const finalBand = monteCarlo.bands[monteCarlo.bands.length - 1];
+        set('monteCarloRun', I18n.t('app.monteCarlo.run', { n: monteCarlo.n, seed: monteCarlo.seed }));
+        set('monteCarloOvershoot', `${(monteCarlo.probabilityOvershoot * 100).toFixed(1)}% (${nominal(monteCarlo.nominal.overshoot)})`);
+        set('monteCarloBelowTarget', `${(monteCarlo.probabilityBelowTarget * 100).toFixed(1)}% (${nominal(monteCarlo.nominal.belowTarget)})`);
+        set('monteCarloFinalBand', I18n.t('app.monteCarlo.finalBand', { p05: finalBand.p05, p95: finalBand.p95, p50: finalBand.p50 }));
+        set('monteCarloOmega', I18n.t(monteCarlo.illustrative ? 'app.variability.illustrative' : 'app.variability.published'));
     }
     
-    generateBolusOptimization() {
-        this.showLoading(true);
+    formatDecrementTime(minutes) {
+        return Number.isFinite(minutes) ? I18n.t('app.minutes', { value: minutes.toFixed(1) }) : I18n.t('app.decrement.notReached');
+    }
+    
+    updateDecrementSection(decrementTimes) {
+        document.getElementById('decrementStopInfo').textContent =
+            I18n.t('app.decrement.stopInfo', { time: decrementTimes.stopTime, ce: decrementTimes.ceAtStop });
+        document.getElementById('contextSensitiveHalfTime').textContent =
+            this.formatDecrementTime(decrementTimes.contextSensitiveHalfTime);
+        document.getElementById('ceDecrement50').textContent = this.formatDecrementTime(decrementTimes.ceDecrement50);
+        document.getElementById('ceDecrement80').textContent = this.formatDecrementTime(decrementTimes.ceDecrement80);
+        document.getElementById('timeToAwakening').textContent =
+            `${this.formatDecrementTime(decrementTimes.timeToAwakening)} (< ${decrementTimes.awakeningCe} μg/mL)`;
         
-        try {
-            const patient = this.collectPatientData();
-            if (!patient) {
-                throw new Error('患者データの取得に失敗しました');
-            }
-            
-            const validation = patient.validate();
-            if (!validation.isValid) {
-                throw new Error('患者データのバリデーションエラー: ' + validation.errors.join(', '));
-            }
-            
-            const bolusDose = parseFloat(document.getElementById('bolusDose').value);
-            const targetCe = parseFloat(document.getElementById('targetCe').value);
-            const targetReachTime = parseFloat(document.getElementById('targetReachTime').value) || 20;
-            const upperThresholdRatio = parseFloat(document.getElementById('upperThresholdRatio').value) || 1.2;
-            const reductionFactor = parseFloat(document.getElementById('reductionFactor').value) || 0.70;
-            
-            const protocolParams = {
-                targetReachTime: targetReachTime,
-                upperThresholdRatio: upperThresholdRatio,
-                reductionFactor: reductionFactor
-            };
-            
-            // Calculate bolus protocol
-            const results = this.protocolCalculator.calculateBolusProtocol(
-                patient, bolusDose, targetCe, protocolParams
-            );
-            
-            this.currentResults = results;
-            this.displayResults(results);
-            this.hideWarning();
-            
-        } catch (error) {
-            console.error('Optimization error:', error);
-            this.showWarning(error.message);
-        } finally {
-            this.showLoading(false);
+        const tbody = document.querySelector('#decrementTable tbody');
+        tbody.innerHTML = '';
+        decrementTimes.table.forEach(row => {
+            const tr = document.createElement('tr');
+            tr.innerHTML = `
+                <td>${I18n.t('app.minutes', { value: row.stopTime })}</td>
+                <td>${row.ceAtStop.toFixed(3)} μg/mL</td>
+                <td>${this.formatDecrementTime(row.contextSensitiveHalfTime)}</td>
+                <td>${this.formatDecrementTime(row.ceDecrement50)}</td>
+                <td>${this.formatDecrementTime(row.ceDecrement80)}</td>
+                <td>${this.formatDecrementTime(row.timeToAwakening)}</td>
+            `;
+            tbody.appendChild(tr);
+        });
+    }
+    
+    // "15:0.8, 150:0.5" -> segments after the initial target at 0 min
+    parseTargetSchedule(text, initialTargetCe) {
+        return RemimazolamV33.TargetSchedule.parse(text, initialTargetCe);
+    }
+    
+    formatTarget(results) {
+        const opioid = results.opioidInteraction;
+        const reduction = opioid && opioid.reduceTarget ?
+            I18n.t('app.target.opioidReduction', {
+                targets: opioid.unadjustedSchedule.map(segment => Number(segment.targetCe.toFixed(2))).join('/')
+            }) : '';
+        
+        const schedule = this.formatTargetSchedule(results.targetSchedule);
+        if (schedule) {
+            return schedule + reduction;
+        }
+        if (results.clinicalEndpoint) {
+            return `${RemimazolamPDModel.describeEndpoint(results.clinicalEndpoint)} (Ce ${results.targetCe.toFixed(2)} μg/mL)` + reduction;
+        }
+        return `${Number(results.targetCe.toFixed(3))} μg/mL` + reduction;
+    }
+    
+    formatTargetSchedule(targetSchedule) {
+        if (!targetSchedule || targetSchedule.length <= 1) {
+            return null;
         }
+        return targetSchedule.map(segment => I18n.t('app.target.segment', {
+            start: segment.startTime, target: Number(segment.targetCe.toFixed(2))
+        })).join(' → ');
     }
     
     displayResults(results) {
@@ -265,20 +1407,35 @@ class RemimazolamBolusApp {
         this.updatePerformanceMetrics(results);
         
         // Update comparison table
-        this.updateComparisonTable(results.comparisonData);
+        this.updateComparisonTable(results.comparisonData, results.bolusRecommendation);
+        
+        // Update PK model comparison
+        this.updateModelComparison(results.modelComparison);
+        this.updateRegisteredModelTable(results.registeredModelComparison, results.modelId);
+        
+        // Recovery prediction
+        this.updateDecrementSection(results.decrementTimes);
+        this.updateReversalSummary(results.reversal);
+        this.updateReplaySection(null);
+        this.updateIndividualizationSection(null);
+        this.updateInventorySection(results.inventory);
+        this.updateMonteCarloSection(results.monteCarlo);
         
         // Create concentration chart
-        this.createConcentrationChart(results.simulationData, results.dosageAdjustments, results.protocolParams);
+        this.createConcentrationChart(
+            results.simulationData, results.dosageAdjustments, results.protocolParams, results.decrementTimes,
+            null, results.monteCarlo
+        );
         
         // Generate alerts
         this.generateProtocolAlerts(results.dosageAdjustments, results.clinicalProtocol);
     }
     
     updateOptimizationSummary(results) {
-        document.getElementById('summaryBolusAmount').textContent = `${results.bolusDose} mg`;
+        document.getElementById('summaryBolusAmount').textContent = `${Number(results.bolusDose.toFixed(2))} mg`;
         document.getElementById('summaryOptimalRate').textContent = 
             `${results.optimalContinuousRate.toFixed(2)} mg/kg/hr`;
-        document.getElementById('summaryTargetCe').textContent = `${results.targetCe} μg/mL`;
+        document.getElementById('summaryTargetCe').textContent = this.formatTarget(results);
         document.getElementById('summaryFinalCe').textContent = 
             `${results.performance.finalCe.toFixed(3)} μg/mL`;
     }
@@ -296,6 +1453,7 @@ class RemimazolamBolusApp {
                 <td>${protocol.totalDose}</td>
                 <td>${protocol.timing}</td>
                 <td>${protocol.notes}</td>
+                <td>${protocol.pumpSetting || '-'}</td>
             `;
             tbody.appendChild(row);
         });
@@ -310,35 +1468,135 @@ class RemimazolamBolusApp {
         document.getElementById('maxConcentration').textContent = 
             `${results.performance.maxCe.toFixed(3)} μg/mL`;
         document.getElementById('adjustmentCount').textContent = 
-            `${results.dosageAdjustments.length} 回`;
+            I18n.t('app.count', { count: results.dosageAdjustments.length });
         document.getElementById('stabilityIndex').textContent = 
             `${results.performance.stabilityIndex.toFixed(1)}`;
         document.getElementById('integrationSteps').textContent = 
             `${results.performance.integrationSteps || 0}`;
         document.getElementById('functionEvaluations').textContent = 
             `${results.performance.functionEvaluations || 0}`;
+        
+        const diagnostics = results.optimizationResult.diagnostics;
+        document.getElementById('optimizerConvergence').textContent = results.optimizationResult.feasible ?
+            I18n.t('app.optimizer.convergence', {
+                status: I18n.t(diagnostics.converged ? 'app.converged' : 'app.notConverged'),
+                iterations: diagnostics.iterations,
+                evaluations: diagnostics.evaluations
+            }) :
+            I18n.t('app.optimizer.infeasible');
+        
+        const pd = results.pdPerformance;
+        document.getElementById('meanBIS').textContent = pd.meanBIS !== null ? pd.meanBIS.toFixed(1) : '-';
+        document.getElementById('bisInRange').textContent = pd.bisInRange !== null ? `${pd.bisInRange.toFixed(1)}%` : '-';
+        document.getElementById('meanSedationProbability').textContent =
+            pd.meanSedationProbability !== null ? pd.meanSedationProbability.toFixed(3) : '-';
+        const opioid = results.opioidInteraction;
+        document.getElementById('meanPNoResponse').textContent = opioid && opioid.meanPNoResponse !== null ?
+            this.placeholderLabel(opioid.meanPNoResponse.toFixed(3), opioid.placeholders) : '-';
+        
+        const engineLabel = engine => I18n.t(`app.engine.${engine}`);
+        document.getElementById('engineCheck').textContent = 
+            `${results.engineCheck.maxCeDifference.toFixed(4)} μg/mL ` +
+            `(${engineLabel(results.engineCheck.engine)} vs ${engineLabel(results.engineCheck.referenceEngine)})`;
     }
     
-    updateComparisonTable(comparisonData) {
+    updateComparisonTable(comparisonData, bolusRecommendation) {
+        const recommended = bolusRecommendation.recommended;
+        document.getElementById('bolusRecommendationSummary').textContent = recommended ?
+            I18n.t('app.bolus.summary', {
+                bolus: recommended.bolusDose,
+                rate: recommended.optimalRate,
+                timeWeight: bolusRecommendation.weights.timeToTarget,
+                overshootWeight: bolusRecommendation.weights.overshoot,
+                maintenanceWeight: bolusRecommendation.weights.maintenance,
+                maxOvershoot: bolusRecommendation.maxOvershoot * 100
+            }) :
+            I18n.t('app.bolus.noneFeasible');
+        
         const tbody = document.querySelector('#comparisonTable tbody');
         tbody.innerHTML = '';
         
         comparisonData.forEach(comparison => {
             const row = document.createElement('tr');
-            row.className = comparison.recommendation === '推奨' ? 'recommended' : '';
+            // Cases saved before the level codes carry the Japanese label itself
+            const levelKey = `bolus.recommendation.${comparison.recommendation}`;
+            const level = I18n.has(levelKey, I18n.DEFAULT_LOCALE) ? I18n.t(levelKey) : comparison.recommendation;
+            row.className = comparison.rank === 1 && comparison.eligible ? 'recommended' : '';
             row.innerHTML = `
-                <td>${comparison.bolusDose} mg</td>
+                <td>${comparison.rank}</td>
+                <td>${comparison.bolusDose} mg${comparison.isCurrent ? I18n.t('app.bolus.current') : ''}</td>
                 <td>${comparison.optimalRate.toFixed(2)} mg/kg/hr</td>
-                <td>${comparison.finalCe.toFixed(3)} μg/mL</td>
+                <td>${I18n.t('app.minutes', { value: comparison.timeToTarget.toFixed(1) })}</td>
+                <td>${comparison.inductionPeakCe.toFixed(3)} μg/mL</td>
                 <td>${comparison.targetAccuracy.toFixed(1)}%</td>
-                <td>${comparison.adjustmentCount} 回</td>
-                <td><span class="recommendation ${comparison.recommendation}">${comparison.recommendation}</span></td>
+                <td>${comparison.score.toFixed(1)}</td>
+                <td><span class="recommendation ${comparison.recommendation}">${level}</span></td>
+                <td>${comparison.tradeoffs}</td>
             `;
             tbody.appendChild(row);
         });
     }
     
-    createConcentrationChart(simulationData, dosageAdjustments, protocolParams) {
+    updateModelComparison(modelComparison) {
+        const parameterBody = document.querySelector('#modelParameterTable tbody');
+        parameterBody.innerHTML = '';
+        
+        modelComparison.parameters.forEach(param => {
+            const row = document.createElement('tr');
+            row.innerHTML = `
+                <td>${param.parameter} (${param.unit})</td>
+                <td>${param.legacy.toFixed(3)}</td>
+                <td>${param.masui.toFixed(3)}</td>
+                <td>${param.differencePercent >= 0 ? '+' : ''}${param.differencePercent.toFixed(1)}%</td>
+            `;
+            parameterBody.appendChild(row);
+        });
+        
+        const simulationBody = document.querySelector('#modelSimulationTable tbody');
+        simulationBody.innerHTML = '';
+        
+        ['legacy', 'masui', 'legacyRegimenOnMasui'].forEach(key => {
+            const summary = modelComparison.simulations[key];
+            const row = document.createElement('tr');
+            row.innerHTML = `
+                <td>${I18n.t(`app.modelComparison.${key}`)}</td>
+                <td>${summary.optimalRate.toFixed(2)} mg/kg/hr</td>
+                <td>${summary.maxCe.toFixed(3)} μg/mL</td>
+                <td>${summary.finalCe.toFixed(3)} μg/mL</td>
+                <td>${summary.targetAccuracy.toFixed(1)}%</td>
+                <td>${I18n.t('app.count', { count: summary.adjustmentCount })}</td>
+            `;
+            simulationBody.appendChild(row);
+        });
+        
+        const difference = modelComparison.ceDifference;
+        document.getElementById('modelComparisonNote').textContent =
+            I18n.t('app.modelComparison.note', {
+                max: difference.maxAbsDifference, time: difference.timeOfMaxDifference, mean: difference.meanAbsDifference
+            });
+    }
+    
+    updateRegisteredModelTable(modelResults, selectedModelId) {
+        const tbody = document.querySelector('#registeredModelTable tbody');
+        tbody.innerHTML = '';
+        
+        modelResults.forEach(result => {
+            const row = document.createElement('tr');
+            row.className = result.modelId === selectedModelId ? 'recommended' : '';
+            row.innerHTML = `
+                <td>${result.modelName}</td>
+                <td>${result.pkParams.v1.toFixed(2)} L / ${result.pkParams.cl.toFixed(3)} L/min / ${result.pkParams.ke0.toFixed(3)} /min</td>
+                <td>${result.optimalRate.toFixed(2)} mg/kg/hr</td>
+                <td>${result.maxCe.toFixed(3)} μg/mL</td>
+                <td>${result.finalCe.toFixed(3)} μg/mL</td>
+                <td>${I18n.t(result.validityWarnings.length === 0 ? 'app.model.withinRange' : 'app.model.outOfRange')}</td>
+            `;
+            tbody.appendChild(row);
+        });
+    }
+    
+    createConcentrationChart(simulationData, dosageAdjustments, protocolParams, decrementTimes = null, replay = null,
+                             monteCarlo = null, individualization = null) {
         const ctx = document.getElementById('concentrationChart').getContext('2d');
         
         if (this.concentrationChart) {
@@ -350,8 +1608,76 @@ class RemimazolamBolusApp {
         const ceData = simulationData.map(point => point.ce);
         const plasmaData = simulationData.map(point => point.plasma);
         const infusionData = simulationData.map(point => point.infusionRate);
-        const targetData = new Array(simulationData.length).fill(protocolParams.targetCe);
-        const thresholdData = new Array(simulationData.length).fill(protocolParams.targetCe * protocolParams.upperThresholdRatio);
+        // Target and threshold follow the target segment in force at each time point
+        const targetData = simulationData.map(point => point.targetCe);
+        const thresholdData = simulationData.map(point => point.upperThreshold);
+        
+        // Predicted clinical effect (BIS and sedation probability in %)
+        const bisData = simulationData.map(point => point.bis);
+        const sedationData = simulationData.map(point => point.sedationProbability !== null ? point.sedationProbability * 100 : null);
+        const hasBIS = bisData.some(value => value !== null);
+        const hasSedation = sedationData.some(value => value !== null);
+        
+        // Combined remimazolam-remifentanil no-response probability (%), only with an opioid
+        const noResponseData = simulationData.map(point => point.pNoResponse !== undefined ? point.pNoResponse * 100 : null);
+        
+        // Remimazolam-equivalent Ce under flumazenil antagonism
+        const effectiveCeData = simulationData.map(point => point.effectiveCe !== undefined ? point.effectiveCe : null);
+        
+        // Projected wash-out after stopping; extends the time axis beyond the simulation if needed
+        const washoutData = new Array(simulationData.length).fill(null);
+        if (decrementTimes) {
+            decrementTimes.washoutCurve.forEach(point => {
+                let index = timeLabels.indexOf(point.time);
+                if (index === -1) {
+                    timeLabels.push(point.time);
+                    washoutData.push(null);
+                    index = timeLabels.length - 1;
+                }
+                washoutData[index] = point.ce;
+            });
+        }
+        
+        // Population median and 5-95% band on the protocol time grid
+        const bandValue = key => timeLabels.map((time, index) => monteCarlo && monteCarlo.bands[index] ?
+            monteCarlo.bands[index][key] : null);
+        // Bands and posterior from entered (not published) omega are labelled as illustrative
+        const variabilityLabel = (key, source) => source && source.illustrative ?
+            I18n.t('app.chart.illustrative', { label: I18n.t(key) }) : I18n.t(key);
+        const bandUpperData = bandValue('p95');
+        const bandLowerData = bandValue('p05');
+        const bandMedianData = bandValue('p50');
+        
+        // Replayed administration record; may run past the protocol end
+        const replayCeData = new Array(timeLabels.length).fill(null);
+        const replayPlasmaData = new Array(timeLabels.length).fill(null);
+        if (replay) {
+            replay.timeSeriesData.forEach(point => {
+                let index = timeLabels.indexOf(point.time);
+                if (index === -1) {
+                    timeLabels.push(point.time);
+                    replayCeData.push(null);
+                    replayPlasmaData.push(null);
+                    index = timeLabels.length - 1;
+                }
+                replayCeData[index] = point.ce;
+                replayPlasmaData[index] = point.plasma;
+            });
+        }
+        
+        // Same dose history with the MAP individualized parameters
+        const posteriorCeData = new Array(timeLabels.length).fill(null);
+        if (individualization) {
+            individualization.simulation.posterior.timeSeriesData.forEach(point => {
+                let index = timeLabels.indexOf(point.time);
+                if (index === -1) {
+                    timeLabels.push(point.time);
+                    posteriorCeData.push(null);
+                    index = timeLabels.length - 1;
+                }
+                posteriorCeData[index] = point.ce;
+            });
+        }
         
         // Bolus markers
         const bolusMarker = simulationData.find(point => point.isBolus);
@@ -363,7 +1689,7 @@ class RemimazolamBolusApp {
             borderColor: '#FF6B6B',
             borderWidth: 2,
             label: {
-                content: 'ボーラス投与',
+                content: I18n.t('protocol.bolus.method'),
                 enabled: true,
                 position: 'top'
             }
@@ -379,7 +1705,7 @@ class RemimazolamBolusApp {
             borderWidth: 2,
             borderDash: [5, 5],
             label: {
-                content: `${adj.reductionPercent.toFixed(0)}%減量`,
+                content: RemimazolamV33.BolusProtocolCalculator.describeAdjustment(adj).notes,
                 enabled: true,
                 position: 'top'
             }
@@ -391,7 +1717,7 @@ class RemimazolamBolusApp {
                 labels: timeLabels,
                 datasets: [
                     {
-                        label: '効果部位濃度',
+                        label: I18n.t('app.chart.ce'),
                         data: ceData,
                         borderColor: '#4ECDC4',
                         backgroundColor: 'rgba(78, 205, 196, 0.1)',
@@ -401,7 +1727,7 @@ class RemimazolamBolusApp {
                         yAxisID: 'y'
                     },
                     {
-                        label: '血漿濃度',
+                        label: I18n.t('app.chart.plasma'),
                         data: plasmaData,
                         borderColor: '#45B7D1',
                         backgroundColor: 'rgba(69, 183, 209, 0.1)',
@@ -411,27 +1737,145 @@ class RemimazolamBolusApp {
                         yAxisID: 'y'
                     },
                     {
-                        label: '目標濃度',
+                        label: I18n.t('app.chart.target'),
                         data: targetData,
                         borderColor: '#2ECC71',
                         borderWidth: 2,
                         borderDash: [10, 5],
                         fill: false,
+                        stepped: true,
                         pointRadius: 0,
                         yAxisID: 'y'
                     },
                     {
-                        label: '上限閾値',
+                        label: I18n.t('app.chart.upperThreshold'),
                         data: thresholdData,
                         borderColor: '#E74C3C',
                         borderWidth: 2,
                         borderDash: [5, 5],
                         fill: false,
+                        stepped: true,
+                        pointRadius: 0,
+                        yAxisID: 'y'
+                    },
+                    {
+                        label: variabilityLabel('app.chart.population95', monteCarlo),
+                        data: bandUpperData,
+                        borderColor: 'rgba(78, 205, 196, 0.4)',
+                        backgroundColor: 'rgba(78, 205, 196, 0.15)',
+                        borderWidth: 1,
+                        fill: '+1',
+                        pointRadius: 0,
+                        hidden: !monteCarlo,
+                        yAxisID: 'y'
+                    },
+                    {
+                        label: variabilityLabel('app.chart.population5', monteCarlo),
+                        data: bandLowerData,
+                        borderColor: 'rgba(78, 205, 196, 0.4)',
+                        borderWidth: 1,
+                        fill: false,
+                        pointRadius: 0,
+                        hidden: !monteCarlo,
+                        yAxisID: 'y'
+                    },
+                    {
+                        label: variabilityLabel('app.chart.populationMedian', monteCarlo),
+                        data: bandMedianData,
+                        borderColor: '#1A9E95',
+                        borderWidth: 1.5,
+                        borderDash: [3, 3],
+                        fill: false,
+                        pointRadius: 0,
+                        hidden: !monteCarlo,
+                        yAxisID: 'y'
+                    },
+                    {
+                        label: I18n.t('app.chart.decrement'),
+                        data: washoutData,
+                        borderColor: '#7F8C8D',
+                        borderWidth: 2,
+                        borderDash: [2, 4],
+                        fill: false,
+                        pointRadius: 0,
+                        spanGaps: false,
+                        yAxisID: 'y'
+                    },
+                    {
+                        label: I18n.t('app.chart.reversalCe'),
+                        data: effectiveCeData,
+                        borderColor: '#F39C12',
+                        borderWidth: 2,
+                        fill: false,
+                        pointRadius: 0,
+                        hidden: !effectiveCeData.some(value => value !== null),
+                        yAxisID: 'y'
+                    },
+                    {
+                        label: I18n.t('app.chart.replayCe'),
+                        data: replayCeData,
+                        borderColor: '#16A085',
+                        borderWidth: 2,
+                        fill: false,
+                        pointRadius: 0,
+                        hidden: !replay,
+                        yAxisID: 'y'
+                    },
+                    {
+                        label: I18n.t('app.chart.replayCp'),
+                        data: replayPlasmaData,
+                        borderColor: '#16A085',
+                        borderWidth: 1.5,
+                        borderDash: [4, 4],
+                        fill: false,
+                        pointRadius: 0,
+                        hidden: !replay,
+                        yAxisID: 'y'
+                    },
+                    {
+                        label: variabilityLabel('app.chart.posteriorCe', individualization),
+                        data: posteriorCeData,
+                        borderColor: '#8E44AD',
+                        borderWidth: 2,
+                        borderDash: [8, 3],
+                        fill: false,
                         pointRadius: 0,
+                        hidden: !individualization,
                         yAxisID: 'y'
                     },
                     {
-                        label: '投与量',
+                        label: I18n.t('app.chart.bis'),
+                        data: bisData,
+                        borderColor: '#34495E',
+                        borderWidth: 1.5,
+                        fill: false,
+                        pointRadius: 0,
+                        hidden: !hasBIS,
+                        yAxisID: 'y2'
+                    },
+                    {
+                        label: 'P(MOAA/S≤1)',
+                        data: sedationData,
+                        borderColor: '#34495E',
+                        borderWidth: 1.5,
+                        borderDash: [6, 3],
+                        fill: false,
+                        pointRadius: 0,
+                        hidden: !hasSedation,
+                        yAxisID: 'y2'
+                    },
+                    {
+                        label: I18n.t('app.chart.pNoResponse'),
+                        data: noResponseData,
+                        borderColor: '#C0392B',
+                        borderWidth: 1.5,
+                        fill: false,
+                        pointRadius: 0,
+                        hidden: !noResponseData.some(value => value !== null),
+                        yAxisID: 'y2'
+                    },
+                    {
+                        label: I18n.t('app.chart.infusionRate'),
                         data: infusionData,
                         borderColor: '#9B59B6',
                         backgroundColor: 'rgba(155, 89, 182, 0.1)',
@@ -449,7 +1893,7 @@ class RemimazolamBolusApp {
                     x: {
                         title: {
                             display: true,
-                            text: '時間 (分)'
+                            text: I18n.t('app.chart.timeAxis')
                         }
                     },
                     y: {
@@ -458,7 +1902,7 @@ class RemimazolamBolusApp {
                         position: 'left',
                         title: {
                             display: true,
-                            text: '濃度 (μg/mL)'
+                            text: I18n.t('app.chart.concentrationAxis')
                         },
                         min: 0
                     },
@@ -468,12 +1912,26 @@ class RemimazolamBolusApp {
                         position: 'right',
                         title: {
                             display: true,
-                            text: '投与量 (mg/kg/hr)'
+                            text: I18n.t('app.chart.rateAxis')
                         },
                         grid: {
                             drawOnChartArea: false
                         },
                         min: 0
+                    },
+                    y2: {
+                        type: 'linear',
+                        display: true,
+                        position: 'right',
+                        title: {
+                            display: true,
+                            text: 'BIS / P(MOAA/S≤1) (%)'
+                        },
+                        grid: {
+                            drawOnChartArea: false
+                        },
+                        min: 0,
+                        max: 100
                     }
                 },
                 plugins: {
@@ -488,7 +1946,8 @@ class RemimazolamBolusApp {
                             label: function(context) {
                                 const label = context.dataset.label || '';
                                 const value = context.parsed.y;
-                                const unit = context.datasetIndex === 4 ? ' mg/kg/hr' : ' μg/mL';
+                                const units = { y: ' μg/mL', y1: ' mg/kg/hr', y2: '' };
+                                const unit = units[context.dataset.yAxisID];
                                 return `${label}: ${value.toFixed(3)}${unit}`;
                             }
                         }
@@ -519,6 +1978,11 @@ class RemimazolamBolusApp {
                 this.showAlert(bolusAlert.title, bolusAlert.message, 'info');
                 this.alertManager.playBolusAlert('bolus');
             }
+            
+            // Resedation risk is flagged at planning time
+            alerts.filter(alert => alert.adjustment?.type === 'resedation_risk').forEach(alert => {
+                this.showAlert(alert.title, I18n.t('app.alert.atTime', { time: alert.time, message: alert.message }), 'warning');
+            });
         }
     }
     
@@ -534,11 +1998,18 @@ class RemimazolamBolusApp {
     }
     
     generatePrintContent(results) {
+        const t = key => I18n.t(`print.${key}`);
+        // The patient ID may come from an imported record
+        const escape = value => {
+            const element = document.createElement('span');
+            element.textContent = value;
+            return element.innerHTML;
+        };
         return `
         <!DOCTYPE html>
-        <html>
+        <html lang="${I18n.locale}">
         <head>
-            <title>Remimazolam TCI V3.3 - ボーラス+持続投与プロトコル</title>
+            <title>Remimazolam TCI V3.3 - ${t('title')}</title>
             <style>
                 body { font-family: Arial, sans-serif; margin: 20px; }
                 .header { text-align: center; margin-bottom: 30px; }
@@ -552,27 +2023,30 @@ class RemimazolamBolusApp {
         <body>
             <div class="header">
                 <h1>Remimazolam TCI V3.3</h1>
-                <h2>ボーラス+持続投与最適化プロトコル</h2>
-                <p>患者ID: ${results.patient.patientId} | 生成日時: ${new Date().toLocaleString('ja-JP')}</p>
+                <h2>${t('heading')}</h2>
+                <p>${t('patientId')}: ${escape(results.patient.patientId)} | ${t('generatedAt')}: ${new Date().toLocaleString(I18n.locale)}</p>
             </div>
             
             <div class="summary">
-                <h3>投与サマリー</h3>
-                <p><strong>ボーラス投与量:</strong> ${results.bolusDose} mg</p>
-                <p><strong>最適持続投与量:</strong> ${results.optimalContinuousRate.toFixed(2)} mg/kg/hr</p>
-                <p><strong>目標濃度:</strong> ${results.targetCe} μg/mL</p>
-                <p><strong>予測最終濃度:</strong> ${results.performance.finalCe.toFixed(3)} μg/mL</p>
+                <h3>${t('summary')}</h3>
+                <p><strong>${t('bolusDose')}:</strong> ${Number(results.bolusDose.toFixed(2))} mg</p>
+                <p><strong>${t('optimalRate')}:</strong> ${results.optimalContinuousRate.toFixed(2)} mg/kg/hr</p>
+                <p><strong>${t('target')}:</strong> ${this.formatTarget(results)}</p>
+                <p><strong>${t('finalCe')}:</strong> ${results.performance.finalCe.toFixed(3)} μg/mL</p>
+                ${results.pumpProgram ? `<p><strong>${t('preparation')}:</strong> ${results.pumpProgram.preparation.vialMg} mg / ` +
+                    `${results.pumpProgram.preparation.dilutionMl} mL (${results.pumpProgram.concentration.toFixed(2)} mg/mL)</p>` : ''}
             </div>
             
             <table class="protocol-table">
                 <thead>
                     <tr>
-                        <th>ステップ</th>
-                        <th>投与方法</th>
-                        <th>投与量</th>
-                        <th>総投与量</th>
-                        <th>実行タイミング</th>
-                        <th>備考</th>
+                        <th>${t('step')}</th>
+                        <th>${t('method')}</th>
+                        <th>${t('dose')}</th>
+                        <th>${t('totalDose')}</th>
+                        <th>${t('timing')}</th>
+                        <th>${t('notes')}</th>
+                        <th>${t('pumpSetting')}</th>
                     </tr>
                 </thead>
                 <tbody>
@@ -584,14 +2058,15 @@ class RemimazolamBolusApp {
                             <td>${protocol.totalDose}</td>
                             <td>${protocol.timing}</td>
                             <td>${protocol.notes}</td>
+                            <td>${protocol.pumpSetting || '-'}</td>
                         </tr>
                     `).join('')}
                 </tbody>
             </table>
             
             <div class="footer">
-                <p>本プロトコルは教育・研究目的専用です。臨床使用は医師の責任において実施してください。</p>
-                <p>開発者: YASUYUKI SUZUKI | 科学的根拠: Masui, K., et al. (2022). Journal of Anesthesia</p>
+                <p>${t('disclaimer')}</p>
+                <p>${t('developer')}: YASUYUKI SUZUKI | ${t('evidence')}: Masui, K., et al. (2022). Journal of Anesthesia</p>
             </div>
         </body>
         </html>
@@ -615,31 +2090,126 @@ class RemimazolamBolusApp {
         document.body.removeChild(link);
     }
     
+    exportToJSON() {
+        if (!this.currentResults) return;
+        
+        const json = ProtocolJsonFormat.stringify(this.currentResults, this.currentInputs);
+        const blob = new Blob([json], { type: 'application/json;charset=utf-8;' });
+        const link = document.createElement('a');
+        const url = URL.createObjectURL(blob);
+        
+        link.setAttribute('href', url);
+        link.setAttribute('download', `remimazolam_v3.3_${this.currentResults.patient.patientId}_${new Date().toISOString().split('T')[0]}.json`);
+        link.style.visibility = 'hidden';
+        
+        document.body.appendChild(link);
+        link.click();
+        document.body.removeChild(link);
+    }
+    
+    exportPumpProgram() {
+        if (!this.currentResults) return;
+        if (!this.currentResults.pumpProgram) {
+            this.showAlert(I18n.t('app.export.pumpTitle'), I18n.t('app.export.pumpDisabled'), 'warning');
+            return;
+        }
+        
+        const csvData = DrugPreparation.toCSV(this.currentResults.pumpProgram);
+        const blob = new Blob([csvData], { type: 'text/csv;charset=utf-8;' });
+        const link = document.createElement('a');
+        const url = URL.createObjectURL(blob);
+        
+        link.setAttribute('href', url);
+        link.setAttribute('download', `remimazolam_v3.3_${this.currentResults.patient.patientId}_${new Date().toISOString().split('T')[0]}_pump.csv`);
+        link.style.visibility = 'hidden';
+        
+        document.body.appendChild(link);
+        link.click();
+        document.body.removeChild(link);
+    }
+    
+    // FHIR R4 Bundle; times are anchored to the live case start when one was recorded
+    exportToFHIR() {
+        if (!this.currentResults) return;
+        
+        try {
+            const startTime = this.liveSession && this.liveSession.startTime !== null ?
+                new Date(this.liveSession.startTime) : new Date();
+            const bundle = new FHIRProtocolExporter().createBundle(this.currentResults, startTime);
+            const errors = FHIRBundleValidator.validate(bundle);
+            if (errors.length > 0) {
+                throw new Error(I18n.t('app.export.fhirInvalid', { errors: errors.slice(0, 5).join(', ') }));
+            }
+            
+            const blob = new Blob([JSON.stringify(bundle, null, 2)], { type: 'application/fhir+json;charset=utf-8;' });
+            const link = document.createElement('a');
+            const url = URL.createObjectURL(blob);
+            
+            link.setAttribute('href', url);
+            link.setAttribute('download', `remimazolam_v3.3_${this.currentResults.patient.patientId}_${new Date().toISOString().split('T')[0]}_fhir.json`);
+            link.style.visibility = 'hidden';
+            
+            document.body.appendChild(link);
+            link.click();
+            document.body.removeChild(link);
+        } catch (error) {
+            console.error('FHIR export error:', error);
+            this.showAlert(I18n.t('app.export.fhirTitle'), error.message, 'warning');
+        }
+    }
+    
+    // Load a protocol file, recalculate it from its inputs and flag any mismatch with the stored result
+    async importFromJSON(file) {
+        this.showLoading(true);
+        
+        try {
+            const data = ProtocolJsonFormat.parse(await file.text());
+            const inputs = {
+                patient: data.patient,
+                bolusDose: data.bolusDose,
+                targetCe: data.targetCe,
+                protocolParams: data.protocolParams
+            };
+            const recomputed = ProtocolJsonFormat.recompute(data, this.protocolCalculator);
+            
+            this.applyInputsToForm(inputs);
+            this.showCalculatedResults(recomputed.results, inputs);
+            
+            const versionNote = recomputed.versionMismatch ?
+                I18n.t('app.import.versionNote', { version: data.appVersion, modelId: data.model?.id, modelVersion: data.model?.version }) : '';
+            if (recomputed.differences.length > 0) {
+                const format = value => typeof value === 'number' ? Number(value.toPrecision(6)) : JSON.stringify(value);
+                const listed = recomputed.differences.slice(0, 5)
+                    .map(difference => `${difference.path}: ${format(difference.fileValue)} → ${format(difference.recomputedValue)}`)
+                    .join(', ');
+                const more = recomputed.differences.length > 5 ?
+                    I18n.t('app.import.more', { count: recomputed.differences.length - 5 }) : '';
+                this.showAlert(I18n.t('app.import.mismatchTitle'), versionNote + I18n.t('app.import.mismatch', {
+                    count: recomputed.differences.length, listed: listed, more: more
+                }), 'warning');
+            } else {
+                this.showAlert(I18n.t('app.import.title'), versionNote + I18n.t('app.import.match'), 'info');
+            }
+        } catch (error) {
+            console.error('Protocol import error:', error);
+            this.showWarning(error.message);
+        } finally {
+            this.showLoading(false);
+        }
+    }
+    
     convertToCSV(data) {
-        const headers = ['時間(分)', '効果部位濃度(μg/mL)', '血漿濃度(μg/mL)', '投与量(mg/kg/hr)', '目標濃度(μg/mL)', '上限閾値(μg/mL)'];
-        const csvContent = [
-            headers.join(','),
-            ...data.map(row => [
-                row.time,
-                row.ce.toFixed(4),
-                row.plasma.toFixed(4),
-                row.infusionRate.toFixed(2),
-                row.targetCe.toFixed(1),
-                row.upperThreshold.toFixed(1)
-            ].join(','))
-        ].join('\n');
-        
-        return '\uFEFF' + csvContent; // Add BOM for Excel compatibility
+        return '\uFEFF' + RemimazolamV33.BolusProtocolCalculator.toCSV(data); // Add BOM for Excel compatibility
     }
     
     showLoading(show) {
         const button = document.getElementById('generateOptimizationBtn');
         if (show) {
             button.disabled = true;
-            button.innerHTML = '<span class="btn-icon">⏳</span><span class="btn-text">最適化計算中...</span>';
+            button.innerHTML = `<span class="btn-icon">⏳</span><span class="btn-text">${I18n.t('app.calculating')}</span>`;
         } else {
             button.disabled = false;
-            button.innerHTML = '<span class="btn-icon">🧮</span><span class="btn-text">ボーラス+持続投与最適化実行</span>';
+            button.innerHTML = `<span class="btn-icon">🧮</span><span class="btn-text" data-i18n="ui.actions.generate">${I18n.t('ui.actions.generate')}</span>`;
         }
     }
     
@@ -665,11 +2235,14 @@ class RemimazolamBolusApp {
         alertElement.className = `alert alert-${type}`;
         alertElement.innerHTML = `
             <div class="alert-content">
-                <div class="alert-title">${title}</div>
-                <div class="alert-message">${message}</div>
+                <div class="alert-title"></div>
+                <div class="alert-message"></div>
             </div>
             <button class="alert-close">&times;</button>
         `;
+        // Messages can quote patient IDs from saved or imported records
+        alertElement.querySelector('.alert-title').textContent = title;
+        alertElement.querySelector('.alert-message').textContent = message;
         
         // Add close functionality
         alertElement.querySelector('.alert-close').addEventListener('click', () => {
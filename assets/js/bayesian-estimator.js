@@ -0,0 +1,346 @@
+/**
+ * MAP Bayesian Estimator
+ * 実測値 (血漿濃度 / BIS) による PK (および PD) パラメータの個別化
+ *
+ * 観測 (time: 投与開始からの分):
+ *   { time, type: 'plasma', value }   血漿濃度 (μg/mL, 研究用採血)
+ *   { time, type: 'bis',    value }   安定したBIS値
+ *
+ * θi = θ × exp(ηi) とし、事後モード (MAP) を Nelder-Mead で求める:
+ *   OFV(η) = Σ [ ((y - f(η)) / σ)² + 2 ln σ ] + Σ (η / ω)²
+ * ω はモデルに登録された公表値、無ければ options.omega の入力 (MonteCarloSimulator.resolveOmega と同じ)、
+ * σ は options.residualError で入力する残差誤差 (加算 + 比例)。公表値以外の ω による推定は illustrative = true。
+ * 予測は投与記録 (DoseEventReplaySimulator のイベント) を候補パラメータで再生して求める。
+ * PD推定を有効にすると BIS の観測から Ce50 (BIS・MOAA/S 共通の η) も推定する。
+ * フルマゼニルによる拮抗は予測に含めないため、拮抗後のBISは用いないこと。
+ *
+ * PD推定の Ce50 の ω は公表値が無いため常に options.omega.ce50 の入力が必要。
+ * 残差誤差は既定値を持たず、観測した種類ごとに入力する (原著の推定値、または測定法の誤差):
+ *   residualError: { plasma: { additive (μg/mL), proportional }, bis: { additive (BIS), proportional } }
+ */
+
+/**
+ * 多次元の導関数なし最小化 (Nelder-Mead 単体法)
+ */
+class NelderMeadOptimizer {
+    /**
+     * { x, value, iterations, evaluations, converged }
+     */
+    static minimize(func, x0, steps, tolerance = 1e-8, maxIterations = 2000) {
+        const n = x0.length;
+        let evaluations = 0;
+        const evaluate = x => {
+            evaluations++;
+            return func(x);
+        };
+
+        // Initial simplex: x0 and one step along each axis
+        let simplex = [{ x: x0.slice(), value: evaluate(x0) }];
+        for (let i = 0; i < n; i++) {
+            const x = x0.slice();
+            x[i] += steps[i];
+            simplex.push({ x: x, value: evaluate(x) });
+        }
+
+        const combine = (a, b, factor) => a.map((value, i) => value + factor * (b[i] - value));
+
+        for (let iteration = 0; iteration < maxIterations; iteration++) {
+            simplex.sort((a, b) => a.value - b.value);
+            const best = simplex[0];
+            const worst = simplex[n];
+
+            if (Math.abs(worst.value - best.value) <= tolerance * (Math.abs(best.value) + tolerance)) {
+                return { x: best.x, value: best.value, iterations: iteration, evaluations: evaluations, converged: true };
+            }
+
+            // Centroid of all points except the worst
+            const centroid = new Array(n).fill(0);
+            simplex.slice(0, n).forEach(point => point.x.forEach((value, i) => { centroid[i] += value / n; }));
+
+            const reflected = combine(centroid, worst.x, -1);
+            const reflectedValue = evaluate(reflected);
+
+            if (reflectedValue < best.value) {
+                const expanded = combine(centroid, worst.x, -2);
+                const expandedValue = evaluate(expanded);
+                simplex[n] = expandedValue < reflectedValue ?
+                    { x: expanded, value: expandedValue } : { x: reflected, value: reflectedValue };
+                continue;
+            }
+            if (reflectedValue < simplex[n - 1].value) {
+                simplex[n] = { x: reflected, value: reflectedValue };
+                continue;
+            }
+
+            // Contraction towards the better of the worst and reflected points
+            const outside = reflectedValue < worst.value;
+            const contracted = combine(centroid, outside ? reflected : worst.x, 0.5);
+            const contractedValue = evaluate(contracted);
+            if (contractedValue < Math.min(reflectedValue, worst.value)) {
+                simplex[n] = { x: contracted, value: contractedValue };
+                continue;
+            }
+
+            // Shrink towards the best point
+            simplex = simplex.map((point, index) => {
+                if (index === 0) return point;
+                const x = combine(best.x, point.x, 0.5);
+                return { x: x, value: evaluate(x) };
+            });
+        }
+
+        simplex.sort((a, b) => a.value - b.value);
+        return { x: simplex[0].x, value: simplex[0].value, iterations: maxIterations, evaluations: evaluations, converged: false };
+    }
+}
+
+class MAPBayesianEstimator {
+    static OBSERVATION_TYPES = ['plasma', 'bis'];
+
+    constructor(patient, pkParams, options = {}) {
+        this.patient = patient;
+        this.pkParams = pkParams;
+        this.params = { estimatePD: false, pdParams: null, residualError: {}, ...options };
+        this.pdModel = new RemimazolamPDModel(this.params.pdParams);
+        if (this.params.estimatePD) {
+            this.pdModel.require('bis');
+        }
+        ({ omega: this.omega, illustrative: this.illustrative } =
+            MonteCarloSimulator.resolveOmega(pkParams.modelId, this.params.omega));
+
+        const required = this.params.estimatePD ? [...MonteCarloSimulator.PARAMETERS, 'ce50'] : MonteCarloSimulator.PARAMETERS;
+        const omegaIssues = MonteCarloSimulator.omegaIssues(this.omega, 'omega', required);
+        if (omegaIssues.length > 0) {
+            throw new ValidationError(omegaIssues);
+        }
+
+        // Estimated parameters: PK always, Ce50 only with PD estimation (its omega is never published)
+        this.parameterKeys = required.filter(key => this.omega[key] > 0);
+        this.illustrative = this.illustrative || this.params.estimatePD;
+    }
+
+    static validateObservations(observations) {
+        const errors = [];
+
+        if (!Array.isArray(observations) || observations.length === 0) {
+            return [I18n.t('bayesian.noObservations')];
+        }
+
+        observations.forEach((observation, index) => {
+            const label = I18n.t('bayesian.observationLabel', { index: index + 1 });
+
+            if (!MAPBayesianEstimator.OBSERVATION_TYPES.includes(observation.type)) {
+                errors.push(I18n.t('bayesian.unknownType', { label: label, type: observation.type }));
+                return;
+            }
+            if (!(observation.time > 0 && observation.time <= DoseEventReplaySimulator.MAX_REPLAY_DURATION)) {
+                errors.push(I18n.t('bayesian.invalidTime', { label: label, max: DoseEventReplaySimulator.MAX_REPLAY_DURATION }));
+            }
+            if (observation.type === 'plasma' && !(observation.value > 0)) {
+                errors.push(I18n.t('bayesian.invalidPlasma', { label: label }));
+            }
+            if (observation.type === 'bis' && !(observation.value >= 0 && observation.value <= 100)) {
+                errors.push(I18n.t('bayesian.invalidBis', { label: label }));
+            }
+        });
+
+        return errors;
+    }
+
+    /**
+     * テキスト形式の観測値 (1行1観測, "時刻 種類 値")
+     *   30 cp 0.85 / 45 bis 48
+     */
+    static parseObservations(text) {
+        const aliases = { cp: 'plasma', plasma: 'plasma', bis: 'bis' };
+
+        return text.split(/\n/)
+            .map(line => line.replace(/#.*/, '').trim())
+            .filter(line => line.length > 0)
+            .map(line => {
+                const [time, type, value] = line.split(/[\s,]+/);
+                const observation = {
+                    time: parseFloat(time),
+                    type: aliases[(type || '').toLowerCase()],
+                    value: parseFloat(value)
+                };
+
+                if (!Number.isFinite(observation.time) || !observation.type || !Number.isFinite(observation.value)) {
+                    throw new DomainError(I18n.t('bayesian.invalidFormat', { line: line }));
+                }
+                return observation;
+            });
+    }
+
+    /**
+     * 計画プロトコル (ボーラス + simulationData の速度変化) を投与イベントに変換
+     */
+    static eventsFromProtocol(results) {
+        const events = [{ time: 0, type: 'bolus', dose: results.bolusDose }];
+        let rate = null;
+
+        results.simulationData.forEach(point => {
+            if (point.infusionRate !== rate) {
+                events.push({ time: point.time, type: 'rate', rate: point.infusionRate });
+                rate = point.infusionRate;
+            }
+        });
+
+        return events;
+    }
+
+    // Individual parameters for a vector of etas (in parameterKeys order)
+    applyEta(eta) {
+        const values = { ...this.pkParams };
+        let ce50Factor = 1;
+
+        this.parameterKeys.forEach((key, index) => {
+            if (key === 'ce50') {
+                ce50Factor = Math.exp(eta[index]);
+            } else {
+                values[key] = this.pkParams[key] * Math.exp(eta[index]);
+            }
+        });
+
+        const pd = this.pdModel.params;
+        return {
+            pkParams: new PKParameters(
+                values.v1, values.v2, values.v3, values.cl, values.q2, values.q3, values.ke0, this.pkParams.modelId
+            ),
+            pdParams: Object.fromEntries(Object.entries(pd)
+                .filter(([, groupParams]) => groupParams !== null)
+                .map(([group, groupParams]) => [group, { ...groupParams, ce50: groupParams.ce50 * ce50Factor }]))
+        };
+    }
+
+    /**
+     * 観測時刻の予測値 (出力間隔の間は線形補間)
+     */
+    predict(pkParams, pdParams, events, observations) {
+        const lastTime = Math.max(...observations.map(observation => observation.time));
+        const timeStep = MasuiModelConstants.TIME_STEP;
+        const duration = Math.ceil(lastTime / timeStep + 1e-9) * timeStep;
+        const series = new DoseEventReplaySimulator(this.patient, pkParams).simulate(events, duration).timeSeriesData;
+        const pdModel = new RemimazolamPDModel(pdParams);
+
+        return observations.map(observation => {
+            const position = observation.time / timeStep;
+            const lower = Math.min(Math.floor(position), series.length - 1);
+            const upper = Math.min(lower + 1, series.length - 1);
+            const fraction = position - lower;
+            const interpolate = key => series[lower][key] + (series[upper][key] - series[lower][key]) * fraction;
+
+            return observation.type === 'plasma' ? interpolate('plasma') : pdModel.predictBIS(interpolate('ce'));
+        });
+    }
+
+    // RESIDUAL_ERROR_REQUIRED issue ('residualError.<type>') for each observed type without additive and
+    // proportional errors >= 0, at least one of them > 0
+    residualErrorIssues(observations) {
+        const residualError = this.params.residualError || {};
+        return MAPBayesianEstimator.OBSERVATION_TYPES
+            .filter(type => observations.some(observation => observation.type === type))
+            .filter(type => {
+                const { additive, proportional } = residualError[type] || {};
+                const components = [additive, proportional];
+                return !components.every(value => Number.isFinite(value) && value >= 0) || !components.some(value => value > 0);
+            })
+            .map(type => new ValidationIssue('RESIDUAL_ERROR_REQUIRED', `residualError.${type}`, { min: 0 }, null, { type: type }));
+    }
+
+    // Residual error (SD): sqrt(additive² + (proportional × prediction)²)
+    residualSD(type, prediction) {
+        const error = this.params.residualError[type];
+        return Math.sqrt(error.additive * error.additive + Math.pow(error.proportional * prediction, 2));
+    }
+
+    // -2 log posterior (up to a constant)
+    objective(eta, events, observations) {
+        const individual = this.applyEta(eta);
+        const predictions = this.predict(individual.pkParams, individual.pdParams, events, observations);
+
+        const likelihood = observations.reduce((sum, observation, index) => {
+            const sd = this.residualSD(observation.type, predictions[index]);
+            const residual = (observation.value - predictions[index]) / sd;
+            return sum + residual * residual + 2 * Math.log(sd);
+        }, 0);
+        const prior = this.parameterKeys.reduce((sum, key, index) => sum + Math.pow(eta[index] / this.omega[key], 2), 0);
+
+        return likelihood + prior;
+    }
+
+    /**
+     * 事後モード (MAP) の推定と、母集団値 (事前) との比較
+     */
+    estimate(events, observations) {
+        const eventErrors = DoseEventReplaySimulator.validateEvents(events);
+        const observationErrors = MAPBayesianEstimator.validateObservations(observations);
+        const errors = [...eventErrors, ...observationErrors];
+        if (errors.length > 0) {
+            throw new DomainError(errors.join(", "));
+        }
+        if (observations.some(observation => observation.type === 'bis')) {
+            this.pdModel.require('bis');
+        }
+        const residualIssues = this.residualErrorIssues(observations);
+        if (residualIssues.length > 0) {
+            throw new ValidationError(residualIssues);
+        }
+
+        const zero = this.parameterKeys.map(() => 0);
+        const solution = NelderMeadOptimizer.minimize(
+            eta => this.objective(eta, events, observations),
+            zero,
+            this.parameterKeys.map(key => this.omega[key])
+        );
+
+        const prior = this.applyEta(zero);
+        const posterior = this.applyEta(solution.x);
+        const priorPredictions = this.predict(prior.pkParams, prior.pdParams, events, observations);
+        const posteriorPredictions = this.predict(posterior.pkParams, posterior.pdParams, events, observations);
+
+        return {
+            prior: prior,
+            posterior: posterior,
+            eta: Object.fromEntries(this.parameterKeys.map((key, index) => [key, solution.x[index]])),
+            estimatePD: this.params.estimatePD,
+            omega: Object.fromEntries(this.parameterKeys.map(key => [key, this.omega[key]])),
+            illustrative: this.illustrative,
+            observations: observations.map((observation, index) => ({
+                ...observation,
+                priorPrediction: priorPredictions[index],
+                posteriorPrediction: posteriorPredictions[index]
+            })),
+            objective: {
+                prior: this.objective(zero, events, observations),
+                posterior: solution.value
+            },
+            converged: solution.converged,
+            iterations: solution.iterations,
+            evaluations: solution.evaluations
+        };
+    }
+
+    /**
+     * 同じ投与記録を事前・事後パラメータで症例全体にわたり再計算
+     */
+    resimulate(estimate, events) {
+        const simulate = individual => {
+            const replay = new DoseEventReplaySimulator(this.patient, individual.pkParams).simulate(events);
+            new RemimazolamPDModel(individual.pdParams).annotate(replay.timeSeriesData);
+            return replay;
+        };
+
+        return {
+            prior: simulate(estimate.prior),
+            posterior: simulate(estimate.posterior),
+            lastObservationTime: Math.max(...estimate.observations.map(observation => observation.time))
+        };
+    }
+}
+
+// Export for use in other modules
+if (typeof window !== 'undefined') {
+    window.NelderMeadOptimizer = NelderMeadOptimizer;
+    window.MAPBayesianEstimator = MAPBayesianEstimator;
+}
@@ -0,0 +1,184 @@
+/**
+ * Case History Store
+ * ブラウザ内 (IndexedDB) の症例履歴
+ *
+ * 生成したプロトコルごとに以下を1レコードとして保存する:
+ *   patientId, createdAt (ISO 8601), appVersion, modelId, modelVersion, engine, controlMode
+ *   inputs   - 再計算用の入力 { patient, bolusDose, targetCe, protocolParams }
+ *   pkParams - 計算に用いたPKパラメータ
+ *   results  - calculateBolusProtocol の結果 (提示内容の監査用スナップショット)
+ *
+ * 記録は端末のブラウザ内にのみ保存され、外部へは送信しない。
+ */
+
+class CaseHistoryStore {
+    static DB_NAME = 'remimazolam-tci';
+    static DB_VERSION = 1;
+    static STORE_NAME = 'cases';
+
+    constructor(indexedDBFactory = (typeof indexedDB !== 'undefined' ? indexedDB : null)) {
+        this.factory = indexedDBFactory;
+        this.db = null;
+    }
+
+    // IDBRequest -> Promise
+    static request(req) {
+        return new Promise((resolve, reject) => {
+            req.onsuccess = () => resolve(req.result);
+            req.onerror = () => reject(req.error);
+        });
+    }
+
+    async open() {
+        if (this.db) return this.db;
+        if (!this.factory) {
+            throw new Error(I18n.t('history.unavailable'));
+        }
+
+        const req = this.factory.open(CaseHistoryStore.DB_NAME, CaseHistoryStore.DB_VERSION);
+        req.onupgradeneeded = () => {
+            const db = req.result;
+            if (!db.objectStoreNames.contains(CaseHistoryStore.STORE_NAME)) {
+                const store = db.createObjectStore(CaseHistoryStore.STORE_NAME, { keyPath: 'id', autoIncrement: true });
+                store.createIndex('patientId', 'patientId', { unique: false });
+                store.createIndex('createdAt', 'createdAt', { unique: false });
+            }
+        };
+        this.db = await CaseHistoryStore.request(req);
+        return this.db;
+    }
+
+    async transaction(mode, operation) {
+        const db = await this.open();
+        const store = db.transaction(CaseHistoryStore.STORE_NAME, mode).objectStore(CaseHistoryStore.STORE_NAME);
+        return CaseHistoryStore.request(operation(store));
+    }
+
+    /**
+     * 計算結果と入力から保存レコードを作成
+     */
+    static createRecord(results, inputs, createdAt = new Date()) {
+        const patient = results.patient;
+        const model = PKModelRegistry.get(results.modelId);
+
+        return {
+            patientId: patient.patientId,
+            createdAt: createdAt.toISOString(),
+            appVersion: MasuiModelConstants.APP_VERSION,
+            modelId: results.modelId,
+            modelVersion: model.version,
+            engine: results.engine,
+            controlMode: results.controlMode,
+            inputs: {
+                patient: {
+                    patientId: patient.patientId,
+                    age: patient.age,
+                    weight: patient.weight,
+                    height: patient.height,
+                    sex: patient.sex,
+                    asaPS: patient.asaPS
+                },
+                bolusDose: inputs.bolusDose,
+                targetCe: inputs.targetCe,
+                protocolParams: inputs.protocolParams || {}
+            },
+            pkParams: { ...results.pkParams },
+            results: results
+        };
+    }
+
+    async save(results, inputs) {
+        const record = CaseHistoryStore.createRecord(results, inputs);
+        record.id = await this.transaction('readwrite', store => store.add(record));
+        return record;
+    }
+
+    async get(id) {
+        const record = await this.transaction('readonly', store => store.get(id));
+        if (!record) {
+            throw new Error(I18n.t('history.notFound', { id: id }));
+        }
+        return record;
+    }
+
+    // Newest first; optionally only one patient ID
+    async list(patientId = null) {
+        const records = await this.transaction('readonly', store => patientId ?
+            store.index('patientId').getAll(patientId) : store.getAll());
+        return records.sort((a, b) => b.createdAt.localeCompare(a.createdAt) || b.id - a.id);
+    }
+
+    async delete(id) {
+        await this.transaction('readwrite', store => store.delete(id));
+    }
+
+    /**
+     * 保存された結果を画面表示・再生に使える形に戻す (Patient / PKParameters / ValidationIssue のメソッドを復元)
+     */
+    static restoreResults(record) {
+        const results = record.results;
+        return {
+            ...results,
+            patient: Object.assign(Object.create(Patient.prototype), results.patient),
+            pkParams: Object.assign(Object.create(PKParameters.prototype), results.pkParams),
+            validationWarnings: (results.validationWarnings || [])
+                .map(issue => Object.assign(Object.create(ValidationIssue.prototype), issue))
+        };
+    }
+
+    static summarize(record) {
+        const results = record.results;
+        return {
+            id: record.id,
+            patientId: record.patientId,
+            createdAt: record.createdAt,
+            appVersion: record.appVersion,
+            model: `${record.modelId} (${record.modelVersion})`,
+            bolusDose: results.bolusDose,
+            targetCe: results.targetCe,
+            initialRate: results.optimalContinuousRate,
+            finalCe: results.performance.finalCe,
+            adjustmentCount: results.dosageAdjustments.length
+        };
+    }
+
+    /**
+     * 2症例の入力・PKパラメータ・提示内容の比較 (項目, 値A, 値B, 差異の有無)
+     */
+    static compare(recordA, recordB) {
+        const a = CaseHistoryStore.summarize(recordA);
+        const b = CaseHistoryStore.summarize(recordB);
+        const rows = [
+            ['patientId', a.patientId, b.patientId],
+            ['createdAt', a.createdAt, b.createdAt],
+            ['appVersion', a.appVersion, b.appVersion],
+            ['model', a.model, b.model],
+            ['age', recordA.inputs.patient.age, recordB.inputs.patient.age],
+            ['weight', recordA.inputs.patient.weight, recordB.inputs.patient.weight],
+            ['height', recordA.inputs.patient.height, recordB.inputs.patient.height],
+            ['sex', ...[recordA, recordB].map(record => I18n.t(record.inputs.patient.sex === 0 ? 'patient.sex.male' : 'patient.sex.female'))],
+            ['asaPS', ...[recordA, recordB].map(record => record.inputs.patient.asaPS === 0 ? 'I-II' : 'III-IV')],
+            ['cl', recordA.pkParams.cl, recordB.pkParams.cl],
+            ['v1', recordA.pkParams.v1, recordB.pkParams.v1],
+            ['ke0', recordA.pkParams.ke0, recordB.pkParams.ke0],
+            ['targetCe', a.targetCe, b.targetCe],
+            ['bolusDose', a.bolusDose, b.bolusDose],
+            ['initialRate', a.initialRate, b.initialRate],
+            ['finalCe', a.finalCe, b.finalCe],
+            ['adjustmentCount', a.adjustmentCount, b.adjustmentCount]
+        ];
+
+        return rows.map(([item, valueA, valueB]) => ({
+            label: I18n.t(`history.compare.${item}`),
+            valueA: valueA,
+            valueB: valueB,
+            differs: typeof valueA === 'number' && typeof valueB === 'number' ?
+                Math.abs(valueA - valueB) > 1e-9 : valueA !== valueB
+        }));
+    }
+}
+
+// Export for use in other modules
+if (typeof window !== 'undefined') {
+    window.CaseHistoryStore = CaseHistoryStore;
+}
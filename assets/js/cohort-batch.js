@@ -0,0 +1,284 @@
+/**
+ * Cohort Batch Runner
+ * 患者CSVの各行に同じレジメン (ボーラス・目標濃度・protocolParams) で calculateBolusProtocol を実行する
+ *
+ * CSV (RFC 4180: "..." で囲んだ値はカンマ・改行・"" を含められる。1行目は見出し, 列の順序は任意, 大文字小文字を区別しない):
+ *   id (または patientId, 省略時は行番号), age, weight, height,
+ *   sex (male / female / M / F / 0 / 1),
+ *   asa (1-4 / I-II / III-IV) または asaPS (0 = I-II, 1 = III-IV)
+ *
+ * 読み取れない値や Patient.validate で不合格となった行、計算エラーの行は failures に理由とともに記録する。
+ * 出力は患者ごとの要約 (最適速度, 最大Ce, 目標精度, 調整回数) とコホートの分布。
+ */
+
+class CohortBatchRunner {
+    static REQUIRED_COLUMNS = ['age', 'weight', 'height', 'sex'];
+    static MAX_ROWS = 1000;
+
+    // Summary metrics reported per patient and as cohort distributions (labels: 'cohort.metric.<key>')
+    static METRICS = {
+        optimalRate: { digits: 3 },
+        maxCe: { digits: 3 },
+        targetAccuracy: { digits: 1 },
+        adjustmentCount: { digits: 0 }
+    };
+
+    constructor(bolusDoseMg, targetCe, protocolParams = {}, calculator = new BolusProtocolCalculator()) {
+        this.bolusDoseMg = bolusDoseMg;
+        this.targetCe = targetCe;
+        this.protocolParams = protocolParams;
+        this.calculator = calculator;
+    }
+
+    /**
+     * RFC 4180 のレコード分割 -> [{ number (開始行番号), cells }]
+     * 引用符の外の前後の空白は除く。空行と # で始まる行は読み飛ばす。
+     * 閉じていない引用符や、引用符の後に続く文字はエラー (列がずれたまま計算しない)
+     */
+    static splitRecords(text) {
+        const records = [];
+        let cells = [];
+        let cell = '';
+        let quoted = false;     // inside "..."
+        let closed = false;     // after the closing quote of the current cell
+        let firstQuoted = false;
+        let line = 1;
+        let recordLine = 1;
+
+        const endCell = () => {
+            cells.push(closed ? cell : cell.trim());
+            cell = '';
+            closed = false;
+        };
+        const endRecord = () => {
+            endCell();
+            const blank = cells.length === 1 && cells[0] === '';
+            const comment = !firstQuoted && cells[0].startsWith('#');
+            if (!blank && !comment) {
+                records.push({ number: recordLine, cells: cells });
+            }
+            cells = [];
+            firstQuoted = false;
+        };
+
+        for (let i = 0; i < text.length; i++) {
+            const char = text[i];
+            if (quoted) {
+                if (char === '"' && text[i + 1] === '"') {
+                    cell += '"';
+                    i++;
+                } else if (char === '"') {
+                    quoted = false;
+                    closed = true;
+                } else {
+                    if (char === '\n') line++;
+                    cell += char;
+                }
+            } else if (char === ',') {
+                endCell();
+            } else if (char === '\n') {
+                endRecord();
+                line++;
+                recordLine = line;
+            } else if (char === '\r' || (closed && char.trim() === '')) {
+                continue;
+            } else if (char === '"' && !closed && cell.trim() === '') {
+                quoted = true;
+                cell = '';
+                if (cells.length === 0) firstQuoted = true;
+            } else if (char === '"' || closed) {
+                throw new Error(I18n.t('cohort.invalidQuote', { line: line }));
+            } else {
+                cell += char;
+            }
+        }
+        if (quoted) {
+            throw new Error(I18n.t('cohort.unterminatedQuote', { line: recordLine }));
+        }
+        endRecord();
+
+        return records;
+    }
+
+    /**
+     * CSVテキスト -> [{ line, patientId, age, weight, height, sex, asaPS, errors }]
+     */
+    static parseCSV(text) {
+        const lines = CohortBatchRunner.splitRecords(text.replace(/^\uFEFF/, ''));
+
+        if (lines.length === 0) {
+            throw new Error(I18n.t('cohort.emptyCsv'));
+        }
+
+        const headers = lines[0].cells.map(header => header.toLowerCase());
+        const missing = CohortBatchRunner.REQUIRED_COLUMNS.filter(column => !headers.includes(column));
+        if (!headers.includes('asa') && !headers.includes('asaps')) {
+            missing.push('asa');
+        }
+        if (missing.length > 0) {
+            throw new Error(I18n.t('cohort.missingColumns', { columns: missing.join(', ') }));
+        }
+        if (lines.length - 1 > CohortBatchRunner.MAX_ROWS) {
+            throw new Error(I18n.t('cohort.tooManyRows', { max: CohortBatchRunner.MAX_ROWS, rows: lines.length - 1 }));
+        }
+
+        return lines.slice(1).map(line => {
+            const cells = line.cells;
+            const value = column => cells[headers.indexOf(column)];
+            const errors = [];
+
+            const number = column => {
+                const parsed = Number(value(column));
+                if (value(column) === undefined || value(column) === '' || !Number.isFinite(parsed)) {
+                    errors.push(I18n.t('cohort.notNumber', { column: column, value: value(column) ?? '' }));
+                }
+                return parsed;
+            };
+
+            const sex = Patient.parseSex(value('sex') ?? '');
+            if (sex === null) {
+                errors.push(I18n.t('cohort.invalidSex', { value: value('sex') ?? '' }));
+            }
+
+            let asaPS;
+            if (headers.includes('asa')) {
+                asaPS = Patient.parseASA(value('asa') ?? '');
+            } else {
+                asaPS = { '0': 0, '1': 1 }[value('asaps')];
+                asaPS = asaPS !== undefined ? asaPS : null;
+            }
+            if (asaPS === null) {
+                errors.push(I18n.t('cohort.invalidAsa', { value: value(headers.includes('asa') ? 'asa' : 'asaps') ?? '' }));
+            }
+
+            const id = value('id') || value('patientid');
+            return {
+                line: line.number,
+                patientId: id || `row-${line.number}`,
+                age: number('age'),
+                weight: number('weight'),
+                height: number('height'),
+                sex: sex,
+                asaPS: asaPS,
+                // An unquoted comma inside a value shifts every following column; the other errors would only echo it
+                errors: cells.length !== headers.length ?
+                    [I18n.t('cohort.columnCount', { cells: cells.length, columns: headers.length })] : errors
+            };
+        });
+    }
+
+    /**
+     * 1行分の計算。{ summary } または { failure } を返す
+     */
+    runRow(row) {
+        const failure = errors => ({
+            failure: { line: row.line, patientId: row.patientId, errors: errors }
+        });
+
+        if (row.errors.length > 0) {
+            return failure(row.errors);
+        }
+
+        const patient = new Patient(row.patientId, row.age, row.weight, row.height, row.sex, row.asaPS);
+        const validation = patient.validate();
+        if (!validation.isValid) {
+            return failure(validation.errors);
+        }
+
+        try {
+            const results = this.calculator.calculateBolusProtocol(
+                patient, this.bolusDoseMg, this.targetCe, this.protocolParams
+            );
+            return {
+                summary: {
+                    line: row.line,
+                    patientId: row.patientId,
+                    age: row.age,
+                    weight: row.weight,
+                    height: row.height,
+                    sex: row.sex,
+                    asaPS: row.asaPS,
+                    bolusDose: results.bolusDose,
+                    optimalRate: results.optimalContinuousRate,
+                    maxCe: results.performance.maxCe,
+                    targetAccuracy: results.performance.targetAccuracy,
+                    adjustmentCount: results.dosageAdjustments.length
+                }
+            };
+        } catch (error) {
+            return failure([error.message]);
+        }
+    }
+
+    run(rows) {
+        return CohortBatchRunner.collect(rows.map(row => this.runRow(row)));
+    }
+
+    // Per-row outcomes -> { summaries, failures, distributions }
+    static collect(outcomes) {
+        const summaries = outcomes.filter(outcome => outcome.summary).map(outcome => outcome.summary);
+        const failures = outcomes.filter(outcome => outcome.failure).map(outcome => outcome.failure);
+
+        return {
+            summaries: summaries,
+            failures: failures,
+            distributions: CohortBatchRunner.distributions(summaries)
+        };
+    }
+
+    static distributions(summaries) {
+        const distributions = {};
+
+        Object.keys(CohortBatchRunner.METRICS).forEach(key => {
+            const values = summaries.map(summary => summary[key]).filter(Number.isFinite).sort((a, b) => a - b);
+            if (values.length === 0) {
+                distributions[key] = null;
+                return;
+            }
+
+            const mean = values.reduce((sum, value) => sum + value, 0) / values.length;
+            const variance = values.length > 1 ?
+                values.reduce((sum, value) => sum + Math.pow(value - mean, 2), 0) / (values.length - 1) : 0;
+            distributions[key] = {
+                n: values.length,
+                mean: mean,
+                sd: Math.sqrt(variance),
+                min: values[0],
+                p05: MonteCarloSimulator.quantile(values, 0.05),
+                median: MonteCarloSimulator.quantile(values, 0.50),
+                p95: MonteCarloSimulator.quantile(values, 0.95),
+                max: values[values.length - 1]
+            };
+        });
+
+        return distributions;
+    }
+
+    /**
+     * 患者ごとの要約CSV (BOMなし)。読み込めなかった行はエラー列に理由を記載
+     */
+    static toCSV(batchResult) {
+        const headers = ['line', 'patientId', 'age', 'weight', 'height', 'sex', 'asaPS', 'bolusDose',
+            'optimalRate', 'maxCe', 'targetAccuracy', 'adjustmentCount', 'error'].map(column => I18n.t(`csv.cohort.${column}`));
+        const quote = value => /[",\n]/.test(String(value)) ? `"${String(value).replace(/"/g, '""')}"` : value;
+
+        const rows = [
+            ...batchResult.summaries.map(summary => [
+                summary.line, summary.patientId, summary.age, summary.weight, summary.height,
+                summary.sex === 0 ? 'male' : 'female', summary.asaPS === 0 ? 'I-II' : 'III-IV',
+                Number(summary.bolusDose.toFixed(2)), summary.optimalRate.toFixed(3), summary.maxCe.toFixed(3),
+                summary.targetAccuracy.toFixed(1), summary.adjustmentCount, ''
+            ]),
+            ...batchResult.failures.map(failure => [
+                failure.line, failure.patientId, '', '', '', '', '', '', '', '', '', '', failure.errors.join('; ')
+            ])
+        ].sort((a, b) => a[0] - b[0]);
+
+        return [headers.join(','), ...rows.map(row => row.map(quote).join(','))].join('\n');
+    }
+}
+
+// Export for use in other modules
+if (typeof window !== 'undefined') {
+    window.CohortBatchRunner = CohortBatchRunner;
+}
@@ -0,0 +1,161 @@
+/**
+ * Decrement Time Calculator
+ * 投与中止後の濃度低下予測（覚醒予測）
+ *
+ * 任意の中止時刻までの投与歴を解析解で再現し、中止後 (投与速度 0) の
+ *   - context-sensitive half-time (CSHT): 血漿濃度が50%に低下するまでの時間
+ *   - 効果部位濃度の50% / 80% 低下時間
+ *   - 指定した覚醒濃度まで Ce が低下するまでの時間
+ * を BrentSolver で求める。中止直後に Ce が上昇する場合は、ピーク後に閾値を
+ * 下回る時点を採用する。
+ */
+
+class DecrementTimeCalculator {
+    static DEFAULT_AWAKENING_CE = 0.5; // μg/mL
+    static MAX_HORIZON = 1440.0;       // min, search limit after stopping
+    static SCAN_STEP = 0.5;            // min, bracketing step before Brent refinement
+    static EVALUATION_INTERVAL = 30.0; // min, spacing of the decrement-time table
+    static MIN_WASHOUT_DURATION = 60.0;
+    static MAX_WASHOUT_DURATION = 240.0;
+
+    constructor(patient, pkParams) {
+        this.patient = patient;
+        this.engine = new AnalyticalPKEngine(pkParams);
+    }
+
+    /**
+     * 時系列データの投与速度 (各時点から次の時点まで一定) を stopTime まで再生した状態
+     * TCIの10秒更新は出力間隔 (0.1分) で近似される
+     */
+    reconstructState(bolusDoseMg, timeSeriesData, stopTime) {
+        let state = this.engine.createState(bolusDoseMg);
+
+        for (let i = 0; i < timeSeriesData.length - 1; i++) {
+            const start = timeSeriesData[i].time;
+            if (start >= stopTime) break;
+
+            const end = Math.min(timeSeriesData[i + 1].time, stopTime);
+            const rateMgMin = (timeSeriesData[i].infusionRate * this.patient.weight) / 60.0;
+            state = this.engine.advance(state, rateMgMin, end - start);
+        }
+
+        return state;
+    }
+
+    // Concentrations t minutes after stopping the infusion
+    predictAfterStop(state, t) {
+        const future = this.engine.advance(state, 0, t);
+        return {
+            plasma: this.engine.getPlasmaConcentration(future),
+            ce: this.engine.getEffectSiteConcentration(future)
+        };
+    }
+
+    /**
+     * 中止後に濃度が level を下回る (以降下降する) までの時間
+     * 到達しない場合は Infinity
+     */
+    findTimeBelow(state, level, key = 'ce') {
+        const excess = t => this.predictAfterStop(state, t)[key] - level;
+        const step = DecrementTimeCalculator.SCAN_STEP;
+
+        let previous = excess(0);
+        if (previous <= 0 && this.isFalling(state, key)) {
+            return 0;
+        }
+
+        for (let t = step; t <= DecrementTimeCalculator.MAX_HORIZON; t += step) {
+            const current = excess(t);
+            if (previous > 0 && current <= 0) {
+                return BrentSolver.findRoot(excess, t - step, t, 1e-6);
+            }
+            previous = current;
+        }
+
+        return Infinity;
+    }
+
+    isFalling(state, key) {
+        return this.predictAfterStop(state, 1e-3)[key] <= this.predictAfterStop(state, 0)[key];
+    }
+
+    /**
+     * stopTime で投与を中止した場合の低下時間
+     */
+    calculateAt(bolusDoseMg, timeSeriesData, stopTime, awakeningCe = DecrementTimeCalculator.DEFAULT_AWAKENING_CE) {
+        const state = this.reconstructState(bolusDoseMg, timeSeriesData, stopTime);
+        const initial = this.predictAfterStop(state, 0);
+
+        return {
+            stopTime: stopTime,
+            plasmaAtStop: initial.plasma,
+            ceAtStop: initial.ce,
+            contextSensitiveHalfTime: this.findTimeBelow(state, initial.plasma * 0.5, 'plasma'),
+            ceDecrement50: this.findTimeBelow(state, initial.ce * 0.5),
+            ceDecrement80: this.findTimeBelow(state, initial.ce * 0.2),
+            awakeningCe: awakeningCe,
+            timeToAwakening: this.findTimeBelow(state, awakeningCe),
+            state: state
+        };
+    }
+
+    /**
+     * 中止後の予測濃度曲線 (時刻は投与開始からの絶対時間)
+     */
+    generateWashoutCurve(decrement, timeStep = MasuiModelConstants.TIME_STEP) {
+        const duration = Number.isFinite(decrement.timeToAwakening) ?
+            Math.min(DecrementTimeCalculator.MAX_WASHOUT_DURATION,
+                     Math.max(DecrementTimeCalculator.MIN_WASHOUT_DURATION, decrement.timeToAwakening + 10)) :
+            DecrementTimeCalculator.MAX_WASHOUT_DURATION;
+
+        const curve = [];
+        const numSteps = Math.round(duration / timeStep);
+        for (let i = 0; i <= numSteps; i++) {
+            const t = i * timeStep;
+            const prediction = this.predictAfterStop(decrement.state, t);
+            curve.push({
+                time: parseFloat((decrement.stopTime + t).toFixed(1)),
+                ce: prediction.ce,
+                plasma: prediction.plasma
+            });
+        }
+
+        return curve;
+    }
+
+    /**
+     * スケジュール上の各時点で中止した場合の低下時間一覧
+     */
+    calculateTable(bolusDoseMg, timeSeriesData, awakeningCe = DecrementTimeCalculator.DEFAULT_AWAKENING_CE,
+                   interval = DecrementTimeCalculator.EVALUATION_INTERVAL) {
+        const endTime = timeSeriesData[timeSeriesData.length - 1].time;
+        const rows = [];
+
+        for (let stopTime = interval; stopTime <= endTime + 1e-9; stopTime += interval) {
+            const { state, ...decrement } = this.calculateAt(bolusDoseMg, timeSeriesData, stopTime, awakeningCe);
+            rows.push(decrement);
+        }
+
+        return rows;
+    }
+
+    /**
+     * 結果オブジェクト一式: 指定時点の低下時間・wash-out曲線・一覧表
+     */
+    analyze(bolusDoseMg, timeSeriesData, stopTime, awakeningCe = DecrementTimeCalculator.DEFAULT_AWAKENING_CE) {
+        const decrement = this.calculateAt(bolusDoseMg, timeSeriesData, stopTime, awakeningCe);
+        const washoutCurve = this.generateWashoutCurve(decrement);
+        const { state, ...summary } = decrement;
+
+        return {
+            ...summary,
+            washoutCurve: washoutCurve,
+            table: this.calculateTable(bolusDoseMg, timeSeriesData, awakeningCe)
+        };
+    }
+}
+
+// Export for use in other modules
+if (typeof window !== 'undefined') {
+    window.DecrementTimeCalculator = DecrementTimeCalculator;
+}
@@ -0,0 +1,265 @@
+/**
+ * Dose Event Replay Simulator
+ * 実際の投与記録 (イベント列) の再生と推奨プロトコルとの比較
+ *
+ * イベント (time: 投与開始からの分):
+ *   { time, type: 'bolus', dose }              単回投与 (mg)
+ *   { time, type: 'rate',  rate }              持続投与速度の変更 (mg/kg/hr)
+ *   { time, type: 'pause', duration? }         一時停止 (duration 分後に元の速度で自動再開)
+ *   { time, type: 'flush', volume, concentration? }
+ *                                              ルートのフラッシュ: 死腔内の薬液 (mL × mg/mL) がボーラスとして入る
+ *
+ * 数値解エンジン (BolusOptimizer の updateSystemStateRK4 + Euler Ce) でイベント時刻ちょうどまで積分する。
+ */
+
+class DoseEventReplaySimulator {
+    static EVENT_TYPES = ['bolus', 'rate', 'pause', 'flush'];
+    static DEFAULT_FLUSH_CONCENTRATION = 1.0; // mg/mL, 50 mg in 50 mL
+    static MAX_REPLAY_DURATION = 1440.0;      // min
+
+    constructor(patient, pkParams) {
+        this.patient = patient;
+        this.pkParams = pkParams;
+        this.optimizer = new BolusOptimizer(patient, pkParams, 'numerical');
+        this.timeStep = MasuiModelConstants.TIME_STEP;
+    }
+
+    static validateEvents(events) {
+        const errors = [];
+
+        if (!Array.isArray(events) || events.length === 0) {
+            return [I18n.t('replay.noEvents')];
+        }
+
+        events.forEach((event, index) => {
+            const label = I18n.t('replay.eventLabel', { index: index + 1 });
+
+            if (!DoseEventReplaySimulator.EVENT_TYPES.includes(event.type)) {
+                errors.push(I18n.t('replay.unknownType', { label: label, type: event.type }));
+                return;
+            }
+            if (!(event.time >= 0 && event.time <= DoseEventReplaySimulator.MAX_REPLAY_DURATION)) {
+                errors.push(I18n.t('replay.invalidTime', { label: label, max: DoseEventReplaySimulator.MAX_REPLAY_DURATION }));
+            }
+            if (event.type === 'bolus' && !(event.dose > 0)) {
+                errors.push(I18n.t('replay.invalidBolus', { label: label }));
+            }
+            if (event.type === 'rate' && !(event.rate >= 0 && event.rate <= MasuiModelConstants.MAX_INFUSION_RATE)) {
+                errors.push(I18n.t('replay.invalidRate', { label: label, max: MasuiModelConstants.MAX_INFUSION_RATE }));
+            }
+            if (event.type === 'pause' && event.duration !== undefined && !(event.duration > 0)) {
+                errors.push(I18n.t('replay.invalidPause', { label: label }));
+            }
+            if (event.type === 'flush' && !(event.volume > 0)) {
+                errors.push(I18n.t('replay.invalidFlush', { label: label }));
+            }
+            if (event.type === 'flush' && event.concentration !== undefined && !(event.concentration > 0)) {
+                errors.push(I18n.t('replay.invalidFlushConcentration', { label: label }));
+            }
+        });
+
+        return errors;
+    }
+
+    /**
+     * テキスト形式の投与記録 (1行1イベント, "時刻 種類 値")
+     *   0 bolus 7 / 0 rate 1.5 / 45 pause 5 / 60 flush 2
+     */
+    static parseEvents(text) {
+        return text.split(/\n/)
+            .map(line => line.replace(/#.*/, '').trim())
+            .filter(line => line.length > 0)
+            .map(line => {
+                const [time, type, value, extra] = line.split(/[\s,]+/);
+                const event = { time: parseFloat(time), type: (type || '').toLowerCase() };
+                const number = value !== undefined ? parseFloat(value) : undefined;
+
+                if (!Number.isFinite(event.time) || !DoseEventReplaySimulator.EVENT_TYPES.includes(event.type)) {
+                    throw new DomainError(I18n.t('replay.invalidFormat', { line: line }));
+                }
+
+                if (event.type === 'bolus') event.dose = number;
+                if (event.type === 'rate') event.rate = number;
+                if (event.type === 'pause' && number !== undefined) event.duration = number;
+                if (event.type === 'flush') {
+                    event.volume = number;
+                    if (extra !== undefined) event.concentration = parseFloat(extra);
+                }
+                return event;
+            });
+    }
+
+    // Inverse of parseEvents
+    static formatEvents(events) {
+        return events.map(event => {
+            const value = {
+                bolus: event.dose,
+                rate: event.rate,
+                pause: event.duration,
+                flush: event.volume
+            }[event.type];
+            const extra = event.type === 'flush' && event.concentration !== undefined ? ` ${event.concentration}` : '';
+            return `${event.time} ${event.type}${value !== undefined ? ` ${Number(value.toFixed(4))}` : ''}${extra}`;
+        }).join('\n');
+    }
+
+    /**
+     * 投与記録を再生し、出力間隔ごとの Cp/Ce と累積投与量を返す
+     */
+    simulate(events, duration = null) {
+        const errors = DoseEventReplaySimulator.validateEvents(events);
+        if (errors.length > 0) {
+            throw new DomainError(errors.join(", "));
+        }
+
+        const pending = events.map((event, index) => ({ ...event, order: index }))
+            .sort((a, b) => a.time - b.time || a.order - b.order);
+        const lastEventTime = pending[pending.length - 1].time;
+        const endTime = duration !== null ? duration : Math.max(MasuiModelConstants.SIMULATION_DURATION, lastEventTime);
+
+        let state = this.optimizer.createState(0);
+        let currentTime = 0;
+        let rate = 0;          // mg/kg/hr
+        let pausedRate = null; // rate to restore after a timed pause (from before the first of overlapping pauses)
+        const doses = { bolus: 0, infusion: 0, flush: 0 };
+        const appliedEvents = [];
+
+        const advanceTo = time => {
+            const dt = time - currentTime;
+            if (dt <= 0) return;
+            const rateMgMin = (rate * this.patient.weight) / 60.0;
+            state = this.optimizer.advanceState(state, rateMgMin, dt);
+            doses.infusion += rateMgMin * dt;
+            currentTime = time;
+        };
+
+        const applyEvent = event => {
+            let dose = 0;
+
+            if (event.type === 'bolus') {
+                dose = event.dose;
+                doses.bolus += dose;
+            } else if (event.type === 'flush') {
+                const concentration = event.concentration ?? DoseEventReplaySimulator.DEFAULT_FLUSH_CONCENTRATION;
+                dose = event.volume * concentration;
+                doses.flush += dose;
+            } else if (event.type === 'rate') {
+                rate = event.rate;
+                pausedRate = null;
+            } else if (event.type === 'pause') {
+                if (pausedRate === null) {
+                    pausedRate = rate;
+                }
+                rate = 0;
+                if (event.duration !== undefined) {
+                    this.insertPending(pending, { time: event.time + event.duration, type: 'resume', order: Infinity });
+                }
+            } else if (event.type === 'resume' && pausedRate !== null) {
+                rate = pausedRate;
+                pausedRate = null;
+            }
+
+            if (dose > 0) {
+                state = this.optimizer.addBolus(state, dose);
+            }
+
+            const { order, ...record } = event;
+            appliedEvents.push({ ...record, dose: dose || undefined, rateAfter: rate });
+        };
+
+        const timeSeriesData = [];
+        const numSteps = Math.round(endTime / this.timeStep);
+
+        for (let i = 0; i <= numSteps; i++) {
+            const time = parseFloat((i * this.timeStep).toFixed(1));
+
+            while (pending.length > 0 && pending[0].time <= time + 1e-9) {
+                const event = pending.shift();
+                advanceTo(event.time);
+                applyEvent(event);
+            }
+            advanceTo(time);
+
+            timeSeriesData.push({
+                time: time,
+                plasma: this.optimizer.getPlasmaConcentration(state),
+                ce: this.optimizer.getEffectSiteConcentration(state),
+                infusionRate: rate,
+                cumulativeDose: doses.bolus + doses.infusion + doses.flush
+            });
+        }
+
+        return {
+            events: appliedEvents,
+            timeSeriesData: timeSeriesData,
+            cumulativeDose: {
+                bolus: doses.bolus,
+                infusion: doses.infusion,
+                flush: doses.flush,
+                total: doses.bolus + doses.infusion + doses.flush,
+                perKg: (doses.bolus + doses.infusion + doses.flush) / this.patient.weight
+            },
+            maxCe: Math.max(...timeSeriesData.map(point => point.ce)),
+            finalCe: timeSeriesData[timeSeriesData.length - 1].ce
+        };
+    }
+
+    insertPending(pending, event) {
+        const index = pending.findIndex(other => other.time > event.time);
+        pending.splice(index === -1 ? pending.length : index, 0, event);
+    }
+
+    /**
+     * 推奨プロトコルの時系列 (calculateBolusProtocol の simulationData) との比較
+     */
+    compareWithProtocol(replay, protocolResults) {
+        const recommended = new Map(protocolResults.simulationData.map(point => [Math.round(point.time * 10), point]));
+        let maxCeDifference = 0;
+        let timeOfMaxDifference = null;
+        let totalDifference = 0;
+        let count = 0;
+
+        replay.timeSeriesData.forEach(point => {
+            const reference = recommended.get(Math.round(point.time * 10));
+            if (!reference) return;
+
+            const difference = point.ce - reference.ce;
+            point.recommendedCe = reference.ce;
+            if (Math.abs(difference) > Math.abs(maxCeDifference)) {
+                maxCeDifference = difference;
+                timeOfMaxDifference = point.time;
+            }
+            totalDifference += Math.abs(difference);
+            count++;
+        });
+
+        const recommendedDose = DoseEventReplaySimulator.calculateProtocolDose(
+            protocolResults.bolusDose, protocolResults.simulationData, this.patient.weight
+        );
+
+        return {
+            maxCeDifference: maxCeDifference,
+            timeOfMaxDifference: timeOfMaxDifference,
+            meanAbsCeDifference: count > 0 ? totalDifference / count : null,
+            comparedPoints: count,
+            actualDose: replay.cumulativeDose.total,
+            recommendedDose: recommendedDose,
+            doseDifference: replay.cumulativeDose.total - recommendedDose
+        };
+    }
+
+    // Bolus plus the recorded rates (each held until the next output point)
+    static calculateProtocolDose(bolusDoseMg, timeSeriesData, weight) {
+        let dose = bolusDoseMg;
+        for (let i = 0; i < timeSeriesData.length - 1; i++) {
+            const dt = timeSeriesData[i + 1].time - timeSeriesData[i].time;
+            dose += (timeSeriesData[i].infusionRate * weight / 60.0) * dt;
+        }
+        return dose;
+    }
+}
+
+// Export for use in other modules
+if (typeof window !== 'undefined') {
+    window.DoseEventReplaySimulator = DoseEventReplaySimulator;
+}
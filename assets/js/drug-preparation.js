@@ -0,0 +1,224 @@
+/**
+ * Drug Preparation
+ * 薬剤調製 (バイアル量・希釈量 → mg/mL) とシリンジポンプ設定 (mL, mL/h) への換算
+ *
+ * 濃度 = バイアル量 (mg) / 希釈量 (mL)。ボーラスは mL、持続投与は mL/h (ポンプの設定単位で丸め) に換算し、
+ * ポンプの最小・最大流量を外れるステップを警告する。フルマゼニルは別シリンジのため換算しない。
+ *
+ * 在庫計画: 計画した投与 (ボーラス + 持続投与速度の時系列) の累積量 (mg) から必要バイアル数を求め、
+ * シリンジ (syringeVolumeMl の調製液, ボーラスも同じシリンジから投与) が空になる時刻を予測する。
+ */
+
+class DrugPreparation {
+    static DEFAULTS = {
+        vialMg: 50,           // mg per vial (remimazolam 50 mg)
+        dilutionMl: 50,       // mL, 50 mg in 50 mL = 1 mg/mL
+        pumpMinRate: 0.1,     // mL/h
+        pumpMaxRate: 1200,    // mL/h
+        rateResolution: 0.1,  // mL/h, pump setting step
+        syringeVolumeMl: 50   // mL of prepared solution per syringe
+    };
+
+    static SYRINGE_WARNING_MINUTES = 5; // pre-warning before a syringe runs out
+
+    constructor(preparationParams = {}) {
+        this.params = { ...DrugPreparation.DEFAULTS, ...preparationParams };
+
+        const issues = DrugPreparation.validate(this.params);
+        if (issues.length > 0) {
+            throw new ValidationError(issues);
+        }
+    }
+
+    // ValidationIssue[]; fields are reported under the 'preparation' protocol parameter
+    static validate(preparationParams) {
+        const params = { ...DrugPreparation.DEFAULTS, ...preparationParams };
+        const issues = [];
+        const positive = (code, key) => {
+            if (!(params[key] > 0)) {
+                issues.push(new ValidationIssue(code, `preparation.${key}`, { min: 0 }, params[key]));
+            }
+        };
+
+        positive('PREPARATION_VIAL_INVALID', 'vialMg');
+        positive('PREPARATION_DILUTION_INVALID', 'dilutionMl');
+        if (!(params.pumpMinRate >= 0)) {
+            issues.push(new ValidationIssue('PUMP_MIN_RATE_INVALID', 'preparation.pumpMinRate', { min: 0 }, params.pumpMinRate));
+        }
+        if (!(params.pumpMaxRate > params.pumpMinRate)) {
+            issues.push(new ValidationIssue('PUMP_MAX_RATE_INVALID', 'preparation.pumpMaxRate',
+                { min: params.pumpMinRate }, params.pumpMaxRate));
+        }
+        positive('PUMP_RESOLUTION_INVALID', 'rateResolution');
+        positive('SYRINGE_VOLUME_INVALID', 'syringeVolumeMl');
+
+        return issues;
+    }
+
+    getConcentration() {
+        return this.params.vialMg / this.params.dilutionMl; // mg/mL
+    }
+
+    toVolume(doseMg) {
+        return doseMg / this.getConcentration(); // mL
+    }
+
+    // mg/kg/hr -> mL/h, rounded to the pump setting step
+    toPumpRate(rateMgKgHr, weight) {
+        const resolution = this.params.rateResolution;
+        const decimals = Math.max(0, -Math.floor(Math.log10(resolution)));
+        const rate = Math.round((rateMgKgHr * weight / this.getConcentration()) / resolution) * resolution;
+        return Number(rate.toFixed(decimals));
+    }
+
+    formatVolume(doseMg) {
+        return `${this.toVolume(doseMg).toFixed(2)} mL`;
+    }
+
+    formatPumpRate(rateMgKgHr, weight) {
+        return rateMgKgHr > 0 ? `${this.toPumpRate(rateMgKgHr, weight)} mL/h` : I18n.t('preparation.pumpStopped');
+    }
+
+    /**
+     * ポンプ流量の範囲確認 (停止 = 0 mL/h は対象外)
+     */
+    checkPumpRate(rateMlH) {
+        if (rateMlH > 0 && rateMlH < this.params.pumpMinRate) {
+            return { type: 'below_min', message: I18n.t('preparation.belowMinRate', { rate: rateMlH, limit: this.params.pumpMinRate }) };
+        }
+        if (rateMlH > this.params.pumpMaxRate) {
+            return { type: 'above_max', message: I18n.t('preparation.aboveMaxRate', { rate: rateMlH, limit: this.params.pumpMaxRate }) };
+        }
+        return null;
+    }
+
+    /**
+     * 臨床プロトコルの各ステップに対応するポンプ設定
+     */
+    generatePumpProgram(bolusDoseMg, initialRate, dosageAdjustments, clinicalProtocol, weight) {
+        const steps = [];
+        const addRateStep = (row, time, rateMgKgHr) => {
+            const rateMlH = this.toPumpRate(rateMgKgHr, weight);
+            const check = this.checkPumpRate(rateMlH);
+            steps.push({
+                step: row.step,
+                time: time,
+                method: row.method,
+                action: rateMgKgHr > 0 ? 'rate' : 'stop',
+                rateMgKgHr: rateMgKgHr,
+                rateMgHr: rateMgKgHr * weight,
+                rateMlH: rateMlH,
+                warning: check ? I18n.t('preparation.stepWarning', { step: row.step, message: check.message }) : null
+            });
+        };
+
+        steps.push({
+            step: clinicalProtocol[0].step,
+            time: 0,
+            method: clinicalProtocol[0].method,
+            action: 'bolus',
+            doseMg: bolusDoseMg,
+            volumeMl: Number(this.toVolume(bolusDoseMg).toFixed(2)),
+            warning: null
+        });
+        addRateStep(clinicalProtocol[1], 0, initialRate);
+
+        dosageAdjustments.forEach((adjustment, index) => {
+            const row = clinicalProtocol[index + 2];
+            if (adjustment.type === 'resedation_risk') return;
+            if (adjustment.type === 'flumazenil_reversal' && adjustment.newRate === adjustment.oldRate) return;
+            addRateStep(row, adjustment.time, adjustment.newRate);
+        });
+
+        return {
+            concentration: this.getConcentration(),
+            preparation: { ...this.params },
+            steps: steps,
+            warnings: steps.filter(step => step.warning).map(step => step.warning)
+        };
+    }
+
+    /**
+     * 累積投与量・必要バイアル数・シリンジ交換時刻
+     * timeSeriesData の各点に cumulativeDose (mg) を追加する (速度は次の出力点まで一定)
+     */
+    planInventory(bolusDoseMg, timeSeriesData, weight) {
+        const syringeMg = this.params.syringeVolumeMl * this.getConcentration();
+        const syringeChanges = [];
+        let cumulative = bolusDoseMg;
+        let emptyAt = syringeMg;
+
+        const recordEmpty = time => {
+            syringeChanges.push({ syringeNumber: syringeChanges.length + 1, time: time, cumulativeDose: emptyAt });
+            emptyAt += syringeMg;
+        };
+
+        while (cumulative > emptyAt + 1e-9) {
+            recordEmpty(0);
+        }
+        timeSeriesData[0].cumulativeDose = cumulative;
+
+        for (let i = 0; i < timeSeriesData.length - 1; i++) {
+            const dt = timeSeriesData[i + 1].time - timeSeriesData[i].time;
+            const rateMgMin = timeSeriesData[i].infusionRate * weight / 60.0;
+            const next = cumulative + rateMgMin * dt;
+
+            while (rateMgMin > 0 && next > emptyAt + 1e-9) {
+                recordEmpty(timeSeriesData[i].time + (emptyAt - cumulative) / rateMgMin);
+            }
+            cumulative = next;
+            timeSeriesData[i + 1].cumulativeDose = cumulative;
+        }
+
+        const syringesNeeded = Math.max(1, Math.ceil(cumulative / syringeMg - 1e-9));
+        const preparedMg = syringesNeeded * syringeMg;
+
+        return {
+            totalDose: cumulative,
+            totalVolume: this.toVolume(cumulative),
+            vialMg: this.params.vialMg,
+            vialsNeeded: Math.ceil(cumulative / this.params.vialMg - 1e-9),
+            syringeVolumeMl: this.params.syringeVolumeMl,
+            syringeMg: syringeMg,
+            syringesNeeded: syringesNeeded,
+            vialsToPrepare: Math.ceil(preparedMg / this.params.vialMg - 1e-9),
+            wasteMg: preparedMg - cumulative,
+            syringeChanges: syringeChanges
+        };
+    }
+
+    static toCSV(pumpProgram) {
+        const headers = ['step', 'time', 'action', 'doseMg', 'volumeMl', 'rateMgKgHr', 'rateMlH', 'warning']
+            .map(column => I18n.t(`csv.pumpProgram.${column}`));
+        // Localized text (method, warning, preparation line) may contain commas
+        const quote = value => /[",\n]/.test(String(value)) ? `"${String(value).replace(/"/g, '""')}"` : value;
+        const rows = pumpProgram.steps.map(step => [
+            step.step,
+            Number(step.time.toFixed(1)),
+            `${step.method}(${I18n.t(`preparation.action.${step.action}`)})`,
+            step.doseMg !== undefined ? Number(step.doseMg.toFixed(2)) : '',
+            step.volumeMl !== undefined ? step.volumeMl : '',
+            step.rateMgKgHr !== undefined ? step.rateMgKgHr.toFixed(2) : '',
+            step.rateMlH !== undefined ? step.rateMlH : '',
+            step.warning || ''
+        ].map(quote).join(','));
+
+        const preparation = pumpProgram.preparation;
+        return '\uFEFF' + [
+            quote(I18n.t('csv.pumpProgram.preparation', {
+                vialMg: preparation.vialMg,
+                dilutionMl: preparation.dilutionMl,
+                concentration: Number(pumpProgram.concentration.toFixed(4)),
+                pumpMinRate: preparation.pumpMinRate,
+                pumpMaxRate: preparation.pumpMaxRate
+            })),
+            headers.map(quote).join(','),
+            ...rows
+        ].join('\n'); // BOM for Excel compatibility
+    }
+}
+
+// Export for use in other modules
+if (typeof window !== 'undefined') {
+    window.DrugPreparation = DrugPreparation;
+}
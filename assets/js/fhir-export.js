@@ -0,0 +1,436 @@
+/**
+ * FHIR Export
+ * HL7 FHIR R4 (4.0.1) Bundle へのプロトコル出力
+ *
+ * 1症例 = 1 Bundle (type: collection):
+ *   Patient                  - 患者ID (identifier), 性別
+ *   Observation (vital-signs) - 体重 (LOINC 29463-7), 身長 (LOINC 8302-2)
+ *   MedicationRequest        - clinicalProtocol の各投与ステップ (intent: plan)
+ *   MedicationAdministration - 同ステップの予定投与 (status: unknown, request で MedicationRequest を参照)
+ *   Observation              - 予測効果部位濃度 (observationInterval 分ごと, status: preliminary)
+ *
+ * 時刻は startTime (投与開始 t=0) からの経過分で絶対時刻に変換する。
+ * ボーラスは doseQuantity (mg)、持続投与は rateQuantity (mg/kg/h) で、経路は静脈内 (SNOMED CT 47625008)。
+ * レミマゾラムの停止 (速度 0) は直前の持続投与期間の終了として表す。
+ */
+
+class FHIRProtocolExporter {
+    static FHIR_VERSION = '4.0.1';
+    static DEFAULTS = {
+        observationInterval: 1.0 // min
+    };
+
+    static SYSTEMS = {
+        ucum: 'http://unitsofmeasure.org',
+        snomed: 'http://snomed.info/sct',
+        loinc: 'http://loinc.org',
+        atc: 'http://www.whocc.no/atc',
+        observationCategory: 'http://terminology.hl7.org/CodeSystem/observation-category'
+    };
+
+    static MEDICATIONS = {
+        remimazolam: { code: 'N05CD14', display: 'remimazolam', text: 'Remimazolam' },
+        flumazenil: { code: 'V03AB25', display: 'flumazenil', text: 'Flumazenil' }
+    };
+
+    constructor(options = {}) {
+        this.options = { ...FHIRProtocolExporter.DEFAULTS, ...options };
+        if (!(this.options.observationInterval >= MasuiModelConstants.TIME_STEP)) {
+            throw new Error(I18n.t('fhir.invalidObservationInterval', { min: MasuiModelConstants.TIME_STEP }));
+        }
+    }
+
+    static createId() {
+        if (typeof crypto !== 'undefined' && crypto.randomUUID) {
+            return crypto.randomUUID();
+        }
+        return 'xxxxxxxx-xxxx-4xxx-yxxx-xxxxxxxxxxxx'.replace(/[xy]/g, char => {
+            const random = Math.random() * 16 | 0;
+            return (char === 'x' ? random : (random & 0x3 | 0x8)).toString(16);
+        });
+    }
+
+    /**
+     * calculateBolusProtocol の結果から Bundle を作成
+     */
+    createBundle(results, startTime = new Date()) {
+        const entries = [];
+        const add = resource => {
+            resource.id = FHIRProtocolExporter.createId();
+            entries.push({ fullUrl: `urn:uuid:${resource.id}`, resource: resource });
+            return { reference: `urn:uuid:${resource.id}` };
+        };
+        const at = minutes => new Date(startTime.getTime() + minutes * 60000).toISOString();
+
+        const patient = add(this.createPatient(results.patient));
+        add(this.createVitalSign(patient, '29463-7', 'Body weight', results.patient.weight, 'kg', at(0)));
+        add(this.createVitalSign(patient, '8302-2', 'Body height', results.patient.height, 'cm', at(0)));
+
+        this.buildDoseSteps(results).forEach(step => {
+            const request = add(this.createMedicationRequest(step, patient, at));
+            add(this.createMedicationAdministration(step, patient, request, at));
+        });
+
+        this.sampleSeries(results.simulationData).forEach(point => {
+            add(this.createCeObservation(point, patient, at, results));
+        });
+
+        return {
+            resourceType: 'Bundle',
+            id: FHIRProtocolExporter.createId(),
+            meta: { lastUpdated: new Date().toISOString() },
+            type: 'collection',
+            timestamp: new Date().toISOString(),
+            entry: entries
+        };
+    }
+
+    /**
+     * clinicalProtocol の各ステップを投与単位 (ボーラス / 持続投与期間) に展開
+     */
+    buildDoseSteps(results) {
+        const protocol = results.clinicalProtocol;
+        const series = results.simulationData;
+        const endOfCase = series[series.length - 1].time;
+
+        const steps = [
+            { drug: 'remimazolam', kind: 'bolus', time: 0, dose: results.bolusDose, protocol: protocol[0] }
+        ];
+        const rateChanges = [{ time: 0, rate: series[0].infusionRate, protocol: protocol[1] }];
+
+        results.dosageAdjustments.forEach((adjustment, index) => {
+            const row = protocol[index + 2];
+            if (adjustment.type === 'flumazenil_reversal') {
+                steps.push({ drug: 'flumazenil', kind: 'bolus', time: adjustment.time, dose: adjustment.flumazenilDose, protocol: row });
+            }
+            if (adjustment.type !== 'resedation_risk' && adjustment.newRate !== adjustment.oldRate) {
+                rateChanges.push({ time: adjustment.time, rate: adjustment.newRate, protocol: row });
+            }
+        });
+
+        rateChanges.forEach((change, index) => {
+            if (change.rate <= 0) return;
+            const next = rateChanges[index + 1];
+            steps.push({
+                drug: 'remimazolam',
+                kind: 'infusion',
+                time: change.time,
+                endTime: next ? next.time : endOfCase,
+                rate: change.rate,
+                protocol: change.protocol
+            });
+        });
+
+        return steps.sort((a, b) => a.time - b.time || a.protocol.step - b.protocol.step);
+    }
+
+    sampleSeries(series) {
+        const every = Math.round(this.options.observationInterval / MasuiModelConstants.TIME_STEP);
+        return series.filter(point => Math.round(point.time / MasuiModelConstants.TIME_STEP) % every === 0);
+    }
+
+    createPatient(patient) {
+        return {
+            resourceType: 'Patient',
+            identifier: [{ value: String(patient.patientId) }],
+            gender: patient.sex === 0 ? 'male' : 'female'
+        };
+    }
+
+    createVitalSign(subject, loincCode, display, value, unit, effective) {
+        return {
+            resourceType: 'Observation',
+            status: 'final',
+            category: [{
+                coding: [{ system: FHIRProtocolExporter.SYSTEMS.observationCategory, code: 'vital-signs', display: 'Vital Signs' }]
+            }],
+            code: { coding: [{ system: FHIRProtocolExporter.SYSTEMS.loinc, code: loincCode, display: display }], text: display },
+            subject: subject,
+            effectiveDateTime: effective,
+            valueQuantity: this.quantity(value, unit)
+        };
+    }
+
+    medicationConcept(drug) {
+        const medication = FHIRProtocolExporter.MEDICATIONS[drug];
+        return {
+            coding: [{ system: FHIRProtocolExporter.SYSTEMS.atc, code: medication.code, display: medication.display }],
+            text: medication.text
+        };
+    }
+
+    route() {
+        return {
+            coding: [{ system: FHIRProtocolExporter.SYSTEMS.snomed, code: '47625008', display: 'Intravenous route' }],
+            text: I18n.t('fhir.route')
+        };
+    }
+
+    quantity(value, unit) {
+        return { value: Number(value.toFixed(4)), unit: unit, system: FHIRProtocolExporter.SYSTEMS.ucum, code: unit };
+    }
+
+    describeStep(step) {
+        const row = step.protocol;
+        return `${row.method}: ${row.dose} (${row.timing}) ${row.notes}`;
+    }
+
+    createMedicationRequest(step, subject, at) {
+        const doseAndRate = step.kind === 'bolus' ?
+            { doseQuantity: this.quantity(step.dose, 'mg') } :
+            { rateQuantity: this.quantity(step.rate, 'mg/kg/h') };
+        const timing = step.kind === 'bolus' ?
+            { event: [at(step.time)] } :
+            { repeat: { boundsPeriod: { start: at(step.time), end: at(step.endTime) } } };
+
+        return {
+            resourceType: 'MedicationRequest',
+            status: 'active',
+            intent: 'plan',
+            medicationCodeableConcept: this.medicationConcept(step.drug),
+            subject: subject,
+            authoredOn: new Date().toISOString(),
+            dosageInstruction: [{
+                sequence: step.protocol.step,
+                text: this.describeStep(step),
+                timing: timing,
+                route: this.route(),
+                doseAndRate: [doseAndRate]
+            }]
+        };
+    }
+
+    createMedicationAdministration(step, subject, request, at) {
+        const administration = {
+            resourceType: 'MedicationAdministration',
+            status: 'unknown',
+            medicationCodeableConcept: this.medicationConcept(step.drug),
+            subject: subject,
+            request: request,
+            note: [{ text: I18n.t('fhir.plannedAdministration', { step: this.describeStep(step) }) }],
+            dosage: {
+                text: this.describeStep(step),
+                route: this.route()
+            }
+        };
+
+        if (step.kind === 'bolus') {
+            administration.effectiveDateTime = at(step.time);
+            administration.dosage.dose = this.quantity(step.dose, 'mg');
+        } else {
+            administration.effectivePeriod = { start: at(step.time), end: at(step.endTime) };
+            administration.dosage.rateQuantity = this.quantity(step.rate, 'mg/kg/h');
+        }
+        return administration;
+    }
+
+    createCeObservation(point, subject, at, results) {
+        return {
+            resourceType: 'Observation',
+            status: 'preliminary',
+            code: { text: 'Predicted remimazolam effect-site concentration' },
+            subject: subject,
+            effectiveDateTime: at(point.time),
+            valueQuantity: this.quantity(point.ce, 'ug/mL'),
+            method: { text: `${results.modelId} PK model (${results.engine}) prediction` }
+        };
+    }
+}
+
+/**
+ * FHIR R4 JSON スキーマ (fhir.schema.json) のうち本出力で使う定義の部分集合による構造検証
+ * (オフラインで実行でき、Bundle 内の参照 urn:uuid の解決も確認する)
+ */
+class FHIRBundleValidator {
+    static PRIMITIVES = {
+        id: /^[A-Za-z0-9\-.]{1,64}$/,
+        string: /^[ \r\n\t\S]+$/,
+        code: /^[^\s]+(\s[^\s]+)*$/,
+        uri: /^\S*$/,
+        dateTime: /^([0-9]([0-9]([0-9][1-9]|[1-9]0)|[1-9]00)|[1-9]000)(-(0[1-9]|1[0-2])(-(0[1-9]|[1-2][0-9]|3[0-1])(T([01][0-9]|2[0-3]):[0-5][0-9]:([0-5][0-9]|60)(\.[0-9]+)?(Z|(\+|-)((0[0-9]|1[0-3]):[0-5][0-9]|14:00)))?)?)?$/,
+        instant: /^([0-9]([0-9]([0-9][1-9]|[1-9]0)|[1-9]00)|[1-9]000)-(0[1-9]|1[0-2])-(0[1-9]|[1-2][0-9]|3[0-1])T([01][0-9]|2[0-3]):[0-5][0-9]:([0-5][0-9]|60)(\.[0-9]+)?(Z|(\+|-)((0[0-9]|1[0-3]):[0-5][0-9]|14:00))$/
+    };
+
+    // properties: type name, [type name] for arrays, or { enum: [...] }; choice: one of the listed [x] variants
+    static DEFINITIONS = {
+        Bundle: {
+            properties: {
+                resourceType: { enum: ['Bundle'] }, id: 'id', meta: 'Meta', timestamp: 'instant', entry: ['BundleEntry'],
+                type: { enum: ['document', 'message', 'transaction', 'transaction-response', 'batch', 'batch-response', 'history', 'searchset', 'collection'] }
+            },
+            required: ['resourceType', 'type']
+        },
+        BundleEntry: { properties: { fullUrl: 'uri', resource: 'Resource' }, required: [] },
+        Meta: { properties: { lastUpdated: 'instant' }, required: [] },
+        Patient: {
+            properties: {
+                resourceType: { enum: ['Patient'] }, id: 'id', identifier: ['Identifier'],
+                gender: { enum: ['male', 'female', 'other', 'unknown'] }
+            },
+            required: ['resourceType']
+        },
+        MedicationRequest: {
+            properties: {
+                resourceType: { enum: ['MedicationRequest'] }, id: 'id',
+                status: { enum: ['active', 'on-hold', 'cancelled', 'completed', 'entered-in-error', 'stopped', 'draft', 'unknown'] },
+                intent: { enum: ['proposal', 'plan', 'order', 'original-order', 'reflex-order', 'filler-order', 'instance-order', 'option'] },
+                medicationCodeableConcept: 'CodeableConcept', medicationReference: 'Reference', subject: 'Reference',
+                authoredOn: 'dateTime', note: ['Annotation'], dosageInstruction: ['Dosage']
+            },
+            required: ['resourceType', 'status', 'intent', 'subject'],
+            choices: [['medicationCodeableConcept', 'medicationReference']]
+        },
+        MedicationAdministration: {
+            properties: {
+                resourceType: { enum: ['MedicationAdministration'] }, id: 'id',
+                status: { enum: ['in-progress', 'not-done', 'on-hold', 'completed', 'entered-in-error', 'stopped', 'unknown'] },
+                medicationCodeableConcept: 'CodeableConcept', medicationReference: 'Reference', subject: 'Reference',
+                effectiveDateTime: 'dateTime', effectivePeriod: 'Period', request: 'Reference', note: ['Annotation'],
+                dosage: 'MedicationAdministrationDosage'
+            },
+            required: ['resourceType', 'status', 'subject'],
+            choices: [['medicationCodeableConcept', 'medicationReference'], ['effectiveDateTime', 'effectivePeriod']]
+        },
+        MedicationAdministrationDosage: {
+            properties: { text: 'string', route: 'CodeableConcept', dose: 'Quantity', rateQuantity: 'Quantity' },
+            required: []
+        },
+        Observation: {
+            properties: {
+                resourceType: { enum: ['Observation'] }, id: 'id',
+                status: { enum: ['registered', 'preliminary', 'final', 'amended', 'corrected', 'cancelled', 'entered-in-error', 'unknown'] },
+                category: ['CodeableConcept'], code: 'CodeableConcept', subject: 'Reference', effectiveDateTime: 'dateTime',
+                valueQuantity: 'Quantity', method: 'CodeableConcept', note: ['Annotation']
+            },
+            required: ['resourceType', 'status', 'code']
+        },
+        Dosage: {
+            properties: {
+                sequence: 'integer', text: 'string', timing: 'Timing', route: 'CodeableConcept', doseAndRate: ['DosageDoseAndRate']
+            },
+            required: []
+        },
+        DosageDoseAndRate: {
+            properties: { type: 'CodeableConcept', doseQuantity: 'Quantity', rateQuantity: 'Quantity' },
+            required: []
+        },
+        Timing: { properties: { event: ['dateTime'], repeat: 'TimingRepeat' }, required: [] },
+        TimingRepeat: { properties: { boundsPeriod: 'Period' }, required: [] },
+        Period: { properties: { start: 'dateTime', end: 'dateTime' }, required: [] },
+        Quantity: { properties: { value: 'decimal', unit: 'string', system: 'uri', code: 'code' }, required: [] },
+        CodeableConcept: { properties: { coding: ['Coding'], text: 'string' }, required: [] },
+        Coding: { properties: { system: 'uri', code: 'code', display: 'string' }, required: [] },
+        Identifier: { properties: { system: 'uri', value: 'string' }, required: [] },
+        Reference: { properties: { reference: 'string', display: 'string' }, required: [] },
+        Annotation: { properties: { text: 'string' }, required: ['text'] }
+    };
+
+    static RESOURCE_TYPES = ['Patient', 'Observation', 'MedicationRequest', 'MedicationAdministration'];
+
+    /**
+     * エラーメッセージの配列を返す (空なら妥当)
+     */
+    static validate(bundle) {
+        const errors = [];
+        FHIRBundleValidator.check(bundle, 'Bundle', 'Bundle', errors);
+
+        // Every urn:uuid reference must resolve to an entry of this bundle
+        const fullUrls = new Set((bundle.entry || []).map(entry => entry.fullUrl));
+        (bundle.entry || []).forEach((entry, index) => {
+            FHIRBundleValidator.collectReferences(entry.resource).forEach(reference => {
+                if (reference.startsWith('urn:uuid:') && !fullUrls.has(reference)) {
+                    errors.push(I18n.t('fhir.validator.unresolvedReference', { index: index, reference: reference }));
+                }
+            });
+        });
+
+        return errors;
+    }
+
+    static check(value, type, path, errors) {
+        if (Array.isArray(type)) {
+            if (!Array.isArray(value) || value.length === 0) {
+                errors.push(I18n.t('fhir.validator.emptyArray', { path: path }));
+                return;
+            }
+            value.forEach((item, index) => FHIRBundleValidator.check(item, type[0], `${path}[${index}]`, errors));
+            return;
+        }
+
+        if (type.enum) {
+            if (!type.enum.includes(value)) {
+                errors.push(I18n.t('fhir.validator.notAllowed', { path: path, value: JSON.stringify(value), allowed: type.enum.join(' | ') }));
+            }
+            return;
+        }
+
+        if (type === 'decimal' || type === 'integer') {
+            const valid = typeof value === 'number' && Number.isFinite(value) && (type === 'decimal' || Number.isInteger(value));
+            if (!valid) {
+                errors.push(I18n.t('fhir.validator.wrongType', { path: path, type: type }));
+            }
+            return;
+        }
+
+        if (FHIRBundleValidator.PRIMITIVES[type]) {
+            if (typeof value !== 'string' || !FHIRBundleValidator.PRIMITIVES[type].test(value)) {
+                errors.push(I18n.t('fhir.validator.wrongFormat', { path: path, type: type, value: JSON.stringify(value) }));
+            }
+            return;
+        }
+
+        if (type === 'Resource') {
+            if (!value || !FHIRBundleValidator.RESOURCE_TYPES.includes(value.resourceType)) {
+                errors.push(I18n.t('fhir.validator.unsupportedResource', { path: path, resourceType: String(value && value.resourceType) }));
+                return;
+            }
+            type = value.resourceType;
+        }
+
+        const definition = FHIRBundleValidator.DEFINITIONS[type];
+        if (!value || typeof value !== 'object' || Array.isArray(value)) {
+            errors.push(I18n.t('fhir.validator.notObject', { path: path, type: type }));
+            return;
+        }
+
+        definition.required.forEach(key => {
+            if (value[key] === undefined) {
+                errors.push(I18n.t('fhir.validator.required', { path: `${path}.${key}` }));
+            }
+        });
+        (definition.choices || []).forEach(choice => {
+            const present = choice.filter(key => value[key] !== undefined);
+            if (present.length !== 1) {
+                errors.push(I18n.t('fhir.validator.choice', { path: path, choices: choice.join(' / ') }));
+            }
+        });
+        Object.keys(value).forEach(key => {
+            if (!definition.properties[key]) {
+                errors.push(I18n.t('fhir.validator.unknownProperty', { path: `${path}.${key}`, type: type }));
+                return;
+            }
+            FHIRBundleValidator.check(value[key], definition.properties[key], `${path}.${key}`, errors);
+        });
+    }
+
+    static collectReferences(value, references = []) {
+        if (Array.isArray(value)) {
+            value.forEach(item => FHIRBundleValidator.collectReferences(item, references));
+        } else if (value && typeof value === 'object') {
+            Object.entries(value).forEach(([key, item]) => {
+                if (key === 'reference' && typeof item === 'string') {
+                    references.push(item);
+                } else {
+                    FHIRBundleValidator.collectReferences(item, references);
+                }
+            });
+        }
+        return references;
+    }
+}
+
+// Export for use in other modules
+if (typeof window !== 'undefined') {
+    window.FHIRProtocolExporter = FHIRProtocolExporter;
+    window.FHIRBundleValidator = FHIRBundleValidator;
+}
@@ -0,0 +1,151 @@
+/**
+ * Flumazenil Reversal Model
+ * フルマゼニルによる拮抗と再鎮静リスクの評価
+ *
+ * フルマゼニルは一区画モデル + 効果部位 (単回静注) とし、ベンゾジアゼピン受容体での
+ * 競合的拮抗を Gaddum の式で表す:
+ *   実効Ce = Ce / (1 + Ce_flu / KB)
+ * 実効Ce は「拮抗薬がない場合に同じ鎮静を生じるレミマゾラム Ce」であり、
+ * Ce から予測される鎮静度をそのまま拮抗後の鎮静度として評価できる。
+ *
+ * PKは文献上の典型値 (CL ≈ 1 L/min, Vss ≈ 1 L/kg, t1/2 ≈ 50分) に基づく。
+ * KB は出典を示せない仮の値 (placeholder, 0.2 mg 投与で約45分の拮抗効果となるよう設定) であり、
+ * reversal.kb で変更できる。仮の値のまま使っている場合は annotate() の placeholders に 'kb' を返す。
+ *
+ * シミュレーション終了後も拮抗効果は減弱し続けるため、再鎮静の判定は終了時点の投与速度を維持した
+ * (中止済みなら減衰する) レミマゾラム Ce (DecrementTimeCalculator と同じ解析解) に延長して行う。
+ */
+
+class FlumazenilReversalModel {
+    static DEFAULTS = {
+        dose: 0.2,              // mg
+        volumePerKg: 1.0,       // L/kg
+        clearancePerKg: 0.014,  // L/min/kg
+        ke0: 0.5,               // min^-1
+        kb: 1.5,                // ng/mL, effect-site concentration halving agonist potency (placeholder)
+        resedationCe: 0.5,      // μg/mL, remimazolam-equivalent Ce regarded as sedated
+        stopInfusion: true      // stop remimazolam at the time of reversal
+    };
+
+    static PLACEHOLDER_KEYS = ['kb'];
+
+    static MIN_DOSE = 0.1; // mg
+    static MAX_DOSE = 1.0; // mg, maximum single dose
+    static PROJECTION_HORIZON = 360.0; // min after the simulated window
+    static PROJECTION_STEP = 0.5;      // min
+
+    constructor(patient, reversalParams) {
+        this.patient = patient;
+        this.params = { ...FlumazenilReversalModel.DEFAULTS, ...reversalParams };
+        this.volume = this.params.volumePerKg * patient.weight;
+        this.k = (this.params.clearancePerKg * patient.weight) / this.volume;
+    }
+
+    // ValidationIssue[] for the 'reversal' protocol parameter
+    static validate(reversalParams) {
+        const params = { ...FlumazenilReversalModel.DEFAULTS, ...reversalParams };
+        const issues = [
+            ValidationIssue.checkRange('REVERSAL_TIME_OUT_OF_RANGE', 'reversal.time', params.time,
+                0, MasuiModelConstants.SIMULATION_DURATION),
+            ValidationIssue.checkRange('FLUMAZENIL_DOSE_OUT_OF_RANGE', 'reversal.dose', params.dose,
+                FlumazenilReversalModel.MIN_DOSE, FlumazenilReversalModel.MAX_DOSE)
+        ];
+        if (!(params.resedationCe > 0)) {
+            issues.push(new ValidationIssue('RESEDATION_CE_INVALID', 'reversal.resedationCe', { min: 0 }, params.resedationCe));
+        }
+
+        return issues.filter(issue => issue !== null);
+    }
+
+    get time() {
+        return this.params.time;
+    }
+
+    // Flumazenil plasma / effect-site concentration (ng/mL) t minutes after the dose
+    concentrationsAt(t) {
+        if (t < 0) {
+            return { plasma: 0, effect: 0 };
+        }
+
+        const c0 = (this.params.dose / this.volume) * 1000; // mg/L -> ng/mL
+        const ke0 = this.params.ke0;
+        const expK = Math.exp(-this.k * t);
+        const expKe0 = Math.exp(-ke0 * t);
+        const effect = Math.abs(ke0 - this.k) < 1e-9 ?
+            c0 * ke0 * t * expK :
+            c0 * ke0 / (ke0 - this.k) * (expK - expKe0);
+
+        return { plasma: c0 * expK, effect: effect };
+    }
+
+    // Remimazolam Ce that would produce the same sedation without flumazenil
+    calculateEffectiveCe(ce, flumazenilCe) {
+        return ce / (1 + flumazenilCe / this.params.kb);
+    }
+
+    /**
+     * 時系列に flumazenilCe / effectiveCe を付加し、再鎮静リスクを評価
+     * 拮抗で実効Ce が判定濃度を下回った後、拮抗効果の減弱で再び上回る時点を再鎮静とする
+     * projectCe(t) は時系列の最終時点から t 分後のレミマゾラム Ce (終了時点の速度を維持)。
+     * 指定すると、時系列内で判定できない場合に終了後へ延長して判定する (projected: true)
+     */
+    annotate(timeSeriesData, projectCe = null) {
+        const resedationCe = this.params.resedationCe;
+        let minEffectiveCe = Infinity;
+        let reversedTime = null;
+        let resedation = null;
+
+        const track = point => {
+            point.flumazenilCe = this.concentrationsAt(point.time - this.time).effect;
+            point.effectiveCe = this.calculateEffectiveCe(point.ce, point.flumazenilCe);
+
+            if (point.time < this.time) return;
+
+            minEffectiveCe = Math.min(minEffectiveCe, point.effectiveCe);
+            if (reversedTime === null && point.effectiveCe < resedationCe) {
+                reversedTime = point.time;
+            } else if (reversedTime !== null && resedation === null && point.effectiveCe >= resedationCe) {
+                resedation = point;
+            }
+        };
+        timeSeriesData.forEach(track);
+
+        const end = timeSeriesData[timeSeriesData.length - 1].time;
+        if (resedation === null && projectCe) {
+            const finalRate = timeSeriesData[timeSeriesData.length - 1].infusionRate;
+            const step = FlumazenilReversalModel.PROJECTION_STEP;
+            let previousCe = projectCe(0);
+            for (let t = step; t <= FlumazenilReversalModel.PROJECTION_HORIZON && resedation === null; t += step) {
+                const ce = projectCe(t);
+                track({ time: end + t, ce: ce, infusionRate: finalRate, projected: true });
+                // Once remimazolam itself is below the limit and falling, the effective Ce cannot rise above it
+                if (ce < resedationCe && ce <= previousCe) break;
+                previousCe = ce;
+            }
+        }
+
+        return {
+            time: this.time,
+            dose: this.params.dose,
+            resedationCe: resedationCe,
+            stopInfusion: this.params.stopInfusion,
+            placeholders: FlumazenilReversalModel.PLACEHOLDER_KEYS.filter(key =>
+                this.params[key] === FlumazenilReversalModel.DEFAULTS[key]),
+            reversedTime: reversedTime,
+            minEffectiveCe: minEffectiveCe,
+            resedationRisk: resedation !== null,
+            resedationTime: resedation ? resedation.time : null,
+            resedationProjected: resedation !== null && resedation.projected === true,
+            projectedFrom: projectCe ? end : null,
+            infusionRateAtResedation: resedation ? resedation.infusionRate : null,
+            effectiveCeAtResedation: resedation ? resedation.effectiveCe : null,
+            ceAtResedation: resedation ? resedation.ce : null,
+            flumazenilCeAtResedation: resedation ? resedation.flumazenilCe : null
+        };
+    }
+}
+
+// Export for use in other modules
+if (typeof window !== 'undefined') {
+    window.FlumazenilReversalModel = FlumazenilReversalModel;
+}
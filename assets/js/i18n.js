@@ -0,0 +1,96 @@
+/**
+ * I18n
+ * 画面・プロトコル・アラート・出力ファイルの表示文字列をロケールごとのバンドルから取得する
+ *
+ * バンドルは assets/js/locales/<locale>.js で I18n.register(locale, { name, strings }) により登録する。
+ * ロケールの追加はバンドルのファイルを1つ加えて index.html (と index.js) で読み込むだけでよい。
+ *
+ *   strings: { 'protocol.bolus.method': 'Bolus', 'alert.targetChangeWarning.message': '... changes to {target:2} μg/mL in 2 min.', ... }
+ *   I18n.t('alert.targetChangeWarning.message', { target: 0.8 })   // {name} は値そのもの, {name:2} は toFixed(2)
+ *
+ * 現在のロケールに無いキーは既定ロケール (ja) の値、それも無ければキー自体を返す。
+ * 画面の静的な文字列は data-i18n / data-i18n-placeholder / data-i18n-title 属性で translateDocument が置き換える。
+ */
+
+class I18n {
+    static DEFAULT_LOCALE = 'ja';
+    static STORAGE_KEY = 'remimazolam-tci-locale';
+    static locale = I18n.DEFAULT_LOCALE;
+    static bundles = new Map();
+    static listeners = [];
+
+    static register(locale, bundle) {
+        if (!bundle || typeof bundle.strings !== 'object') {
+            throw new Error(`Locale bundle ${locale} must define strings`);
+        }
+        this.bundles.set(locale, { name: bundle.name || locale, strings: bundle.strings });
+    }
+
+    static list() {
+        return Array.from(this.bundles.entries()).map(([locale, bundle]) => ({ locale: locale, name: bundle.name }));
+    }
+
+    static has(key, locale = this.locale) {
+        const bundle = this.bundles.get(locale);
+        return Boolean(bundle) && bundle.strings[key] !== undefined;
+    }
+
+    static setLocale(locale) {
+        if (!this.bundles.has(locale)) {
+            throw new Error(`Unknown locale: ${locale}`);
+        }
+        this.locale = locale;
+        this.listeners.forEach(listener => listener(locale));
+    }
+
+    static onChange(listener) {
+        this.listeners.push(listener);
+    }
+
+    // Saved choice, then the browser language, then the default
+    static detectLocale(storage = null, languages = []) {
+        const saved = storage ? storage.getItem(this.STORAGE_KEY) : null;
+        if (saved && this.bundles.has(saved)) return saved;
+
+        const match = languages.map(language => language.toLowerCase().split('-')[0])
+            .find(language => this.bundles.has(language));
+        return match || this.DEFAULT_LOCALE;
+    }
+
+    static t(key, params = {}, locale = this.locale) {
+        const template = [locale, this.DEFAULT_LOCALE]
+            .map(candidate => this.bundles.get(candidate))
+            .map(bundle => bundle && bundle.strings[key])
+            .find(value => value !== undefined);
+        return template === undefined ? key : this.format(template, params);
+    }
+
+    static format(template, params = {}) {
+        return template.replace(/\{(\w+)(?::(\d+))?\}/g, (match, name, digits) => {
+            const value = params[name];
+            if (value === undefined || value === null) return match;
+            return digits !== undefined ? Number(value).toFixed(Number(digits)) : String(value);
+        });
+    }
+
+    static translateDocument(root = document) {
+        root.querySelectorAll('[data-i18n]').forEach(element => {
+            element.textContent = this.t(element.dataset.i18n);
+        });
+        root.querySelectorAll('[data-i18n-placeholder]').forEach(element => {
+            element.placeholder = this.t(element.dataset.i18nPlaceholder);
+        });
+        root.querySelectorAll('[data-i18n-title]').forEach(element => {
+            element.title = this.t(element.dataset.i18nTitle);
+        });
+        if (root.documentElement) {
+            root.documentElement.lang = this.locale;
+            root.title = this.t('app.documentTitle');
+        }
+    }
+}
+
+// Export for use in other modules
+if (typeof window !== 'undefined') {
+    window.I18n = I18n;
+}
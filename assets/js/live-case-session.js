@@ -0,0 +1,169 @@
+/**
+ * Live Case Session
+ * 術中ライブモード: 実時間に対するアラートのスケジューリングと実施記録
+ *
+ * 開始時刻を t=0 とし、BolusAlertManager.generateBolusAlerts のアラートを経過時間で発火させる。
+ * 投与を伴うステップは確認した時刻で投与記録 (DoseEventReplaySimulator のイベント) に追加し、
+ * 現在の予測Ce は実施記録の再生から求める。延期したステップは延期後の時刻に再度発火する。
+ * TCI速度変更はポンプが自動で行うため、予定時刻に自動で記録する。
+ *
+ * DOM に依存しないため、時計 (clock: () => ミリ秒) を差し替えて検証できる。
+ */
+
+class LiveCaseSession {
+    static DEFAULT_POSTPONE_MINUTES = 2;
+
+    constructor(results, alerts, clock = () => Date.now()) {
+        this.results = results;
+        this.clock = clock;
+        this.startTime = null;
+        this.endTime = null;
+        this.doseEvents = [];
+        this.replaySimulator = new DoseEventReplaySimulator(results.patient, results.pkParams);
+
+        this.alerts = alerts
+            .map((alert, index) => ({
+                ...alert,
+                id: index,
+                scheduledTime: alert.time,
+                time: Math.max(0, alert.time),
+                status: 'pending',
+                postponeCount: 0,
+                action: this.getDoseAction(alert),
+                autoApply: alert.adjustment?.type === 'tci_update'
+            }))
+            .sort((a, b) => a.time - b.time || a.id - b.id);
+    }
+
+    // Dose event recorded when the step is carried out (null for notices and pre-warnings)
+    getDoseAction(alert) {
+        if (alert.type === 'bolus') {
+            return { type: 'bolus', dose: this.results.bolusDose };
+        }
+        if (alert.type === 'continuous_start') {
+            return { type: 'rate', rate: this.results.simulationData[0].infusionRate };
+        }
+        if (alert.type === 'adjustment' && alert.adjustment) {
+            return { type: 'rate', rate: alert.adjustment.newRate };
+        }
+        return null;
+    }
+
+    start() {
+        this.startTime = this.clock();
+        this.endTime = null;
+    }
+
+    stop() {
+        this.endTime = this.clock();
+    }
+
+    isRunning() {
+        return this.startTime !== null && this.endTime === null;
+    }
+
+    getElapsedMinutes() {
+        if (this.startTime === null) return 0;
+        return ((this.endTime !== null ? this.endTime : this.clock()) - this.startTime) / 60000;
+    }
+
+    /**
+     * 予定時刻に達したアラートを due にして返す (TCI速度変更は自動で記録)
+     */
+    tick() {
+        if (!this.isRunning()) return [];
+
+        const elapsed = this.getElapsedMinutes();
+        const due = this.alerts.filter(alert => alert.status === 'pending' && alert.time <= elapsed);
+
+        due.forEach(alert => {
+            if (alert.autoApply) {
+                this.complete(alert, alert.time);
+            } else {
+                alert.status = 'due';
+            }
+        });
+
+        return due;
+    }
+
+    getAlert(id) {
+        const alert = this.alerts.find(item => item.id === id);
+        if (!alert) {
+            throw new Error(`Unknown alert: ${id}`);
+        }
+        return alert;
+    }
+
+    // Step carried out now
+    confirm(id) {
+        const alert = this.getAlert(id);
+        if (alert.status === 'confirmed') return alert;
+        return this.complete(alert, this.getElapsedMinutes());
+    }
+
+    complete(alert, time) {
+        alert.status = 'confirmed';
+        alert.confirmedTime = time;
+        if (alert.action) {
+            this.doseEvents.push({ time: Number(time.toFixed(2)), ...alert.action });
+        }
+        return alert;
+    }
+
+    // Re-schedule the step `minutes` from now
+    postpone(id, minutes = LiveCaseSession.DEFAULT_POSTPONE_MINUTES) {
+        const alert = this.getAlert(id);
+        if (alert.status === 'confirmed') {
+            throw new Error(I18n.t('liveCase.cannotPostponeConfirmed'));
+        }
+        if (!(minutes > 0)) {
+            throw new Error(I18n.t('liveCase.invalidPostpone'));
+        }
+
+        alert.time = this.getElapsedMinutes() + minutes;
+        alert.status = 'pending';
+        alert.postponeCount++;
+        this.alerts.sort((a, b) => a.time - b.time || a.id - b.id);
+        return alert;
+    }
+
+    getNextAlert() {
+        return this.alerts.find(alert => alert.status === 'pending') || null;
+    }
+
+    getDueAlerts() {
+        return this.alerts.filter(alert => alert.status === 'due');
+    }
+
+    /**
+     * 実施記録からの現在の予測Ce と、計画 (シミュレーション) 上の Ce
+     */
+    getCurrentConcentrations() {
+        const elapsed = this.getElapsedMinutes();
+        const planned = this.results.simulationData;
+        const plannedIndex = Math.min(planned.length - 1, Math.round(elapsed / MasuiModelConstants.TIME_STEP));
+
+        let predicted = { ce: 0, plasma: 0 };
+        if (this.doseEvents.length > 0) {
+            const replay = this.replaySimulator.simulate(this.doseEvents, elapsed);
+            predicted = replay.timeSeriesData[replay.timeSeriesData.length - 1];
+        }
+
+        return {
+            elapsed: elapsed,
+            predictedCe: predicted.ce,
+            predictedPlasma: predicted.plasma,
+            plannedCe: planned[plannedIndex].ce
+        };
+    }
+
+    getDoseEvents() {
+        return this.doseEvents.slice();
+    }
+}
+
+// Export for use in other modules
+if (typeof window !== 'undefined') {
+    window.LiveCaseSession = LiveCaseSession;
+}
@@ -0,0 +1,773 @@
+/**
+ * English bundle
+ * 日本語バンドル (ja.js) と同じキーを持つ。{param} は I18n.t の引数で置換される
+ */
+
+I18n.register('en', {
+    name: 'English',
+    strings: {
+        // Validation (ValidationIssue codes)
+        'validation.PATIENT_ID_REQUIRED': 'Patient ID is required',
+        'validation.AGE_OUT_OF_RANGE': 'Age must be between {min} and {max} years',
+        'validation.WEIGHT_OUT_OF_RANGE': 'Weight must be between {min} and {max} kg',
+        'validation.BMI_OUT_OF_RANGE': 'BMI is out of range (calculated: {actual:1})',
+        'validation.BOLUS_OUT_OF_RANGE': 'Bolus dose must be between {min} and {max} mg',
+        'validation.TARGET_CE_OUT_OF_RANGE': 'Target effect-site concentration must be between {min} and {max} μg/mL',
+        'validation.SCHEDULE_EMPTY': 'The target schedule needs at least one segment',
+        'validation.SCHEDULE_FORMAT': 'Invalid target schedule entry: "{actual}" (e.g. 15:0.8)',
+        'validation.SCHEDULE_FIRST_START': 'The first schedule segment must start at 0 min',
+        'validation.SCHEDULE_START_OUT_OF_RANGE': 'Segment {segment} must start at {min} min or later and before {max} min',
+        'validation.SCHEDULE_TARGET_OUT_OF_RANGE': 'Segment {segment} target effect-site concentration must be between {min} and {max} μg/mL',
+        'validation.SCHEDULE_DUPLICATE_START': 'Segment {segment} has the same start time as the previous segment',
+        'validation.KE0_UNSOLVABLE': 'ke0 could not be solved numerically for model {modelId}',
+        'validation.KE0_FALLBACK_REGRESSION': 'ke0 could not be solved numerically; using the regression approximation ({actual:4} /min)',
+        'validation.KE0_FALLBACK_DEFAULT': 'ke0 could not be calculated; using the default value ({actual} /min)',
+        'validation.HEIGHT_OUT_OF_RANGE': 'Height must be between {min} and {max} cm',
+        'validation.SEX_INVALID': 'Sex must be male (0) or female (1)',
+        'validation.ASA_INVALID': 'ASA-PS must be I-II (0) or III-IV (1)',
+        'validation.CONTROL_MODE_INVALID': 'Unknown control mode: {actual}',
+        'validation.DECREMENT_STOP_TIME_OUT_OF_RANGE': 'Infusion stop time must be between {min} and {max} min',
+        'validation.TARGET_REACH_TIME_OUT_OF_RANGE': 'Target reach time must be between {min} and {max} min',
+        'validation.UPPER_THRESHOLD_RATIO_OUT_OF_RANGE': 'Upper threshold ratio must be between {min} and {max}',
+        'validation.REDUCTION_FACTOR_OUT_OF_RANGE': 'Reduction factor must be between {min} and {max}',
+        'validation.TCI_UPDATE_INTERVAL_OUT_OF_RANGE': 'TCI update interval must be between {min:3} and {max} min',
+        'validation.AWAKENING_CE_INVALID': 'Awakening concentration must be greater than {min}',
+        'validation.REVERSAL_TIME_OUT_OF_RANGE': 'Flumazenil time must be between {min} and {max} min',
+        'validation.FLUMAZENIL_DOSE_OUT_OF_RANGE': 'Flumazenil dose must be between {min} and {max} mg',
+        'validation.RESEDATION_CE_INVALID': 'Resedation concentration must be greater than {min}',
+        'validation.PREPARATION_VIAL_INVALID': 'Vial amount must be greater than {min}',
+        'validation.PREPARATION_DILUTION_INVALID': 'Dilution volume must be greater than {min}',
+        'validation.PUMP_MIN_RATE_INVALID': 'Pump minimum rate must be {min} or more',
+        'validation.PUMP_MAX_RATE_INVALID': 'Pump maximum rate must be greater than the minimum rate ({min})',
+        'validation.PUMP_RESOLUTION_INVALID': 'Pump rate resolution must be greater than {min}',
+        'validation.SYRINGE_VOLUME_INVALID': 'Syringe volume must be greater than {min}',
+        'validation.BOLUS_WEIGHTS_INVALID': 'Bolus scoring weights must be 0 or more and add up to more than 0',
+        'validation.MAX_OVERSHOOT_INVALID': 'Maximum overshoot must be greater than {min}',
+        'validation.MONTE_CARLO_PATIENTS_OUT_OF_RANGE': 'Number of virtual patients must be an integer from {min} to {max}',
+        'validation.MONTE_CARLO_TCI_PATIENTS_OUT_OF_RANGE': 'In TCI mode the number of virtual patients must be an integer from {min} to {max}',
+        'validation.MONTE_CARLO_SEED_INVALID': 'Random seed must be an integer of {min} or more',
+        'validation.PD_PARAMS_REQUIRED': 'Enter the PD model parameters ({parameters}) from a published estimate',
+        'validation.RESIDUAL_ERROR_REQUIRED': 'Enter the {type} residual error (additive and proportional) as values of {min} or more, at least one of them greater than 0',
+        'validation.OMEGA_REQUIRED': 'Enter the between-subject variability ω ({parameter}) as a value of {min} or more',
+
+        // Optimizer / protocol parameters
+        'optimizer.aboveTargetAtMinRate': 'Even at the minimum rate of {rate} mg/kg/hr, Ce at {time:1} min ({ce:3} μg/mL) exceeds the target of {target:3} μg/mL',
+        'optimizer.belowTargetAtMaxRate': 'Even at the maximum rate of {rate} mg/kg/hr, Ce at {time:1} min ({ce:3} μg/mL) does not reach the target of {target:3} μg/mL',
+        'optimizer.segmentEndOffTarget': 'Ce at the end of the segment from {start:0} min ({ce:3} μg/mL) is outside ±{tolerance:0}% of the target of {target:3} μg/mL',
+        'optimizer.overshootAtMinBolus': 'Even the minimum bolus of {bolus} mg gives an induction Ce peak ({ce:3} μg/mL) above the target',
+        'optimizer.belowTargetAtMaxBolus': 'Even the maximum bolus of {bolus} mg gives an induction Ce peak ({ce:3} μg/mL) below the target',
+
+        // Bolus recommendation
+        'bolus.recommendation.recommended': 'Recommended',
+        'bolus.recommendation.good': 'Good',
+        'bolus.recommendation.acceptable': 'Acceptable',
+        'bolus.recommendation.review': 'Review',
+        'bolus.tradeoff.overshootLimit': 'Induction peak exceeds the limit (+{limit:0}%)',
+        'bolus.tradeoff.rateInfeasible': 'Infusion rate outside the optimization range',
+        'bolus.tradeoff.best': 'Best overall: target in {time:1} min, peak +{overshoot:1}%, maintenance accuracy {accuracy:1}%',
+        'bolus.tradeoff.faster': 'Reaches target {time:1} min sooner',
+        'bolus.tradeoff.slower': 'Reaches target {time:1} min later',
+        'bolus.tradeoff.overshoot': 'Peak {sign}{overshoot:1}%',
+        'bolus.tradeoff.accuracy': 'Maintenance accuracy {sign}{accuracy:1}%',
+        'bolus.tradeoff.equivalent': 'About the same as the recommended dose',
+        'bolus.tradeoff.paretoOptimal': 'Pareto optimal',
+
+        // Clinical protocol
+        'protocol.bolus.method': 'Bolus',
+        'protocol.bolus.timing': 'At induction (immediately)',
+        'protocol.bolus.notes': 'Rapid IV injection',
+        'protocol.infusion.method': 'Start infusion',
+        'protocol.infusion.methodTci': 'Start TCI',
+        'protocol.infusion.timing': 'Right after the bolus',
+        'protocol.infusion.notes': 'Optimized rate',
+        'protocol.infusion.notesTci': 'Initial rate of effect-site targeted control',
+        'protocol.adjustment.timing': 'At {time:0} min',
+        'protocol.threshold.method': 'Threshold-based reduction',
+        'protocol.tci.method': 'TCI rate change',
+        'protocol.tci.decrease': '{percent:0}% decrease',
+        'protocol.tci.increase': '{percent:0}% increase',
+        'protocol.tci.resume': 'Infusion resumed',
+        'protocol.resedation.projected': ' (projected past the end of the simulation with the final rate held)',
+        'protocol.targetChange.method': 'Target change',
+        'protocol.segmentCorrection.method': 'Rate correction to hold target',
+        'protocol.segmentCorrection.notes': 'Re-optimized for target {target:2} μg/mL ({change})',
+        'protocol.targetChange.notes': 'Target {oldTarget:2} → {newTarget:2} μg/mL',
+        'protocol.flumazenil.method': 'Flumazenil',
+        'protocol.flumazenil.notesStop': 'Remimazolam stopped, reversal',
+        'protocol.flumazenil.notesContinue': 'Reversal (infusion continues)',
+        'protocol.resedation.method': 'Resedation risk',
+        'protocol.resedation.notes': 'Reversal wearing off: effective Ce {effectiveCe:2} μg/mL ≥ {resedationCe} μg/mL',
+
+        // Alerts
+        'alert.pumpSetting': ' (pump {setting})',
+        'alert.bolus.title': 'Give bolus',
+        'alert.bolus.message': 'Inject {dose}{pump} IV as a rapid bolus.',
+        'alert.continuousStart.title': 'Start infusion',
+        'alert.continuousStart.message': 'Start the infusion at {dose}{pump}.',
+        'alert.tciUpdate.title': 'TCI rate change',
+        'alert.tciUpdate.message': 'TCI changes the rate to {rate:2} mg/kg/hr{pump} ({change}).',
+        'alert.flumazenilWarning.title': 'Flumazenil due',
+        'alert.flumazenilWarning.message': 'Flumazenil {dose} mg is due in 2 min.',
+        'alert.flumazenil.title': 'Give flumazenil',
+        'alert.flumazenil.message': 'Inject flumazenil {dose} mg IV.',
+        'alert.flumazenil.stopRemimazolam': ' Stop the remimazolam infusion.',
+        'alert.resedation.title': 'Resedation risk',
+        'alert.resedation.message': 'As flumazenil wears off, the effective Ce exceeds {resedationCe} μg/mL (remimazolam Ce {ce:2} μg/mL). Reassess the level of sedation.',
+        'alert.targetChangeWarning.title': 'Target change due',
+        'alert.targetChangeWarning.message': 'The target effect-site concentration changes to {target:2} μg/mL in 2 min.',
+        'alert.segmentCorrectionWarning.title': 'Rate correction due',
+        'alert.segmentCorrectionWarning.message': 'The rate changes to {rate:2} mg/kg/hr{pump} in 2 min to hold the target of {target:2} μg/mL.',
+        'alert.segmentCorrection.title': 'Correct rate',
+        'alert.segmentCorrection.message': 'Change the rate to {rate:2} mg/kg/hr{pump} ({change}).',
+        'alert.targetChange.title': 'Change target',
+        'alert.targetChange.message': 'Change the target to {target:2} μg/mL and set the rate to {rate:2} mg/kg/hr{pump}.',
+        'alert.reductionWarning.title': 'Rate change due',
+        'alert.reductionWarning.message': 'Reduce the rate to {rate:2} mg/kg/hr{pump} in 2 min.',
+        'alert.reduction.title': 'Reduce rate',
+        'alert.reduction.message': 'Change the rate to {rate:2} mg/kg/hr{pump} ({percent:0}% decrease).',
+        'alert.syringeWarning.title': 'Syringe change due',
+        'alert.syringeWarning.message': 'Syringe {syringe} runs out in {minutes:0} min. Prepare the next syringe.',
+        'alert.syringeChange.title': 'Change syringe',
+        'alert.syringeChange.message': 'Syringe {syringe} is running out (cumulative {cumulativeDose:0} mg). Change to syringe {next}.',
+
+        // CSV headers
+        'csv.timeSeries.time': 'Time (min)',
+        'csv.timeSeries.ce': 'Effect-site concentration (μg/mL)',
+        'csv.timeSeries.plasma': 'Plasma concentration (μg/mL)',
+        'csv.timeSeries.infusionRate': 'Infusion rate (mg/kg/hr)',
+        'csv.timeSeries.targetCe': 'Target concentration (μg/mL)',
+        'csv.timeSeries.upperThreshold': 'Upper threshold (μg/mL)',
+        'csv.timeSeries.bis': 'Predicted BIS',
+        'csv.timeSeries.sedationProbability': 'P(MOAA/S≤1)',
+        'csv.timeSeries.cumulativeDose': 'Cumulative dose (mg)',
+        'csv.timeSeries.remifentanilCe': 'Remifentanil Ce (ng/mL)',
+        'csv.timeSeries.pNoResponse': 'P(no response)',
+        'csv.protocol.step': 'Step',
+        'csv.protocol.method': 'Method',
+        'csv.protocol.dose': 'Dose',
+        'csv.protocol.totalDose': 'Total dose',
+        'csv.protocol.timing': 'Timing',
+        'csv.protocol.notes': 'Notes',
+        'csv.protocol.pumpSetting': 'Pump setting',
+
+        // Dose records / observations / case history / cohort
+        'replay.noEvents': 'The dose record needs at least one event',
+        'replay.eventLabel': 'Event {index}',
+        'replay.unknownType': '{label}: unknown type ({type})',
+        'replay.invalidTime': '{label}: time must be between 0 and {max} min',
+        'replay.invalidBolus': '{label}: bolus dose must be greater than 0',
+        'replay.invalidRate': '{label}: rate must be between 0 and {max} mg/kg/hr',
+        'replay.invalidPause': '{label}: pause duration must be greater than 0',
+        'replay.invalidFlushConcentration': '{label}: flush concentration must be greater than 0',
+        'replay.invalidFlush': '{label}: flush volume must be greater than 0',
+        'replay.invalidFormat': 'Invalid dose record line: "{line}" (e.g. 0 bolus 7, 10 rate 1.5, 45 pause 5, 60 flush 2)',
+        'bayesian.noObservations': 'Enter at least one observation',
+        'bayesian.observationLabel': 'Observation {index}',
+        'bayesian.unknownType': '{label}: unknown type ({type})',
+        'bayesian.invalidTime': '{label}: time must be between 0 and {max} min',
+        'bayesian.invalidPlasma': '{label}: plasma concentration must be greater than 0',
+        'bayesian.invalidBis': '{label}: BIS must be between 0 and 100',
+        'bayesian.invalidFormat': 'Invalid observation line: "{line}" (e.g. 30 cp 0.85, 45 bis 48)',
+        'patient.sex.male': 'Male',
+        'patient.sex.female': 'Female',
+        'history.unavailable': 'Case history (IndexedDB) is not available in this browser',
+        'history.notFound': 'Case record not found: #{id}',
+        'history.compare.patientId': 'Patient ID',
+        'history.compare.createdAt': 'Saved at',
+        'history.compare.appVersion': 'App version',
+        'history.compare.model': 'PK model',
+        'history.compare.age': 'Age (years)',
+        'history.compare.weight': 'Weight (kg)',
+        'history.compare.height': 'Height (cm)',
+        'history.compare.sex': 'Sex',
+        'history.compare.asaPS': 'ASA-PS',
+        'history.compare.cl': 'CL (L/min)',
+        'history.compare.v1': 'V1 (L)',
+        'history.compare.ke0': 'ke0 (1/min)',
+        'history.compare.targetCe': 'Target Ce (μg/mL)',
+        'history.compare.bolusDose': 'Bolus (mg)',
+        'history.compare.initialRate': 'Initial infusion rate (mg/kg/hr)',
+        'history.compare.finalCe': 'Final Ce (μg/mL)',
+        'history.compare.adjustmentCount': 'Adjustments',
+        'cohort.metric.optimalRate': 'Optimal infusion rate (mg/kg/hr)',
+        'cohort.metric.maxCe': 'Max Ce (μg/mL)',
+        'cohort.metric.targetAccuracy': 'Target accuracy (%)',
+        'cohort.metric.adjustmentCount': 'Adjustments',
+        'cohort.emptyCsv': 'The patient CSV is empty',
+        'cohort.missingColumns': 'The patient CSV is missing required columns: {columns}',
+        'cohort.tooManyRows': 'The patient CSV must have at most {max} rows ({rows} rows)',
+        'cohort.invalidQuote': 'Patient CSV line {line}: quotes (") must enclose the whole value (write "" for a quote inside a value)',
+        'cohort.unterminatedQuote': 'Patient CSV line {line}: a quote (") is not closed',
+        'cohort.columnCount': 'The number of values does not match the header ({cells} values, {columns} columns). Enclose values containing commas in "..."',
+        'cohort.notNumber': '{column} is not a number ({value})',
+        'cohort.invalidSex': 'Cannot read sex ({value})',
+        'cohort.invalidAsa': 'Cannot read ASA-PS ({value})',
+        'csv.cohort.line': 'Line',
+        'csv.cohort.patientId': 'Patient ID',
+        'csv.cohort.age': 'Age',
+        'csv.cohort.weight': 'Weight (kg)',
+        'csv.cohort.height': 'Height (cm)',
+        'csv.cohort.sex': 'Sex',
+        'csv.cohort.asaPS': 'ASA-PS',
+        'csv.cohort.bolusDose': 'Bolus (mg)',
+        'csv.cohort.optimalRate': 'Optimal infusion rate (mg/kg/hr)',
+        'csv.cohort.maxCe': 'Max Ce (μg/mL)',
+        'csv.cohort.targetAccuracy': 'Target accuracy (%)',
+        'csv.cohort.adjustmentCount': 'Adjustments',
+        'csv.cohort.error': 'Error',
+
+        // Preparation / FHIR / models
+        'preparation.pumpStopped': 'Stopped (0 mL/h)',
+        'preparation.belowMinRate': '{rate} mL/h is below the pump minimum of {limit} mL/h',
+        'preparation.aboveMaxRate': '{rate} mL/h exceeds the pump maximum of {limit} mL/h',
+        'preparation.stepWarning': 'Step {step}: {message}',
+        'preparation.action.bolus': 'bolus',
+        'preparation.action.rate': 'set rate',
+        'preparation.action.stop': 'stop',
+        'csv.pumpProgram.preparation': '# Preparation: {vialMg} mg / {dilutionMl} mL = {concentration} mg/mL, pump rate {pumpMinRate}-{pumpMaxRate} mL/h',
+        'csv.pumpProgram.step': 'Step',
+        'csv.pumpProgram.time': 'Time (min)',
+        'csv.pumpProgram.action': 'Action',
+        'csv.pumpProgram.doseMg': 'Dose (mg)',
+        'csv.pumpProgram.volumeMl': 'Volume (mL)',
+        'csv.pumpProgram.rateMgKgHr': 'Rate (mg/kg/hr)',
+        'csv.pumpProgram.rateMlH': 'Pump rate (mL/h)',
+        'csv.pumpProgram.warning': 'Warning',
+        'fhir.invalidObservationInterval': 'The predicted concentration interval must be at least {min} min',
+        'fhir.route': 'Intravenous',
+        'fhir.plannedAdministration': 'Planned by the protocol (not a record of actual administration): {step}',
+        'fhir.validator.unresolvedReference': 'Bundle.entry[{index}]: reference {reference} is not in the Bundle',
+        'fhir.validator.emptyArray': '{path}: must be a non-empty array',
+        'fhir.validator.notAllowed': '{path}: {value} is not an allowed value ({allowed})',
+        'fhir.validator.wrongType': '{path}: must be {type}',
+        'fhir.validator.wrongFormat': '{path}: not a valid {type} ({value})',
+        'fhir.validator.unsupportedResource': '{path}: unsupported resource ({resourceType})',
+        'fhir.validator.notObject': '{path}: must be a {type} object',
+        'fhir.validator.required': '{path}: required',
+        'fhir.validator.choice': '{path}: exactly one of {choices} is required',
+        'fhir.validator.unknownProperty': '{path}: not a property of {type}',
+        'liveCase.cannotPostponeConfirmed': 'A completed step cannot be postponed',
+        'liveCase.invalidPostpone': 'Postpone time must be greater than 0',
+        'opioid.unknownModel': 'Unknown interaction model: {model}',
+        'opioid.unknownMode': 'Unknown remifentanil mode: {mode}',
+        'opioid.invalidCe': 'Remifentanil effect-site concentration must be between 0 and 20 ng/mL',
+        'opioid.invalidRate': 'Remifentanil rate must be between 0 and 1.0 μg/kg/min',
+        'opioid.invalidMinTargetFraction': 'Minimum target fraction must be greater than 0 and at most 1',
+        'model.outOfValidityRange': '{model}: {covariate} = {value:1} is outside the model validity range ({min}-{max})',
+        'protocolJson.notObject': 'The protocol JSON is not an object',
+        'protocolJson.wrongFormat': 'Not a protocol JSON file (format: {format})',
+        'protocolJson.unsupportedVersion': 'Unsupported format version (formatVersion: {version})',
+        'protocolJson.missing': '{key} is missing',
+        'protocolJson.notNumber': '{key} is not a number',
+        'protocolJson.unreadable': 'Cannot read the protocol JSON: {message}',
+        'pd.invalidMoaasModel': 'MOAA/S model Ce50 and γ must be greater than 0',
+        'pd.invalidBisModel': 'BIS model Ce50 and γ must be greater than 0',
+        'pd.invalidBisRange': 'The BIS model needs 0 ≤ Emin < E0 ≤ 100',
+        'pd.invalidEndpoint': 'Invalid clinical endpoint: "{endpoint}" (e.g. BIS 50, MOAA/S 0.95)',
+        'pd.invalidTargetBis': 'Target BIS must be between {min} and {max}',
+        'pd.invalidTargetMoaas': 'Target P(MOAA/S ≤ 1) must be between 0 and 1',
+
+        // Application (dynamic text)
+        'app.minutes': '{value} min',
+        'app.count': '{count}',
+        'app.converged': 'Converged',
+        'app.notConverged': 'Not converged',
+        'app.calculating': 'Optimizing...',
+        'app.patient.statusValid': 'Within range',
+        'app.patient.statusInvalid': 'Check input',
+        'app.patient.collectFailed': 'Could not read the patient data',
+        'app.preview.error': 'Calculation error',
+        'app.alert.modelValidity': 'Outside model validity range',
+        'app.alert.ke0Fallback': 'Approximate ke0 in use',
+        'app.alert.targetUnreachable': 'Target not reachable',
+        'app.alert.pumpRange': 'Pump rate out of range',
+        'app.alert.atTime': 'At {time:0} min: {message}',
+        'app.cohort.title': 'Cohort batch',
+        'app.cohort.noFile': 'Select a patient CSV file',
+        'app.cohort.progress': 'Calculating {current} / {total}',
+        'app.cohort.done': 'Done: {calculated} patients calculated, {failed} rows with errors',
+        'app.cohort.patient': '{age} y / {weight} kg / {height} cm',
+        'app.cohort.failure': 'Line {line} ({patientId}): {errors}',
+        'app.history.title': 'Case history',
+        'app.history.saveFailed': 'Could not save the case: {message}',
+        'app.history.open': 'Open',
+        'app.history.duplicate': 'Duplicate',
+        'app.history.delete': 'Delete',
+        'app.history.opened': 'Showing saved case',
+        'app.history.versionMismatch': 'Version mismatch',
+        'app.history.versionMismatchMessage': 'This case was calculated with V{version}. Recalculating with the current version may give different results.',
+        'app.history.confirmDelete': 'Delete case #{id} from the history?',
+        'app.compare.title': 'Case comparison',
+        'app.compare.selectTwo': 'Select two cases to compare',
+        'app.reversal.reversed': 'Effective Ce < {resedationCe} μg/mL at {time:1} min',
+        'app.reversal.notReversed': 'Does not fall below the resedation concentration',
+        'app.reversal.resedationRisk': 'Resedation risk ({time:1} min, Ce {ce:2} μg/mL)',
+        'app.reversal.resedationRiskProjected': 'Resedation risk ({time:1} min, Ce {ce:2} μg/mL, projected past the end)',
+        'app.reversal.noResedationRisk': 'No resedation risk',
+        'app.reversal.summary': '{time} min {dose} mg: {reversed} / {resedation}',
+        'app.bayes.convergence': '{status} ({iterations} iterations, OFV {prior:2} → {posterior:2})',
+        'app.bayes.doseSourceSummary': '{source} (last observation {time} min)',
+        'app.bayes.doseSource.replay': 'Administration record',
+        'app.bayes.doseSource.protocol': 'Planned protocol',
+        'app.bayes.observationType.plasma': 'Plasma concentration (μg/mL)',
+        'app.bayes.observationType.bis': 'BIS',
+        'app.replay.difference': '(difference {sign}{difference:1} mg)',
+        'app.replay.breakdown': 'Bolus {bolus:1} / infusion {infusion:1} / flush {flush:1} mg',
+        'app.replay.maxCeDifference': '{sign}{difference:3} μg/mL (at {time} min)',
+        'app.live.postponed': ' (postponed {count}×)',
+        'app.live.nextStep': '{title} (in {minutes:1} min)',
+        'app.live.confirm': 'Done',
+        'app.live.postpone': 'Postpone (+{minutes} min)',
+        'app.inventory.vials': '{count} ({vialMg} mg/vial)',
+        'app.inventory.syringes': '{count} ({volume} mL = {syringeMg} mg each, {vials} vials prepared, {waste:1} mg discarded)',
+        'app.inventory.syringeChange': '{time:1} min (syringe {syringe}→{next})',
+        'app.inventory.noSyringeChange': 'No change',
+        'app.monteCarlo.nominalYes': 'typical patient: yes',
+        'app.monteCarlo.nominalNo': 'typical patient: no',
+        'app.monteCarlo.run': '{n} patients / seed {seed}',
+        'app.variability.illustrative': 'Entered values (illustrative, not published estimates)',
+        'app.variability.published': 'Published model estimates',
+        'app.monteCarlo.finalBand': '{p05:3} - {p95:3} μg/mL (median {p50:3})',
+        'app.decrement.notReached': 'Not reached',
+        'app.decrement.stopInfo': '{time} min / {ce:3} μg/mL',
+        'app.target.opioidReduction': ' (reduced for remifentanil from {targets} μg/mL)',
+        'app.target.segment': 'from {start} min {target} μg/mL',
+        'app.optimizer.convergence': '{status} ({iterations} iterations, {evaluations} evaluations)',
+        'app.optimizer.infeasible': 'Out of range (limit rate)',
+        'app.engine.analytical': 'Analytical',
+        'app.engine.numerical': 'Numerical',
+        'app.bolus.summary': 'Recommended: {bolus} mg + {rate:2} mg/kg/hr (weights: time {timeWeight} / peak {overshootWeight} / maintenance {maintenanceWeight}, peak limit +{maxOvershoot:0}%)',
+        'app.bolus.noneFeasible': 'No bolus dose meets the induction peak limit and the rate range',
+        'app.bolus.current': ' (entered)',
+        'app.modelComparison.legacy': 'Old V3.3 (old parameters)',
+        'app.modelComparison.masui': 'Masui 2022 (current)',
+        'app.modelComparison.legacyRegimenOnMasui': 'Old V3.3 regimen predicted with the Masui model',
+        'app.modelComparison.note': 'The old simulation\'s effect-site prediction differed from the Masui model prediction of the same regimen by up to {max:3} μg/mL (at {time:1} min), {mean:3} μg/mL on average.',
+        'app.model.withinRange': 'Within range',
+        'app.model.outOfRange': 'Out of range',
+        'app.chart.ce': 'Effect-site concentration',
+        'app.chart.plasma': 'Plasma concentration',
+        'app.chart.target': 'Target concentration',
+        'app.chart.upperThreshold': 'Upper threshold',
+        'app.chart.population95': 'Population 95%',
+        'app.chart.population5': 'Population 5%',
+        'app.chart.populationMedian': 'Population median',
+        'app.chart.decrement': 'Predicted Ce after stop',
+        'app.chart.reversalCe': 'Effective Ce after reversal',
+        'app.chart.replayCe': 'Ce (administered)',
+        'app.chart.replayCp': 'Cp (administered)',
+        'app.chart.illustrative': '{label} (illustrative)',
+        'app.placeholder.value': '{value} (predicted with placeholder values)',
+        'app.chart.posteriorCe': 'Individualized Ce (posterior)',
+        'app.chart.bis': 'Predicted BIS',
+        'app.chart.pNoResponse': 'P(no response) combined',
+        'app.chart.infusionRate': 'Infusion rate',
+        'app.chart.timeAxis': 'Time (min)',
+        'app.chart.concentrationAxis': 'Concentration (μg/mL)',
+        'app.chart.rateAxis': 'Infusion rate (mg/kg/hr)',
+        'app.export.pumpTitle': 'Pump program export',
+        'app.export.pumpDisabled': 'Enable drug preparation and pump settings, then calculate',
+        'app.export.fhirTitle': 'FHIR export',
+        'app.export.fhirInvalid': 'FHIR Bundle validation errors: {errors}',
+        'app.import.title': 'JSON import',
+        'app.import.versionNote': 'The file was created with V{version} ({modelId} {modelVersion}). ',
+        'app.import.mismatchTitle': 'Recalculation differs',
+        'app.import.mismatch': 'The recalculation differs from the file in {count} items: {listed}{more}',
+        'app.import.more': ' and {count} more',
+        'app.import.match': 'The recalculation matches the file.',
+
+        // Print
+        'print.title': 'Bolus + Continuous Infusion Protocol',
+        'print.heading': 'Optimized Bolus + Continuous Infusion Protocol',
+        'print.patientId': 'Patient ID',
+        'print.generatedAt': 'Generated',
+        'print.summary': 'Dosing summary',
+        'print.bolusDose': 'Bolus dose',
+        'print.optimalRate': 'Optimal infusion rate',
+        'print.target': 'Target concentration',
+        'print.finalCe': 'Predicted final concentration',
+        'print.preparation': 'Drug preparation',
+        'print.step': 'Step',
+        'print.method': 'Method',
+        'print.dose': 'Dose',
+        'print.totalDose': 'Total dose',
+        'print.timing': 'Timing',
+        'print.notes': 'Notes',
+        'print.pumpSetting': 'Pump setting',
+        'print.disclaimer': 'This protocol is for education and research only. Clinical use is the responsibility of the physician.',
+        'print.developer': 'Developer',
+        'print.evidence': 'Evidence',
+
+        // Static UI (index.html)
+        'app.documentTitle': 'Remimazolam TCI V3.4 - Individualized Ke0 Calculation',
+        'ui.header.language': 'Language',
+        'ui.disclaimer.title': 'Disclaimer - V3.3 Bolus + Continuous Infusion Optimization',
+        'ui.disclaimer.purpose': 'This application is for education and research only.',
+        'ui.disclaimer.notDevice': '・This software is not a medical device',
+        'ui.disclaimer.noClinicalUse': '・It must not be used for diagnosis, treatment or any other clinical purpose',
+        'ui.disclaimer.userResponsibility': '・Users are responsible for any use of the calculated results',
+        'ui.disclaimer.professionalJudgment': '・Clinical decisions must be made by qualified healthcare professionals',
+        'ui.disclaimer.toolTitle': 'Pharmacokinetic simulation research tool',
+        'ui.disclaimer.toolDescription': 'Theoretical calculation of concentrations after a bolus and of the optimal dose',
+        'ui.disclaimer.accept': 'Agree and start',
+        'ui.header.subtitle': 'Bolus + Continuous Infusion Optimization System',
+        'ui.patient.title': '👤 Patient information',
+        'ui.patient.patientId': 'Patient ID',
+        'ui.patient.patientIdPlaceholder': 'e.g. V3.3-001',
+        'ui.patient.age': 'Age (years)',
+        'ui.patient.ageRange': '16-100 years',
+        'ui.patient.weight': 'Weight (kg)',
+        'ui.patient.height': 'Height (cm)',
+        'ui.patient.sex': 'Sex',
+        'ui.patient.status': 'Patient status',
+        'ui.bolus.title': '💊 Bolus + target concentration',
+        'ui.bolus.bolusDose': 'Initial bolus dose (mg)',
+        'ui.bolus.bolusRange': 'Range: 1-15 mg',
+        'ui.bolus.optimizeBolus': 'Optimize the bolus dose as well',
+        'ui.bolus.targetCe': 'Target effect-site concentration (μg/mL)',
+        'ui.bolus.targetRange': 'Range: 0.1 - 3.0 μg/mL',
+        'ui.bolus.endpoint': 'Clinical endpoint target (optional)',
+        'ui.bolus.endpointType': 'Endpoint',
+        'ui.bolus.endpointNone': 'None (use target Ce)',
+        'ui.bolus.endpointHelp': 'Target Ce is derived from the PD model and optimized',
+        'ui.bolus.endpointValue': 'Target value',
+        'ui.bolus.endpointValueHelp': 'BIS: 40-95 / probability: 0-1',
+        'ui.bolus.moaasHelp': 'Sigmoid Emax parameters of P(MOAA/S ≤ 1)',
+        'ui.bolus.pdPlaceholderHelp': 'There are no defaults; enter published estimates (needed for BIS and MOAA/S predictions and clinical endpoint targets)',
+        'ui.bolus.bisHelp': 'Sigmoid Emax parameters of the BIS prediction',
+        'ui.bolus.targetSchedule': 'Target concentration schedule (optional)',
+        'ui.bolus.targetSchedulePlaceholder': 'e.g. 15:0.8, 150:0.5',
+        'ui.bolus.targetScheduleHelp': 'Comma-separated start time (min):target (μg/mL). From 0 min the target effect-site concentration above applies',
+        'ui.preview.title': 'Optimization preview',
+        'ui.preview.bolus': '1. Bolus',
+        'ui.preview.initialConc': '2. Initial plasma concentration',
+        'ui.preview.optimalRate': '3. Optimal infusion rate',
+        'ui.preview.targetReach': '4. Predicted concentration at target time',
+        'ui.settings.title': 'Optimization settings',
+        'ui.settings.pkModel': 'PK model',
+        'ui.settings.pkModelHelp': 'Population model used for the simulation',
+        'ui.settings.engine': 'Calculation engine',
+        'ui.settings.engineAnalytical': 'Analytical (closed form)',
+        'ui.settings.engineNumerical': 'Numerical (RK4)',
+        'ui.settings.engineHelp': 'The difference from the other engine is shown in the results',
+        'ui.settings.controlMode': 'Control mode',
+        'ui.settings.controlThreshold': 'Threshold-based reduction',
+        'ui.settings.controlTci': 'Effect-site TCI',
+        'ui.settings.controlHelp': 'TCI: every 10 s the rate that reaches the target Ce is calculated (no overshoot)',
+        'ui.settings.targetReachTime': 'Time to target (min)',
+        'ui.settings.targetReachTimeHelp': 'Time to reach the target after the bolus',
+        'ui.settings.thresholdRatio': 'Threshold ratio',
+        'ui.settings.thresholdRatioHelp': 'Reduction starts at target × ratio',
+        'ui.settings.reductionFactor': 'Reduction factor',
+        'ui.settings.reductionFactorHelp': 'Rate reduction when the threshold is reached',
+        'ui.settings.stopTime': 'Infusion stop time (min)',
+        'ui.settings.stopTimeHelp': 'Awakening is predicted for stopping the infusion at this time',
+        'ui.settings.awakeningCe': 'Awakening concentration (μg/mL)',
+        'ui.settings.awakeningCeHelp': 'Predicts when Ce falls below this value',
+        'ui.reversal.title': 'Flumazenil reversal scenario',
+        'ui.reversal.time': 'Time (min)',
+        'ui.reversal.timeHelp': 'Time of the IV flumazenil injection',
+        'ui.reversal.dose': 'Flumazenil (mg)',
+        'ui.reversal.doseRange': 'Range: 0.1-1.0 mg',
+        'ui.reversal.resedationCe': 'Resedation concentration (μg/mL)',
+        'ui.reversal.resedationCeHelp': 'Warns when the effective Ce after reversal exceeds this value again',
+        'ui.reversal.placeholderHelp': 'The flumazenil potency KB is a placeholder without a cited source (set reversal.kb through the API or CLI)',
+        'ui.reversal.stopInfusion': 'Stop remimazolam at reversal',
+        'ui.opioid.title': 'Remifentanil co-administration',
+        'ui.opioid.mode': 'Remifentanil concentration',
+        'ui.opioid.modeConstant': 'Constant Ce (ng/mL)',
+        'ui.opioid.modeInfusion': 'Minto infusion (μg/kg/min)',
+        'ui.opioid.valueHelp': 'Constant Ce: 0-20 ng/mL / infusion: 0-1.0 μg/kg/min',
+        'ui.opioid.model': 'Interaction model',
+        'ui.opioid.modelHelp': 'Probability of no response to laryngoscopy',
+        'ui.opioid.reduceTarget': 'Reduce the target Ce for the combination',
+        'ui.opioid.placeholderHelp': 'The response surface parameters are placeholders without a cited source (set surfaceParams through the API or CLI)',
+        'ui.opioid.reduceTargetHelp': 'Down to the Ce with the same no-response probability as alone (at least 50% of the original target)',
+        'ui.preparation.title': 'Drug preparation and pump settings (mL, mL/h)',
+        'ui.preparation.vialMg': 'Vial amount (mg)',
+        'ui.preparation.vialHelp': 'Remimazolam 50 mg/vial',
+        'ui.preparation.dilutionMl': 'Dilution volume (mL)',
+        'ui.preparation.concentration': 'Concentration:',
+        'ui.preparation.pumpRange': 'Pump rate range (mL/h)',
+        'ui.preparation.pumpRangeHelp': 'Minimum and maximum rate (syringe pump specification)',
+        'ui.preparation.syringeVolume': 'Syringe volume (mL)',
+        'ui.preparation.syringeVolumeHelp': 'Used to predict syringe changes (when disabled: 50 mg/50 mL, 50 mL)',
+        'ui.monteCarlo.title': 'Between-subject variability simulation (Monte Carlo)',
+        'ui.monteCarlo.patients': 'Virtual patients',
+        'ui.monteCarlo.patientsHelp': 'Threshold control: 1-2000 / TCI: 1-50 (takes longer)',
+        'ui.monteCarlo.seed': 'Random seed',
+        'ui.monteCarlo.seedHelp': 'The same seed reproduces the same result',
+        'ui.variability.title': 'Between-subject variability ω (log-normal SD)',
+        'ui.variability.help': 'Published estimates registered on the model are used (their fields are disabled). Only ω without a published estimate must be entered for the variability simulation and for the Bayesian individualization prior (0 = no variability; Ce50 only for PD estimation). Results that use entered values are illustrative',
+        'ui.variability.source': 'ω:',
+        'ui.alerts.title': 'Alert settings',
+        'ui.alerts.audio': 'Audio alerts',
+        'ui.alerts.notification': 'Notification alerts',
+        'ui.alerts.bolus': 'Bolus alert',
+        'ui.actions.generate': 'Run bolus + continuous infusion optimization',
+        'ui.results.title': '📋 Bolus + continuous infusion optimization results',
+        'ui.results.print': '🖨️ Print',
+        'ui.results.exportCsv': '💾 Export CSV',
+        'ui.results.exportJson': '📄 Export JSON',
+        'ui.results.exportFhir': '🏥 Export FHIR',
+        'ui.results.exportPump': '💉 Export pump program',
+        'ui.results.bolusDose': 'Bolus dose',
+        'ui.results.optimalRate': 'Optimal infusion rate',
+        'ui.results.targetCe': 'Target concentration',
+        'ui.results.finalCe': 'Predicted final concentration',
+        'ui.inventory.title': 'Drug use and inventory plan',
+        'ui.inventory.totalDose': 'Total dose (planned):',
+        'ui.inventory.vials': 'Vials needed:',
+        'ui.inventory.syringes': 'Syringes:',
+        'ui.inventory.syringeChanges': 'Syringe changes:',
+        'ui.monteCarloResult.title': 'Between-subject variability (Monte Carlo)',
+        'ui.monteCarloResult.run': 'Virtual patients / seed:',
+        'ui.monteCarloResult.overshoot': 'Probability above upper threshold:',
+        'ui.monteCarloResult.belowTarget': 'Probability below target (target -10%):',
+        'ui.monteCarloResult.finalBand': 'Final Ce 5-95%:',
+        'ui.live.title': 'Intraoperative live mode',
+        'ui.live.start': '▶ Start case (t=0)',
+        'ui.live.stop': '■ Stop',
+        'ui.live.elapsed': 'Elapsed time:',
+        'ui.live.currentCe': 'Current predicted Ce (as administered):',
+        'ui.live.plannedCe': 'Planned Ce:',
+        'ui.live.nextStep': 'Next step:',
+        'ui.protocol.title': 'Clinical dosing protocol',
+        'ui.chart.title': 'Bolus + continuous infusion concentration profile',
+        'ui.chart.threshold': 'Reduction threshold',
+        'ui.chart.infusionRate': 'Infusion rate',
+        'ui.chart.pd': 'Predicted BIS / P(MOAA/S≤1)',
+        'ui.chart.pNoResponse': 'P(no response) with remifentanil',
+        'ui.chart.replay': 'Administered Ce / Cp',
+        'ui.decrement.title': 'Awakening prediction (after stopping)',
+        'ui.decrement.stopInfo': 'Stop time / Ce at stop:',
+        'ui.decrement.ce50': 'Ce 50% decrement time:',
+        'ui.decrement.ce80': 'Ce 80% decrement time:',
+        'ui.decrement.awakening': 'Time to awakening concentration:',
+        'ui.decrement.reversal': 'Flumazenil reversal:',
+        'ui.decrement.stopTime': 'Stop time',
+        'ui.decrement.ceAtStop': 'Ce at stop',
+        'ui.decrement.ce50Short': 'Ce 50% decrement',
+        'ui.decrement.ce80Short': 'Ce 80% decrement',
+        'ui.decrement.awakeningShort': 'Awakening concentration reached',
+        'ui.replay.title': 'Replay of the administration record',
+        'ui.replay.record': 'Administration record (one event per line: time [min] type value)',
+        'ui.replay.recordHelp': 'bolus (mg) / rate (mg/kg/hr) / pause (min until resumed, optional) / flush (mL, concentration mg/mL, default 1.0)',
+        'ui.replay.run': '▶ Replay administration record',
+        'ui.replay.actualDose': 'Cumulative dose (administered):',
+        'ui.replay.recommendedDose': 'Cumulative dose (recommended):',
+        'ui.replay.breakdown': 'Breakdown:',
+        'ui.replay.maxCeDifference': 'Max Ce difference from the recommendation:',
+        'ui.replay.meanCeDifference': 'Mean Ce difference from the recommendation:',
+        'ui.bayes.title': 'Bayesian individualization (MAP estimation)',
+        'ui.bayes.observations': 'Observations (one per line: time [min] type value)',
+        'ui.bayes.observationsHelp': 'cp (plasma concentration μg/mL) / bis (stable BIS value). Dosing is the replayed administration record, otherwise the planned protocol',
+        'ui.bayes.residualPlasma': 'Residual error cp: additive (μg/mL) / proportional',
+        'ui.bayes.residualBis': 'Residual error BIS: additive / proportional',
+        'ui.bayes.residualHelp': 'There are no defaults; for each observed type enter published estimates or the assay error (proportional as a fraction, 0 = not used)',
+        'ui.bayes.estimatePD': 'Also estimate the PD parameter (Ce50)',
+        'ui.bayes.run': '▶ Individualize and recalculate',
+        'ui.bayes.convergence': 'Estimation:',
+        'ui.bayes.doseSource': 'Dosing:',
+        'ui.bayes.finalCe': 'Final Ce (population → individualized):',
+        'ui.bayes.parameter': 'Parameter',
+        'ui.bayes.prior': 'Population (prior)',
+        'ui.bayes.posterior': 'Individualized (posterior)',
+        'ui.bayes.ratio': 'Ratio',
+        'ui.bayes.time': 'Time',
+        'ui.bayes.type': 'Type',
+        'ui.bayes.observed': 'Observed',
+        'ui.bayes.priorPrediction': 'Prior prediction',
+        'ui.bayes.posteriorPrediction': 'Posterior prediction',
+        'ui.performance.title': 'Optimization performance',
+        'ui.performance.calculationTime': 'Calculation time:',
+        'ui.performance.targetAccuracy': 'Target accuracy:',
+        'ui.performance.avgDeviation': 'Mean deviation:',
+        'ui.performance.maxConcentration': 'Max concentration:',
+        'ui.performance.adjustmentCount': 'Adjustments:',
+        'ui.performance.stabilityIndex': 'Stability index:',
+        'ui.performance.integrationSteps': 'Integration steps:',
+        'ui.performance.functionEvaluations': 'Function evaluations:',
+        'ui.performance.optimizer': 'Rate optimization (Brent):',
+        'ui.performance.engineCheck': 'Max Ce difference between engines:',
+        'ui.performance.meanBIS': 'Mean BIS (maintenance):',
+        'ui.performance.bisInRange': 'Time with BIS 40-60:',
+        'ui.performance.meanSedation': 'Mean P(MOAA/S≤1):',
+        'ui.performance.meanPNoResponse': 'Mean P(no response) with remifentanil:',
+        'ui.bolusComparison.title': 'Bolus dose recommendation (1-15 mg, 0.5 mg steps)',
+        'ui.bolusComparison.rank': 'Rank',
+        'ui.bolusComparison.bolus': 'Bolus (mg)',
+        'ui.bolusComparison.optimalRate': 'Optimal infusion rate',
+        'ui.bolusComparison.timeToTarget': 'Time to target',
+        'ui.bolusComparison.inductionPeak': 'Induction peak',
+        'ui.bolusComparison.maintenance': 'Maintenance accuracy',
+        'ui.bolusComparison.score': 'Score',
+        'ui.bolusComparison.recommendation': 'Recommendation',
+        'ui.bolusComparison.tradeoffs': 'Trade-offs',
+        'ui.modelComparison.title': 'PK model comparison (old V3.3 derivation vs Masui 2022)',
+        'ui.modelComparison.parameter': 'Parameter',
+        'ui.modelComparison.legacy': 'Old V3.3 derivation',
+        'ui.modelComparison.difference': 'Difference',
+        'ui.modelComparison.simulation': 'Simulation',
+        'ui.modelComparison.rate': 'Infusion rate',
+        'ui.modelComparison.maxCe': 'Max concentration',
+        'ui.modelComparison.finalCe': 'Final concentration',
+        'ui.modelComparison.accuracy': 'Accuracy',
+        'ui.registeredModels.title': 'Comparison of registered PK models (same patient)',
+        'ui.registeredModels.model': 'Model',
+        'ui.registeredModels.validity': 'Validity range',
+        'ui.history.title': '📁 Case history',
+        'ui.history.filterPlaceholder': 'Filter by patient ID',
+        'ui.history.compare': 'Compare the two selected cases',
+        'ui.history.importJson': '📂 Import JSON',
+        'ui.history.localOnly': 'Calculated cases are stored only in this browser on this device.',
+        'ui.history.select': 'Compare',
+        'ui.history.targetCe': 'Target Ce',
+        'ui.history.bolus': 'Bolus',
+        'ui.history.initialRate': 'Initial infusion rate',
+        'ui.history.version': 'Version',
+        'ui.history.actions': 'Actions',
+        'ui.history.item': 'Item',
+        'ui.history.caseA': 'Case A',
+        'ui.history.caseB': 'Case B',
+        'ui.cohort.title': '👥 Cohort batch',
+        'ui.cohort.run': 'Run batch',
+        'ui.cohort.exportCsv': '📊 Export CSV',
+        'ui.cohort.help': 'Each row of the patient CSV (header: id, age, weight, height, sex, asa) is calculated with the same bolus, target and protocol settings as the inputs above.',
+        'ui.cohort.progress': 'Progress:',
+        'ui.cohort.distribution': 'Cohort distribution',
+        'ui.cohort.metric': 'Metric',
+        'ui.cohort.meanSd': 'Mean ± SD',
+        'ui.cohort.median': 'Median',
+        'ui.cohort.minMax': 'Min-max',
+        'ui.cohort.perPatient': 'Results per patient',
+        'ui.cohort.patient': 'Age / weight / height',
+        'ui.cohort.optimalRate': 'Optimal infusion rate',
+        'ui.cohort.maxCe': 'Max Ce',
+        'ui.cohort.targetAccuracy': 'Target accuracy',
+        'ui.cohort.failures': 'Rows that could not be calculated',
+        'ui.footer.developer': 'Developer:',
+        'ui.footer.affiliation': 'Department of Anesthesiology, Saiseikai Matsuyama Hospital / Department of Pharmacology, Ehime University Graduate School of Medicine',
+        'ui.footer.evidence': 'Evidence:',
+        'ui.footer.numerics': 'Numerics:',
+        'ui.info.title': 'About bolus + continuous infusion optimization',
+        'ui.info.bolusRole': '💊 Role of the bolus',
+        'ui.info.rapidInduction': 'Rapid induction:',
+        'ui.info.rapidInductionText': 'delivers the drug to the central compartment immediately',
+        'ui.info.concentrationRise': 'Concentration rise:',
+        'ui.info.concentrationRiseText': 'shortens the slow initial rise of an infusion alone',
+        'ui.info.clinicalPractice': 'Clinical practice:',
+        'ui.info.clinicalPracticeText': 'the usual way of giving a dose to put the patient to sleep',
+        'ui.info.individualization': 'Individualization:',
+        'ui.info.individualizationText': 'dose adjusted to the patient and the target concentration',
+        'ui.info.algorithm': '🧮 Optimization algorithm',
+        'ui.info.context7': 'Context7 enhancement:',
+        'ui.info.context7Text': 'applies the numerical methods of Math.NET Numerics',
+        'ui.info.rungeKutta': 'Runge-Kutta method:',
+        'ui.info.rungeKuttaText': 'accurate solution of the differential equations',
+        'ui.info.inverse': 'Inverse optimization:',
+        'ui.info.inverseText': 'calculates the infusion rate needed for the target concentration',
+        'ui.info.threshold': 'Threshold control:',
+        'ui.info.thresholdText': 'the optimized threshold-based reduction of V3.2',
+        'ui.info.process': '📊 Optimization process',
+        'ui.info.step1': '1. Bolus distribution:',
+        'ui.info.step1Text': 'calculates the immediate distribution into the V1 compartment',
+        'ui.info.step2': '2. Initial concentration:',
+        'ui.info.step2Text': 'calculates the plasma concentration right after the bolus',
+        'ui.info.step3': '3. Infusion optimization:',
+        'ui.info.step3Text': 'derives the rate that reaches the target concentration in 20 min',
+        'ui.info.step4': '4. Integrated simulation:',
+        'ui.info.step4Text': 'full prediction of bolus + infusion + reductions',
+        'ui.info.logic': '🔬 Calculation details',
+        'ui.info.pkModel': 'PK model:',
+        'ui.info.pkModelText': 'Masui et al. (2022) three-compartment model + effect site',
+        'ui.info.covariates': 'Covariates:',
+        'ui.info.covariatesText': 'coefficients adjusted for age, weight, sex and ASA-PS',
+        'ui.info.integration': 'Numerical integration:',
+        'ui.info.integrationText': '4th-order Runge-Kutta (dt = 0.1 min)',
+        'ui.info.optimization': 'Optimization:',
+        'ui.info.optimizationText': 'dose derived by grid search (0.1 mg/kg/hr steps)',
+        'ui.info.thresholdControlText': 'integrated control with a 1.2× upper threshold and a 0.70 reduction factor',
+        'ui.info.evidence': '📚 Evidence',
+        'ui.info.basePaper': 'Base paper:',
+        'ui.info.numericsText': 'high-accuracy differential equation solving with Math.NET Numerics methods',
+        'ui.info.optimizationTheory': 'Optimization theory:',
+        'ui.info.optimizationTheoryText': 'dose determination as a constrained optimization problem',
+        'ui.info.simulation': 'Simulation:',
+        'ui.info.simulationText': 'between-subject variability checked by Monte Carlo',
+
+        // HTTP API / CLI
+        'schema.type': 'Expected {types} ({actual})',
+        'schema.typeSeparator': ' or ',
+        'schema.enum': 'Must be one of {options}',
+        'schema.minimum': 'Must be {limit} or more',
+        'schema.exclusiveMinimum': 'Must be greater than {limit}',
+        'schema.maximum': 'Must be {limit} or less',
+        'schema.minLength': 'Must be at least {limit} characters',
+        'schema.maxLength': 'Must be at most {limit} characters',
+        'schema.minItems': 'Must have at least {limit} items',
+        'schema.maxItems': 'Must have at most {limit} items',
+        'schema.required': 'Required',
+        'schema.additionalProperty': 'Not an allowed property',
+        'api.schema.patient': 'Patient covariates (ranges are checked by Patient.validate)',
+        'api.schema.patientId': 'Patient ID (default: API)',
+        'api.schema.age': 'Age (years)',
+        'api.schema.weight': 'Weight (kg)',
+        'api.schema.height': 'Height (cm)',
+        'api.schema.sex': 'male | female (0 = male, 1 = female)',
+        'api.schema.asa': 'ASA-PS 1-4 | I-II | III-IV',
+        'api.schema.modelId': 'PK model (default: {model})',
+        'api.schema.bolusDose': 'Bolus dose (mg)',
+        'api.schema.targetCe': 'Target effect-site concentration (μg/mL)',
+        'api.schema.targetReachTime': 'Target reach time (min, default: {reachTime})',
+        'api.schema.protocolParams': 'protocolParams of calculateBolusProtocol (same as protocolParams in the protocol JSON format)',
+        'api.schema.clinicalEndpoint': 'e.g. "BIS 50"',
+        'api.schema.optimizeRate': 'With optimizeBolus: true the bolus dose is optimized as well and bolusDose is not needed',
+        'api.schema.includeTimeSeries': 'Include the time series (default: true)',
+        'api.schema.replayDuration': 'Replay duration (min, default: the later of the last event and {duration} min)',
+        'api.schema.events': 'Administration record (time: min from the start of dosing)',
+        'api.schema.eventDose': 'bolus: mg',
+        'api.schema.eventRate': 'rate: mg/kg/hr',
+        'api.schema.eventDuration': 'pause: min (if omitted, paused until the next rate)',
+        'api.schema.eventVolume': 'flush: mL',
+        'api.schema.eventConcentration': 'flush: mg/mL',
+        'api.route.index': 'Endpoint list and request schemas',
+        'api.route.health': 'Health check',
+        'api.route.pkParameters': 'Calculate PK parameters and rate constants from patient covariates',
+        'api.route.ke0': 'Calculate ke0 from patient covariates',
+        'api.route.optimizeRate': 'Optimize the continuous rate (and bolus dose) so that Ce = target at the reach time',
+        'api.route.protocol': 'Calculate the full bolus + infusion protocol (protocol JSON format)',
+        'api.route.replay': 'Replay an administration record and calculate Cp/Ce and cumulative dose',
+        'api.invalidSex': 'Must be male or female',
+        'api.invalidAsa': 'Must be 1-4, I-II or III-IV',
+        'api.unreadablePatient': 'Patient data could not be read',
+        'api.invalidPatient': 'Patient data is out of range',
+        'api.invalidRequest': 'The request is malformed',
+        'api.bolusDoseRequired': 'Required unless optimizeBolus is set',
+        'api.invalidEvents': 'The administration record is invalid',
+        'api.invalidInput': 'Input values are out of range',
+        'api.calculationError': '{message}',
+        'api.invalidLang': 'lang must be one of {locales}: {locale}',
+        'api.payloadTooLarge': 'The request body must be at most {limit} bytes',
+        'api.unsupportedMediaType': 'Send the request with Content-Type: application/json',
+        'api.invalidJson': 'Could not parse JSON: {error}',
+        'api.internalError': 'An internal error occurred',
+        'api.notFound': 'No such endpoint: {path}',
+        'api.methodNotAllowed': '{method} is not allowed',
+        'cli.usage': 'Usage: remimazolam-tci [options]\n\nPatient:\n  --id <ID>                 Patient ID (default: CLI)\n  --age <years>             Age (required)\n  --weight <kg>             Weight (required)\n  --height <cm>             Height (required)\n  --sex <male|female>       Sex (required)\n  --asa <1-4|I-II|III-IV>   ASA-PS (required)\n\nDosing:\n  --bolus <mg>              Bolus dose (required)\n  --target <μg/mL>          Target effect-site concentration (required)\n  --reach-time <min>        Target reach time\n  --upper-ratio <ratio>     Upper threshold (target × ratio)\n  --reduction <factor>      Reduction factor when the threshold is reached\n  --model <ID>              PK model (masui2022, schuttler2020)\n  --engine <type>           analytical | numerical\n  --mode <type>             threshold | tci\n  --schedule <segments>     Target concentration schedule (e.g. "15:0.8,150:0.5")\n  --optimize-bolus          Optimize the bolus dose as well\n  --params <file.json>      Other protocolParams (command-line options take precedence)\n\nOutput:\n  --format <json|csv>       Output format (default: json)\n  --output <all|protocol|timeseries>\n                            Output content (default: all)\n  --lang <{locales}>            Language of the protocol, CSV headers and messages (default: {defaultLocale})\n  -h, --help                Show this help\n',
+        'cli.error': 'Error: {message}',
+        'cli.warning': 'Warning: {message}',
+        'cli.required': '--{name} is required',
+        'cli.invalidNumber': '--{name} must be a number: {value}',
+        'cli.invalidSex': '--sex must be male or female: {value}',
+        'cli.invalidAsa': '--asa must be 1-4, I-II or III-IV: {value}',
+        'cli.unreadableParams': 'Could not read the --params file: {error}',
+        'cli.invalidLang': '--lang must be one of {locales}: {value}',
+        'cli.invalidFormat': '--format must be json or csv: {value}',
+        'cli.invalidOutput': '--output must be all, protocol or timeseries: {value}',
+        'server.usage': 'Usage: remimazolam-tci-server [options]\n\n  --host <address>          Listen address (default: {defaultHost})\n  --port <number>           Port number (default: {defaultPort}, 0 = any free port)\n  --lang <{locales}>            Language of messages and of API responses without ?lang (default: {defaultLocale})\n  -h, --help                Show this help\n\nEndpoints: GET /api\n',
+        'server.invalidPort': '--port must be an integer from 0 to 65535: {value}',
+        'server.publicHost': 'Listening on {host}. The API has no authentication; use it only on trusted networks',
+        'server.listenFailed': 'Could not start the server: {error}'
+    }
+});
@@ -0,0 +1,773 @@
+/**
+ * 日本語バンドル (既定ロケール)
+ * キーと {param} の書式は I18n を参照。他のロケールはこのファイルと同じキーを持つ
+ */
+
+I18n.register('ja', {
+    name: '日本語',
+    strings: {
+        // Validation (ValidationIssue codes)
+        'validation.PATIENT_ID_REQUIRED': '患者IDが入力されていません',
+        'validation.AGE_OUT_OF_RANGE': '年齢は{min}歳から{max}歳の範囲で入力してください',
+        'validation.WEIGHT_OUT_OF_RANGE': '体重は{min}kgから{max}kgの範囲で入力してください',
+        'validation.BMI_OUT_OF_RANGE': 'BMIが範囲外です（計算値: {actual:1}）',
+        'validation.BOLUS_OUT_OF_RANGE': 'ボーラス投与量は{min}-{max}mgの範囲で入力してください',
+        'validation.TARGET_CE_OUT_OF_RANGE': '目標効果部位濃度は{min}-{max} μg/mLの範囲で入力してください',
+        'validation.SCHEDULE_EMPTY': '目標スケジュールには1つ以上の区間が必要です',
+        'validation.SCHEDULE_FORMAT': '目標濃度スケジュールの形式が正しくありません: "{actual}"（例: 15:0.8）',
+        'validation.SCHEDULE_FIRST_START': '目標スケジュールの最初の区間は0分から開始してください',
+        'validation.SCHEDULE_START_OUT_OF_RANGE': '区間{segment}の開始時間は{min}-{max}分未満で入力してください',
+        'validation.SCHEDULE_TARGET_OUT_OF_RANGE': '区間{segment}の目標効果部位濃度は{min}-{max} μg/mLの範囲で入力してください',
+        'validation.SCHEDULE_DUPLICATE_START': '区間{segment}の開始時間が重複しています',
+        'validation.KE0_UNSOLVABLE': 'モデル {modelId} のke0を数値的に求められません',
+        'validation.KE0_FALLBACK_REGRESSION': 'ke0の数値解が得られないため重回帰近似値 ({actual:4} /min) を使用しています',
+        'validation.KE0_FALLBACK_DEFAULT': 'ke0を計算できないため既定値 ({actual} /min) を使用しています',
+        'validation.HEIGHT_OUT_OF_RANGE': '身長は{min}cmから{max}cmの範囲で入力してください',
+        'validation.SEX_INVALID': '性別は男性 (0) または女性 (1) を指定してください',
+        'validation.ASA_INVALID': 'ASA-PS は I-II (0) または III-IV (1) を指定してください',
+        'validation.CONTROL_MODE_INVALID': '制御モードが不明です: {actual}',
+        'validation.DECREMENT_STOP_TIME_OUT_OF_RANGE': '投与中止時刻は{min}-{max}分の範囲で入力してください',
+        'validation.TARGET_REACH_TIME_OUT_OF_RANGE': '目標到達時間は{min}-{max}分の範囲で入力してください',
+        'validation.UPPER_THRESHOLD_RATIO_OUT_OF_RANGE': '上限閾値比は{min}-{max}の範囲で入力してください',
+        'validation.REDUCTION_FACTOR_OUT_OF_RANGE': '減量係数は{min}-{max}の範囲で入力してください',
+        'validation.TCI_UPDATE_INTERVAL_OUT_OF_RANGE': 'TCI更新間隔は{min:3}-{max}分の範囲で指定してください',
+        'validation.AWAKENING_CE_INVALID': '覚醒濃度は{min}より大きい値を入力してください',
+        'validation.REVERSAL_TIME_OUT_OF_RANGE': 'フルマゼニル投与時刻は{min}-{max}分の範囲で入力してください',
+        'validation.FLUMAZENIL_DOSE_OUT_OF_RANGE': 'フルマゼニル投与量は{min}-{max}mgの範囲で入力してください',
+        'validation.RESEDATION_CE_INVALID': '再鎮静判定濃度は{min}より大きい値を入力してください',
+        'validation.PREPARATION_VIAL_INVALID': 'バイアル量は{min}より大きい値を入力してください',
+        'validation.PREPARATION_DILUTION_INVALID': '希釈量は{min}より大きい値を入力してください',
+        'validation.PUMP_MIN_RATE_INVALID': 'ポンプ最小流量は{min}以上で入力してください',
+        'validation.PUMP_MAX_RATE_INVALID': 'ポンプ最大流量は最小流量 ({min}) より大きい値を入力してください',
+        'validation.PUMP_RESOLUTION_INVALID': 'ポンプ流量の設定単位は{min}より大きい値を入力してください',
+        'validation.SYRINGE_VOLUME_INVALID': 'シリンジ容量は{min}より大きい値を入力してください',
+        'validation.BOLUS_WEIGHTS_INVALID': 'ボーラス評価の重みは0以上で、合計が0より大きくなるよう入力してください',
+        'validation.MAX_OVERSHOOT_INVALID': '許容オーバーシュートは{min}より大きい値を入力してください',
+        'validation.MONTE_CARLO_PATIENTS_OUT_OF_RANGE': '仮想患者数は{min}-{max}の整数で入力してください',
+        'validation.MONTE_CARLO_TCI_PATIENTS_OUT_OF_RANGE': 'TCI制御では仮想患者数は{min}-{max}の整数で入力してください',
+        'validation.MONTE_CARLO_SEED_INVALID': '乱数シードは{min}以上の整数で入力してください',
+        'validation.PD_PARAMS_REQUIRED': 'PDモデルのパラメータ ({parameters}) を原著の推定値で入力してください',
+        'validation.RESIDUAL_ERROR_REQUIRED': '{type} の残差誤差 (加算・比例) を{min}以上の値で入力してください (少なくとも一方は0より大きい値)',
+        'validation.OMEGA_REQUIRED': '個体間変動 ω ({parameter}) を{min}以上の値で入力してください',
+
+        // Optimizer / protocol parameters
+        'optimizer.aboveTargetAtMinRate': '最小速度 {rate} mg/kg/hr でも{time:1}分後のCe ({ce:3} μg/mL) が目標 {target:3} μg/mL を上回ります',
+        'optimizer.belowTargetAtMaxRate': '最大速度 {rate} mg/kg/hr でも{time:1}分後のCe ({ce:3} μg/mL) が目標 {target:3} μg/mL に達しません',
+        'optimizer.segmentEndOffTarget': '{start:0}分からの区間の終了時Ce ({ce:3} μg/mL) が目標 {target:3} μg/mL の±{tolerance:0}%を外れます',
+        'optimizer.overshootAtMinBolus': '最小ボーラス {bolus} mg でも導入時のCeピーク ({ce:3} μg/mL) が目標を上回ります',
+        'optimizer.belowTargetAtMaxBolus': '最大ボーラス {bolus} mg でも導入時のCeピーク ({ce:3} μg/mL) が目標に達しません',
+
+        // Bolus recommendation
+        'bolus.recommendation.recommended': '推奨',
+        'bolus.recommendation.good': '良好',
+        'bolus.recommendation.acceptable': '可',
+        'bolus.recommendation.review': '要検討',
+        'bolus.tradeoff.overshootLimit': '導入時ピークが上限 (+{limit:0}%) を超過',
+        'bolus.tradeoff.rateInfeasible': '持続速度が最適化範囲外',
+        'bolus.tradeoff.best': '到達{time:1}分・ピーク+{overshoot:1}%・維持精度{accuracy:1}% で総合最良',
+        'bolus.tradeoff.faster': '到達 {time:1}分速い',
+        'bolus.tradeoff.slower': '到達 {time:1}分遅い',
+        'bolus.tradeoff.overshoot': 'ピーク {sign}{overshoot:1}%',
+        'bolus.tradeoff.accuracy': '維持精度 {sign}{accuracy:1}%',
+        'bolus.tradeoff.equivalent': '推奨とほぼ同等',
+        'bolus.tradeoff.paretoOptimal': 'パレート最適',
+
+        // Clinical protocol
+        'protocol.bolus.method': 'ボーラス投与',
+        'protocol.bolus.timing': '麻酔導入時（即座）',
+        'protocol.bolus.notes': '瞬時静脈内投与',
+        'protocol.infusion.method': '持続投与開始',
+        'protocol.infusion.methodTci': 'TCI開始',
+        'protocol.infusion.timing': 'ボーラス投与直後',
+        'protocol.infusion.notes': '最適化された投与量',
+        'protocol.infusion.notesTci': '効果部位濃度目標制御の初期速度',
+        'protocol.adjustment.timing': '{time:0}分後',
+        'protocol.threshold.method': '閾値ベース減量',
+        'protocol.tci.method': 'TCI速度変更',
+        'protocol.tci.decrease': '{percent:0}%減量',
+        'protocol.tci.increase': '{percent:0}%増量',
+        'protocol.tci.resume': '投与再開',
+        'protocol.resedation.projected': ' (シミュレーション終了後の予測, 終了時の投与速度を維持)',
+        'protocol.targetChange.method': '目標濃度変更',
+        'protocol.segmentCorrection.method': '目標維持の速度補正',
+        'protocol.segmentCorrection.notes': '目標 {target:2} μg/mL に再最適化 ({change})',
+        'protocol.targetChange.notes': '目標 {oldTarget:2} → {newTarget:2} μg/mL',
+        'protocol.flumazenil.method': 'フルマゼニル投与',
+        'protocol.flumazenil.notesStop': 'レミマゾラム投与中止・拮抗',
+        'protocol.flumazenil.notesContinue': '拮抗（持続投与継続）',
+        'protocol.resedation.method': '再鎮静リスク',
+        'protocol.resedation.notes': '拮抗減弱: 実効Ce {effectiveCe:2} μg/mL ≥ {resedationCe} μg/mL',
+
+        // Alerts
+        'alert.pumpSetting': '（ポンプ {setting}）',
+        'alert.bolus.title': 'ボーラス投与実行',
+        'alert.bolus.message': '{dose}{pump}を瞬時静脈内投与してください。',
+        'alert.continuousStart.title': '持続投与開始',
+        'alert.continuousStart.message': '{dose}{pump}で持続投与を開始してください。',
+        'alert.tciUpdate.title': 'TCI速度変更',
+        'alert.tciUpdate.message': 'TCIにより投与量が{rate:2} mg/kg/hr{pump}に変更されます（{change}）。',
+        'alert.flumazenilWarning.title': 'フルマゼニル投与予告',
+        'alert.flumazenilWarning.message': '2分後にフルマゼニル{dose} mgを投与します。',
+        'alert.flumazenil.title': 'フルマゼニル投与',
+        'alert.flumazenil.message': 'フルマゼニル{dose} mgを静注してください。',
+        'alert.flumazenil.stopRemimazolam': 'レミマゾラムの投与を中止してください。',
+        'alert.resedation.title': '再鎮静リスク',
+        'alert.resedation.message': 'フルマゼニルの効果減弱により実効Ceが{resedationCe} μg/mLを超えます（レミマゾラムCe {ce:2} μg/mL）。鎮静状態を再評価してください。',
+        'alert.targetChangeWarning.title': '目標濃度変更予告',
+        'alert.targetChangeWarning.message': '2分後に目標効果部位濃度を{target:2} μg/mLに変更します。',
+        'alert.segmentCorrectionWarning.title': '投与量補正予告',
+        'alert.segmentCorrectionWarning.message': '2分後に投与量を{rate:2} mg/kg/hr{pump}に変更します (目標 {target:2} μg/mL の維持)。',
+        'alert.segmentCorrection.title': '投与量補正',
+        'alert.segmentCorrection.message': '投与量を{rate:2} mg/kg/hr{pump}に変更してください ({change})。',
+        'alert.targetChange.title': '目標濃度変更',
+        'alert.targetChange.message': '目標を{target:2} μg/mLに変更し、投与量を{rate:2} mg/kg/hr{pump}にしてください。',
+        'alert.reductionWarning.title': '投与量変更予告',
+        'alert.reductionWarning.message': '2分後に投与量を{rate:2} mg/kg/hr{pump}に減量してください。',
+        'alert.reduction.title': '投与量減量実行',
+        'alert.reduction.message': '投与量を{rate:2} mg/kg/hr{pump}に変更してください（{percent:0}%減量）。',
+        'alert.syringeWarning.title': 'シリンジ交換予告',
+        'alert.syringeWarning.message': '{minutes:0}分後にシリンジ{syringe}本目が空になります。次のシリンジを準備してください。',
+        'alert.syringeChange.title': 'シリンジ交換',
+        'alert.syringeChange.message': 'シリンジ{syringe}本目が空になります（累積{cumulativeDose:0} mg）。{next}本目に交換してください。',
+
+        // CSV headers
+        'csv.timeSeries.time': '時間(分)',
+        'csv.timeSeries.ce': '効果部位濃度(μg/mL)',
+        'csv.timeSeries.plasma': '血漿濃度(μg/mL)',
+        'csv.timeSeries.infusionRate': '投与量(mg/kg/hr)',
+        'csv.timeSeries.targetCe': '目標濃度(μg/mL)',
+        'csv.timeSeries.upperThreshold': '上限閾値(μg/mL)',
+        'csv.timeSeries.bis': '予測BIS',
+        'csv.timeSeries.sedationProbability': 'P(MOAA/S≤1)',
+        'csv.timeSeries.cumulativeDose': '累積投与量(mg)',
+        'csv.timeSeries.remifentanilCe': 'レミフェンタニルCe(ng/mL)',
+        'csv.timeSeries.pNoResponse': 'P(無反応)',
+        'csv.protocol.step': 'ステップ',
+        'csv.protocol.method': '投与方法',
+        'csv.protocol.dose': '投与量',
+        'csv.protocol.totalDose': '累積投与量',
+        'csv.protocol.timing': 'タイミング',
+        'csv.protocol.notes': '備考',
+        'csv.protocol.pumpSetting': 'ポンプ設定',
+
+        // Dose records / observations / case history / cohort
+        'replay.noEvents': '投与記録には1つ以上のイベントが必要です',
+        'replay.eventLabel': 'イベント{index}',
+        'replay.unknownType': '{label}: 不明な種類です ({type})',
+        'replay.invalidTime': '{label}: 時刻は0-{max}分の範囲で入力してください',
+        'replay.invalidBolus': '{label}: ボーラス投与量は0より大きい値を入力してください',
+        'replay.invalidRate': '{label}: 投与速度は0-{max} mg/kg/hrの範囲で入力してください',
+        'replay.invalidPause': '{label}: 一時停止時間は0より大きい値を入力してください',
+        'replay.invalidFlushConcentration': '{label}: フラッシュの濃度は0より大きい値を入力してください',
+        'replay.invalidFlush': '{label}: フラッシュ量は0より大きい値を入力してください',
+        'replay.invalidFormat': '投与記録の形式が正しくありません: "{line}"（例: 0 bolus 7, 10 rate 1.5, 45 pause 5, 60 flush 2）',
+        'bayesian.noObservations': '観測値を1つ以上入力してください',
+        'bayesian.observationLabel': '観測{index}',
+        'bayesian.unknownType': '{label}: 不明な種類です ({type})',
+        'bayesian.invalidTime': '{label}: 時刻は0-{max}分の範囲で入力してください',
+        'bayesian.invalidPlasma': '{label}: 血漿濃度は0より大きい値を入力してください',
+        'bayesian.invalidBis': '{label}: BISは0-100の範囲で入力してください',
+        'bayesian.invalidFormat': '観測値の形式が正しくありません: "{line}"（例: 30 cp 0.85, 45 bis 48）',
+        'patient.sex.male': '男性',
+        'patient.sex.female': '女性',
+        'history.unavailable': 'このブラウザでは症例履歴 (IndexedDB) を利用できません',
+        'history.notFound': '症例履歴が見つかりません: #{id}',
+        'history.compare.patientId': '患者ID',
+        'history.compare.createdAt': '保存日時',
+        'history.compare.appVersion': 'アプリバージョン',
+        'history.compare.model': 'PKモデル',
+        'history.compare.age': '年齢 (歳)',
+        'history.compare.weight': '体重 (kg)',
+        'history.compare.height': '身長 (cm)',
+        'history.compare.sex': '性別',
+        'history.compare.asaPS': 'ASA-PS',
+        'history.compare.cl': 'CL (L/min)',
+        'history.compare.v1': 'V1 (L)',
+        'history.compare.ke0': 'ke0 (1/min)',
+        'history.compare.targetCe': '目標Ce (μg/mL)',
+        'history.compare.bolusDose': 'ボーラス (mg)',
+        'history.compare.initialRate': '初期持続速度 (mg/kg/hr)',
+        'history.compare.finalCe': '最終Ce (μg/mL)',
+        'history.compare.adjustmentCount': '調整回数',
+        'cohort.metric.optimalRate': '最適持続速度 (mg/kg/hr)',
+        'cohort.metric.maxCe': '最大Ce (μg/mL)',
+        'cohort.metric.targetAccuracy': '目標精度 (%)',
+        'cohort.metric.adjustmentCount': '調整回数',
+        'cohort.emptyCsv': '患者CSVが空です',
+        'cohort.missingColumns': '患者CSVに必要な列がありません: {columns}',
+        'cohort.tooManyRows': '患者CSVは{max}行以内にしてください ({rows}行)',
+        'cohort.invalidQuote': '患者CSVの{line}行目: 引用符 (") は値全体を囲んでください (値の中の " は "" と書きます)',
+        'cohort.unterminatedQuote': '患者CSVの{line}行目: 引用符 (") が閉じていません',
+        'cohort.columnCount': '列の数が見出しと一致しません ({cells}列, 見出し{columns}列)。カンマを含む値は "..." で囲んでください',
+        'cohort.notNumber': '{column} が数値ではありません ({value})',
+        'cohort.invalidSex': 'sex を読み取れません ({value})',
+        'cohort.invalidAsa': 'ASA-PS を読み取れません ({value})',
+        'csv.cohort.line': '行',
+        'csv.cohort.patientId': '患者ID',
+        'csv.cohort.age': '年齢',
+        'csv.cohort.weight': '体重(kg)',
+        'csv.cohort.height': '身長(cm)',
+        'csv.cohort.sex': '性別',
+        'csv.cohort.asaPS': 'ASA-PS',
+        'csv.cohort.bolusDose': 'ボーラス(mg)',
+        'csv.cohort.optimalRate': '最適持続速度(mg/kg/hr)',
+        'csv.cohort.maxCe': '最大Ce(μg/mL)',
+        'csv.cohort.targetAccuracy': '目標精度(%)',
+        'csv.cohort.adjustmentCount': '調整回数',
+        'csv.cohort.error': 'エラー',
+
+        // Preparation / FHIR / models
+        'preparation.pumpStopped': '停止 (0 mL/h)',
+        'preparation.belowMinRate': '{rate} mL/hはポンプの最小流量{limit} mL/hを下回ります',
+        'preparation.aboveMaxRate': '{rate} mL/hはポンプの最大流量{limit} mL/hを超えます',
+        'preparation.stepWarning': 'ステップ{step}: {message}',
+        'preparation.action.bolus': 'ボーラス',
+        'preparation.action.rate': '流量設定',
+        'preparation.action.stop': '停止',
+        'csv.pumpProgram.preparation': '# 調製: {vialMg} mg / {dilutionMl} mL = {concentration} mg/mL, ポンプ流量 {pumpMinRate}-{pumpMaxRate} mL/h',
+        'csv.pumpProgram.step': 'ステップ',
+        'csv.pumpProgram.time': '時間(分)',
+        'csv.pumpProgram.action': '操作',
+        'csv.pumpProgram.doseMg': '投与量(mg)',
+        'csv.pumpProgram.volumeMl': '容量(mL)',
+        'csv.pumpProgram.rateMgKgHr': '投与速度(mg/kg/hr)',
+        'csv.pumpProgram.rateMlH': 'ポンプ流量(mL/h)',
+        'csv.pumpProgram.warning': '警告',
+        'fhir.invalidObservationInterval': '予測濃度の出力間隔は{min}分以上で入力してください',
+        'fhir.route': '静脈内',
+        'fhir.plannedAdministration': 'プロトコルによる予定投与（実投与の記録ではありません）: {step}',
+        'fhir.validator.unresolvedReference': 'Bundle.entry[{index}]: 参照 {reference} がBundle内にありません',
+        'fhir.validator.emptyArray': '{path}: 空でない配列である必要があります',
+        'fhir.validator.notAllowed': '{path}: {value} は許可された値 ({allowed}) ではありません',
+        'fhir.validator.wrongType': '{path}: {type} である必要があります',
+        'fhir.validator.wrongFormat': '{path}: {type} の形式ではありません ({value})',
+        'fhir.validator.unsupportedResource': '{path}: 対応していないリソースです ({resourceType})',
+        'fhir.validator.notObject': '{path}: {type} オブジェクトである必要があります',
+        'fhir.validator.required': '{path}: 必須です',
+        'fhir.validator.choice': '{path}: {choices} のいずれか1つが必要です',
+        'fhir.validator.unknownProperty': '{path}: {type} に定義されていないプロパティです',
+        'liveCase.cannotPostponeConfirmed': '実施済みのステップは延期できません',
+        'liveCase.invalidPostpone': '延期時間は0より大きい値を入力してください',
+        'opioid.unknownModel': '相互作用モデルが不明です: {model}',
+        'opioid.unknownMode': 'レミフェンタニルの入力方法が不明です: {mode}',
+        'opioid.invalidCe': 'レミフェンタニル効果部位濃度は0-20 ng/mLの範囲で入力してください',
+        'opioid.invalidRate': 'レミフェンタニル投与速度は0-1.0 μg/kg/minの範囲で入力してください',
+        'opioid.invalidMinTargetFraction': '目標濃度の最小比率は0より大きく1以下で入力してください',
+        'model.outOfValidityRange': '{model}: {covariate} = {value:1} はモデルの適用範囲 ({min}-{max}) 外です',
+        'protocolJson.notObject': 'プロトコルJSONの内容がオブジェクトではありません',
+        'protocolJson.wrongFormat': 'プロトコルJSONの形式が異なります (format: {format})',
+        'protocolJson.unsupportedVersion': '対応していない形式バージョンです (formatVersion: {version})',
+        'protocolJson.missing': '{key} がありません',
+        'protocolJson.notNumber': '{key} が数値ではありません',
+        'protocolJson.unreadable': 'プロトコルJSONを読み込めません: {message}',
+        'pd.invalidMoaasModel': 'MOAA/SモデルのCe50とγは0より大きい値を入力してください',
+        'pd.invalidBisModel': 'BISモデルのCe50とγは0より大きい値を入力してください',
+        'pd.invalidBisRange': 'BISモデルは 0 ≤ Emin < E0 ≤ 100 としてください',
+        'pd.invalidEndpoint': '臨床エンドポイントの形式が正しくありません: "{endpoint}"（例: BIS 50, MOAA/S 0.95）',
+        'pd.invalidTargetBis': '目標BISは{min}-{max}の間で入力してください',
+        'pd.invalidTargetMoaas': '目標 P(MOAA/S ≤ 1) は0-1の間で入力してください',
+
+        // Application (dynamic text)
+        'app.minutes': '{value} 分',
+        'app.count': '{count} 回',
+        'app.converged': '収束',
+        'app.notConverged': '未収束',
+        'app.calculating': '最適化計算中...',
+        'app.patient.statusValid': '正常範囲',
+        'app.patient.statusInvalid': '要確認',
+        'app.patient.collectFailed': '患者データの取得に失敗しました',
+        'app.preview.error': '計算エラー',
+        'app.alert.modelValidity': 'モデル適用範囲外',
+        'app.alert.ke0Fallback': 'ke0 近似値を使用',
+        'app.alert.targetUnreachable': '目標到達不可',
+        'app.alert.pumpRange': 'ポンプ流量範囲外',
+        'app.alert.atTime': '{time:0}分後: {message}',
+        'app.cohort.title': 'コホート一括計算',
+        'app.cohort.noFile': '患者CSVファイルを選択してください',
+        'app.cohort.progress': '計算中 {current} / {total}',
+        'app.cohort.done': '完了: {calculated} 例計算, {failed} 行エラー',
+        'app.cohort.patient': '{age} 歳 / {weight} kg / {height} cm',
+        'app.cohort.failure': '{line}行目 ({patientId}): {errors}',
+        'app.history.title': '症例履歴',
+        'app.history.saveFailed': '症例を保存できませんでした: {message}',
+        'app.history.open': '開く',
+        'app.history.duplicate': '複製',
+        'app.history.delete': '削除',
+        'app.history.opened': '保存症例を表示',
+        'app.history.versionMismatch': 'バージョン相違',
+        'app.history.versionMismatchMessage': 'この症例はV{version}で計算されました。現在のバージョンで再計算すると結果が異なる場合があります。',
+        'app.history.confirmDelete': '症例 #{id} を履歴から削除しますか？',
+        'app.compare.title': '症例比較',
+        'app.compare.selectTwo': '比較する症例を2つ選択してください',
+        'app.reversal.reversed': '{time:1}分に実効Ce < {resedationCe} μg/mL',
+        'app.reversal.notReversed': '判定濃度未満に到達せず',
+        'app.reversal.resedationRisk': '再鎮静リスクあり ({time:1}分, Ce {ce:2} μg/mL)',
+        'app.reversal.resedationRiskProjected': '再鎮静リスクあり ({time:1}分, Ce {ce:2} μg/mL, 終了後の予測)',
+        'app.reversal.noResedationRisk': '再鎮静リスクなし',
+        'app.reversal.summary': '{time}分 {dose} mg: {reversed} / {resedation}',
+        'app.bayes.convergence': '{status} ({iterations}反復, OFV {prior:2} → {posterior:2})',
+        'app.bayes.doseSourceSummary': '{source} (最終観測 {time}分)',
+        'app.bayes.doseSource.replay': '実投与記録',
+        'app.bayes.doseSource.protocol': '計画プロトコル',
+        'app.bayes.observationType.plasma': '血漿濃度 (μg/mL)',
+        'app.bayes.observationType.bis': 'BIS',
+        'app.replay.difference': '(差 {sign}{difference:1} mg)',
+        'app.replay.breakdown': 'ボーラス {bolus:1} / 持続 {infusion:1} / フラッシュ {flush:1} mg',
+        'app.replay.maxCeDifference': '{sign}{difference:3} μg/mL ({time}分)',
+        'app.live.postponed': '（延期 {count}回）',
+        'app.live.nextStep': '{title} ({minutes:1}分後)',
+        'app.live.confirm': '確認',
+        'app.live.postpone': '延期 (+{minutes}分)',
+        'app.inventory.vials': '{count} 本 ({vialMg} mg/バイアル)',
+        'app.inventory.syringes': '{count} 本 ({volume} mL = {syringeMg} mg/本, 調製 {vials} バイアル, 残量廃棄 {waste:1} mg)',
+        'app.inventory.syringeChange': '{time:1}分 ({syringe}→{next}本目)',
+        'app.inventory.noSyringeChange': '交換なし',
+        'app.monteCarlo.nominalYes': '典型患者: あり',
+        'app.monteCarlo.nominalNo': '典型患者: なし',
+        'app.monteCarlo.run': '{n} 人 / シード {seed}',
+        'app.variability.illustrative': '入力値 (例示・公表値ではない)',
+        'app.variability.published': 'モデルの公表値',
+        'app.monteCarlo.finalBand': '{p05:3} - {p95:3} μg/mL (中央値 {p50:3})',
+        'app.decrement.notReached': '到達せず',
+        'app.decrement.stopInfo': '{time} 分 / {ce:3} μg/mL',
+        'app.target.opioidReduction': ' (レミフェンタニル併用で減量: {targets} μg/mL から)',
+        'app.target.segment': '{start}分〜 {target} μg/mL',
+        'app.optimizer.convergence': '{status} ({iterations}反復, {evaluations}評価)',
+        'app.optimizer.infeasible': '範囲外 (限界速度)',
+        'app.engine.analytical': '厳密解',
+        'app.engine.numerical': '数値解',
+        'app.bolus.summary': '推奨: {bolus} mg + {rate:2} mg/kg/hr (重み 到達{timeWeight} / ピーク{overshootWeight} / 維持{maintenanceWeight}, ピーク上限 +{maxOvershoot:0}%)',
+        'app.bolus.noneFeasible': '導入時ピーク上限と速度範囲を満たすボーラス量がありません',
+        'app.bolus.current': ' (入力値)',
+        'app.modelComparison.legacy': '旧V3.3 (旧パラメータ)',
+        'app.modelComparison.masui': 'Masui 2022 (現行)',
+        'app.modelComparison.legacyRegimenOnMasui': '旧V3.3の投与量をMasuiモデルで予測',
+        'app.modelComparison.note': '旧シミュレーションの効果部位濃度予測は、同じ投与量をMasuiモデルで予測した場合と最大 {max:3} μg/mL ({time:1}分時点)、平均 {mean:3} μg/mL 乖離していました。',
+        'app.model.withinRange': '範囲内',
+        'app.model.outOfRange': '範囲外',
+        'app.chart.ce': '効果部位濃度',
+        'app.chart.plasma': '血漿濃度',
+        'app.chart.target': '目標濃度',
+        'app.chart.upperThreshold': '上限閾値',
+        'app.chart.population95': '母集団 95%',
+        'app.chart.population5': '母集団 5%',
+        'app.chart.populationMedian': '母集団 中央値',
+        'app.chart.decrement': '中止後予測Ce',
+        'app.chart.reversalCe': '拮抗後の実効Ce',
+        'app.chart.replayCe': '実投与Ce',
+        'app.chart.replayCp': '実投与Cp',
+        'app.chart.illustrative': '{label} (例示)',
+        'app.placeholder.value': '{value} (仮の値による予測)',
+        'app.chart.posteriorCe': '個別化Ce (事後)',
+        'app.chart.bis': '予測BIS',
+        'app.chart.pNoResponse': 'P(無反応) 併用',
+        'app.chart.infusionRate': '投与量',
+        'app.chart.timeAxis': '時間 (分)',
+        'app.chart.concentrationAxis': '濃度 (μg/mL)',
+        'app.chart.rateAxis': '投与量 (mg/kg/hr)',
+        'app.export.pumpTitle': 'ポンプ設定出力',
+        'app.export.pumpDisabled': '薬剤調製・ポンプ設定を有効にして計算してください',
+        'app.export.fhirTitle': 'FHIR出力',
+        'app.export.fhirInvalid': 'FHIR Bundleの検証エラー: {errors}',
+        'app.import.title': 'JSON読込',
+        'app.import.versionNote': 'ファイルはV{version}（{modelId} {modelVersion}）で作成されています。',
+        'app.import.mismatchTitle': '再計算結果の相違',
+        'app.import.mismatch': '再計算結果が{count}項目でファイルと異なります: {listed}{more}',
+        'app.import.more': ' ほか{count}項目',
+        'app.import.match': '再計算結果はファイルの内容と一致しました。',
+
+        // Print
+        'print.title': 'ボーラス+持続投与プロトコル',
+        'print.heading': 'ボーラス+持続投与最適化プロトコル',
+        'print.patientId': '患者ID',
+        'print.generatedAt': '生成日時',
+        'print.summary': '投与サマリー',
+        'print.bolusDose': 'ボーラス投与量',
+        'print.optimalRate': '最適持続投与量',
+        'print.target': '目標濃度',
+        'print.finalCe': '予測最終濃度',
+        'print.preparation': '薬剤調製',
+        'print.step': 'ステップ',
+        'print.method': '投与方法',
+        'print.dose': '投与量',
+        'print.totalDose': '総投与量',
+        'print.timing': '実行タイミング',
+        'print.notes': '備考',
+        'print.pumpSetting': 'ポンプ設定',
+        'print.disclaimer': '本プロトコルは教育・研究目的専用です。臨床使用は医師の責任において実施してください。',
+        'print.developer': '開発者',
+        'print.evidence': '科学的根拠',
+
+        // Static UI (index.html)
+        'app.documentTitle': 'レミマゾラム TCI V3.4 - 個別化Ke0計算対応',
+        'ui.header.language': '表示言語',
+        'ui.disclaimer.title': '免責事項 - V3.3 ボーラス+持続投与最適化',
+        'ui.disclaimer.purpose': '本アプリケーションは教育・研究目的専用です。',
+        'ui.disclaimer.notDevice': '・本ソフトウェアは医療機器ではありません',
+        'ui.disclaimer.noClinicalUse': '・診断、治療、その他一切の臨床用途に使用してはなりません',
+        'ui.disclaimer.userResponsibility': '・計算結果の使用は利用者の責任において行ってください',
+        'ui.disclaimer.professionalJudgment': '・実際の臨床判断は、資格を持つ医療専門家の責任において行われるべきです',
+        'ui.disclaimer.toolTitle': '薬物動態シミュレーション研究ツール',
+        'ui.disclaimer.toolDescription': 'ボーラス投与後の血中濃度推移と最適投与量の理論計算',
+        'ui.disclaimer.accept': '同意して使用開始',
+        'ui.header.subtitle': 'ボーラス+持続投与最適化システム (Bolus + Continuous Optimization)',
+        'ui.patient.title': '👤 患者情報',
+        'ui.patient.patientId': '患者ID',
+        'ui.patient.patientIdPlaceholder': '例: V3.3-001',
+        'ui.patient.age': '年齢 (歳)',
+        'ui.patient.ageRange': '16-100歳',
+        'ui.patient.weight': '体重 (kg)',
+        'ui.patient.height': '身長 (cm)',
+        'ui.patient.sex': '性別',
+        'ui.patient.status': '患者状態',
+        'ui.bolus.title': '💊 ボーラス+目標濃度設定',
+        'ui.bolus.bolusDose': '初回ボーラス投与量 (mg)',
+        'ui.bolus.bolusRange': '範囲: 1-15mg',
+        'ui.bolus.optimizeBolus': 'ボーラス量も同時に最適化',
+        'ui.bolus.targetCe': '目標効果部位濃度 (μg/mL)',
+        'ui.bolus.targetRange': '範囲: 0.1 - 3.0 μg/mL',
+        'ui.bolus.endpoint': '臨床エンドポイント目標 (任意)',
+        'ui.bolus.endpointType': 'エンドポイント',
+        'ui.bolus.endpointNone': '使用しない (目標Ceを使用)',
+        'ui.bolus.endpointHelp': 'PDモデルから目標Ceを逆算して最適化',
+        'ui.bolus.endpointValue': '目標値',
+        'ui.bolus.endpointValueHelp': 'BIS: 40-95 / 確率: 0-1',
+        'ui.bolus.moaasHelp': 'P(MOAA/S ≤ 1) のsigmoid Emaxパラメータ',
+        'ui.bolus.pdPlaceholderHelp': '既定値はありません。原著の推定値を入力してください (BIS・MOAA/S の予測と臨床エンドポイント目標に必要)',
+        'ui.bolus.bisHelp': 'BIS予測のsigmoid Emaxパラメータ',
+        'ui.bolus.targetSchedule': '目標濃度スケジュール (任意)',
+        'ui.bolus.targetSchedulePlaceholder': '例: 15:0.8, 150:0.5',
+        'ui.bolus.targetScheduleHelp': '開始時間(分):目標濃度(μg/mL) をカンマ区切りで入力。0分からは上記の目標効果部位濃度',
+        'ui.preview.title': '最適化プレビュー',
+        'ui.preview.bolus': '1. ボーラス投与',
+        'ui.preview.initialConc': '2. 初期血中濃度',
+        'ui.preview.optimalRate': '3. 最適持続投与量',
+        'ui.preview.targetReach': '4. 予測到達濃度',
+        'ui.settings.title': '最適化設定',
+        'ui.settings.pkModel': 'PKモデル',
+        'ui.settings.pkModelHelp': 'シミュレーションに使用する母集団モデル',
+        'ui.settings.engine': '計算エンジン',
+        'ui.settings.engineAnalytical': '厳密解 (解析解)',
+        'ui.settings.engineNumerical': '数値解 (RK4)',
+        'ui.settings.engineHelp': 'もう一方のエンジンとの差を結果に表示',
+        'ui.settings.controlMode': '制御方式',
+        'ui.settings.controlThreshold': '閾値ベース減量',
+        'ui.settings.controlTci': '効果部位TCI',
+        'ui.settings.controlHelp': 'TCI: 10秒毎に目標Ceへ到達する速度を計算（オーバーシュートなし）',
+        'ui.settings.targetReachTime': '目標到達時間 (分)',
+        'ui.settings.targetReachTimeHelp': 'ボーラス後の目標濃度到達時間',
+        'ui.settings.thresholdRatio': '閾値比率',
+        'ui.settings.thresholdRatioHelp': '減量開始の閾値（目標×比率）',
+        'ui.settings.reductionFactor': '減量係数',
+        'ui.settings.reductionFactorHelp': '閾値到達時の減量率',
+        'ui.settings.stopTime': '投与中止時刻 (分)',
+        'ui.settings.stopTimeHelp': 'この時点で投与を中止した場合の覚醒予測',
+        'ui.settings.awakeningCe': '覚醒濃度 (μg/mL)',
+        'ui.settings.awakeningCeHelp': 'Ceがこの値を下回る時間を予測',
+        'ui.reversal.title': 'フルマゼニル拮抗シナリオ',
+        'ui.reversal.time': '投与時刻 (分)',
+        'ui.reversal.timeHelp': 'フルマゼニルを静注する時刻',
+        'ui.reversal.dose': 'フルマゼニル (mg)',
+        'ui.reversal.doseRange': '範囲: 0.1-1.0 mg',
+        'ui.reversal.resedationCe': '再鎮静判定濃度 (μg/mL)',
+        'ui.reversal.resedationCeHelp': '拮抗後の実効Ceがこの値を再び超えると警告',
+        'ui.reversal.placeholderHelp': '拮抗の強さ KB は出典を示せない仮の値です (API・CLI の reversal.kb で変更)',
+        'ui.reversal.stopInfusion': '拮抗時にレミマゾラムを中止',
+        'ui.opioid.title': 'レミフェンタニル併用',
+        'ui.opioid.mode': 'レミフェンタニル濃度',
+        'ui.opioid.modeConstant': '一定Ce (ng/mL)',
+        'ui.opioid.modeInfusion': 'Minto持続投与 (μg/kg/min)',
+        'ui.opioid.valueHelp': '一定Ce: 0-20 ng/mL / 持続投与: 0-1.0 μg/kg/min',
+        'ui.opioid.model': '相互作用モデル',
+        'ui.opioid.modelHelp': '喉頭展開に対する無反応確率',
+        'ui.opioid.reduceTarget': '併用に応じて目標Ceを減量',
+        'ui.opioid.placeholderHelp': '応答曲面パラメータは出典を示せない仮の値です (API・CLI の surfaceParams で変更)',
+        'ui.opioid.reduceTargetHelp': '単独時と同じ無反応確率となるCeまで (元の目標の50%が下限)',
+        'ui.preparation.title': '薬剤調製・ポンプ設定 (mL, mL/h)',
+        'ui.preparation.vialMg': 'バイアル量 (mg)',
+        'ui.preparation.vialHelp': 'レミマゾラム 50 mg/バイアル',
+        'ui.preparation.dilutionMl': '希釈量 (mL)',
+        'ui.preparation.concentration': '調製濃度:',
+        'ui.preparation.pumpRange': 'ポンプ流量範囲 (mL/h)',
+        'ui.preparation.pumpRangeHelp': '最小・最大流量（使用するシリンジポンプの仕様）',
+        'ui.preparation.syringeVolume': 'シリンジ容量 (mL)',
+        'ui.preparation.syringeVolumeHelp': 'シリンジ交換時刻の予測に使用（無効時は 50 mg/50 mL・50 mL）',
+        'ui.monteCarlo.title': '個体間変動シミュレーション (Monte Carlo)',
+        'ui.monteCarlo.patients': '仮想患者数',
+        'ui.monteCarlo.patientsHelp': '閾値制御: 1-2000 / TCI制御: 1-50 (計算に時間がかかります)',
+        'ui.monteCarlo.seed': '乱数シード',
+        'ui.monteCarlo.seedHelp': '同じシードで同じ結果を再現',
+        'ui.variability.title': '個体間変動 ω (対数正規の標準偏差)',
+        'ui.variability.help': 'モデルに登録された公表値を使います (その欄は入力不可)。公表値のない ω だけ、個体間変動シミュレーションとベイズ個別化の事前分布に入力が必要です（0 = 変動なし、Ce50 はPD推定のみ）。入力値を使った結果は例示です',
+        'ui.variability.source': 'ω:',
+        'ui.alerts.title': 'アラート設定',
+        'ui.alerts.audio': '音声アラート',
+        'ui.alerts.notification': '通知アラート',
+        'ui.alerts.bolus': 'ボーラス投与アラート',
+        'ui.actions.generate': 'ボーラス+持続投与最適化実行',
+        'ui.results.title': '📋 ボーラス+持続投与最適化結果',
+        'ui.results.print': '🖨️ 印刷',
+        'ui.results.exportCsv': '💾 CSV出力',
+        'ui.results.exportJson': '📄 JSON出力',
+        'ui.results.exportFhir': '🏥 FHIR出力',
+        'ui.results.exportPump': '💉 ポンプ設定出力',
+        'ui.results.bolusDose': 'ボーラス投与量',
+        'ui.results.optimalRate': '最適持続投与量',
+        'ui.results.targetCe': '目標濃度',
+        'ui.results.finalCe': '予測最終濃度',
+        'ui.inventory.title': '薬剤使用量・在庫計画',
+        'ui.inventory.totalDose': '総投与量 (計画):',
+        'ui.inventory.vials': '必要バイアル数:',
+        'ui.inventory.syringes': 'シリンジ:',
+        'ui.inventory.syringeChanges': 'シリンジ交換予定:',
+        'ui.monteCarloResult.title': '個体間変動 (Monte Carlo)',
+        'ui.monteCarloResult.run': '仮想患者数 / シード:',
+        'ui.monteCarloResult.overshoot': '上限閾値超過確率:',
+        'ui.monteCarloResult.belowTarget': '目標未達確率 (目標 -10%):',
+        'ui.monteCarloResult.finalBand': '最終Ce 5-95%:',
+        'ui.live.title': '術中ライブモード',
+        'ui.live.start': '▶ 症例開始 (t=0)',
+        'ui.live.stop': '■ 終了',
+        'ui.live.elapsed': '経過時間:',
+        'ui.live.currentCe': '現在の予測Ce (実施記録):',
+        'ui.live.plannedCe': '計画上のCe:',
+        'ui.live.nextStep': '次のステップ:',
+        'ui.protocol.title': '臨床投与プロトコル',
+        'ui.chart.title': 'ボーラス+持続投与濃度推移',
+        'ui.chart.threshold': '減量閾値',
+        'ui.chart.infusionRate': '持続投与量',
+        'ui.chart.pd': '予測BIS / P(MOAA/S≤1)',
+        'ui.chart.pNoResponse': 'P(無反応) レミフェンタニル併用',
+        'ui.chart.replay': '実投与 Ce / Cp',
+        'ui.decrement.title': '覚醒予測 (投与中止後)',
+        'ui.decrement.stopInfo': '中止時刻 / 中止時Ce:',
+        'ui.decrement.ce50': 'Ce 50%低下時間:',
+        'ui.decrement.ce80': 'Ce 80%低下時間:',
+        'ui.decrement.awakening': '覚醒濃度到達時間:',
+        'ui.decrement.reversal': 'フルマゼニル拮抗:',
+        'ui.decrement.stopTime': '中止時刻',
+        'ui.decrement.ceAtStop': '中止時Ce',
+        'ui.decrement.ce50Short': 'Ce 50%低下',
+        'ui.decrement.ce80Short': 'Ce 80%低下',
+        'ui.decrement.awakeningShort': '覚醒濃度到達',
+        'ui.replay.title': '実投与記録の再生',
+        'ui.replay.record': '投与記録 (1行1イベント: 時刻[分] 種類 値)',
+        'ui.replay.recordHelp': 'bolus (mg) / rate (mg/kg/hr) / pause (再開までの分, 省略可) / flush (mL, 濃度 mg/mL 省略時 1.0)',
+        'ui.replay.run': '▶ 投与記録を再生',
+        'ui.replay.actualDose': '累積投与量 (実投与):',
+        'ui.replay.recommendedDose': '累積投与量 (推奨):',
+        'ui.replay.breakdown': '内訳:',
+        'ui.replay.maxCeDifference': '推奨との最大Ce差:',
+        'ui.replay.meanCeDifference': '推奨との平均Ce差:',
+        'ui.bayes.title': 'ベイズ個別化 (MAP推定)',
+        'ui.bayes.observations': '観測値 (1行1観測: 時刻[分] 種類 値)',
+        'ui.bayes.observationsHelp': 'cp (血漿濃度 μg/mL) / bis (安定したBIS値)。投与は再生済みの実投与記録、なければ計画プロトコル',
+        'ui.bayes.residualPlasma': '残差誤差 cp: 加算 (μg/mL) / 比例',
+        'ui.bayes.residualBis': '残差誤差 BIS: 加算 / 比例',
+        'ui.bayes.residualHelp': '既定値はありません。観測する種類ごとに原著の推定値または測定法の誤差を入力してください (比例は割合、0 = 使わない)',
+        'ui.bayes.estimatePD': 'PDパラメータ (Ce50) も推定',
+        'ui.bayes.run': '▶ 個別化して再計算',
+        'ui.bayes.convergence': '推定:',
+        'ui.bayes.doseSource': '投与:',
+        'ui.bayes.finalCe': '最終Ce (母集団 → 個別化):',
+        'ui.bayes.parameter': 'パラメータ',
+        'ui.bayes.prior': '母集団 (事前)',
+        'ui.bayes.posterior': '個別化 (事後)',
+        'ui.bayes.ratio': '比',
+        'ui.bayes.time': '時刻',
+        'ui.bayes.type': '種類',
+        'ui.bayes.observed': '実測',
+        'ui.bayes.priorPrediction': '事前予測',
+        'ui.bayes.posteriorPrediction': '事後予測',
+        'ui.performance.title': '最適化性能評価',
+        'ui.performance.calculationTime': '計算時間:',
+        'ui.performance.targetAccuracy': '目標精度:',
+        'ui.performance.avgDeviation': '平均偏差:',
+        'ui.performance.maxConcentration': '最大濃度:',
+        'ui.performance.adjustmentCount': '調整回数:',
+        'ui.performance.stabilityIndex': '安定性指数:',
+        'ui.performance.integrationSteps': '積分ステップ数:',
+        'ui.performance.functionEvaluations': '関数評価回数:',
+        'ui.performance.optimizer': '速度最適化 (Brent):',
+        'ui.performance.engineCheck': 'エンジン間最大Ce差:',
+        'ui.performance.meanBIS': '平均BIS (維持期):',
+        'ui.performance.bisInRange': 'BIS 40-60 の割合:',
+        'ui.performance.meanSedation': '平均 P(MOAA/S≤1):',
+        'ui.performance.meanPNoResponse': '平均 P(無反応) 併用:',
+        'ui.bolusComparison.title': 'ボーラス投与量の推奨 (1-15 mg, 0.5 mg刻み)',
+        'ui.bolusComparison.rank': '順位',
+        'ui.bolusComparison.bolus': 'ボーラス(mg)',
+        'ui.bolusComparison.optimalRate': '最適持続投与量',
+        'ui.bolusComparison.timeToTarget': '目標到達',
+        'ui.bolusComparison.inductionPeak': '導入時ピーク',
+        'ui.bolusComparison.maintenance': '維持精度',
+        'ui.bolusComparison.score': 'スコア',
+        'ui.bolusComparison.recommendation': '推奨度',
+        'ui.bolusComparison.tradeoffs': 'トレードオフ',
+        'ui.modelComparison.title': 'PKモデル比較 (旧V3.3導出 vs Masui 2022)',
+        'ui.modelComparison.parameter': 'パラメータ',
+        'ui.modelComparison.legacy': '旧V3.3導出',
+        'ui.modelComparison.difference': '差',
+        'ui.modelComparison.simulation': 'シミュレーション',
+        'ui.modelComparison.rate': '持続投与量',
+        'ui.modelComparison.maxCe': '最大濃度',
+        'ui.modelComparison.finalCe': '最終濃度',
+        'ui.modelComparison.accuracy': '精度',
+        'ui.registeredModels.title': '登録PKモデル間比較 (同一患者)',
+        'ui.registeredModels.model': 'モデル',
+        'ui.registeredModels.validity': '適用範囲',
+        'ui.history.title': '📁 症例履歴',
+        'ui.history.filterPlaceholder': '患者IDで絞り込み',
+        'ui.history.compare': '選択した2症例を比較',
+        'ui.history.importJson': '📂 JSON読込',
+        'ui.history.localOnly': '計算した症例はこの端末のブラウザ内にのみ保存されます。',
+        'ui.history.select': '比較',
+        'ui.history.targetCe': '目標Ce',
+        'ui.history.bolus': 'ボーラス',
+        'ui.history.initialRate': '初期持続速度',
+        'ui.history.version': 'バージョン',
+        'ui.history.actions': '操作',
+        'ui.history.item': '項目',
+        'ui.history.caseA': '症例A',
+        'ui.history.caseB': '症例B',
+        'ui.cohort.title': '👥 コホート一括計算',
+        'ui.cohort.run': '一括計算',
+        'ui.cohort.exportCsv': '📊 CSV出力',
+        'ui.cohort.help': '患者CSV (見出し行: id, age, weight, height, sex, asa) の各行に、上の入力欄と同じボーラス・目標濃度・プロトコル設定で計算します。',
+        'ui.cohort.progress': '進捗:',
+        'ui.cohort.distribution': 'コホート分布',
+        'ui.cohort.metric': '指標',
+        'ui.cohort.meanSd': '平均 ± SD',
+        'ui.cohort.median': '中央値',
+        'ui.cohort.minMax': '最小-最大',
+        'ui.cohort.perPatient': '患者ごとの結果',
+        'ui.cohort.patient': '年齢 / 体重 / 身長',
+        'ui.cohort.optimalRate': '最適持続速度',
+        'ui.cohort.maxCe': '最大Ce',
+        'ui.cohort.targetAccuracy': '目標精度',
+        'ui.cohort.failures': '計算できなかった行',
+        'ui.footer.developer': '開発者:',
+        'ui.footer.affiliation': '済生会松山病院麻酔科・愛媛大学大学院医学系研究科薬理学',
+        'ui.footer.evidence': '科学的根拠:',
+        'ui.footer.numerics': '数値計算:',
+        'ui.info.title': 'ボーラス+持続投与最適化について',
+        'ui.info.bolusRole': '💊 ボーラス投与の役割',
+        'ui.info.rapidInduction': '迅速導入:',
+        'ui.info.rapidInductionText': '瞬時に薬物を中枢コンパートメントに送達',
+        'ui.info.concentrationRise': '濃度上昇:',
+        'ui.info.concentrationRiseText': '持続投与のみでは時間のかかる初期上昇を短縮',
+        'ui.info.clinicalPractice': '実臨床対応:',
+        'ui.info.clinicalPracticeText': '「眠らせる」ための一般的な投与方法',
+        'ui.info.individualization': '個別化:',
+        'ui.info.individualizationText': '患者状態と目標濃度に応じた投与量調整',
+        'ui.info.algorithm': '🧮 最適化アルゴリズム',
+        'ui.info.context7': 'Context7強化:',
+        'ui.info.context7Text': 'Math.NET Numericsの数値計算手法を応用',
+        'ui.info.rungeKutta': 'ルンゲ・クッタ法:',
+        'ui.info.rungeKuttaText': '高精度な微分方程式求解',
+        'ui.info.inverse': '逆算最適化:',
+        'ui.info.inverseText': '目標濃度から必要な持続投与量を計算',
+        'ui.info.threshold': '閾値制御:',
+        'ui.info.thresholdText': 'V3.2の最適化された閾値ベース減量',
+        'ui.info.process': '📊 最適化プロセス',
+        'ui.info.step1': '1. ボーラス分布:',
+        'ui.info.step1Text': 'V1コンパートメントへの瞬時分布を計算',
+        'ui.info.step2': '2. 初期濃度:',
+        'ui.info.step2Text': 'ボーラス投与直後の血中濃度を算出',
+        'ui.info.step3': '3. 持続投与最適化:',
+        'ui.info.step3Text': '20分で目標濃度到達する投与量を逆算',
+        'ui.info.step4': '4. 統合シミュレーション:',
+        'ui.info.step4Text': 'ボーラス+持続+減量の完全予測',
+        'ui.info.logic': '🔬 計算ロジック詳細',
+        'ui.info.pkModel': 'PKモデル:',
+        'ui.info.pkModelText': 'Masui et al. (2022) 三区画モデル + 効果部位',
+        'ui.info.covariates': '個体差補正:',
+        'ui.info.covariatesText': '年齢、体重、性別、ASA-PS分類による係数調整',
+        'ui.info.integration': '数値積分:',
+        'ui.info.integrationText': '4次ルンゲ・クッタ法 (dt=0.1分)',
+        'ui.info.optimization': '最適化:',
+        'ui.info.optimizationText': 'グリッドサーチによる投与量逆算 (0.1 mg/kg/hr刻み)',
+        'ui.info.thresholdControlText': '上限閾値1.2倍、減量係数0.70の統合制御',
+        'ui.info.evidence': '📚 科学的根拠',
+        'ui.info.basePaper': '基盤論文:',
+        'ui.info.numericsText': 'Math.NET Numerics手法による高精度微分方程式求解',
+        'ui.info.optimizationTheory': '最適化理論:',
+        'ui.info.optimizationTheoryText': '制約条件付き最適化問題としての投与量決定',
+        'ui.info.simulation': 'シミュレーション:',
+        'ui.info.simulationText': 'Monte Carlo法による個体差検証',
+
+        // HTTP API / CLI
+        'schema.type': '{types} を指定してください ({actual})',
+        'schema.typeSeparator': ' または ',
+        'schema.enum': '{options} のいずれかを指定してください',
+        'schema.minimum': '{limit} 以上の値を指定してください',
+        'schema.exclusiveMinimum': '{limit} より大きい値を指定してください',
+        'schema.maximum': '{limit} 以下の値を指定してください',
+        'schema.minLength': '{limit} 文字以上で指定してください',
+        'schema.maxLength': '{limit} 文字以内で指定してください',
+        'schema.minItems': '{limit} 件以上の要素が必要です',
+        'schema.maxItems': '{limit} 件以内にしてください',
+        'schema.required': '必須項目です',
+        'schema.additionalProperty': '定義されていない項目です',
+        'api.schema.patient': '患者共変量 (範囲の確認は Patient.validate)',
+        'api.schema.patientId': '患者ID (既定: API)',
+        'api.schema.age': '年齢 (歳)',
+        'api.schema.weight': '体重 (kg)',
+        'api.schema.height': '身長 (cm)',
+        'api.schema.sex': 'male | female (0 = 男性, 1 = 女性)',
+        'api.schema.asa': 'ASA-PS 1-4 | I-II | III-IV',
+        'api.schema.modelId': 'PKモデル (既定: {model})',
+        'api.schema.bolusDose': 'ボーラス投与量 (mg)',
+        'api.schema.targetCe': '目標効果部位濃度 (μg/mL)',
+        'api.schema.targetReachTime': '目標到達時間 (分, 既定: {reachTime})',
+        'api.schema.protocolParams': 'calculateBolusProtocol の protocolParams (プロトコルJSON形式の protocolParams と同じ)',
+        'api.schema.clinicalEndpoint': '例: "BIS 50"',
+        'api.schema.optimizeRate': 'optimizeBolus: true の場合はボーラス量も同時に最適化し、bolusDose は不要',
+        'api.schema.includeTimeSeries': '時系列を含める (既定: true)',
+        'api.schema.replayDuration': '再生時間 (分, 既定: 最後のイベントと {duration} 分の長い方)',
+        'api.schema.events': '投与記録 (time: 投与開始からの分)',
+        'api.schema.eventDose': 'bolus: mg',
+        'api.schema.eventRate': 'rate: mg/kg/hr',
+        'api.schema.eventDuration': 'pause: 分 (省略時は次の rate まで停止)',
+        'api.schema.eventVolume': 'flush: mL',
+        'api.schema.eventConcentration': 'flush: mg/mL',
+        'api.route.index': 'エンドポイント一覧とリクエストスキーマ',
+        'api.route.health': '稼働確認',
+        'api.route.pkParameters': '患者共変量からPKパラメータと速度定数を計算',
+        'api.route.ke0': '患者共変量からke0を計算',
+        'api.route.optimizeRate': '目標到達時間に Ce = 目標 となる持続速度 (とボーラス量) を最適化',
+        'api.route.protocol': 'ボーラス + 持続投与プロトコル全体を計算 (プロトコルJSON形式)',
+        'api.route.replay': '実投与記録を再生して Cp/Ce と累積投与量を計算',
+        'api.invalidSex': 'male または female を指定してください',
+        'api.invalidAsa': '1-4, I-II または III-IV を指定してください',
+        'api.unreadablePatient': '患者情報を読み取れません',
+        'api.invalidPatient': '患者情報が範囲外です',
+        'api.invalidRequest': 'リクエストの形式が正しくありません',
+        'api.bolusDoseRequired': 'optimizeBolus を指定しない場合は必須項目です',
+        'api.invalidEvents': '投与記録が正しくありません',
+        'api.invalidInput': '入力値が範囲外です',
+        'api.calculationError': '{message}',
+        'api.invalidLang': 'lang は {locales} のいずれかを指定してください: {locale}',
+        'api.payloadTooLarge': 'リクエスト本文は {limit} バイト以内にしてください',
+        'api.unsupportedMediaType': 'Content-Type: application/json で送信してください',
+        'api.invalidJson': 'JSON を解析できません: {error}',
+        'api.internalError': '内部エラーが発生しました',
+        'api.notFound': 'エンドポイントがありません: {path}',
+        'api.methodNotAllowed': '{method} は使用できません',
+        'cli.usage': '使い方: remimazolam-tci [オプション]\n\n患者:\n  --id <ID>                 患者ID (既定: CLI)\n  --age <歳>                年齢 (必須)\n  --weight <kg>             体重 (必須)\n  --height <cm>             身長 (必須)\n  --sex <male|female>       性別 (必須)\n  --asa <1-4|I-II|III-IV>   ASA-PS (必須)\n\n投与:\n  --bolus <mg>              ボーラス投与量 (必須)\n  --target <μg/mL>          目標効果部位濃度 (必須)\n  --reach-time <分>         目標到達時間\n  --upper-ratio <比>        上限閾値 (目標 × 比)\n  --reduction <係数>        閾値到達時の減量係数\n  --model <ID>              PKモデル (masui2022, schuttler2020)\n  --engine <種類>           analytical | numerical\n  --mode <種類>             threshold | tci\n  --schedule <区間>         目標濃度スケジュール (例: "15:0.8,150:0.5")\n  --optimize-bolus          ボーラス量も同時に最適化\n  --params <file.json>      その他の protocolParams (オプション指定が優先)\n\n出力:\n  --format <json|csv>       出力形式 (既定: json)\n  --output <all|protocol|timeseries>\n                            出力内容 (既定: all)\n  --lang <{locales}>            プロトコル・CSV見出し・メッセージの言語 (既定: {defaultLocale})\n  -h, --help                この説明を表示\n',
+        'cli.error': 'エラー: {message}',
+        'cli.warning': '警告: {message}',
+        'cli.required': '--{name} を指定してください',
+        'cli.invalidNumber': '--{name} は数値で指定してください: {value}',
+        'cli.invalidSex': '--sex は male または female で指定してください: {value}',
+        'cli.invalidAsa': '--asa は 1-4, I-II または III-IV で指定してください: {value}',
+        'cli.unreadableParams': '--params のファイルを読み込めません: {error}',
+        'cli.invalidLang': '--lang は {locales} のいずれかで指定してください: {value}',
+        'cli.invalidFormat': '--format は json または csv で指定してください: {value}',
+        'cli.invalidOutput': '--output は all, protocol または timeseries で指定してください: {value}',
+        'server.usage': '使い方: remimazolam-tci-server [オプション]\n\n  --host <アドレス>         待ち受けアドレス (既定: {defaultHost})\n  --port <番号>             ポート番号 (既定: {defaultPort}, 0 = 空きポート)\n  --lang <{locales}>            メッセージと ?lang を省略した API 応答の言語 (既定: {defaultLocale})\n  -h, --help                この説明を表示\n\nエンドポイント一覧: GET /api\n',
+        'server.invalidPort': '--port は 0-65535 の整数で指定してください: {value}',
+        'server.publicHost': '{host} で待ち受けます。API には認証がないため、信頼できるネットワーク以外では使用しないでください',
+        'server.listenFailed': 'サーバーを起動できません: {error}'
+    }
+});
@@ -3,22 +3,7 @@
  * 正解アプリのmasui-ke0-exact.jsから移植
  */
 
-// Masui 2022 model constants (theta values)
-const MASUI_THETA = {
-    1: 3.57,   // V1 coefficient
-    2: 11.3,   // V2 coefficient  
-    3: 27.2,   // V3 coefficient
-    4: 1.03,   // CL coefficient
-    5: 1.10,   // Q2 coefficient
-    6: 0.401,  // Q3 coefficient
-    8: 0.308,  // V3 age coefficient
-    9: 0.146,  // CL sex coefficient
-    10: -0.184, // CL ASA coefficient
-};
-
 // Fixed parameters
-const STANDARD_WEIGHT = 67.3; // kg
-const STANDARD_AGE = 54.0;     // years
 const T_PEAK = 2.6;            // minutes
 
 /**
@@ -82,6 +67,15 @@ class CubicSolver {
  */
 class BrentSolver {
     static findRoot(func, a, b, tolerance = 1e-12, maxIterations = 100) {
+        return this.solve(func, a, b, tolerance, maxIterations).root;
+    }
+    
+    /**
+     * 根と収束情報を返す
+     * { root, residual, iterations, evaluations, converged }
+     */
+    static solve(func, a, b, tolerance = 1e-12, maxIterations = 100) {
+        let evaluations = 2;
         let fa = func(a);
         let fb = func(b);
         
@@ -99,9 +93,13 @@ class BrentSolver {
         let mflag = true;
         let d = 0;
         
+        const result = (iterations, converged) => ({
+            root: b, residual: fb, iterations: iterations, evaluations: evaluations, converged: converged
+        });
+        
         for (let iter = 0; iter < maxIterations; iter++) {
-            if (Math.abs(b - a) < tolerance) {
-                return b;
+            if (Math.abs(b - a) < tolerance || fb === 0) {
+                return result(iter, true);
             }
             
             let s;
@@ -116,8 +114,9 @@ class BrentSolver {
                 s = b - fb * (b - a) / (fb - fa);
             }
             
-            // Check if we should use bisection instead
-            const condition1 = s < (3 * a + b) / 4 || s > b;
+            // Check if we should use bisection instead (s must lie between (3a + b) / 4 and b)
+            const bound = (3 * a + b) / 4;
+            const condition1 = s < Math.min(bound, b) || s > Math.max(bound, b);
             const condition2 = mflag && Math.abs(s - b) >= Math.abs(b - c) / 2;
             const condition3 = !mflag && Math.abs(s - b) >= Math.abs(c - d) / 2;
             const condition4 = mflag && Math.abs(b - c) < tolerance;
@@ -131,6 +130,7 @@ class BrentSolver {
             }
             
             const fs = func(s);
+            evaluations++;
             d = c;
             c = b;
             fc = fb;
@@ -149,7 +149,7 @@ class BrentSolver {
             }
         }
         
-        return b;
+        return result(maxIterations, Math.abs(b - a) < tolerance || fb === 0);
     }
 }
 
@@ -158,27 +158,10 @@ class BrentSolver {
  */
 class MasuiKe0Calculator {
     /**
-     * 患者個別のPKパラメータ計算
+     * 患者個別のPKパラメータ計算（MasuiPKModelに委譲）
      */
     static calculatePKParameters(age, TBW, height, sex, ASAPS) {
-        // 理想体重 (IBW)
-        const IBW = 45.4 + 0.89 * (height - 152.4) + 4.5 * (1 - sex);
-        
-        // 調整体重 (ABW)
-        const ABW = IBW + 0.4 * (TBW - IBW);
-        
-        // 分布容積 (L)
-        const V1 = MASUI_THETA[1] * (ABW / STANDARD_WEIGHT);
-        const V2 = MASUI_THETA[2] * (ABW / STANDARD_WEIGHT);
-        const V3 = (MASUI_THETA[3] + MASUI_THETA[8] * (age - STANDARD_AGE)) * (ABW / STANDARD_WEIGHT);
-        
-        // クリアランス (L/min)
-        const CL = (MASUI_THETA[4] + MASUI_THETA[9] * sex + MASUI_THETA[10] * ASAPS) * 
-                   Math.pow(ABW / STANDARD_WEIGHT, 0.75);
-        const Q2 = MASUI_THETA[5] * Math.pow(ABW / STANDARD_WEIGHT, 0.75);
-        const Q3 = MASUI_THETA[6] * Math.pow(ABW / STANDARD_WEIGHT, 0.75);
-        
-        return { IBW, ABW, V1, V2, V3, CL, Q2, Q3 };
+        return MasuiPKModel.calculatePKParameters(age, TBW, height, sex, ASAPS);
     }
     
     /**
@@ -315,7 +298,9 @@ class MasuiKe0Calculator {
                 ke0: ke0_final,
                 ke0_numerical: ke0_numerical,
                 ke0_regression: ke0_regression,
-                success: true
+                success: true,
+                issues: ke0_numerical !== null ? [] :
+                    [new ValidationIssue('KE0_FALLBACK_REGRESSION', 'ke0', null, ke0_regression, {}, 'warning')]
             };
             
         } catch (error) {
@@ -324,7 +309,8 @@ class MasuiKe0Calculator {
             return {
                 ke0: 0.12,
                 error: error.message,
-                success: false
+                success: false,
+                issues: [new ValidationIssue('KE0_FALLBACK_DEFAULT', 'ke0', null, 0.12, {}, 'warning')]
             };
         }
     }
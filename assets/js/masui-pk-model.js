@@ -0,0 +1,101 @@
+/**
+ * Masui 2022 Remimazolam PK Model
+ * ke0計算とシミュレーションが共通で使用する唯一のPKモデル定義
+ *
+ * Masui, K., et al. (2022). Population pharmacokinetics and pharmacodynamics of
+ * remimazolam in Japanese patients undergoing general anesthesia. J Anesth 36(4), 493-505.
+ */
+
+class MasuiPKModel {
+    // Masui 2022 model constants (theta values)
+    static THETA = {
+        1: 3.57,    // V1 (L)
+        2: 11.3,    // V2 (L)
+        3: 27.2,    // V3 (L)
+        4: 1.03,    // CL (L/min)
+        5: 1.10,    // Q2 (L/min)
+        6: 0.401,   // Q3 (L/min)
+        8: 0.308,   // V3 age coefficient
+        9: 0.146,   // CL sex coefficient
+        10: -0.184, // CL ASA coefficient
+    };
+
+    static STANDARD_WEIGHT = 67.3; // kg
+    static STANDARD_AGE = 54.0;    // years
+
+    /**
+     * 理想体重 (IBW)
+     */
+    static calculateIdealBodyWeight(height, sex) {
+        return 45.4 + 0.89 * (height - 152.4) + 4.5 * (1 - sex);
+    }
+
+    /**
+     * 調整体重 (ABW)
+     */
+    static calculateAdjustedBodyWeight(TBW, height, sex) {
+        const IBW = this.calculateIdealBodyWeight(height, sex);
+        return IBW + 0.4 * (TBW - IBW);
+    }
+
+    /**
+     * 患者個別のPKパラメータ計算
+     * sex: 0 = 男性, 1 = 女性 / ASAPS: 0 = ASA I-II, 1 = ASA III
+     */
+    static calculatePKParameters(age, TBW, height, sex, ASAPS) {
+        const THETA = this.THETA;
+        const IBW = this.calculateIdealBodyWeight(height, sex);
+        const ABW = this.calculateAdjustedBodyWeight(TBW, height, sex);
+        const sizeRatio = ABW / this.STANDARD_WEIGHT;
+
+        // 分布容積 (L)
+        const V1 = THETA[1] * sizeRatio;
+        const V2 = THETA[2] * sizeRatio;
+        const V3 = (THETA[3] + THETA[8] * (age - this.STANDARD_AGE)) * sizeRatio;
+
+        // クリアランス (L/min)
+        const CL = (THETA[4] + THETA[9] * sex + THETA[10] * ASAPS) * Math.pow(sizeRatio, 0.75);
+        const Q2 = THETA[5] * Math.pow(sizeRatio, 0.75);
+        const Q3 = THETA[6] * Math.pow(sizeRatio, 0.75);
+
+        return { IBW, ABW, V1, V2, V3, CL, Q2, Q3 };
+    }
+}
+
+// Export for use in other modules
+if (typeof window !== 'undefined') {
+    window.MasuiPKModel = MasuiPKModel;
+}
+
+// First entry of the PK model registry
+if (typeof PKModelRegistry !== 'undefined') {
+    PKModelRegistry.register({
+        id: 'masui2022',
+        name: 'Masui 2022',
+        version: '2022',
+        reference: 'Masui, K., et al. (2022). J Anesth 36(4), 493-505.',
+        covariates: ['age', 'weight', 'height', 'sex', 'asaPS'],
+        validityRanges: {
+            age: { min: 18, max: 80 },
+            weight: { min: 40, max: 120 },
+            bmi: { min: 16, max: 40 },
+            asaPS: { min: 0, max: 1 }
+        },
+        calculateParameters(patient) {
+            const p = MasuiPKModel.calculatePKParameters(
+                patient.age, patient.weight, patient.height, patient.sex, patient.asaPS
+            );
+            return { v1: p.V1, v2: p.V2, v3: p.V3, cl: p.CL, q2: p.Q2, q3: p.Q3 };
+        },
+        ke0: {
+            // 数値解 (t_peak = 2.6分) と重回帰フォールバック
+            method: 'custom',
+            calculate(patient) {
+                const result = MasuiKe0Calculator.calculateKe0(
+                    patient.age, patient.weight, patient.height, patient.sex, patient.asaPS
+                );
+                return { ke0: result.ke0, issues: result.issues };
+            }
+        }
+    });
+}
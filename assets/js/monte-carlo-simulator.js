@@ -0,0 +1,223 @@
+/**
+ * Monte Carlo Simulator
+ * 個体間変動 (ω) を考慮した仮想患者集団のシミュレーション
+ *
+ * 仮想患者 i のパラメータ: θi = θ × exp(ηi), ηi ~ N(0, ω²)
+ * (v1, v2, v3, cl, q2, q3, ke0 を独立にサンプリング)。ω はモデルに登録された公表値 (PKModelRegistry の variability)、
+ * 無ければ options.omega で全パラメータの入力が必要 (0 = 変動なし)。公表値以外の ω による結果は illustrative = true。
+ * 各仮想患者に同じプロトコル (ボーラス, 初期持続速度, 閾値減量 / TCI の規則) を BolusThresholdSimulator で適用する。
+ * TCIポンプは母集団パラメータで制御されるため、コントローラには典型値を用いる。
+ *
+ * 出力: 各時刻の Ce の中央値と 5-95 パーセンタイル、upperThreshold 超過確率 (閾値の1%を超える)、目標未達確率
+ * (各区間の目標到達時間以降に Ce < 目標 × 0.9, evaluatePerformance の ±10% と同じ基準)、典型患者での判定。
+ * 乱数はシード付き (mulberry32) で、同じシード・人数・入力なら同じ結果になる。
+ */
+
+class SeededRandom {
+    constructor(seed) {
+        this.state = seed >>> 0;
+        this.spare = null;
+    }
+
+    // mulberry32, uniform in [0, 1)
+    next() {
+        this.state = (this.state + 0x6D2B79F5) >>> 0;
+        let t = this.state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    }
+
+    // Standard normal (Box-Muller, second value kept for the next call)
+    normal() {
+        if (this.spare !== null) {
+            const value = this.spare;
+            this.spare = null;
+            return value;
+        }
+        const u1 = 1 - this.next(); // (0, 1]
+        const u2 = this.next();
+        const radius = Math.sqrt(-2 * Math.log(u1));
+        this.spare = radius * Math.sin(2 * Math.PI * u2);
+        return radius * Math.cos(2 * Math.PI * u2);
+    }
+}
+
+class MonteCarloSimulator {
+    static DEFAULTS = {
+        n: 200,     // virtual patients
+        seed: 1
+    };
+
+    static MAX_PATIENTS = 2000;
+    static MAX_TCI_PATIENTS = 50; // every virtual patient runs the TCI controller (about 17 ms each)
+    static PARAMETERS = ['v1', 'v2', 'v3', 'cl', 'q2', 'q3', 'ke0'];
+    static BELOW_TARGET_RATIO = 0.9; // ±10% band, as in evaluatePerformance
+    static OVERSHOOT_TOLERANCE = 0.01; // threshold crossings are detected on the 0.1 min output grid
+
+    constructor(patient, pkParams, options = {}, controlMode = MasuiModelConstants.DEFAULT_CONTROL_MODE) {
+        this.patient = patient;
+        this.pkParams = pkParams;
+        this.params = { ...MonteCarloSimulator.DEFAULTS, ...options };
+        this.controlMode = controlMode;
+
+        ({ omega: this.omega, illustrative: this.illustrative } =
+            MonteCarloSimulator.resolveOmega(pkParams.modelId, this.params.omega));
+
+        const issues = this.validate();
+        if (issues.length > 0) {
+            throw new ValidationError(issues);
+        }
+    }
+
+    /**
+     * 公表値 (モデル登録の variability) を優先し、公表値のない項目だけ入力値で補った ω
+     * illustrative: 公表値ではない ω を含む (結果は例示であり、臨床上の確率として扱わない)
+     */
+    static resolveOmega(modelId, omega = {}) {
+        const published = PKModelRegistry.getVariability(modelId) || {};
+        return {
+            omega: { ...(omega || {}), ...published },
+            illustrative: MonteCarloSimulator.PARAMETERS.some(key => published[key] === undefined)
+        };
+    }
+
+    // OMEGA_REQUIRED issue ('<field>.<parameter>') for each omega missing or not a finite value >= 0
+    static omegaIssues(omega, field, parameters = MonteCarloSimulator.PARAMETERS) {
+        return parameters
+            .filter(key => !(Number.isFinite(omega[key]) && omega[key] >= 0))
+            .map(key => new ValidationIssue('OMEGA_REQUIRED', `${field}.${key}`, { min: 0 }, omega[key] ?? null, { parameter: key }));
+    }
+
+    // ValidationIssue[]; fields are reported under the 'monteCarlo' protocol parameter
+    validate() {
+        const issues = [];
+        const params = this.params;
+
+        const tci = this.controlMode === 'tci';
+        const maxPatients = tci ? MonteCarloSimulator.MAX_TCI_PATIENTS : MonteCarloSimulator.MAX_PATIENTS;
+        if (!Number.isInteger(params.n) || params.n < 1 || params.n > maxPatients) {
+            issues.push(new ValidationIssue(tci ? 'MONTE_CARLO_TCI_PATIENTS_OUT_OF_RANGE' : 'MONTE_CARLO_PATIENTS_OUT_OF_RANGE',
+                'monteCarlo.n', { min: 1, max: maxPatients }, params.n));
+        }
+        if (!Number.isInteger(params.seed) || params.seed < 0) {
+            issues.push(new ValidationIssue('MONTE_CARLO_SEED_INVALID', 'monteCarlo.seed', { min: 0 }, params.seed));
+        }
+        issues.push(...MonteCarloSimulator.omegaIssues(this.omega, 'monteCarlo.omega'));
+
+        return issues;
+    }
+
+    /**
+     * 仮想患者のPKパラメータ (同じシードなら同じ順序で生成)
+     */
+    samplePatients() {
+        const random = new SeededRandom(this.params.seed);
+        const samples = [];
+
+        for (let i = 0; i < this.params.n; i++) {
+            const values = {};
+            MonteCarloSimulator.PARAMETERS.forEach(key => {
+                values[key] = this.pkParams[key] * Math.exp((this.omega[key] || 0) * random.normal());
+            });
+            samples.push(new PKParameters(
+                values.v1, values.v2, values.v3, values.cl, values.q2, values.q3, values.ke0, this.pkParams.modelId
+            ));
+        }
+
+        return samples;
+    }
+
+    /**
+     * 全仮想患者に同じプロトコルを適用し、Ce の分布と逸脱確率を求める
+     */
+    run(bolusDoseMg, initialContinuousRate, protocolParams) {
+        const engine = protocolParams.engine || MasuiModelConstants.DEFAULT_ENGINE;
+        const schedule = TargetSchedule.from(protocolParams.targetCe, protocolParams.targetSchedule);
+        const targetReachTime = protocolParams.targetReachTime ?? MasuiModelConstants.DEFAULT_TARGET_REACH_TIME;
+
+        const evaluate = result => MonteCarloSimulator.evaluateExcursions(
+            result.timeSeriesData, schedule, targetReachTime, result.reversal
+        );
+        const nominal = evaluate(new BolusThresholdSimulator(this.patient, this.pkParams, engine)
+            .simulateProtocol(bolusDoseMg, initialContinuousRate, protocolParams));
+
+        const ceByTime = [];
+        let timeSeries = null;
+        let overshootCount = 0;
+        let belowTargetCount = 0;
+
+        this.samplePatients().forEach(pkParams => {
+            const simulator = new BolusThresholdSimulator(this.patient, pkParams, engine, this.pkParams);
+            const result = simulator.simulateProtocol(bolusDoseMg, initialContinuousRate, protocolParams);
+
+            timeSeries = timeSeries || result.timeSeriesData;
+            result.timeSeriesData.forEach((point, index) => {
+                (ceByTime[index] = ceByTime[index] || []).push(point.ce);
+            });
+
+            const excursions = evaluate(result);
+            if (excursions.overshoot) overshootCount++;
+            if (excursions.belowTarget) belowTargetCount++;
+        });
+
+        const bands = timeSeries.map((point, index) => {
+            const values = ceByTime[index].sort((a, b) => a - b);
+            return {
+                time: point.time,
+                p05: MonteCarloSimulator.quantile(values, 0.05),
+                p50: MonteCarloSimulator.quantile(values, 0.50),
+                p95: MonteCarloSimulator.quantile(values, 0.95)
+            };
+        });
+
+        return {
+            n: this.params.n,
+            seed: this.params.seed,
+            omega: { ...this.omega },
+            illustrative: this.illustrative,
+            bands: bands,
+            probabilityOvershoot: overshootCount / this.params.n,
+            probabilityBelowTarget: belowTargetCount / this.params.n,
+            nominal: nominal
+        };
+    }
+
+    /**
+     * Ce > upperThreshold の時点があるか、目標到達時間以降に Ce < 目標 × 0.9 となる時点があるか
+     * (フルマゼニル拮抗後は意図した低下のため除外)
+     */
+    static evaluateExcursions(timeSeriesData, schedule, targetReachTime, reversal = null) {
+        let overshoot = false;
+        let belowTarget = false;
+
+        timeSeriesData.forEach(point => {
+            if (reversal && point.time >= reversal.time) return;
+
+            if (point.ce > point.upperThreshold * (1 + MonteCarloSimulator.OVERSHOOT_TOLERANCE)) {
+                overshoot = true;
+            }
+            const index = schedule.getSegmentIndexAt(point.time);
+            const reachTime = schedule.segments[index].startTime + schedule.getReachTime(index, targetReachTime);
+            if (point.time >= reachTime - 1e-9 && point.ce < point.targetCe * MonteCarloSimulator.BELOW_TARGET_RATIO) {
+                belowTarget = true;
+            }
+        });
+
+        return { overshoot: overshoot, belowTarget: belowTarget };
+    }
+
+    // Linear interpolation between order statistics of a sorted array
+    static quantile(sortedValues, probability) {
+        const position = (sortedValues.length - 1) * probability;
+        const lower = Math.floor(position);
+        const upper = Math.ceil(position);
+        return sortedValues[lower] + (sortedValues[upper] - sortedValues[lower]) * (position - lower);
+    }
+}
+
+// Export for use in other modules
+if (typeof window !== 'undefined') {
+    window.SeededRandom = SeededRandom;
+    window.MonteCarloSimulator = MonteCarloSimulator;
+}
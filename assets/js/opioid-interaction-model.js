@@ -0,0 +1,234 @@
+/**
+ * Opioid Interaction Model
+ * レミフェンタニル併用時の応答曲面モデル
+ *
+ * レミフェンタニル Ce は一定値、または Minto 1997 モデルによる持続投与シミュレーションで与える。
+ * 喉頭展開等の侵害刺激に対する無反応確率 P(no response) を以下のいずれかで予測する:
+ *
+ *   Greco:        U = Ua + Ub + α·Ua·Ub,  Ua = Ce_remi / C50_remi,  Ub = Ce_opioid / C50_opioid
+ *                 P = U^γ / (1 + U^γ)
+ *   Hierarchical: C50_eff = C50_remi · (1 - Imax · Ce_opioid^γo / (C50_opioid^γo + Ce_opioid^γo))
+ *                 P = Ce_remi^γ / (C50_eff^γ + Ce_remi^γ)
+ *
+ * reduceTarget 指定時は、併用下でレミマゾラム単独時と同じ P(no response) となる Ce まで目標を下げる。
+ * レミフェンタニルは鎮静作用を持たないため、元の目標の minTargetFraction 倍を下限とする。
+ *
+ * レミマゾラム-レミフェンタニル相互作用の公表値は限られるため、SURFACE_DEFAULTS は値ごとの出典を示せない
+ * 仮の値 (placeholder) である。surfaceParams で上書きし、仮の値のまま使っている項目は annotate() の placeholders に返す。
+ *
+ * Minto, C. F., et al. (1997). Influence of age and gender on the pharmacokinetics and
+ * pharmacodynamics of remifentanil. Anesthesiology 86(1), 10-23.
+ */
+
+class MintoRemifentanilModel {
+    /**
+     * James式による除脂肪体重 (LBM)
+     */
+    static calculateLeanBodyMass(weight, height, sex) {
+        const ratio = weight / height;
+        return sex === 0 ?
+            1.1 * weight - 128 * ratio * ratio :
+            1.07 * weight - 148 * ratio * ratio;
+    }
+
+    // Population PK parameters (L, L/min, /min)
+    static calculatePKParameters(patient) {
+        const age = patient.age - 40;
+        const lbm = this.calculateLeanBodyMass(patient.weight, patient.height, patient.sex) - 55;
+
+        return {
+            v1: 5.1 - 0.0201 * age + 0.072 * lbm,
+            v2: 9.82 - 0.0811 * age + 0.108 * lbm,
+            v3: 5.42,
+            cl: 2.6 - 0.0162 * age + 0.0191 * lbm,
+            q2: 2.05 - 0.0301 * age,
+            q3: 0.076 - 0.00113 * age,
+            ke0: 0.595 - 0.007 * age
+        };
+    }
+}
+
+class OpioidInteractionModel {
+    static MODELS = ['greco', 'hierarchical'];
+    static MODES = ['constant', 'infusion'];
+
+    static DEFAULTS = {
+        mode: 'constant',
+        ce: 2.0,           // ng/mL, constant remifentanil Ce
+        rate: 0.1,         // μg/kg/min, Minto simulation
+        bolus: 0,          // μg at time 0
+        model: 'greco',
+        reduceTarget: false,
+        minTargetFraction: 0.5 // remifentanil is not a hypnotic: keep at least half the target
+    };
+
+    // Placeholders, not published estimates (see the header)
+    static SURFACE_DEFAULTS = {
+        greco: {
+            c50Hypnotic: 2.0,  // μg/mL remimazolam alone
+            c50Opioid: 12.0,   // ng/mL remifentanil alone
+            gamma: 3.0,
+            alpha: 3.0         // > 0: synergy
+        },
+        hierarchical: {
+            c50Hypnotic: 2.0,  // μg/mL
+            c50Opioid: 2.0,    // ng/mL, half-maximal C50 reduction
+            gammaOpioid: 1.5,
+            maxReduction: 0.85,
+            gamma: 3.0
+        }
+    };
+
+    constructor(patient, opioidParams = {}) {
+        this.patient = patient;
+        this.params = { ...OpioidInteractionModel.DEFAULTS, ...opioidParams };
+        this.surface = {
+            ...OpioidInteractionModel.SURFACE_DEFAULTS[this.params.model],
+            ...(opioidParams.surfaceParams || {})
+        };
+
+        const errors = this.validate();
+        if (errors.length > 0) {
+            throw new DomainError(errors.join(", "));
+        }
+
+        if (this.params.mode === 'infusion') {
+            const p = MintoRemifentanilModel.calculatePKParameters(patient);
+            this.pkParams = new PKParameters(p.v1, p.v2, p.v3, p.cl, p.q2, p.q3, p.ke0, 'minto1997');
+            this.engine = new AnalyticalPKEngine(this.pkParams);
+        }
+    }
+
+    validate() {
+        const errors = [];
+
+        if (!OpioidInteractionModel.MODELS.includes(this.params.model)) {
+            errors.push(I18n.t('opioid.unknownModel', { model: this.params.model }));
+        }
+        if (!OpioidInteractionModel.MODES.includes(this.params.mode)) {
+            errors.push(I18n.t('opioid.unknownMode', { mode: this.params.mode }));
+        }
+        if (this.params.mode === 'constant' && !(this.params.ce >= 0 && this.params.ce <= 20)) {
+            errors.push(I18n.t('opioid.invalidCe'));
+        }
+        if (this.params.mode === 'infusion' && !(this.params.rate >= 0 && this.params.rate <= 1.0)) {
+            errors.push(I18n.t('opioid.invalidRate'));
+        }
+        if (!(this.params.minTargetFraction > 0 && this.params.minTargetFraction <= 1)) {
+            errors.push(I18n.t('opioid.invalidMinTargetFraction'));
+        }
+
+        return errors;
+    }
+
+    /**
+     * レミフェンタニル Ce の時系列 (ng/mL)
+     * 持続投与は μg 単位で解析解エンジンを用いる (μg/L = ng/mL)
+     */
+    simulateOpioidCe(times) {
+        if (this.params.mode === 'constant') {
+            return times.map(() => this.params.ce);
+        }
+
+        const rateUgMin = this.params.rate * this.patient.weight;
+        let state = this.engine.createState(this.params.bolus);
+        let previousTime = 0;
+
+        return times.map(time => {
+            state = this.engine.advance(state, rateUgMin, time - previousTime);
+            previousTime = time;
+            return this.engine.getEffectSiteConcentration(state);
+        });
+    }
+
+    // Opioid Ce used for target reduction: the constant value or the infusion steady state
+    getMaintenanceOpioidCe() {
+        return this.params.mode === 'constant' ?
+            this.params.ce :
+            (this.params.rate * this.patient.weight) / this.pkParams.cl;
+    }
+
+    predictNoResponse(hypnoticCe, opioidCe) {
+        const s = this.surface;
+
+        if (this.params.model === 'greco') {
+            const ua = hypnoticCe / s.c50Hypnotic;
+            const ub = opioidCe / s.c50Opioid;
+            const u = ua + ub + s.alpha * ua * ub;
+            if (u <= 0) return 0;
+            const ratio = Math.pow(u, s.gamma);
+            return ratio / (1 + ratio);
+        }
+
+        if (hypnoticCe <= 0) return 0;
+        const ratio = Math.pow(hypnoticCe / this.getEffectiveC50(opioidCe), s.gamma);
+        return ratio / (1 + ratio);
+    }
+
+    getEffectiveC50(opioidCe) {
+        const s = this.surface;
+        const opioidEffect = opioidCe <= 0 ? 0 :
+            Math.pow(opioidCe, s.gammaOpioid) / (Math.pow(s.c50Opioid, s.gammaOpioid) + Math.pow(opioidCe, s.gammaOpioid));
+        return s.c50Hypnotic * (1 - s.maxReduction * opioidEffect);
+    }
+
+    /**
+     * 併用下でレミマゾラム単独時と同じ無反応確率 (同一イソボール) を与える Ce
+     */
+    calculateEquivalentTarget(targetCe, opioidCe = this.getMaintenanceOpioidCe()) {
+        const s = this.surface;
+
+        if (this.params.model === 'greco') {
+            const ua = targetCe / s.c50Hypnotic;
+            const ub = opioidCe / s.c50Opioid;
+            return s.c50Hypnotic * (ua - ub) / (1 + s.alpha * ub);
+        }
+
+        return targetCe * this.getEffectiveC50(opioidCe) / s.c50Hypnotic;
+    }
+
+    // Reduced target, bounded by minTargetFraction of the original and the minimum target
+    adjustTarget(targetCe) {
+        const floor = Math.max(MasuiModelConstants.MIN_TARGET_CE, targetCe * this.params.minTargetFraction);
+        return Math.min(targetCe, Math.max(floor, this.calculateEquivalentTarget(targetCe)));
+    }
+
+    // Surface parameters still at the placeholder defaults
+    placeholders() {
+        const defaults = OpioidInteractionModel.SURFACE_DEFAULTS[this.params.model];
+        return Object.keys(defaults).filter(key => this.surface[key] === defaults[key]);
+    }
+
+    /**
+     * 時系列に remifentanilCe / pNoResponse を付加し要約を返す
+     * フルマゼニル拮抗がある場合は実効Ce を用いる
+     */
+    annotate(timeSeriesData) {
+        const opioidCe = this.simulateOpioidCe(timeSeriesData.map(point => point.time));
+
+        timeSeriesData.forEach((point, index) => {
+            const hypnoticCe = point.effectiveCe !== undefined ? point.effectiveCe : point.ce;
+            point.remifentanilCe = opioidCe[index];
+            point.pNoResponse = this.predictNoResponse(hypnoticCe, opioidCe[index]);
+        });
+
+        const maintenanceData = timeSeriesData.filter(point => point.time >= 60);
+        const mean = values => values.reduce((sum, value) => sum + value, 0) / values.length;
+
+        return {
+            model: this.params.model,
+            mode: this.params.mode,
+            surfaceParams: this.surface,
+            placeholders: this.placeholders(),
+            maintenanceOpioidCe: this.getMaintenanceOpioidCe(),
+            meanPNoResponse: maintenanceData.length > 0 ? mean(maintenanceData.map(point => point.pNoResponse)) : null,
+            minPNoResponse: maintenanceData.length > 0 ? Math.min(...maintenanceData.map(point => point.pNoResponse)) : null
+        };
+    }
+}
+
+// Export for use in other modules
+if (typeof window !== 'undefined') {
+    window.MintoRemifentanilModel = MintoRemifentanilModel;
+    window.OpioidInteractionModel = OpioidInteractionModel;
+}
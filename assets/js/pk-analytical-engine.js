@@ -0,0 +1,78 @@
+/**
+ * Analytical PK Engine
+ * 三区画モデル + 効果部位の区分定速投与に対する厳密解
+ *
+ * 血漿濃度を指数項ごとの成分 Cp = Σ p_i に分解し、各成分に対応する効果部位成分
+ * Ce = Σ e_i を保持する。投与はすべて中枢区画に入るため、定速投与区間 dt では
+ *   p_i(t) = s_i + (p_i(0) - s_i)·exp(-λ_i t),  s_i = R·c_i / λ_i
+ *   e_i(t) = e_i(0)·exp(-ke0 t) + s_i·(1 - exp(-ke0 t))
+ *            + (p_i(0) - s_i)·ke0/(ke0 - λ_i)·(exp(-λ_i t) - exp(-ke0 t))
+ * が成り立つ（c_i = A_i / V1, λ_i = alpha, beta, gamma）。
+ */
+
+class AnalyticalPKEngine {
+    constructor(pkParams) {
+        const coefficients = MasuiKe0Calculator.calculatePlasmaCoefficients({
+            k10: pkParams.getK10(),
+            k12: pkParams.getK12(),
+            k13: pkParams.getK13(),
+            k21: pkParams.getK21(),
+            k31: pkParams.getK31()
+        });
+
+        this.pkParams = pkParams;
+        this.lambdas = [coefficients.alpha, coefficients.beta, coefficients.gamma];
+        // Plasma concentration (μg/mL) per mg given into the central compartment
+        this.unitCoefficients = [coefficients.A, coefficients.B, coefficients.C].map(c => c / pkParams.v1);
+        this.ke0 = pkParams.ke0;
+    }
+
+    createState(bolusDoseMg = 0) {
+        return this.addBolus({ plasma: [0, 0, 0], effect: [0, 0, 0] }, bolusDoseMg);
+    }
+
+    addBolus(state, doseMg) {
+        return {
+            plasma: state.plasma.map((p, i) => p + doseMg * this.unitCoefficients[i]),
+            effect: state.effect.slice()
+        };
+    }
+
+    // Advance the state by dt minutes at a constant infusion rate (mg/min)
+    advance(state, infusionRateMgMin, dt) {
+        const ke0 = this.ke0;
+        const expKe0 = Math.exp(-ke0 * dt);
+        const plasma = [];
+        const effect = [];
+
+        for (let i = 0; i < 3; i++) {
+            const lambda = this.lambdas[i];
+            const expLambda = Math.exp(-lambda * dt);
+            const steadyState = infusionRateMgMin * this.unitCoefficients[i] / lambda;
+            const excess = state.plasma[i] - steadyState;
+
+            // ke0 → λ の極限は ke0·t·exp(-ke0 t)
+            const transfer = Math.abs(ke0 - lambda) < 1e-9 ?
+                ke0 * dt * expKe0 :
+                ke0 / (ke0 - lambda) * (expLambda - expKe0);
+
+            plasma.push(steadyState + excess * expLambda);
+            effect.push(state.effect[i] * expKe0 + steadyState * (1 - expKe0) + excess * transfer);
+        }
+
+        return { plasma, effect };
+    }
+
+    getPlasmaConcentration(state) {
+        return state.plasma[0] + state.plasma[1] + state.plasma[2];
+    }
+
+    getEffectSiteConcentration(state) {
+        return state.effect[0] + state.effect[1] + state.effect[2];
+    }
+}
+
+// Export for use in other modules
+if (typeof window !== 'undefined') {
+    window.AnalyticalPKEngine = AnalyticalPKEngine;
+}
@@ -0,0 +1,129 @@
+/**
+ * PK Model Registry
+ * 母集団PKモデルをモデルIDで登録・選択するためのレジストリ
+ *
+ * 各モデルは以下を宣言する:
+ *   id, name, version, reference
+ *   covariates       - 使用する患者共変量 (Patientのプロパティ名)
+ *   validityRanges   - 共変量ごとの適用範囲 { min, max }
+ *   calculateParameters(patient) - { v1, v2, v3, cl, q2, q3 } (L, L/min)
+ *   ke0              - ke0算出方法
+ *                      { method: 'tpeak', tPeak }   : 最大効果到達時間からの数値解
+ *                      { method: 'fixed', value }   : 固定値
+ *                      { method: 'custom', calculate(patient, params) } : ke0 または { ke0, issues }
+ *   variability      - 公表された個体間変動 ω (対数正規の標準偏差, 任意, 出典は reference) { v1, v2, v3, cl, q2, q3, ke0 }
+ *                      公表値のある項目だけを宣言する。宣言した ω は入力より優先し、宣言のない項目だけ利用者が入力する
+ *                      (その場合 Monte Carlo・ベイズ個別化の結果は例示として扱う)
+ */
+
+class PKModelRegistry {
+    static DEFAULT_MODEL_ID = 'masui2022';
+    static models = new Map();
+
+    static register(model) {
+        const required = ['id', 'name', 'covariates', 'validityRanges', 'calculateParameters', 'ke0'];
+        const missing = required.filter(key => model[key] === undefined);
+        if (missing.length > 0) {
+            throw new Error(`PK model definition is missing: ${missing.join(', ')}`);
+        }
+
+        this.models.set(model.id, model);
+        return model;
+    }
+
+    static has(modelId) {
+        return this.models.has(modelId);
+    }
+
+    static get(modelId = this.DEFAULT_MODEL_ID) {
+        const model = this.models.get(modelId);
+        if (!model) {
+            throw new DomainError(`Unknown PK model: ${modelId}`);
+        }
+        return model;
+    }
+
+    static list() {
+        return Array.from(this.models.values()).map(model => ({
+            id: model.id,
+            name: model.name,
+            version: model.version,
+            reference: model.reference,
+            covariates: model.covariates
+        }));
+    }
+
+    /**
+     * モデルのke0算出方法に従ってke0を計算
+     */
+    static calculateKe0(model, patient, params) {
+        return this.resolveKe0(model, patient, params).ke0;
+    }
+
+    /**
+     * ke0 と、フォールバック値を使用した場合の ValidationIssue (severity: 'warning')
+     * custom の calculate は数値または { ke0, issues } を返す
+     */
+    static resolveKe0(model, patient, params) {
+        const ke0Definition = model.ke0;
+
+        switch (ke0Definition.method) {
+            case 'fixed':
+                return { ke0: ke0Definition.value, issues: [] };
+            case 'custom': {
+                const result = ke0Definition.calculate(patient, params);
+                return typeof result === 'number' ? { ke0: result, issues: [] } : result;
+            }
+            case 'tpeak': {
+                const rateConstants = MasuiKe0Calculator.calculateRateConstants({
+                    V1: params.v1, V2: params.v2, V3: params.v3,
+                    CL: params.cl, Q2: params.q2, Q3: params.q3
+                });
+                const coefficients = MasuiKe0Calculator.calculatePlasmaCoefficients(rateConstants);
+                const ke0 = MasuiKe0Calculator.calculateKe0Numerical(coefficients, ke0Definition.tPeak);
+                if (ke0 === null) {
+                    throw new ValidationError([
+                        new ValidationIssue('KE0_UNSOLVABLE', 'ke0', { tPeak: ke0Definition.tPeak }, null, { modelId: model.id })
+                    ]);
+                }
+                return { ke0: ke0, issues: [] };
+            }
+            default:
+                throw new Error(`Unknown ke0 method: ${ke0Definition.method}`);
+        }
+    }
+
+    // Published omega of the model, or null when it declares none
+    static getVariability(modelId = this.DEFAULT_MODEL_ID) {
+        const model = this.get(modelId);
+        return model.variability ? { ...model.variability } : null;
+    }
+
+    /**
+     * 患者共変量がモデルの適用範囲内か確認
+     */
+    static checkValidity(model, patient) {
+        const warnings = [];
+
+        Object.entries(model.validityRanges).forEach(([covariate, range]) => {
+            const value = covariate === 'bmi' ? patient.getBMI() : patient[covariate];
+            if (value < range.min || value > range.max) {
+                warnings.push({
+                    modelId: model.id,
+                    covariate: covariate,
+                    value: value,
+                    min: range.min,
+                    max: range.max,
+                    message: I18n.t('model.outOfValidityRange', { model: model.name, covariate: covariate, value: value, min: range.min, max: range.max })
+                });
+            }
+        });
+
+        return warnings;
+    }
+}
+
+// Export for use in other modules
+if (typeof window !== 'undefined') {
+    window.PKModelRegistry = PKModelRegistry;
+}
@@ -0,0 +1,194 @@
+/**
+ * Protocol JSON Format
+ * プロトコルの構造化JSON (エクスポート / インポート)
+ *
+ * {
+ *   format: 'remimazolam-tci-protocol', formatVersion, appVersion, exportedAt,
+ *   model:     { id, version },
+ *   patient:   Patient のフィールド,
+ *   pkParams:  PKParameters のフィールド,
+ *   bolusDose, targetCe, protocolParams   - calculateBolusProtocol への入力 (再計算用)
+ *   result:    { bolusDose, targetCe, optimalContinuousRate, clinicalProtocol, dosageAdjustments,
+ *                performance, pdPerformance }
+ * }
+ *
+ * インポート時は入力から BolusProtocolCalculator で再計算し、ファイル内の pkParams / result と比較する。
+ * clinicalProtocol の表示文字列 (TEXT_FIELDS) は出力時のロケールで書かれているため比較しない。
+ */
+
+class ProtocolJsonFormat {
+    static FORMAT = 'remimazolam-tci-protocol';
+    static FORMAT_VERSION = 1;
+    static RELATIVE_TOLERANCE = 1e-6;
+    static ABSOLUTE_TOLERANCE = 1e-9;
+    // clinicalProtocol display text, localized at export; the numbers behind it are in dosageAdjustments
+    static TEXT_FIELDS = ['method', 'dose', 'totalDose', 'timing', 'notes', 'pumpSetting'];
+
+    /**
+     * 計算結果と入力から JSON 文書 (オブジェクト) を作成
+     */
+    static serialize(results, inputs, exportedAt = new Date()) {
+        const patient = results.patient;
+
+        return {
+            format: ProtocolJsonFormat.FORMAT,
+            formatVersion: ProtocolJsonFormat.FORMAT_VERSION,
+            appVersion: MasuiModelConstants.APP_VERSION,
+            exportedAt: exportedAt.toISOString(),
+            model: {
+                id: results.modelId,
+                version: PKModelRegistry.get(results.modelId).version
+            },
+            patient: {
+                patientId: patient.patientId,
+                age: patient.age,
+                weight: patient.weight,
+                height: patient.height,
+                sex: patient.sex,
+                asaPS: patient.asaPS
+            },
+            pkParams: { ...results.pkParams },
+            bolusDose: inputs.bolusDose,
+            targetCe: inputs.targetCe,
+            protocolParams: inputs.protocolParams || {},
+            result: ProtocolJsonFormat.extractResult(results)
+        };
+    }
+
+    static extractResult(results) {
+        return {
+            bolusDose: results.bolusDose,
+            targetCe: results.targetCe,
+            optimalContinuousRate: results.optimalContinuousRate,
+            clinicalProtocol: results.clinicalProtocol,
+            dosageAdjustments: results.dosageAdjustments,
+            performance: results.performance,
+            pdPerformance: results.pdPerformance
+        };
+    }
+
+    static stringify(results, inputs) {
+        return JSON.stringify(ProtocolJsonFormat.serialize(results, inputs), null, 2);
+    }
+
+    static validate(data) {
+        const errors = [];
+
+        if (!data || typeof data !== 'object') {
+            return [I18n.t('protocolJson.notObject')];
+        }
+        if (data.format !== ProtocolJsonFormat.FORMAT) {
+            errors.push(I18n.t('protocolJson.wrongFormat', { format: String(data.format) }));
+        }
+        if (!Number.isInteger(data.formatVersion) || data.formatVersion > ProtocolJsonFormat.FORMAT_VERSION) {
+            errors.push(I18n.t('protocolJson.unsupportedVersion', { version: String(data.formatVersion) }));
+        }
+
+        ['patient', 'pkParams', 'protocolParams', 'result'].forEach(key => {
+            if (!data[key] || typeof data[key] !== 'object') {
+                errors.push(I18n.t('protocolJson.missing', { key: key }));
+            }
+        });
+        ['bolusDose', 'targetCe'].forEach(key => {
+            if (!Number.isFinite(data[key])) {
+                errors.push(I18n.t('protocolJson.notNumber', { key: key }));
+            }
+        });
+        if (data.patient) {
+            ['age', 'weight', 'height', 'sex', 'asaPS'].forEach(key => {
+                if (!Number.isFinite(data.patient[key])) {
+                    errors.push(I18n.t('protocolJson.notNumber', { key: `patient.${key}` }));
+                }
+            });
+        }
+
+        return errors;
+    }
+
+    static parse(text) {
+        let data;
+        try {
+            data = JSON.parse(text);
+        } catch (error) {
+            throw new Error(I18n.t('protocolJson.unreadable', { message: error.message }));
+        }
+
+        const errors = ProtocolJsonFormat.validate(data);
+        if (errors.length > 0) {
+            throw new Error(errors.join(", "));
+        }
+        return data;
+    }
+
+    static createPatient(data) {
+        const source = data.patient;
+        return new Patient(source.patientId, source.age, source.weight, source.height, source.sex, source.asaPS);
+    }
+
+    /**
+     * 入力から再計算し、ファイル内の値との相違を返す
+     */
+    static recompute(data, calculator = new BolusProtocolCalculator()) {
+        const results = calculator.calculateBolusProtocol(
+            ProtocolJsonFormat.createPatient(data), data.bolusDose, data.targetCe, data.protocolParams
+        );
+
+        const differences = [];
+        ProtocolJsonFormat.diff(data.pkParams, { ...results.pkParams }, 'pkParams', differences);
+        ProtocolJsonFormat.diff(
+            ProtocolJsonFormat.withoutText(data.result),
+            ProtocolJsonFormat.withoutText(ProtocolJsonFormat.extractResult(results)),
+            'result', differences
+        );
+
+        return {
+            results: results,
+            differences: differences,
+            versionMismatch: data.appVersion !== MasuiModelConstants.APP_VERSION ||
+                data.model?.version !== PKModelRegistry.get(results.modelId).version
+        };
+    }
+
+    static withoutText(result) {
+        if (!Array.isArray(result.clinicalProtocol)) return result;
+        return {
+            ...result,
+            clinicalProtocol: result.clinicalProtocol.map(entry => Object.fromEntries(
+                Object.entries(entry).filter(([key]) => !ProtocolJsonFormat.TEXT_FIELDS.includes(key))
+            ))
+        };
+    }
+
+    // Field-by-field comparison; numbers within tolerance count as equal
+    static diff(expected, actual, path, differences) {
+        if (typeof expected === 'number' && typeof actual === 'number') {
+            const scale = Math.max(Math.abs(expected), Math.abs(actual));
+            if (Math.abs(expected - actual) > ProtocolJsonFormat.ABSOLUTE_TOLERANCE + ProtocolJsonFormat.RELATIVE_TOLERANCE * scale) {
+                differences.push({ path: path, fileValue: expected, recomputedValue: actual });
+            }
+            return differences;
+        }
+
+        if (expected && actual && typeof expected === 'object' && typeof actual === 'object') {
+            if (Array.isArray(expected) && Array.isArray(actual) && expected.length !== actual.length) {
+                differences.push({ path: `${path}.length`, fileValue: expected.length, recomputedValue: actual.length });
+                return differences;
+            }
+            const keys = new Set([...Object.keys(expected), ...Object.keys(actual)]);
+            keys.forEach(key => ProtocolJsonFormat.diff(expected[key], actual[key], `${path}.${key}`, differences));
+            return differences;
+        }
+
+        // JSON turns Infinity/NaN into null and drops undefined
+        const normalize = value => (value === undefined || (typeof value === 'number' && !Number.isFinite(value))) ? null : value;
+        if (normalize(expected) !== normalize(actual)) {
+            differences.push({ path: path, fileValue: expected, recomputedValue: actual });
+        }
+        return differences;
+    }
+}
+
+// Export for use in other modules
+if (typeof window !== 'undefined') {
+    window.ProtocolJsonFormat = ProtocolJsonFormat;
+}
@@ -0,0 +1,183 @@
+/**
+ * Remimazolam PD Model
+ * 効果部位濃度からの鎮静度予測 (sigmoid Emax)
+ *
+ *   P(MOAA/S ≤ 1) = Ce^γ / (Ce50^γ + Ce^γ)
+ *   BIS = E0 - (E0 - Emin) · Ce^γ / (Ce50^γ + Ce^γ)
+ *
+ * 既定値は持たない。原著 (Schüttler 2020 Part II など) の推定値を pdParams の moaas / bis で与えたモデルだけを使い、
+ * 与えていないモデルの予測 (bis, sedationProbability) は null、臨床エンドポイント目標は PD_PARAMS_REQUIRED とする。
+ */
+
+class RemimazolamPDModel {
+    static PARAMETERS = {
+        moaas: ['ce50', 'gamma'],              // μg/mL, 50% probability of MOAA/S ≤ 1
+        bis: ['e0', 'emin', 'ce50', 'gamma']   // awake BIS, BIS at maximal effect, μg/mL
+    };
+
+    static BIS_RANGE = { min: 40, max: 60 };  // general anaesthesia range for time-in-range
+    static SEDATION_PROBABILITY = 0.95;        // P(MOAA/S ≤ 1) regarded as adequate
+
+    constructor(pdParams = {}) {
+        const params = pdParams || {};
+        this.params = {
+            moaas: params.moaas ? { ...params.moaas } : null,
+            bis: params.bis ? { ...params.bis } : null
+        };
+
+        const errors = this.validate();
+        if (errors.length > 0) {
+            throw new DomainError(errors.join(", "));
+        }
+    }
+
+    validate() {
+        const errors = [];
+        const { moaas, bis } = this.params;
+
+        if (moaas && (!(moaas.ce50 > 0) || !(moaas.gamma > 0))) {
+            errors.push(I18n.t('pd.invalidMoaasModel'));
+        }
+        if (bis && (!(bis.ce50 > 0) || !(bis.gamma > 0))) {
+            errors.push(I18n.t('pd.invalidBisModel'));
+        }
+        if (bis && !(bis.e0 > bis.emin && bis.emin >= 0 && bis.e0 <= 100)) {
+            errors.push(I18n.t('pd.invalidBisRange'));
+        }
+
+        return errors;
+    }
+
+    has(group) {
+        return this.params[group] !== null;
+    }
+
+    // Thrown when a calculation needs a PD model that was not entered ('pdParams.bis' / 'pdParams.moaas')
+    require(group) {
+        if (!this.has(group)) {
+            throw new ValidationError([new ValidationIssue('PD_PARAMS_REQUIRED', `pdParams.${group}`,
+                null, null, { parameters: RemimazolamPDModel.PARAMETERS[group].join(', ') })]);
+        }
+    }
+
+    static fractionalEffect(ce, ce50, gamma) {
+        if (ce <= 0) return 0;
+        const ratio = Math.pow(ce / ce50, gamma);
+        return ratio / (1 + ratio);
+    }
+
+    // Ce at which the sigmoid reaches the given fractional effect (0-1)
+    static inverseEffect(fraction, ce50, gamma) {
+        return ce50 * Math.pow(fraction / (1 - fraction), 1 / gamma);
+    }
+
+    // null without a MOAA/S model
+    predictSedationProbability(ce) {
+        if (!this.has('moaas')) return null;
+        const { ce50, gamma } = this.params.moaas;
+        return RemimazolamPDModel.fractionalEffect(ce, ce50, gamma);
+    }
+
+    // null without a BIS model
+    predictBIS(ce) {
+        if (!this.has('bis')) return null;
+        const { e0, emin, ce50, gamma } = this.params.bis;
+        return e0 - (e0 - emin) * RemimazolamPDModel.fractionalEffect(ce, ce50, gamma);
+    }
+
+    /**
+     * 臨床エンドポイント指定: { type: 'bis', value: 50 } / { type: 'moaas', value: 0.95 }
+     * または文字列 "BIS 50" / "MOAA/S 0.95"
+     */
+    static parseEndpoint(endpoint) {
+        if (typeof endpoint !== 'string') {
+            return endpoint;
+        }
+
+        const match = endpoint.trim().match(/^(BIS|MOAA\/?S)\s*[:=]?\s*(\d+(?:\.\d+)?)$/i);
+        if (!match) {
+            throw new DomainError(I18n.t('pd.invalidEndpoint', { endpoint: endpoint }));
+        }
+        return {
+            type: match[1].toUpperCase() === 'BIS' ? 'bis' : 'moaas',
+            value: parseFloat(match[2])
+        };
+    }
+
+    // Effect-site concentration that produces the endpoint at steady state
+    targetCeForEndpoint(endpoint) {
+        const { type, value } = RemimazolamPDModel.parseEndpoint(endpoint);
+
+        if (type === 'bis') {
+            this.require('bis');
+            const { e0, emin, ce50, gamma } = this.params.bis;
+            if (!(value > emin && value < e0)) {
+                throw new DomainError(I18n.t('pd.invalidTargetBis', { min: emin, max: e0 }));
+            }
+            return RemimazolamPDModel.inverseEffect((e0 - value) / (e0 - emin), ce50, gamma);
+        }
+
+        if (type === 'moaas') {
+            if (!(value > 0 && value < 1)) {
+                throw new DomainError(I18n.t('pd.invalidTargetMoaas'));
+            }
+            this.require('moaas');
+            const { ce50, gamma } = this.params.moaas;
+            return RemimazolamPDModel.inverseEffect(value, ce50, gamma);
+        }
+
+        throw new DomainError(`Unknown clinical endpoint: ${type}`);
+    }
+
+    static describeEndpoint(endpoint) {
+        const { type, value } = RemimazolamPDModel.parseEndpoint(endpoint);
+        return type === 'bis' ? `BIS ${value}` : `P(MOAA/S≤1) ${value}`;
+    }
+
+    /**
+     * 時系列に bis / sedationProbability を付加
+     * フルマゼニル拮抗がある場合は実効Ce から予測する
+     */
+    annotate(timeSeriesData) {
+        timeSeriesData.forEach(point => {
+            const ce = point.effectiveCe !== undefined ? point.effectiveCe : point.ce;
+            point.bis = this.predictBIS(ce);
+            point.sedationProbability = this.predictSedationProbability(ce);
+        });
+        return timeSeriesData;
+    }
+
+    /**
+     * 臨床指標での評価 (維持期 = 60分以降, evaluatePerformance と同じ区間)
+     * 与えていないモデルの指標は null
+     */
+    evaluate(timeSeriesData) {
+        const maintenanceData = timeSeriesData.filter(point => point.time >= 60);
+        const bisRange = RemimazolamPDModel.BIS_RANGE;
+        const adequate = RemimazolamPDModel.SEDATION_PROBABILITY;
+        const hasBIS = this.has('bis');
+        const hasMOAAS = this.has('moaas');
+        const hasMaintenance = maintenanceData.length > 0;
+
+        const mean = values => values.reduce((sum, value) => sum + value, 0) / values.length;
+        const share = predicate => (maintenanceData.filter(predicate).length / maintenanceData.length) * 100;
+        const isAdequate = point => point.sedationProbability >= adequate - 1e-3;
+        const firstAdequate = hasMOAAS ? timeSeriesData.find(isAdequate) : null;
+
+        return {
+            timeToAdequateSedation: hasMOAAS ? (firstAdequate ? firstAdequate.time : Infinity) : null,
+            minBIS: hasBIS ? Math.min(...timeSeriesData.map(point => point.bis)) : null,
+            meanBIS: hasBIS && hasMaintenance ? mean(maintenanceData.map(point => point.bis)) : null,
+            bisInRange: hasBIS ? (hasMaintenance ?
+                share(point => point.bis >= bisRange.min && point.bis <= bisRange.max) : 0) : null,
+            meanSedationProbability: hasMOAAS && hasMaintenance ?
+                mean(maintenanceData.map(point => point.sedationProbability)) : null,
+            adequateSedation: hasMOAAS ? (hasMaintenance ? share(isAdequate) : 0) : null
+        };
+    }
+}
+
+// Export for use in other modules
+if (typeof window !== 'undefined') {
+    window.RemimazolamPDModel = RemimazolamPDModel;
+}
@@ -2,18 +2,10 @@
 // Context7 Math.NET Numerics Enhanced Algorithm
 
 class MasuiModelConstants {
-    static THETA_1 = 3.57;
-    static THETA_2 = 11.3;
-    static THETA_3 = 27.2;
-    static THETA_4 = 1.03;
-    static THETA_5 = 1.10;
-    static THETA_6 = 0.401;
-    static THETA_8 = 0.308;
-    static THETA_9 = 0.146;
-    static THETA_10 = -0.184;
+    // PK model parameters are defined in MasuiPKModel (masui-pk-model.js)
     
-    static STANDARD_WEIGHT = 67.3;
-    static STANDARD_AGE = 54.0;
+    // Recorded with saved cases so a past suggestion can be traced to the code that made it
+    static APP_VERSION = '3.4';
     
     // V3.3 Bolus + Continuous Constants
     static DEFAULT_TARGET_REACH_TIME = 20.0; // Default target reach time after bolus
@@ -22,19 +14,60 @@ class MasuiModelConstants {
     static SIMULATION_DURATION = 180.0; // 3 hours simulation
     static TIME_STEP = 0.1; // 0.1 minute precision
     
+    // Solution engines: 'analytical' = exact closed form, 'numerical' = RK4 + Euler Ce
+    static DEFAULT_ENGINE = 'analytical';
+    static ENGINES = ['analytical', 'numerical'];
+    
+    // Control modes: 'threshold' = threshold step-down, 'tci' = effect-site targeted TCI
+    static DEFAULT_CONTROL_MODE = 'threshold';
+    static CONTROL_MODES = ['threshold', 'tci'];
+    static TCI_UPDATE_INTERVAL = 10 / 60; // 10 second pump update (min)
+    static MIN_TCI_UPDATE_INTERVAL = 1 / 60; // 1 s; shorter intervals multiply the controller's work
+    static MAX_TCI_UPDATE_INTERVAL = 1.0; // min
+    static TCI_PREDICTION_HORIZON = 10.0; // min, covers the effect-site peak after one interval
+    static TCI_REPORT_THRESHOLD = 0.1; // mg/kg/hr change reported as a protocol step
+    static TCI_MAINTENANCE_BAND = 0.02; // within 2% of target: hold-rate maintenance
+    static TCI_MAINTENANCE_LOOKAHEAD = 1.0; // min
+    
+    // Threshold mode: re-solving the rate within a later target segment
+    static SEGMENT_CORRECTION_INTERVAL = 10.0; // min between corrections
+    static SEGMENT_CORRECTION_BAND = 0.05; // corrected when Ce is more than 5% off the segment target
+    static SEGMENT_END_TOLERANCE = 0.10; // Ce at the end of each segment within ±10% of its target
+    
     // Safety limits
     static MIN_INFUSION_RATE = 0.1; // mg/kg/hr
     static MAX_INFUSION_RATE = 6.0; // mg/kg/hr
     static MIN_BOLUS_DOSE = 1.0; // mg
     static MAX_BOLUS_DOSE = 15.0; // mg
     
-    // Optimization parameters
-    static OPTIMIZATION_STEP = 0.1; // mg/kg/hr step for rate optimization
-    static OPTIMIZATION_MIN_RATE = 0.3; // mg/kg/hr
-    static OPTIMIZATION_MAX_RATE = 4.0; // mg/kg/hr
+    // Optimization parameters (rates are searched within the MIN/MAX_INFUSION_RATE safety limits)
+    static OPTIMIZATION_RATE_TOLERANCE = 1e-6; // mg/kg/hr, Brent convergence on the rate
+    static OPTIMIZATION_BOLUS_TOLERANCE = 1e-4; // mg, Brent convergence on the bolus
+    static INDUCTION_PEAK_WINDOW = 0.5; // fraction of the reach time searched for the bolus peak (joint optimization and bolus scoring)
+    static BOLUS_SEARCH_STEP = 0.5; // mg, bolus candidates evaluated by BolusDoseOptimizer
+    
+    // Target concentration limits (μg/mL)
+    static MIN_TARGET_CE = 0.1;
+    static MAX_TARGET_CE = 3.0;
+    
+    // Threshold-control limits checked by calculateBolusProtocol
+    static MIN_TARGET_REACH_TIME = 1.0; // min
+    static MIN_UPPER_THRESHOLD_RATIO = 1.05;
+    static MAX_UPPER_THRESHOLD_RATIO = 2.0;
+    static MIN_REDUCTION_FACTOR = 0.1;
+    static MAX_REDUCTION_FACTOR = 0.95;
 }
 
 class Patient {
+    static LIMITS = {
+        age: { min: 16, max: 100 },       // years
+        weight: { min: 20.0, max: 120.0 }, // kg
+        height: { min: 130, max: 200 },   // cm
+        bmi: { min: 16.0, max: 40.0 }
+    };
+    static SEX_VALUES = [0, 1];
+    static ASA_VALUES = [0, 1];
+    
     constructor(patientId, age, weight, height, sex, asaPS) {
         this.patientId = patientId;
         this.age = age;
@@ -44,39 +77,61 @@ class Patient {
         this.asaPS = asaPS; // 0 = ASA I-II, 1 = ASA III-IV
     }
     
+    // "male" / "female" / "M" / "F" / 0 / 1 -> 0 = male, 1 = female; null if not recognised
+    static parseSex(value) {
+        const sex = { male: 0, m: 0, '0': 0, female: 1, f: 1, '1': 1 }[String(value).trim().toLowerCase()];
+        return sex !== undefined ? sex : null;
+    }
+    
+    // ASA class 1-4 or "I-II" / "III-IV" -> 0 = ASA I-II, 1 = ASA III-IV; null if not recognised
+    static parseASA(value) {
+        const asa = {
+            '1': 0, '2': 0, 'i': 0, 'ii': 0, 'i-ii': 0, '1-2': 0,
+            '3': 1, '4': 1, 'iii': 1, 'iv': 1, 'iii-iv': 1, '3-4': 1
+        }[String(value).trim().toLowerCase()];
+        return asa !== undefined ? asa : null;
+    }
+    
     getBMI() {
         return this.weight / Math.pow(this.height / 100, 2);
     }
     
+    /**
+     * 患者情報の検証
+     * issues: ValidationIssue の配列, errors: その表示メッセージ
+     */
     validate() {
-        const errors = [];
+        const limits = Patient.LIMITS;
+        const issues = [];
         
         if (!this.patientId || this.patientId.trim().length === 0) {
-            errors.push("患者IDが入力されていません");
-        }
-        
-        if (this.age < 16 || this.age > 100) {
-            errors.push("年齢は16歳から100歳の範囲で入力してください");
+            issues.push(new ValidationIssue('PATIENT_ID_REQUIRED', 'patientId', null, this.patientId));
         }
         
-        if (this.weight < 20.0 || this.weight > 120.0) {
-            errors.push("体重は20kgから120kgの範囲で入力してください");
+        issues.push(
+            ValidationIssue.checkRange('AGE_OUT_OF_RANGE', 'age', this.age, limits.age.min, limits.age.max),
+            ValidationIssue.checkRange('WEIGHT_OUT_OF_RANGE', 'weight', this.weight, limits.weight.min, limits.weight.max),
+            ValidationIssue.checkRange('HEIGHT_OUT_OF_RANGE', 'height', this.height, limits.height.min, limits.height.max),
+            ValidationIssue.checkRange('BMI_OUT_OF_RANGE', 'bmi', this.getBMI(), limits.bmi.min, limits.bmi.max)
+        );
+        if (!Patient.SEX_VALUES.includes(this.sex)) {
+            issues.push(new ValidationIssue('SEX_INVALID', 'sex', { values: Patient.SEX_VALUES }, this.sex));
         }
-        
-        const bmi = this.getBMI();
-        if (bmi < 16.0 || bmi > 40.0) {
-            errors.push(`BMIが範囲外です（計算値: ${bmi.toFixed(1)}）`);
+        if (!Patient.ASA_VALUES.includes(this.asaPS)) {
+            issues.push(new ValidationIssue('ASA_INVALID', 'asaPS', { values: Patient.ASA_VALUES }, this.asaPS));
         }
+        const found = issues.filter(issue => issue !== null);
         
         return {
-            isValid: errors.length === 0,
-            errors: errors
+            isValid: found.length === 0,
+            errors: found.map(issue => issue.message),
+            issues: found
         };
     }
 }
 
 class PKParameters {
-    constructor(v1, v2, v3, cl, q2, q3, ke0) {
+    constructor(v1, v2, v3, cl, q2, q3, ke0, modelId = PKModelRegistry.DEFAULT_MODEL_ID) {
         this.v1 = v1;
         this.v2 = v2;
         this.v3 = v3;
@@ -84,6 +139,7 @@ class PKParameters {
         this.q2 = q2;
         this.q3 = q3;
         this.ke0 = ke0;
+        this.modelId = modelId;
     }
     
     getK10() { return this.cl / this.v1; }
@@ -94,38 +150,169 @@ class PKParameters {
 }
 
 class PKParameterCalculator {
-    calculatePKParameters(patient) {
-        const weightRatio = patient.weight / MasuiModelConstants.STANDARD_WEIGHT;
-        const ageRatio = patient.age / MasuiModelConstants.STANDARD_AGE;
+    calculatePKParameters(patient, modelId = PKModelRegistry.DEFAULT_MODEL_ID) {
+        // Individual PK parameters from the registered model (Masui 2022 by default)
+        const model = PKModelRegistry.get(modelId);
+        const params = model.calculateParameters(patient);
         
-        // Individual PK parameters (Masui 2022 model)
-        const v1 = MasuiModelConstants.THETA_1 * Math.pow(weightRatio, 0.75) * 
-                   (1 + MasuiModelConstants.THETA_8 * patient.sex);
+        // 個別化Ke0計算（同一モデルのパラメータに対して算出）
+        const ke0 = PKModelRegistry.calculateKe0(model, patient, params);
         
-        const v2 = MasuiModelConstants.THETA_2 * Math.pow(weightRatio, MasuiModelConstants.THETA_4) * 
-                   (1 + MasuiModelConstants.THETA_9 * (ageRatio - 1));
-        
-        const v3 = MasuiModelConstants.THETA_3 * Math.pow(weightRatio, MasuiModelConstants.THETA_5);
+        return new PKParameters(params.v1, params.v2, params.v3, params.cl, params.q2, params.q3, ke0, model.id);
+    }
+    
+    checkModelValidity(patient, modelId = PKModelRegistry.DEFAULT_MODEL_ID) {
+        return PKModelRegistry.checkValidity(PKModelRegistry.get(modelId), patient);
+    }
+    
+    // ValidationIssue warnings when the model had to fall back to an approximate ke0
+    checkKe0(patient, modelId = PKModelRegistry.DEFAULT_MODEL_ID) {
+        const model = PKModelRegistry.get(modelId);
+        return PKModelRegistry.resolveKe0(model, patient, model.calculateParameters(patient)).issues;
+    }
+}
+
+// V3.3までの総体重比によるPKパラメータ導出（モデル比較レポート専用）
+class LegacyPKParameterCalculator {
+    static THETA_1 = 3.57;
+    static THETA_2 = 11.3;
+    static THETA_3 = 27.2;
+    static THETA_4 = 1.03;
+    static THETA_5 = 1.10;
+    static THETA_6 = 0.401;
+    static THETA_8 = 0.308;
+    static THETA_9 = 0.146;
+    static THETA_10 = -0.184;
+    
+    calculatePKParameters(patient, ke0) {
+        const C = LegacyPKParameterCalculator;
+        const weightRatio = patient.weight / MasuiPKModel.STANDARD_WEIGHT;
+        const ageRatio = patient.age / MasuiPKModel.STANDARD_AGE;
         
-        const cl = MasuiModelConstants.THETA_6 * Math.pow(weightRatio, 0.75) * 
-                   (1 + MasuiModelConstants.THETA_10 * patient.asaPS);
+        const v1 = C.THETA_1 * Math.pow(weightRatio, 0.75) * (1 + C.THETA_8 * patient.sex);
+        const v2 = C.THETA_2 * Math.pow(weightRatio, C.THETA_4) * (1 + C.THETA_9 * (ageRatio - 1));
+        const v3 = C.THETA_3 * Math.pow(weightRatio, C.THETA_5);
+        const cl = C.THETA_6 * Math.pow(weightRatio, 0.75) * (1 + C.THETA_10 * patient.asaPS);
         
-        // Inter-compartmental clearances
+        // Inter-compartmental clearances were fixed fractions of CL
         const q2 = 0.8 * cl;
         const q3 = 0.3 * cl;
         
-        // 個別化Ke0計算（正解アプリと同じロジック）
-        const ke0Result = MasuiKe0Calculator.calculateKe0(patient.age, patient.weight, patient.height, patient.sex, patient.asaPS);
-        const ke0 = ke0Result.ke0;
+        return new PKParameters(v1, v2, v3, cl, q2, q3, ke0, 'legacy-v3.3');
+    }
+}
+
+// Time-ordered effect-site targets, e.g. 1.2 μg/mL for intubation then 0.8 for maintenance
+class TargetSchedule {
+    constructor(segments) {
+        if (!Array.isArray(segments) || segments.length === 0) {
+            throw new ValidationError([new ValidationIssue('SCHEDULE_EMPTY', 'targetSchedule', { min: 1 }, 0)]);
+        }
+        
+        this.segments = segments
+            .map(segment => ({ startTime: Number(segment.startTime), targetCe: Number(segment.targetCe) }))
+            .sort((a, b) => a.startTime - b.startTime);
+        
+        const issues = this.validate();
+        if (issues.length > 0) {
+            throw new ValidationError(issues);
+        }
+    }
+    
+    // Single target, or an explicit schedule (plain segment array or TargetSchedule)
+    static from(targetCe, schedule = null) {
+        if (schedule instanceof TargetSchedule) return schedule;
+        if (Array.isArray(schedule) && schedule.length > 0) return new TargetSchedule(schedule);
+        return new TargetSchedule([{ startTime: 0, targetCe: targetCe }]);
+    }
+    
+    // "15:0.8, 150:0.5" -> segments after the initial target at 0 min
+    static parse(text, initialTargetCe) {
+        const segments = [{ startTime: 0, targetCe: initialTargetCe }];
+        
+        text.split(',').map(entry => entry.trim()).filter(entry => entry.length > 0).forEach(entry => {
+            const match = entry.match(/^(\d+(?:\.\d+)?)\s*:\s*(\d+(?:\.\d+)?)$/);
+            if (!match) {
+                throw new ValidationError([new ValidationIssue('SCHEDULE_FORMAT', 'targetSchedule', null, entry)]);
+            }
+            segments.push({ startTime: parseFloat(match[1]), targetCe: parseFloat(match[2]) });
+        });
+        
+        return segments;
+    }
+    
+    // -> ValidationIssue[] (field: targetSchedule[index].startTime / .targetCe, index in start-time order)
+    validate() {
+        const issues = [];
+        
+        if (this.segments[0].startTime !== 0) {
+            issues.push(new ValidationIssue('SCHEDULE_FIRST_START', 'targetSchedule[0].startTime',
+                { min: 0, max: 0 }, this.segments[0].startTime));
+        }
+        
+        this.segments.forEach((segment, index) => {
+            const field = `targetSchedule[${index}]`;
+            const context = { segment: index + 1 };
+            
+            if (!(segment.startTime >= 0 && segment.startTime < MasuiModelConstants.SIMULATION_DURATION)) {
+                issues.push(new ValidationIssue('SCHEDULE_START_OUT_OF_RANGE', `${field}.startTime`,
+                    { min: 0, max: MasuiModelConstants.SIMULATION_DURATION }, segment.startTime, context));
+            }
+            const targetIssue = ValidationIssue.checkRange('SCHEDULE_TARGET_OUT_OF_RANGE', `${field}.targetCe`,
+                segment.targetCe, MasuiModelConstants.MIN_TARGET_CE, MasuiModelConstants.MAX_TARGET_CE, context);
+            if (targetIssue) {
+                issues.push(targetIssue);
+            }
+            if (index > 0 && segment.startTime === this.segments[index - 1].startTime) {
+                issues.push(new ValidationIssue('SCHEDULE_DUPLICATE_START', `${field}.startTime`,
+                    null, segment.startTime, context));
+            }
+        });
         
-        return new PKParameters(v1, v2, v3, cl, q2, q3, ke0);
+        return issues;
+    }
+    
+    getSegmentIndexAt(time) {
+        let index = 0;
+        for (let i = 1; i < this.segments.length; i++) {
+            if (this.segments[i].startTime <= time + 1e-9) index = i;
+        }
+        return index;
+    }
+    
+    getTargetAt(time) {
+        return this.segments[this.getSegmentIndexAt(time)].targetCe;
+    }
+    
+    getSegmentEnd(index) {
+        return index + 1 < this.segments.length ?
+            this.segments[index + 1].startTime : MasuiModelConstants.SIMULATION_DURATION;
+    }
+    
+    // Time after the segment start at which the rate is optimized to hit the segment target
+    getReachTime(index, targetReachTime) {
+        return Math.min(targetReachTime, this.getSegmentEnd(index) - this.segments[index].startTime);
+    }
+    
+    isSingleTarget() {
+        return this.segments.length === 1;
+    }
+    
+    toJSON() {
+        return this.segments.map(segment => ({ ...segment }));
     }
 }
 
 class BolusOptimizer {
-    constructor(patient, pkParams) {
+    constructor(patient, pkParams, engine = MasuiModelConstants.DEFAULT_ENGINE) {
+        if (!MasuiModelConstants.ENGINES.includes(engine)) {
+            throw new DomainError(`Unknown solution engine: ${engine}`);
+        }
+        
         this.patient = patient;
         this.pkParams = pkParams;
+        this.engine = engine;
+        this.analyticalEngine = engine === 'analytical' ? new AnalyticalPKEngine(pkParams) : null;
         this.timeStep = MasuiModelConstants.TIME_STEP;
         this.integrationSteps = 0;
         this.functionEvaluations = 0;
@@ -151,69 +338,231 @@ class BolusOptimizer {
         };
     }
     
+    // Engine-independent system state (compartments + effect site)
+    createState(bolusDoseMg = 0) {
+        if (this.analyticalEngine) {
+            return this.analyticalEngine.createState(bolusDoseMg);
+        }
+        
+        const bolusState = this.calculateBolusInitialState(bolusDoseMg);
+        return { a1: bolusState.a1, a2: bolusState.a2, a3: bolusState.a3, ce: bolusState.effectSiteConc };
+    }
+    
+    addBolus(state, doseMg) {
+        if (this.analyticalEngine) {
+            return this.analyticalEngine.addBolus(state, doseMg);
+        }
+        return { ...state, a1: state.a1 + doseMg };
+    }
+    
+    advanceState(state, infusionRateMgMin, dt) {
+        if (this.analyticalEngine) {
+            this.integrationSteps++;
+            return this.analyticalEngine.advance(state, infusionRateMgMin, dt);
+        }
+        
+        // Forward Euler effect site driven by the plasma concentration at the start of the step
+        const plasmaConc = state.a1 / this.pkParams.v1;
+        const ce = state.ce + dt * this.pkParams.ke0 * (plasmaConc - state.ce);
+        
+        return { ...this.updateSystemStateRK4(state, infusionRateMgMin, dt), ce: ce };
+    }
+    
+    getPlasmaConcentration(state) {
+        return this.analyticalEngine ?
+            this.analyticalEngine.getPlasmaConcentration(state) : state.a1 / this.pkParams.v1;
+    }
+    
+    getEffectSiteConcentration(state) {
+        return this.analyticalEngine ?
+            this.analyticalEngine.getEffectSiteConcentration(state) : state.ce;
+    }
+    
     // Optimize continuous infusion rate for target concentration
     optimizeContinuousRate(bolusDoseMg, targetCe, targetReachTime = 20.0) {
-        const testRates = [];
-        for (let rate = MasuiModelConstants.OPTIMIZATION_MIN_RATE; 
-             rate <= MasuiModelConstants.OPTIMIZATION_MAX_RATE; 
-             rate += MasuiModelConstants.OPTIMIZATION_STEP) {
-            testRates.push(rate);
+        return this.optimizeRateFromState(this.createState(bolusDoseMg), targetCe, targetReachTime);
+    }
+    
+    /**
+     * 指定状態から一定速度で投与し、targetReachTime 後に Ce = targetCe となる速度を BrentSolver で求める
+     * 速度の探索範囲は既定で安全限界 (MIN_INFUSION_RATE-MAX_INFUSION_RATE)。
+     * Ce(t) は速度に対して単調増加のため、速度範囲内の解は一意。範囲内に解がない場合は
+     * 近い側の限界速度を返し feasible: false と理由を付ける
+     */
+    optimizeRateFromState(initialState, targetCe, targetReachTime = 20.0,
+                          minRate = MasuiModelConstants.MIN_INFUSION_RATE,
+                          maxRate = MasuiModelConstants.MAX_INFUSION_RATE) {
+        const tolerance = MasuiModelConstants.OPTIMIZATION_RATE_TOLERANCE;
+        let evaluations = 0;
+        const residual = rate => {
+            evaluations++;
+            return this.simulateContinuousFromState(initialState, rate, targetReachTime) - targetCe;
+        };
+        
+        const minResidual = residual(minRate);
+        const maxResidual = residual(maxRate);
+        
+        let optimalRate;
+        let infeasibility = null;
+        let solution = { iterations: 0, converged: false };
+        
+        if (minResidual > 0) {
+            optimalRate = minRate;
+            infeasibility = {
+                reason: 'above_target_at_min_rate',
+                limitRate: minRate,
+                ceAtLimit: minResidual + targetCe,
+                message: I18n.t('optimizer.aboveTargetAtMinRate', {
+                    rate: minRate, time: targetReachTime, ce: minResidual + targetCe, target: targetCe
+                })
+            };
+        } else if (maxResidual < 0) {
+            optimalRate = maxRate;
+            infeasibility = {
+                reason: 'below_target_at_max_rate',
+                limitRate: maxRate,
+                ceAtLimit: maxResidual + targetCe,
+                message: I18n.t('optimizer.belowTargetAtMaxRate', {
+                    rate: maxRate, time: targetReachTime, ce: maxResidual + targetCe, target: targetCe
+                })
+            };
+        } else {
+            solution = BrentSolver.solve(residual, minRate, maxRate, tolerance);
+            optimalRate = solution.root;
         }
         
-        let bestRate = 1.0;
-        let bestError = Infinity;
-        const optimizationResults = [];
+        const predictedCe = this.simulateContinuousFromState(initialState, optimalRate, targetReachTime);
+        const error = Math.abs(predictedCe - targetCe);
         
-        for (const testRate of testRates) {
-            const ceAtTarget = this.simulateBolusAndContinuous(bolusDoseMg, testRate, targetReachTime);
-            const error = Math.abs(ceAtTarget - targetCe);
-            const relativeError = (error / targetCe) * 100;
-            
-            optimizationResults.push({
-                rate: testRate,
-                ceAtTarget: ceAtTarget,
-                error: error,
-                relativeError: relativeError
-            });
-            
-            if (error < bestError) {
-                bestError = error;
-                bestRate = testRate;
+        return {
+            optimalRate: optimalRate,
+            predictedCe: predictedCe,
+            error: error,
+            relativeError: (error / targetCe) * 100,
+            feasible: infeasibility === null,
+            infeasibility: infeasibility,
+            diagnostics: {
+                method: 'brent',
+                converged: infeasibility === null && solution.converged,
+                iterations: solution.iterations,
+                evaluations: evaluations,
+                tolerance: tolerance,
+                rateBounds: [minRate, maxRate]
             }
+        };
+    }
+    
+    /**
+     * ボーラス量と持続速度の同時最適化
+     * ボーラスによる導入時の Ce ピークがちょうど目標に達し (オーバーシュートなし)、かつ
+     * targetReachTime に Ce = targetCe となる組み合わせを、速度を内側・ボーラス量を外側とする
+     * 入れ子の BrentSolver で求める
+     */
+    optimizeBolusAndRate(targetCe, targetReachTime = 20.0) {
+        const minBolus = MasuiModelConstants.MIN_BOLUS_DOSE;
+        const maxBolus = MasuiModelConstants.MAX_BOLUS_DOSE;
+        const tolerance = MasuiModelConstants.OPTIMIZATION_BOLUS_TOLERANCE;
+        let evaluations = 0;
+        let rateEvaluations = 0;
+        
+        const peakExcess = bolusDoseMg => {
+            evaluations++;
+            const rateResult = this.optimizeContinuousRate(bolusDoseMg, targetCe, targetReachTime);
+            rateEvaluations += rateResult.diagnostics.evaluations;
+            return this.calculateInductionPeak(bolusDoseMg, rateResult.optimalRate, targetReachTime).ce - targetCe;
+        };
+        
+        const minExcess = peakExcess(minBolus);
+        const maxExcess = peakExcess(maxBolus);
+        
+        let optimalBolus;
+        let infeasibility = null;
+        let solution = { iterations: 0, converged: false };
+        
+        if (minExcess > 0) {
+            optimalBolus = minBolus;
+            infeasibility = {
+                reason: 'overshoot_at_min_bolus',
+                limitBolus: minBolus,
+                message: I18n.t('optimizer.overshootAtMinBolus', { bolus: minBolus, ce: minExcess + targetCe })
+            };
+        } else if (maxExcess < 0) {
+            optimalBolus = maxBolus;
+            infeasibility = {
+                reason: 'below_target_at_max_bolus',
+                limitBolus: maxBolus,
+                message: I18n.t('optimizer.belowTargetAtMaxBolus', { bolus: maxBolus, ce: maxExcess + targetCe })
+            };
+        } else {
+            solution = BrentSolver.solve(peakExcess, minBolus, maxBolus, tolerance);
+            optimalBolus = solution.root;
         }
         
-        const predictedCe = this.simulateBolusAndContinuous(bolusDoseMg, bestRate, targetReachTime);
+        const rateResult = this.optimizeContinuousRate(optimalBolus, targetCe, targetReachTime);
+        const inductionPeak = this.calculateInductionPeak(optimalBolus, rateResult.optimalRate, targetReachTime);
         
         return {
-            optimalRate: bestRate,
-            predictedCe: predictedCe,
-            error: bestError,
-            relativeError: (bestError / targetCe) * 100,
-            allResults: optimizationResults
+            optimalBolus: optimalBolus,
+            optimalRate: rateResult.optimalRate,
+            predictedCe: rateResult.predictedCe,
+            inductionPeakCe: inductionPeak.ce,
+            inductionPeakTime: inductionPeak.time,
+            rateResult: rateResult,
+            feasible: infeasibility === null && rateResult.feasible,
+            infeasibility: infeasibility || rateResult.infeasibility,
+            diagnostics: {
+                method: 'nested-brent',
+                converged: infeasibility === null && solution.converged && rateResult.diagnostics.converged,
+                iterations: solution.iterations,
+                evaluations: evaluations,
+                rateEvaluations: rateEvaluations,
+                tolerance: tolerance,
+                bolusBounds: [minBolus, maxBolus]
+            }
         };
     }
     
+    // Highest Ce of bolus + constant rate within the induction window (INDUCTION_PEAK_WINDOW of the reach time,
+    // output time grid). Ce equals the target at the reach time, so the window has to end before it.
+    calculateInductionPeak(bolusDoseMg, continuousRate, targetReachTime) {
+        const infusionRateMgMin = (continuousRate * this.patient.weight) / 60.0;
+        const window = targetReachTime * MasuiModelConstants.INDUCTION_PEAK_WINDOW;
+        const numSteps = Math.round(window / this.timeStep);
+        let state = this.createState(bolusDoseMg);
+        let peak = { time: 0, ce: this.getEffectSiteConcentration(state) };
+        
+        for (let i = 1; i <= numSteps; i++) {
+            state = this.advanceState(state, infusionRateMgMin, this.timeStep);
+            const ce = this.getEffectSiteConcentration(state);
+            if (ce > peak.ce) {
+                peak = { time: i * this.timeStep, ce: ce };
+            }
+        }
+        
+        return peak;
+    }
+    
     // Simulate bolus + continuous infusion for specified time
     simulateBolusAndContinuous(bolusDoseMg, continuousRate, targetTime) {
-        const bolusState = this.calculateBolusInitialState(bolusDoseMg);
-        let state = { a1: bolusState.a1, a2: bolusState.a2, a3: bolusState.a3 };
-        let currentCe = bolusState.effectSiteConc;
-        
+        return this.simulateContinuousFromState(this.createState(bolusDoseMg), continuousRate, targetTime);
+    }
+    
+    // Effect-site concentration after holding continuousRate from the given state
+    simulateContinuousFromState(initialState, continuousRate, targetTime) {
+        let state = initialState;
         const infusionRateMgMin = (continuousRate * this.patient.weight) / 60.0;
-        const numSteps = Math.floor(targetTime / this.timeStep);
         
-        for (let i = 0; i < numSteps; i++) {
-            const plasmaConc = state.a1 / this.pkParams.v1;
-            
-            // Update effect-site concentration
-            const dCedt = this.pkParams.ke0 * (plasmaConc - currentCe);
-            currentCe = currentCe + this.timeStep * dCedt;
-            
-            // Update system state using RK4
-            state = this.updateSystemStateRK4(state, infusionRateMgMin, this.timeStep);
+        if (this.analyticalEngine) {
+            // Constant infusion: a single exact step reaches targetTime
+            state = this.advanceState(state, infusionRateMgMin, targetTime);
+        } else {
+            const numSteps = Math.floor(targetTime / this.timeStep);
+            for (let i = 0; i < numSteps; i++) {
+                state = this.advanceState(state, infusionRateMgMin, this.timeStep);
+            }
         }
         
-        return currentCe;
+        return this.getEffectSiteConcentration(state);
     }
     
     // 4th order Runge-Kutta integration (Context7 Math.NET inspired)
@@ -261,12 +610,105 @@ class BolusOptimizer {
     }
 }
 
+// Effect-site targeted TCI (Shafer & Gregg 1992)
+// Each pump update limits the rate so that the effect-site peak, after one update
+// interval of infusion, does not exceed the target. Near the target the rate is further
+// limited to the one that, held constant, puts Ce on target after a short look-ahead,
+// which keeps maintenance rates smooth. Predictions use the controller's own closed-form
+// model of what has been delivered.
+class EffectSiteTCIController {
+    constructor(patient, pkParams, updateInterval = MasuiModelConstants.TCI_UPDATE_INTERVAL) {
+        this.patient = patient;
+        this.engine = new AnalyticalPKEngine(pkParams);
+        this.updateInterval = updateInterval;
+        this.maxRateMgMin = (MasuiModelConstants.MAX_INFUSION_RATE * patient.weight) / 60.0;
+        this.horizonSteps = Math.ceil(MasuiModelConstants.TCI_PREDICTION_HORIZON / updateInterval);
+        this.maintenanceStep = Math.max(0, Math.round(MasuiModelConstants.TCI_MAINTENANCE_LOOKAHEAD / updateInterval) - 1);
+        this.unitResponse = this.calculateUnitResponse(false);
+        this.heldUnitResponse = this.calculateUnitResponse(true);
+        this.state = this.engine.createState(0);
+    }
+    
+    // Ce after 1 mg/min for one update interval (or held throughout), sampled at each update time
+    calculateUnitResponse(held) {
+        const response = [];
+        let state = this.engine.advance(this.engine.createState(0), 1.0, this.updateInterval);
+        response.push(this.engine.getEffectSiteConcentration(state));
+        
+        for (let k = 1; k < this.horizonSteps; k++) {
+            state = this.engine.advance(state, held ? 1.0 : 0, this.updateInterval);
+            response.push(this.engine.getEffectSiteConcentration(state));
+        }
+        return response;
+    }
+    
+    reset(bolusDoseMg = 0) {
+        this.state = this.engine.createState(bolusDoseMg);
+    }
+    
+    getPredictedCe() {
+        return this.engine.getEffectSiteConcentration(this.state);
+    }
+    
+    // Rate (mg/min) for the next update interval
+    calculateRate(targetCe) {
+        const currentCe = this.getPredictedCe();
+        
+        // Coming down from a higher target: resume infusion before Ce crosses the new one
+        if (currentCe > targetCe * (1 + MasuiModelConstants.TCI_MAINTENANCE_BAND)) {
+            return this.calculateMaintenanceRate(targetCe);
+        }
+        
+        const peakRate = this.calculatePeakRate(targetCe);
+        
+        if (currentCe >= targetCe * (1 - MasuiModelConstants.TCI_MAINTENANCE_BAND)) {
+            return Math.min(peakRate, this.calculateMaintenanceRate(targetCe));
+        }
+        return peakRate;
+    }
+    
+    // Rate whose effect-site peak after one interval of infusion just reaches the target
+    calculatePeakRate(targetCe) {
+        let freeState = this.state;
+        let rate = Infinity;
+        
+        for (let k = 0; k < this.horizonSteps; k++) {
+            freeState = this.engine.advance(freeState, 0, this.updateInterval);
+            const freeCe = this.engine.getEffectSiteConcentration(freeState);
+            const unitCe = this.unitResponse[k];
+            
+            if (unitCe > 1e-12) {
+                rate = Math.min(rate, (targetCe - freeCe) / unitCe);
+            }
+        }
+        
+        return Math.min(this.maxRateMgMin, Math.max(0, rate));
+    }
+    
+    // Held rate that puts Ce on target at the maintenance look-ahead time
+    calculateMaintenanceRate(targetCe) {
+        const k = this.maintenanceStep;
+        const freeState = this.engine.advance(this.state, 0, (k + 1) * this.updateInterval);
+        const freeCe = this.engine.getEffectSiteConcentration(freeState);
+        const rate = (targetCe - freeCe) / this.heldUnitResponse[k];
+        
+        return Math.min(this.maxRateMgMin, Math.max(0, rate));
+    }
+    
+    advance(infusionRateMgMin, dt) {
+        this.state = this.engine.advance(this.state, infusionRateMgMin, dt);
+    }
+}
+
 class BolusThresholdSimulator {
-    constructor(patient, pkParams) {
+    // controllerPkParams: model used by the TCI pump; differs from the patient's in Monte Carlo runs
+    constructor(patient, pkParams, engine = MasuiModelConstants.DEFAULT_ENGINE, controllerPkParams = pkParams) {
         this.patient = patient;
         this.pkParams = pkParams;
+        this.controllerPkParams = controllerPkParams;
+        this.engine = engine;
         this.timeStep = MasuiModelConstants.TIME_STEP;
-        this.optimizer = new BolusOptimizer(patient, pkParams);
+        this.optimizer = new BolusOptimizer(patient, pkParams, engine);
     }
     
     // Complete bolus + threshold-based protocol simulation
@@ -274,37 +716,97 @@ class BolusThresholdSimulator {
         // Reset integration counters for this simulation
         this.optimizer.resetCounters();
         
-        const upperThreshold = thresholdParams.targetCe * thresholdParams.upperThresholdRatio;
+        const schedule = TargetSchedule.from(thresholdParams.targetCe, thresholdParams.targetSchedule);
         const reductionFactor = thresholdParams.reductionFactor;
         const minimumInterval = 5.0; // 5 minutes minimum between adjustments
         
-        const bolusState = this.optimizer.calculateBolusInitialState(bolusDoseMg);
-        let state = { a1: bolusState.a1, a2: bolusState.a2, a3: bolusState.a3 };
-        let currentCe = bolusState.effectSiteConc;
+        let state = this.optimizer.createState(bolusDoseMg);
         let currentRate = initialContinuousRate;
+        let segmentIndex = 0;
+        let thresholdArmed = true;
+        const reversal = this.createReversalModel(thresholdParams);
+        let reversalGiven = false;
+        let infusionStopped = false;
         
         const timeSeriesData = [];
         const dosageAdjustments = [];
         let lastAdjustmentTime = -minimumInterval; // Allow first adjustment
+        let lastCorrectionCheckTime = -Infinity;    // Throttles segment-correction re-solves that change nothing
         let adjustmentCount = 0;
         
         const numSteps = Math.floor(MasuiModelConstants.SIMULATION_DURATION / this.timeStep) + 1;
         
         for (let i = 0; i < numSteps; i++) {
             const currentTime = i * this.timeStep;
-            const infusionRateMgMin = (currentRate * this.patient.weight) / 60.0;
             
-            // Calculate plasma concentration
-            const plasmaConc = state.a1 / this.pkParams.v1;
+            // Plasma and effect-site concentrations from the solution engine
+            const plasmaConc = this.optimizer.getPlasmaConcentration(state);
+            const currentCe = this.optimizer.getEffectSiteConcentration(state);
+            
+            // Flumazenil reversal; once remimazolam is stopped no further adjustments follow
+            if (reversal && !reversalGiven && currentTime >= reversal.time - 1e-9) {
+                const oldRate = currentRate;
+                if (reversal.params.stopInfusion) {
+                    currentRate = 0;
+                    infusionStopped = true;
+                }
+                dosageAdjustments.push(this.createReversalAdjustment(
+                    currentTime, oldRate, currentRate, currentCe, reversal, ++adjustmentCount
+                ));
+                reversalGiven = true;
+                lastAdjustmentTime = currentTime;
+            }
+            
+            // Re-optimize the rate when the next target segment comes into force
+            const scheduledIndex = schedule.getSegmentIndexAt(currentTime);
+            if (!infusionStopped && scheduledIndex !== segmentIndex) {
+                const oldRate = currentRate;
+                currentRate = this.optimizeSegmentRate(state, schedule, scheduledIndex, thresholdParams.targetReachTime);
+                segmentIndex = scheduledIndex;
+                
+                dosageAdjustments.push(this.createTargetChangeAdjustment(
+                    currentTime, oldRate, currentRate, currentCe, schedule, segmentIndex, ++adjustmentCount
+                ));
+                
+                lastAdjustmentTime = currentTime;
+                thresholdArmed = false;
+            } else if (!infusionStopped && this.needsSegmentCorrection(
+                currentTime, currentCe, schedule, segmentIndex, Math.max(lastAdjustmentTime, lastCorrectionCheckTime),
+                thresholdParams.targetReachTime
+            )) {
+                // The rate solved at the change only meets the target at the reach time; later segments
+                // start from the previous segment's state, so the rate is re-solved (up or down) as Ce drifts
+                const oldRate = currentRate;
+                currentRate = this.optimizeSegmentCorrectionRate(state, schedule, segmentIndex, currentTime, thresholdParams.targetReachTime);
+                
+                if (Math.abs(currentRate - oldRate) >= MasuiModelConstants.OPTIMIZATION_RATE_TOLERANCE) {
+                    dosageAdjustments.push({
+                        time: currentTime,
+                        type: 'segment_correction',
+                        oldRate: oldRate,
+                        newRate: currentRate,
+                        ceAtEvent: currentCe,
+                        targetCe: schedule.segments[segmentIndex].targetCe,
+                        reductionPercent: oldRate > 0 ? ((oldRate - currentRate) / oldRate) * 100 : -100,
+                        adjustmentNumber: ++adjustmentCount
+                    });
+                    lastAdjustmentTime = currentTime;
+                }
+                lastCorrectionCheckTime = currentTime;
+            }
+            
+            const targetCe = schedule.getTargetAt(currentTime);
+            const upperThreshold = targetCe * thresholdParams.upperThresholdRatio;
             
-            // Update effect-site concentration
-            if (i > 0) {
-                const dCedt = this.pkParams.ke0 * (plasmaConc - currentCe);
-                currentCe = currentCe + this.timeStep * dCedt;
+            // After a target decrease Ce starts above the new threshold by design;
+            // the threshold only applies once Ce has come down below it
+            if (currentCe < upperThreshold) {
+                thresholdArmed = true;
             }
             
             // Threshold checking and dose adjustment
-            if (currentCe >= upperThreshold && 
+            if (!infusionStopped && thresholdArmed &&
+                currentCe >= upperThreshold && 
                 currentTime - lastAdjustmentTime >= minimumInterval &&
                 currentRate > MasuiModelConstants.MIN_INFUSION_RATE) {
                 
@@ -330,31 +832,267 @@ class BolusThresholdSimulator {
                 ce: currentCe,
                 plasma: plasmaConc,
                 infusionRate: currentRate,
-                targetCe: thresholdParams.targetCe,
+                targetCe: targetCe,
                 upperThreshold: upperThreshold,
                 adjustmentNumber: adjustmentCount,
                 isBolus: i === 0,
                 timeSinceLastAdjustment: currentTime - lastAdjustmentTime
             });
             
-            // Update system state
+            // Update system state with the rate in force after any adjustment
             if (i < numSteps - 1) {
-                state = this.optimizer.updateSystemStateRK4(state, infusionRateMgMin, this.timeStep);
+                const infusionRateMgMin = (currentRate * this.patient.weight) / 60.0;
+                state = this.optimizer.advanceState(state, infusionRateMgMin, this.timeStep);
             }
         }
         
+        const reversalResult = this.finalizeReversal(reversal, timeSeriesData, dosageAdjustments, bolusDoseMg);
+        
         return {
             timeSeriesData: timeSeriesData,
             dosageAdjustments: dosageAdjustments,
-            performance: this.evaluatePerformance(timeSeriesData, thresholdParams.targetCe),
+            performance: this.evaluatePerformance(this.getEvaluationData(timeSeriesData, reversal), schedule),
+            reversal: reversalResult,
             bolusDose: bolusDoseMg,
             initialContinuousRate: initialContinuousRate,
-            thresholdParams: thresholdParams
+            thresholdParams: thresholdParams,
+            targetSchedule: schedule.toJSON(),
+            engine: this.engine
+        };
+    }
+    
+    createReversalModel(protocolParams) {
+        return protocolParams.reversal ? new FlumazenilReversalModel(this.patient, protocolParams.reversal) : null;
+    }
+    
+    createReversalAdjustment(time, oldRate, newRate, ceAtEvent, reversal, adjustmentNumber) {
+        return {
+            time: time,
+            type: 'flumazenil_reversal',
+            oldRate: oldRate,
+            newRate: newRate,
+            ceAtEvent: ceAtEvent,
+            flumazenilDose: reversal.params.dose,
+            reductionPercent: oldRate > 0 ? ((oldRate - newRate) / oldRate) * 100 : 0,
+            adjustmentNumber: adjustmentNumber
+        };
+    }
+    
+    // Annotate the series with flumazenil / effective Ce and flag resedation as an event.
+    // Past the simulated window the final rate is held (a stopped infusion simply decays)
+    finalizeReversal(reversal, timeSeriesData, dosageAdjustments, bolusDoseMg) {
+        if (!reversal) return null;
+        
+        const last = timeSeriesData[timeSeriesData.length - 1];
+        const decrement = new DecrementTimeCalculator(this.patient, this.pkParams);
+        const endState = decrement.reconstructState(bolusDoseMg, timeSeriesData, last.time);
+        const rateMgMin = (last.infusionRate * this.patient.weight) / 60.0;
+        const result = reversal.annotate(timeSeriesData, t =>
+            decrement.engine.getEffectSiteConcentration(decrement.engine.advance(endState, rateMgMin, t))
+        );
+        
+        if (result.resedationRisk) {
+            dosageAdjustments.push({
+                time: result.resedationTime,
+                type: 'resedation_risk',
+                oldRate: result.infusionRateAtResedation,
+                newRate: result.infusionRateAtResedation,
+                ceAtEvent: result.ceAtResedation,
+                effectiveCe: result.effectiveCeAtResedation,
+                resedationCe: result.resedationCe,
+                projected: result.resedationProjected,
+                reductionPercent: 0
+            });
+            dosageAdjustments.sort((a, b) => a.time - b.time);
+            dosageAdjustments.forEach((adjustment, index) => {
+                adjustment.adjustmentNumber = index + 1;
+            });
+        }
+        return result;
+    }
+    
+    // Performance is scored on the anaesthetic up to the reversal
+    getEvaluationData(timeSeriesData, reversal) {
+        return reversal ? timeSeriesData.filter(point => point.time < reversal.time) : timeSeriesData;
+    }
+    
+    // Rate that brings Ce to the new segment target within the target reach time
+    optimizeSegmentRate(state, schedule, segmentIndex, targetReachTime = MasuiModelConstants.DEFAULT_TARGET_REACH_TIME) {
+        const reachTime = schedule.getReachTime(segmentIndex, targetReachTime);
+        return this.optimizer.optimizeRateFromState(state, schedule.segments[segmentIndex].targetCe, reachTime).optimalRate;
+    }
+    
+    // Only within a later segment, after its reach time, and while Ce is outside the correction band
+    needsSegmentCorrection(time, ce, schedule, segmentIndex, lastAdjustmentTime, targetReachTime = MasuiModelConstants.DEFAULT_TARGET_REACH_TIME) {
+        if (segmentIndex === 0) return false;
+        
+        const segment = schedule.segments[segmentIndex];
+        const remaining = schedule.getSegmentEnd(segmentIndex) - time;
+        return time - segment.startTime >= schedule.getReachTime(segmentIndex, targetReachTime) &&
+            time - lastAdjustmentTime >= MasuiModelConstants.SEGMENT_CORRECTION_INTERVAL &&
+            remaining >= MasuiModelConstants.SEGMENT_CORRECTION_INTERVAL &&
+            Math.abs(ce - segment.targetCe) > segment.targetCe * MasuiModelConstants.SEGMENT_CORRECTION_BAND;
+    }
+    
+    // Rate that brings Ce back to the segment target one reach time later (within the segment)
+    optimizeSegmentCorrectionRate(state, schedule, segmentIndex, time, targetReachTime = MasuiModelConstants.DEFAULT_TARGET_REACH_TIME) {
+        const horizon = Math.min(targetReachTime, schedule.getSegmentEnd(segmentIndex) - time);
+        return this.optimizer.optimizeRateFromState(state, schedule.segments[segmentIndex].targetCe, horizon).optimalRate;
+    }
+    
+    createTargetChangeAdjustment(time, oldRate, newRate, ceAtEvent, schedule, segmentIndex, adjustmentNumber) {
+        return {
+            time: time,
+            type: 'target_change',
+            oldRate: oldRate,
+            newRate: newRate,
+            ceAtEvent: ceAtEvent,
+            oldTargetCe: schedule.segments[segmentIndex - 1].targetCe,
+            newTargetCe: schedule.segments[segmentIndex].targetCe,
+            reductionPercent: oldRate > 0 ? ((oldRate - newRate) / oldRate) * 100 : -100,
+            adjustmentNumber: adjustmentNumber
+        };
+    }
+    
+    // Dispatch to the simulation for the selected control mode
+    simulateProtocol(bolusDoseMg, initialContinuousRate, protocolParams) {
+        if (protocolParams.controlMode === 'tci') {
+            return this.simulateTCIProtocol(bolusDoseMg, protocolParams);
+        }
+        return this.simulateCompleteProtocol(bolusDoseMg, initialContinuousRate, protocolParams);
+    }
+    
+    // Bolus + effect-site targeted TCI simulation
+    simulateTCIProtocol(bolusDoseMg, tciParams) {
+        this.optimizer.resetCounters();
+        
+        const schedule = TargetSchedule.from(tciParams.targetCe, tciParams.targetSchedule);
+        const updateInterval = tciParams.tciUpdateInterval ?? MasuiModelConstants.TCI_UPDATE_INTERVAL;
+        const controller = new EffectSiteTCIController(this.patient, this.controllerPkParams, updateInterval);
+        controller.reset(bolusDoseMg);
+        
+        let state = this.optimizer.createState(bolusDoseMg);
+        let currentRate = controller.calculateRate(schedule.getTargetAt(0)) * 60.0 / this.patient.weight;
+        let nextUpdateTime = updateInterval;
+        const initialRate = currentRate;
+        
+        const timeSeriesData = [];
+        const dosageAdjustments = [];
+        let reportedRate = currentRate;
+        let lastAdjustmentTime = 0;
+        let adjustmentCount = 0;
+        let segmentIndex = 0;
+        const reversal = this.createReversalModel(tciParams);
+        let reversalGiven = false;
+        let infusionStopped = false;
+        
+        const numSteps = Math.floor(MasuiModelConstants.SIMULATION_DURATION / this.timeStep) + 1;
+        
+        for (let i = 0; i < numSteps; i++) {
+            const currentTime = i * this.timeStep;
+            const plasmaConc = this.optimizer.getPlasmaConcentration(state);
+            const currentCe = this.optimizer.getEffectSiteConcentration(state);
+            const targetCe = schedule.getTargetAt(currentTime);
+            
+            // Pump update falling exactly on this output time
+            if (!infusionStopped && nextUpdateTime <= currentTime + 1e-9) {
+                currentRate = controller.calculateRate(targetCe) * 60.0 / this.patient.weight;
+                nextUpdateTime += updateInterval;
+            }
+            
+            // Flumazenil reversal; the TCI pump is stopped with remimazolam
+            if (reversal && !reversalGiven && currentTime >= reversal.time - 1e-9) {
+                if (reversal.params.stopInfusion) {
+                    currentRate = 0;
+                    infusionStopped = true;
+                }
+                dosageAdjustments.push(this.createReversalAdjustment(
+                    currentTime, reportedRate, currentRate, currentCe, reversal, ++adjustmentCount
+                ));
+                reportedRate = currentRate;
+                reversalGiven = true;
+                lastAdjustmentTime = currentTime;
+            }
+            
+            // The pump target is changed by the clinician at each new segment
+            const scheduledIndex = schedule.getSegmentIndexAt(currentTime);
+            if (!infusionStopped && scheduledIndex !== segmentIndex) {
+                segmentIndex = scheduledIndex;
+                dosageAdjustments.push(this.createTargetChangeAdjustment(
+                    currentTime, reportedRate, currentRate, currentCe, schedule, segmentIndex, ++adjustmentCount
+                ));
+                reportedRate = currentRate;
+                lastAdjustmentTime = currentTime;
+            }
+            
+            // Report rate changes large enough to matter for the protocol table
+            if (Math.abs(currentRate - reportedRate) >= MasuiModelConstants.TCI_REPORT_THRESHOLD) {
+                dosageAdjustments.push({
+                    time: currentTime,
+                    type: 'tci_update',
+                    oldRate: reportedRate,
+                    newRate: currentRate,
+                    ceAtEvent: currentCe,
+                    reductionPercent: reportedRate > 0 ? ((reportedRate - currentRate) / reportedRate) * 100 : -100,
+                    adjustmentNumber: ++adjustmentCount
+                });
+                reportedRate = currentRate;
+                lastAdjustmentTime = currentTime;
+            }
+            
+            timeSeriesData.push({
+                time: parseFloat(currentTime.toFixed(1)),
+                ce: currentCe,
+                plasma: plasmaConc,
+                infusionRate: currentRate,
+                targetCe: targetCe,
+                upperThreshold: targetCe * tciParams.upperThresholdRatio,
+                adjustmentNumber: adjustmentCount,
+                isBolus: i === 0,
+                timeSinceLastAdjustment: currentTime - lastAdjustmentTime
+            });
+            
+            if (i === numSteps - 1) break;
+            
+            // Advance to the end of the output step, updating the pump on its own schedule
+            const stepEnd = (i + 1) * this.timeStep;
+            let segmentStart = currentTime;
+            while (!infusionStopped && nextUpdateTime < stepEnd - 1e-9) {
+                const rateMgMin = (currentRate * this.patient.weight) / 60.0;
+                state = this.optimizer.advanceState(state, rateMgMin, nextUpdateTime - segmentStart);
+                controller.advance(rateMgMin, nextUpdateTime - segmentStart);
+                
+                currentRate = controller.calculateRate(schedule.getTargetAt(nextUpdateTime)) * 60.0 / this.patient.weight;
+                segmentStart = nextUpdateTime;
+                nextUpdateTime += updateInterval;
+            }
+            
+            const rateMgMin = (currentRate * this.patient.weight) / 60.0;
+            state = this.optimizer.advanceState(state, rateMgMin, stepEnd - segmentStart);
+            controller.advance(rateMgMin, stepEnd - segmentStart);
+        }
+        
+        const reversalResult = this.finalizeReversal(reversal, timeSeriesData, dosageAdjustments, bolusDoseMg);
+        
+        return {
+            timeSeriesData: timeSeriesData,
+            dosageAdjustments: dosageAdjustments,
+            performance: this.evaluatePerformance(this.getEvaluationData(timeSeriesData, reversal), schedule),
+            reversal: reversalResult,
+            bolusDose: bolusDoseMg,
+            initialContinuousRate: initialRate,
+            thresholdParams: tciParams,
+            targetSchedule: schedule.toJSON(),
+            engine: this.engine
         };
     }
     
-    // Evaluate protocol performance
-    evaluatePerformance(timeSeriesData, targetCe) {
+    // Evaluate protocol performance against the target in force at each time point
+    evaluatePerformance(timeSeriesData, targetSchedule) {
+        const schedule = targetSchedule instanceof TargetSchedule ?
+            targetSchedule : TargetSchedule.from(targetSchedule);
+        const targetAt = point => schedule.getTargetAt(point.time);
+        
         // Evaluate maintenance period (after 60 minutes)
         const maintenanceData = timeSeriesData.filter(point => point.time >= 60);
         
@@ -365,7 +1103,8 @@ class BolusThresholdSimulator {
                 avgDeviation: Infinity,
                 targetAccuracy: 0,
                 stabilityIndex: 0,
-                convergenceTime: Infinity
+                convergenceTime: Infinity,
+                segmentPerformance: []
             };
         }
         
@@ -376,13 +1115,12 @@ class BolusThresholdSimulator {
         const maxCe = Math.max(...timeSeriesData.map(point => point.ce));
         
         // Average deviation from target
-        const deviations = maintenanceData.map(point => Math.abs(point.ce - targetCe));
+        const deviations = maintenanceData.map(point => Math.abs(point.ce - targetAt(point)));
         const avgDeviation = deviations.reduce((sum, dev) => sum + dev, 0) / deviations.length;
         
         // Target accuracy (percentage of time within ±10% of target)
-        const tolerance = targetCe * 0.1;
         const withinTolerance = maintenanceData.filter(point => 
-            Math.abs(point.ce - targetCe) <= tolerance
+            Math.abs(point.ce - targetAt(point)) <= targetAt(point) * 0.1
         ).length;
         const targetAccuracy = (withinTolerance / maintenanceData.length) * 100;
         
@@ -395,10 +1133,9 @@ class BolusThresholdSimulator {
         const stabilityIndex = Math.max(0, 100 - (avgVariation * 1000));
         
         // Convergence time (time to reach within ±5% of target)
-        const convergenceThreshold = targetCe * 0.05;
         let convergenceTime = Infinity;
         for (const point of timeSeriesData) {
-            if (Math.abs(point.ce - targetCe) <= convergenceThreshold) {
+            if (Math.abs(point.ce - targetAt(point)) <= targetAt(point) * 0.05) {
                 convergenceTime = point.time;
                 break;
             }
@@ -411,10 +1148,244 @@ class BolusThresholdSimulator {
             targetAccuracy: targetAccuracy,
             stabilityIndex: stabilityIndex,
             convergenceTime: convergenceTime,
+            segmentPerformance: this.evaluateSegments(timeSeriesData, schedule),
             integrationSteps: this.optimizer.integrationSteps,
             functionEvaluations: this.optimizer.functionEvaluations
         };
     }
+    
+    // Per-segment accuracy; convergence time is measured from the segment start
+    evaluateSegments(timeSeriesData, schedule) {
+        return schedule.segments.map((segment, index) => {
+            const endTime = schedule.getSegmentEnd(index);
+            const isLast = index === schedule.segments.length - 1;
+            const points = timeSeriesData.filter(point =>
+                point.time >= segment.startTime && (point.time < endTime || (isLast && point.time <= endTime))
+            );
+            
+            if (points.length === 0) {
+                return { startTime: segment.startTime, endTime: endTime, targetCe: segment.targetCe,
+                         maxCe: 0, avgDeviation: Infinity, targetAccuracy: 0, convergenceTime: Infinity,
+                         endCe: null, endWithinTolerance: false };
+            }
+            
+            const deviations = points.map(point => Math.abs(point.ce - segment.targetCe));
+            const converged = points.find(point => Math.abs(point.ce - segment.targetCe) <= segment.targetCe * 0.05);
+            const endCe = points[points.length - 1].ce;
+            
+            return {
+                startTime: segment.startTime,
+                endTime: endTime,
+                targetCe: segment.targetCe,
+                maxCe: Math.max(...points.map(point => point.ce)),
+                avgDeviation: deviations.reduce((sum, dev) => sum + dev, 0) / deviations.length,
+                targetAccuracy: (deviations.filter(dev => dev <= segment.targetCe * 0.1).length / points.length) * 100,
+                convergenceTime: converged ? converged.time - segment.startTime : Infinity,
+                endCe: endCe,
+                endWithinTolerance: Math.abs(endCe - segment.targetCe) <=
+                    segment.targetCe * MasuiModelConstants.SEGMENT_END_TOLERANCE
+            };
+        });
+    }
+}
+
+// Bolus dose recommendation over the full MIN_BOLUS_DOSE-MAX_BOLUS_DOSE range.
+// Every candidate gets its own optimized rate and a full protocol simulation, and is scored on
+// time to target, induction overshoot (a hard limit) and maintenance accuracy.
+class BolusDoseOptimizer {
+    static DEFAULTS = {
+        weights: {
+            timeToTarget: 0.3,
+            overshoot: 0.3,
+            maintenance: 0.4
+        },
+        maxOvershoot: 0.10 // induction peak above target, fraction
+    };
+    
+    static TOP_CANDIDATES = 5;
+    
+    constructor(patient, pkParams, engine = MasuiModelConstants.DEFAULT_ENGINE, options = {}) {
+        this.patient = patient;
+        this.pkParams = pkParams;
+        this.engine = engine;
+        this.options = {
+            weights: { ...BolusDoseOptimizer.DEFAULTS.weights, ...(options.weights || {}) },
+            maxOvershoot: options.maxOvershoot !== undefined ? options.maxOvershoot : BolusDoseOptimizer.DEFAULTS.maxOvershoot
+        };
+        
+        const issues = this.validate();
+        if (issues.length > 0) {
+            throw new ValidationError(issues);
+        }
+    }
+    
+    // ValidationIssue[]; fields are the protocol parameters the options come from
+    validate() {
+        const issues = [];
+        const weights = Object.values(this.options.weights);
+        
+        if (weights.some(weight => !(weight >= 0)) || weights.reduce((sum, weight) => sum + weight, 0) <= 0) {
+            issues.push(new ValidationIssue('BOLUS_WEIGHTS_INVALID', 'bolusWeights', { min: 0 }, this.options.weights));
+        }
+        if (!(this.options.maxOvershoot > 0)) {
+            issues.push(new ValidationIssue('MAX_OVERSHOOT_INVALID', 'maxInductionOvershoot', { min: 0 }, this.options.maxOvershoot));
+        }
+        
+        return issues;
+    }
+    
+    getCandidateDoses() {
+        const doses = [];
+        const step = MasuiModelConstants.BOLUS_SEARCH_STEP;
+        for (let dose = MasuiModelConstants.MIN_BOLUS_DOSE; dose <= MasuiModelConstants.MAX_BOLUS_DOSE + 1e-9; dose += step) {
+            doses.push(Number(dose.toFixed(2)));
+        }
+        return doses;
+    }
+    
+    evaluateCandidate(bolusDoseMg, targetCe, reachTime, protocolParams) {
+        const optimizer = new BolusOptimizer(this.patient, this.pkParams, this.engine);
+        const rateResult = optimizer.optimizeContinuousRate(bolusDoseMg, targetCe, reachTime);
+        const inductionPeak = optimizer.calculateInductionPeak(bolusDoseMg, rateResult.optimalRate, reachTime);
+        
+        const simulator = new BolusThresholdSimulator(this.patient, this.pkParams, this.engine);
+        const simulationResult = simulator.simulateProtocol(bolusDoseMg, rateResult.optimalRate, protocolParams);
+        const performance = simulationResult.performance;
+        
+        const overshoot = Math.max(0, inductionPeak.ce / targetCe - 1);
+        const timeToTarget = Math.min(performance.convergenceTime, reachTime);
+        const scores = {
+            timeToTarget: 100 * (1 - timeToTarget / reachTime),
+            overshoot: 100 * Math.max(0, 1 - overshoot / this.options.maxOvershoot),
+            maintenance: performance.targetAccuracy
+        };
+        
+        return {
+            bolusDose: bolusDoseMg,
+            optimalRate: rateResult.optimalRate,
+            rateFeasible: rateResult.feasible,
+            timeToTarget: performance.convergenceTime,
+            inductionPeakCe: inductionPeak.ce,
+            inductionPeakTime: inductionPeak.time,
+            overshoot: overshoot,
+            withinOvershootLimit: overshoot <= this.options.maxOvershoot,
+            maxCe: performance.maxCe,
+            finalCe: performance.finalCe,
+            targetAccuracy: performance.targetAccuracy,
+            avgDeviation: performance.avgDeviation,
+            adjustmentCount: simulationResult.dosageAdjustments.length,
+            scores: scores,
+            score: this.calculateScore(scores)
+        };
+    }
+    
+    // Weighted mean of the 0-100 objective scores
+    calculateScore(scores) {
+        const weights = this.options.weights;
+        const totalWeight = weights.timeToTarget + weights.overshoot + weights.maintenance;
+        return (weights.timeToTarget * scores.timeToTarget +
+                weights.overshoot * scores.overshoot +
+                weights.maintenance * scores.maintenance) / totalWeight;
+    }
+    
+    /**
+     * 全候補を評価し順位付け
+     * 導入時オーバーシュートが上限内かつ速度が範囲内の候補を優先し、その中でスコア順
+     */
+    optimize(targetCe, reachTime, protocolParams) {
+        const candidates = this.getCandidateDoses().map(dose => {
+            try {
+                return this.evaluateCandidate(dose, targetCe, reachTime, protocolParams);
+            } catch (error) {
+                console.warn(`Bolus candidate failed for ${dose}mg:`, error);
+                return null;
+            }
+        }).filter(candidate => candidate !== null);
+        
+        const isEligible = candidate => candidate.withinOvershootLimit && candidate.rateFeasible;
+        candidates.forEach(candidate => {
+            candidate.eligible = isEligible(candidate);
+            candidate.paretoOptimal = !candidates.some(other => this.dominates(other, candidate));
+        });
+        
+        const ranked = candidates.slice().sort((a, b) =>
+            (b.eligible - a.eligible) || (b.score - a.score) || (a.bolusDose - b.bolusDose));
+        const best = ranked[0];
+        
+        ranked.forEach((candidate, index) => {
+            candidate.rank = index + 1;
+            candidate.recommendation = BolusDoseOptimizer.getRecommendationLevel(candidate);
+            candidate.tradeoffs = this.describeTradeoffs(candidate, best);
+        });
+        
+        return {
+            recommended: best && best.eligible ? best : null,
+            ranked: ranked,
+            targetCe: targetCe,
+            reachTime: reachTime,
+            weights: this.options.weights,
+            maxOvershoot: this.options.maxOvershoot
+        };
+    }
+    
+    // a dominates b: no worse on every objective and better on at least one
+    dominates(a, b) {
+        const noWorse = a.timeToTarget <= b.timeToTarget && a.overshoot <= b.overshoot &&
+            a.targetAccuracy >= b.targetAccuracy;
+        const better = a.timeToTarget < b.timeToTarget || a.overshoot < b.overshoot ||
+            a.targetAccuracy > b.targetAccuracy;
+        return noWorse && better;
+    }
+    
+    // Level code; the label comes from the locale bundle ('bolus.recommendation.<level>')
+    static getRecommendationLevel(candidate) {
+        if (!candidate.eligible) return 'review';
+        if (candidate.rank === 1) return 'recommended';
+        if (candidate.score >= 75) return 'good';
+        if (candidate.score >= 60) return 'acceptable';
+        return 'review';
+    }
+    
+    // Trade-offs of a candidate relative to the top-ranked one
+    describeTradeoffs(candidate, best) {
+        const notes = [];
+        
+        if (!candidate.withinOvershootLimit) {
+            notes.push(I18n.t('bolus.tradeoff.overshootLimit', { limit: this.options.maxOvershoot * 100 }));
+        }
+        if (!candidate.rateFeasible) {
+            notes.push(I18n.t('bolus.tradeoff.rateInfeasible'));
+        }
+        
+        if (candidate === best) {
+            notes.push(I18n.t('bolus.tradeoff.best', {
+                time: candidate.timeToTarget, overshoot: candidate.overshoot * 100, accuracy: candidate.targetAccuracy
+            }));
+        } else {
+            const timeDifference = candidate.timeToTarget - best.timeToTarget;
+            const overshootDifference = (candidate.overshoot - best.overshoot) * 100;
+            const accuracyDifference = candidate.targetAccuracy - best.targetAccuracy;
+            
+            if (Math.abs(timeDifference) >= 0.1) {
+                notes.push(I18n.t(timeDifference < 0 ? 'bolus.tradeoff.faster' : 'bolus.tradeoff.slower', { time: Math.abs(timeDifference) }));
+            }
+            if (Math.abs(overshootDifference) >= 0.1) {
+                notes.push(I18n.t('bolus.tradeoff.overshoot', { sign: overshootDifference > 0 ? '+' : '', overshoot: overshootDifference }));
+            }
+            if (Math.abs(accuracyDifference) >= 0.1) {
+                notes.push(I18n.t('bolus.tradeoff.accuracy', { sign: accuracyDifference > 0 ? '+' : '', accuracy: accuracyDifference }));
+            }
+            if (notes.length === 0) {
+                notes.push(I18n.t('bolus.tradeoff.equivalent'));
+            }
+        }
+        
+        if (candidate.paretoOptimal) {
+            notes.push(I18n.t('bolus.tradeoff.paretoOptimal'));
+        }
+        
+        return notes.join(' / ');
+    }
 }
 
 class BolusProtocolCalculator {
@@ -422,59 +1393,253 @@ class BolusProtocolCalculator {
         this.pkCalculator = new PKParameterCalculator();
     }
     
+    // High-resolution clock where available (browsers, Node.js), wall clock otherwise
+    static now() {
+        return typeof performance !== 'undefined' ? performance.now() : Date.now();
+    }
+    
+    /**
+     * 時系列のCSV (BOMなし)
+     */
+    static toCSV(timeSeriesData) {
+        // Remifentanil columns only when an opioid was simulated
+        const hasOpioid = timeSeriesData.length > 0 && timeSeriesData[0].pNoResponse !== undefined;
+        const hasCumulativeDose = timeSeriesData.length > 0 && timeSeriesData[0].cumulativeDose !== undefined;
+        const headers = ['time', 'ce', 'plasma', 'infusionRate', 'targetCe', 'upperThreshold', 'bis', 'sedationProbability',
+            ...(hasCumulativeDose ? ['cumulativeDose'] : []),
+            ...(hasOpioid ? ['remifentanilCe', 'pNoResponse'] : [])].map(column => I18n.t(`csv.timeSeries.${column}`));
+        return [
+            headers.join(','),
+            ...timeSeriesData.map(row => [
+                row.time,
+                row.ce.toFixed(4),
+                row.plasma.toFixed(4),
+                row.infusionRate.toFixed(2),
+                row.targetCe.toFixed(2),
+                row.upperThreshold.toFixed(2),
+                row.bis !== null ? row.bis.toFixed(1) : '',
+                row.sedationProbability !== null ? row.sedationProbability.toFixed(3) : '',
+                ...(hasCumulativeDose ? [row.cumulativeDose.toFixed(2)] : []),
+                ...(hasOpioid ? [row.remifentanilCe.toFixed(2), row.pNoResponse.toFixed(3)] : [])
+            ].join(','))
+        ].join('\n');
+    }
+    
+    /**
+     * 臨床プロトコル表のCSV (BOMなし)
+     */
+    static protocolToCSV(clinicalProtocol) {
+        const quote = value => /[",\n]/.test(String(value)) ? `"${String(value).replace(/"/g, '""')}"` : value;
+        const headers = ['step', 'method', 'dose', 'totalDose', 'timing', 'notes', 'pumpSetting']
+            .map(column => I18n.t(`csv.protocol.${column}`));
+        return [
+            headers.join(','),
+            ...clinicalProtocol.map(row => [
+                row.step, row.method, row.dose, row.totalDose, row.timing, row.notes, row.pumpSetting || ''
+            ].map(quote).join(','))
+        ].join('\n');
+    }
+    
     calculateBolusProtocol(patient, bolusDoseMg, targetCe, protocolParams = {}) {
-        const startTime = performance.now();
-        
-        // Patient validation
-        const validation = patient.validate();
-        if (!validation.isValid) {
-            throw new Error("Patient validation failed: " + validation.errors.join(", "));
+        const startTime = BolusProtocolCalculator.now();
+        
+        // Patient and bolus dose validation
+        const issues = [
+            ...patient.validate().issues,
+            ValidationIssue.checkRange('BOLUS_OUT_OF_RANGE', 'bolusDose', bolusDoseMg,
+                MasuiModelConstants.MIN_BOLUS_DOSE, MasuiModelConstants.MAX_BOLUS_DOSE)
+        ].filter(issue => issue !== null);
+        if (issues.length > 0) {
+            throw new ValidationError(issues);
         }
         
-        // Bolus dose validation
-        if (bolusDoseMg < MasuiModelConstants.MIN_BOLUS_DOSE || 
-            bolusDoseMg > MasuiModelConstants.MAX_BOLUS_DOSE) {
-            throw new Error(`ボーラス投与量は${MasuiModelConstants.MIN_BOLUS_DOSE}-${MasuiModelConstants.MAX_BOLUS_DOSE}mgの範囲で入力してください`);
+        // A clinical endpoint (e.g. BIS 50) is converted to the Ce that produces it
+        const pdModel = new RemimazolamPDModel(protocolParams.pdParams);
+        const clinicalEndpoint = protocolParams.clinicalEndpoint ?
+            RemimazolamPDModel.parseEndpoint(protocolParams.clinicalEndpoint) : null;
+        if (clinicalEndpoint) {
+            targetCe = pdModel.targetCeForEndpoint(clinicalEndpoint);
         }
         
         // Target concentration validation
-        if (targetCe < 0.1 || targetCe > 3.0) {
-            throw new Error("目標効果部位濃度は0.1-3.0 μg/mLの範囲で入力してください");
+        const targetIssue = ValidationIssue.checkRange('TARGET_CE_OUT_OF_RANGE', 'targetCe', targetCe,
+            MasuiModelConstants.MIN_TARGET_CE, MasuiModelConstants.MAX_TARGET_CE);
+        if (targetIssue) {
+            throw new ValidationError([targetIssue]);
+        }
+        
+        // Target schedule: the first segment replaces the single target
+        const scheduleSegments = Array.isArray(protocolParams.targetSchedule) ?
+            protocolParams.targetSchedule.map(segment => segment.endpoint ?
+                { startTime: segment.startTime, targetCe: pdModel.targetCeForEndpoint(segment.endpoint) } : segment) :
+            protocolParams.targetSchedule;
+        let targetSchedule = TargetSchedule.from(targetCe, scheduleSegments);
+        
+        // Co-administered remifentanil; optionally move each target along its isobole
+        const opioidModel = protocolParams.opioid ?
+            new OpioidInteractionModel(patient, protocolParams.opioid) : null;
+        const unadjustedSchedule = targetSchedule.toJSON();
+        if (opioidModel && opioidModel.params.reduceTarget) {
+            targetSchedule = new TargetSchedule(unadjustedSchedule.map(segment => ({
+                startTime: segment.startTime,
+                targetCe: opioidModel.adjustTarget(segment.targetCe)
+            })));
         }
+        targetCe = targetSchedule.segments[0].targetCe;
         
         // Set default protocol parameters
         const defaultParams = {
             targetReachTime: MasuiModelConstants.DEFAULT_TARGET_REACH_TIME,
             upperThresholdRatio: MasuiModelConstants.DEFAULT_UPPER_THRESHOLD_RATIO,
             reductionFactor: MasuiModelConstants.OPTIMIZED_REDUCTION_FACTOR,
+            modelId: PKModelRegistry.DEFAULT_MODEL_ID,
+            engine: MasuiModelConstants.DEFAULT_ENGINE,
+            controlMode: MasuiModelConstants.DEFAULT_CONTROL_MODE,
+            tciUpdateInterval: MasuiModelConstants.TCI_UPDATE_INTERVAL,
+            awakeningCe: DecrementTimeCalculator.DEFAULT_AWAKENING_CE,
+            decrementStopTime: MasuiModelConstants.SIMULATION_DURATION,
+            reversal: null,
+            opioid: null,
+            preparation: null,
+            monteCarlo: null,
+            optimizeBolus: false,
+            bolusWeights: BolusDoseOptimizer.DEFAULTS.weights,
+            maxInductionOvershoot: BolusDoseOptimizer.DEFAULTS.maxOvershoot,
             targetCe: targetCe
         };
-        const finalParams = { ...defaultParams, ...protocolParams };
+        const finalParams = {
+            ...defaultParams, ...protocolParams,
+            targetCe: targetCe,
+            targetSchedule: targetSchedule.toJSON(),
+            clinicalEndpoint: clinicalEndpoint,
+            pdParams: pdModel.params,
+            opioid: opioidModel ? { ...opioidModel.params, surfaceParams: opioidModel.surface } : null
+        };
         
-        // Calculate PK parameters
-        const pkParams = this.pkCalculator.calculatePKParameters(patient);
+        // Protocol parameter validation; the issue fields name the parameters so the UI can mark the inputs
+        const paramIssues = [
+            ValidationIssue.checkRange('TARGET_REACH_TIME_OUT_OF_RANGE', 'targetReachTime', finalParams.targetReachTime,
+                MasuiModelConstants.MIN_TARGET_REACH_TIME, MasuiModelConstants.SIMULATION_DURATION),
+            ValidationIssue.checkRange('UPPER_THRESHOLD_RATIO_OUT_OF_RANGE', 'upperThresholdRatio', finalParams.upperThresholdRatio,
+                MasuiModelConstants.MIN_UPPER_THRESHOLD_RATIO, MasuiModelConstants.MAX_UPPER_THRESHOLD_RATIO),
+            ValidationIssue.checkRange('REDUCTION_FACTOR_OUT_OF_RANGE', 'reductionFactor', finalParams.reductionFactor,
+                MasuiModelConstants.MIN_REDUCTION_FACTOR, MasuiModelConstants.MAX_REDUCTION_FACTOR),
+            ValidationIssue.checkRange('TCI_UPDATE_INTERVAL_OUT_OF_RANGE', 'tciUpdateInterval', finalParams.tciUpdateInterval,
+                MasuiModelConstants.MIN_TCI_UPDATE_INTERVAL, MasuiModelConstants.MAX_TCI_UPDATE_INTERVAL)
+        ].filter(issue => issue !== null);
+        if (!MasuiModelConstants.CONTROL_MODES.includes(finalParams.controlMode)) {
+            paramIssues.push(new ValidationIssue('CONTROL_MODE_INVALID', 'controlMode',
+                { values: MasuiModelConstants.CONTROL_MODES }, finalParams.controlMode));
+        }
+        if (!(finalParams.decrementStopTime > 0 && finalParams.decrementStopTime <= MasuiModelConstants.SIMULATION_DURATION)) {
+            paramIssues.push(new ValidationIssue('DECREMENT_STOP_TIME_OUT_OF_RANGE', 'decrementStopTime',
+                { min: 0, max: MasuiModelConstants.SIMULATION_DURATION }, finalParams.decrementStopTime));
+        }
+        if (!(finalParams.awakeningCe > 0)) {
+            paramIssues.push(new ValidationIssue('AWAKENING_CE_INVALID', 'awakeningCe', { min: 0 }, finalParams.awakeningCe));
+        }
+        if (finalParams.preparation) {
+            paramIssues.push(...DrugPreparation.validate(finalParams.preparation));
+        }
+        if (finalParams.reversal) {
+            paramIssues.push(...FlumazenilReversalModel.validate(finalParams.reversal));
+        }
+        if (paramIssues.length > 0) {
+            throw new ValidationError(paramIssues);
+        }
         
-        // Optimize continuous infusion rate
-        const optimizer = new BolusOptimizer(patient, pkParams);
-        const optimizationResult = optimizer.optimizeContinuousRate(
-            bolusDoseMg, targetCe, finalParams.targetReachTime
+        // Syringe concentration for mL / mL/h pump settings
+        const preparation = finalParams.preparation ? new DrugPreparation(finalParams.preparation) : null;
+        finalParams.preparation = preparation ? preparation.params : null;
+        
+        // Calculate PK parameters with the selected model
+        const pkParams = this.pkCalculator.calculatePKParameters(patient, finalParams.modelId);
+        const modelWarnings = this.pkCalculator.checkModelValidity(patient, finalParams.modelId);
+        const validationWarnings = this.pkCalculator.checkKe0(patient, finalParams.modelId);
+        
+        // Optimize continuous infusion rate, or the bolus and rate together when requested
+        const optimizer = new BolusOptimizer(patient, pkParams, finalParams.engine);
+        const initialReachTime = targetSchedule.getReachTime(0, finalParams.targetReachTime);
+        const bolusOptimization = finalParams.optimizeBolus ?
+            optimizer.optimizeBolusAndRate(targetCe, initialReachTime) : null;
+        if (bolusOptimization) {
+            bolusDoseMg = bolusOptimization.optimalBolus;
+        }
+        const optimizationResult = bolusOptimization ? bolusOptimization.rateResult :
+            optimizer.optimizeContinuousRate(bolusDoseMg, targetCe, initialReachTime);
+        const optimizationWarnings = [bolusOptimization, optimizationResult]
+            .filter(result => result && result.infeasibility)
+            .map(result => result.infeasibility.message)
+            .filter((message, index, messages) => messages.indexOf(message) === index);
+        
+        // Simulate complete protocol (threshold step-down or effect-site TCI)
+        const simulator = new BolusThresholdSimulator(patient, pkParams, finalParams.engine);
+        const simulationResult = simulator.simulateProtocol(
+            bolusDoseMg, optimizationResult.optimalRate, finalParams
         );
         
-        // Simulate complete protocol
-        const simulator = new BolusThresholdSimulator(patient, pkParams);
-        const simulationResult = simulator.simulateCompleteProtocol(
-            bolusDoseMg, optimizationResult.optimalRate, finalParams
+        // Each target segment has to end within ±10% of its target
+        if (!targetSchedule.isSingleTarget()) {
+            simulationResult.performance.segmentPerformance
+                .filter(segment => segment.endCe !== null && !segment.endWithinTolerance)
+                .forEach(segment => optimizationWarnings.push(I18n.t('optimizer.segmentEndOffTarget', {
+                    start: segment.startTime, ce: segment.endCe, target: segment.targetCe,
+                    tolerance: MasuiModelConstants.SEGMENT_END_TOLERANCE * 100
+                })));
+        }
+        
+        // Same protocol applied to virtual patients sampled from the inter-individual variability
+        const monteCarlo = finalParams.monteCarlo ?
+            new MonteCarloSimulator(patient, pkParams, finalParams.monteCarlo, finalParams.controlMode).run(
+                bolusDoseMg, optimizationResult.optimalRate, finalParams
+            ) : null;
+        
+        // Predicted BIS and P(MOAA/S ≤ 1) along the case
+        pdModel.annotate(simulationResult.timeSeriesData);
+        const pdPerformance = pdModel.evaluate(simulationResult.timeSeriesData);
+        
+        // Combined remimazolam-remifentanil P(no response)
+        const opioidInteraction = opioidModel ? {
+            ...opioidModel.annotate(simulationResult.timeSeriesData),
+            reduceTarget: opioidModel.params.reduceTarget,
+            unadjustedSchedule: unadjustedSchedule
+        } : null;
+        
+        // Check the selected engine against the other solution path
+        const engineCheck = this.generateEngineCheck(
+            patient, pkParams, bolusDoseMg, optimizationResult.optimalRate, finalParams, simulationResult
+        );
+        
+        // Recovery prediction if the infusion is stopped at the chosen time
+        const decrementTimes = new DecrementTimeCalculator(patient, pkParams).analyze(
+            bolusDoseMg, simulationResult.timeSeriesData, finalParams.decrementStopTime, finalParams.awakeningCe
         );
         
         // Generate clinical protocol
         const clinicalProtocol = this.generateClinicalProtocol(
-            bolusDoseMg, optimizationResult.optimalRate, simulationResult.dosageAdjustments, patient
+            bolusDoseMg, simulationResult.initialContinuousRate, simulationResult.dosageAdjustments, patient,
+            finalParams.controlMode, preparation
         );
+        const pumpProgram = preparation ? preparation.generatePumpProgram(
+            bolusDoseMg, simulationResult.initialContinuousRate, simulationResult.dosageAdjustments, clinicalProtocol, patient.weight
+        ) : null;
+        
+        // Cumulative dose, vials and syringe run-out times (50 mg / 50 mL defaults without a preparation)
+        const inventory = (preparation || new DrugPreparation()).planInventory(
+            bolusDoseMg, simulationResult.timeSeriesData, patient.weight
+        );
+        
+        // Ranked bolus recommendation over the full dose range for this target
+        const bolusRecommendation = this.generateBolusRecommendation(patient, pkParams, targetCe, finalParams);
+        const comparisonData = this.generateBolusComparison(bolusRecommendation, bolusDoseMg);
         
-        // Generate comparison data
-        const comparisonData = this.generateBolusComparison(patient, targetCe, finalParams);
+        // Compare against the pre-V3.4 parameter derivation
+        const modelComparison = new PKModelComparisonReport().generate(patient, bolusDoseMg, targetCe, finalParams);
         
-        const endTime = performance.now();
+        // Compare all registered population models on the same patient
+        const registeredModelComparison = this.generateModelComparison(patient, bolusDoseMg, targetCe, finalParams);
+        
+        const endTime = BolusProtocolCalculator.now();
         const calculationTime = Math.round(endTime - startTime);
         
         return {
@@ -482,107 +1647,312 @@ class BolusProtocolCalculator {
             pkParams: pkParams,
             bolusDose: bolusDoseMg,
             targetCe: targetCe,
+            targetSchedule: finalParams.targetSchedule,
             optimalContinuousRate: optimizationResult.optimalRate,
             optimizationResult: optimizationResult,
+            bolusOptimization: bolusOptimization,
+            optimizationWarnings: optimizationWarnings,
             simulationData: simulationResult.timeSeriesData,
             dosageAdjustments: simulationResult.dosageAdjustments,
             performance: simulationResult.performance,
+            pdPerformance: pdPerformance,
+            clinicalEndpoint: clinicalEndpoint,
+            opioidInteraction: opioidInteraction,
+            engine: finalParams.engine,
+            engineCheck: engineCheck,
+            controlMode: finalParams.controlMode,
+            decrementTimes: decrementTimes,
+            reversal: simulationResult.reversal,
+            monteCarlo: monteCarlo,
             clinicalProtocol: clinicalProtocol,
+            pumpProgram: pumpProgram,
+            inventory: inventory,
+            bolusRecommendation: bolusRecommendation,
             comparisonData: comparisonData,
+            modelComparison: modelComparison,
+            registeredModelComparison: registeredModelComparison,
+            modelId: finalParams.modelId,
+            modelWarnings: modelWarnings,
+            validationWarnings: validationWarnings,
             protocolParams: finalParams,
             calculationTimeMs: calculationTime
         };
     }
     
-    generateClinicalProtocol(bolusDoseMg, continuousRate, adjustments, patient) {
+    generateEngineCheck(patient, pkParams, bolusDoseMg, continuousRate, protocolParams, simulationResult) {
+        const referenceEngine = protocolParams.engine === 'analytical' ? 'numerical' : 'analytical';
+        const referenceSimulator = new BolusThresholdSimulator(patient, pkParams, referenceEngine);
+        const referenceResult = referenceSimulator.simulateProtocol(bolusDoseMg, continuousRate, protocolParams);
+        
+        let maxCeDifference = 0;
+        let maxPlasmaDifference = 0;
+        simulationResult.timeSeriesData.forEach((point, index) => {
+            const reference = referenceResult.timeSeriesData[index];
+            maxCeDifference = Math.max(maxCeDifference, Math.abs(point.ce - reference.ce));
+            maxPlasmaDifference = Math.max(maxPlasmaDifference, Math.abs(point.plasma - reference.plasma));
+        });
+        
+        return {
+            engine: protocolParams.engine,
+            referenceEngine: referenceEngine,
+            maxCeDifference: maxCeDifference,
+            maxPlasmaDifference: maxPlasmaDifference,
+            finalCeDifference: simulationResult.performance.finalCe - referenceResult.performance.finalCe,
+            referenceAdjustmentCount: referenceResult.dosageAdjustments.length
+        };
+    }
+    
+    static describeRateChange(adjustment) {
+        return I18n.t(adjustment.newRate < adjustment.oldRate ? 'protocol.tci.decrease' : 'protocol.tci.increase',
+            { percent: Math.abs(adjustment.reductionPercent) });
+    }
+    
+    static describeAdjustment(adjustment) {
+        if (adjustment.type === 'flumazenil_reversal') {
+            return {
+                method: I18n.t('protocol.flumazenil.method'),
+                dose: `${adjustment.flumazenilDose} mg`,
+                totalDose: `${adjustment.flumazenilDose} mg`,
+                notes: I18n.t(adjustment.newRate === 0 ? 'protocol.flumazenil.notesStop' : 'protocol.flumazenil.notesContinue')
+            };
+        }
+        if (adjustment.type === 'resedation_risk') {
+            return {
+                method: I18n.t('protocol.resedation.method'),
+                dose: '-',
+                totalDose: '-',
+                notes: I18n.t('protocol.resedation.notes', { effectiveCe: adjustment.effectiveCe, resedationCe: adjustment.resedationCe }) +
+                    (adjustment.projected ? I18n.t('protocol.resedation.projected') : '')
+            };
+        }
+        if (adjustment.type === 'target_change') {
+            return {
+                method: I18n.t('protocol.targetChange.method'),
+                notes: I18n.t('protocol.targetChange.notes', { oldTarget: adjustment.oldTargetCe, newTarget: adjustment.newTargetCe })
+            };
+        }
+        if (adjustment.type === 'segment_correction') {
+            return {
+                method: I18n.t('protocol.segmentCorrection.method'),
+                notes: I18n.t('protocol.segmentCorrection.notes', {
+                    target: adjustment.targetCe, change: BolusProtocolCalculator.describeRateChange(adjustment)
+                })
+            };
+        }
+        if (adjustment.type === 'tci_update') {
+            const change = adjustment.oldRate > 0 ?
+                BolusProtocolCalculator.describeRateChange(adjustment) : I18n.t('protocol.tci.resume');
+            return { method: I18n.t('protocol.tci.method'), notes: change };
+        }
+        return {
+            method: I18n.t('protocol.threshold.method'),
+            notes: I18n.t('protocol.tci.decrease', { percent: adjustment.reductionPercent })
+        };
+    }
+    
+    generateClinicalProtocol(bolusDoseMg, continuousRate, adjustments, patient, controlMode = 'threshold', preparation = null) {
         const protocol = [];
         
         // Step 1: Bolus dose
         protocol.push({
             step: 1,
-            method: 'ボーラス投与',
-            dose: `${bolusDoseMg} mg`,
-            totalDose: `${bolusDoseMg} mg`,
-            timing: '麻酔導入時（即座）',
-            notes: '瞬時静脈内投与'
+            method: I18n.t('protocol.bolus.method'),
+            dose: `${Number(bolusDoseMg.toFixed(2))} mg`,
+            totalDose: `${Number(bolusDoseMg.toFixed(2))} mg`,
+            timing: I18n.t('protocol.bolus.timing'),
+            notes: I18n.t('protocol.bolus.notes'),
+            pumpSetting: preparation ? preparation.formatVolume(bolusDoseMg) : null
         });
         
         // Step 2: Initial continuous infusion
         protocol.push({
             step: 2,
-            method: '持続投与開始',
+            method: I18n.t(controlMode === 'tci' ? 'protocol.infusion.methodTci' : 'protocol.infusion.method'),
             dose: `${continuousRate.toFixed(2)} mg/kg/hr`,
             totalDose: `${(continuousRate * patient.weight).toFixed(1)} mg/hr`,
-            timing: 'ボーラス投与直後',
-            notes: '最適化された投与量'
+            timing: I18n.t('protocol.infusion.timing'),
+            notes: I18n.t(controlMode === 'tci' ? 'protocol.infusion.notesTci' : 'protocol.infusion.notes'),
+            pumpSetting: preparation ? preparation.formatPumpRate(continuousRate, patient.weight) : null
         });
         
-        // Step 3+: Threshold adjustments
+        // Step 3+: Threshold adjustments / TCI rate changes / reversal events
         adjustments.forEach((adjustment, index) => {
+            const description = BolusProtocolCalculator.describeAdjustment(adjustment);
+            // Flumazenil and resedation rows only carry a remimazolam setting when the rate changes
+            const changesRate = !description.dose || adjustment.newRate !== adjustment.oldRate;
             protocol.push({
                 step: index + 3,
-                method: '閾値ベース減量',
-                dose: `${adjustment.newRate.toFixed(2)} mg/kg/hr`,
-                totalDose: `${(adjustment.newRate * patient.weight).toFixed(1)} mg/hr`,
-                timing: `${adjustment.time.toFixed(0)}分後`,
-                notes: `${adjustment.reductionPercent.toFixed(0)}%減量`
+                method: description.method,
+                dose: description.dose || `${adjustment.newRate.toFixed(2)} mg/kg/hr`,
+                totalDose: description.totalDose || `${(adjustment.newRate * patient.weight).toFixed(1)} mg/hr`,
+                timing: I18n.t('protocol.adjustment.timing', { time: adjustment.time }),
+                notes: description.notes,
+                pumpSetting: preparation && changesRate ? preparation.formatPumpRate(adjustment.newRate, patient.weight) : null
             });
         });
         
         return protocol;
     }
     
-    generateBolusComparison(patient, targetCe, protocolParams) {
-        const testBolusDoses = [3, 5, 7, 10]; // mg
-        const comparisonResults = [];
-        
-        const pkParams = this.pkCalculator.calculatePKParameters(patient);
+    generateBolusRecommendation(patient, pkParams, targetCe, protocolParams) {
+        const optimizer = new BolusDoseOptimizer(patient, pkParams, protocolParams.engine, {
+            weights: protocolParams.bolusWeights,
+            maxOvershoot: protocolParams.maxInductionOvershoot
+        });
+        return optimizer.optimize(targetCe, this.getInitialReachTime(targetCe, protocolParams), protocolParams);
+    }
+    
+    // Top-ranked bolus candidates plus the entered dose, for the comparison table
+    generateBolusComparison(bolusRecommendation, bolusDoseMg) {
+        const top = bolusRecommendation.ranked.slice(0, BolusDoseOptimizer.TOP_CANDIDATES);
+        const current = bolusRecommendation.ranked.find(candidate => Math.abs(candidate.bolusDose - bolusDoseMg) < 1e-9);
+        const rows = current && !top.includes(current) ? [...top, current] : top;
+        
+        return rows.map(candidate => ({
+            ...candidate,
+            isCurrent: candidate === current
+        }));
+    }
+    
+    generateModelComparison(patient, bolusDoseMg, targetCe, protocolParams) {
+        const initialReachTime = this.getInitialReachTime(targetCe, protocolParams);
         
-        for (const testBolus of testBolusDoses) {
+        return PKModelRegistry.list().map(model => {
             try {
-                const optimizer = new BolusOptimizer(patient, pkParams);
+                const pkParams = this.pkCalculator.calculatePKParameters(patient, model.id);
+                
+                const optimizer = new BolusOptimizer(patient, pkParams, protocolParams.engine);
                 const optimizationResult = optimizer.optimizeContinuousRate(
-                    testBolus, targetCe, protocolParams.targetReachTime
+                    bolusDoseMg, targetCe, initialReachTime
                 );
                 
-                const simulator = new BolusThresholdSimulator(patient, pkParams);
-                const simulationResult = simulator.simulateCompleteProtocol(
-                    testBolus, optimizationResult.optimalRate, protocolParams
+                const simulator = new BolusThresholdSimulator(patient, pkParams, protocolParams.engine);
+                const simulationResult = simulator.simulateProtocol(
+                    bolusDoseMg, optimizationResult.optimalRate, protocolParams
                 );
                 
-                const adjustmentCount = simulationResult.dosageAdjustments.length;
-                const recommendation = this.getRecommendationLevel(simulationResult.performance, adjustmentCount);
-                
-                comparisonResults.push({
-                    bolusDose: testBolus,
+                return {
+                    modelId: model.id,
+                    modelName: model.name,
+                    pkParams: pkParams,
                     optimalRate: optimizationResult.optimalRate,
+                    maxCe: simulationResult.performance.maxCe,
                     finalCe: simulationResult.performance.finalCe,
                     targetAccuracy: simulationResult.performance.targetAccuracy,
-                    adjustmentCount: adjustmentCount,
-                    recommendation: recommendation
-                });
+                    adjustmentCount: simulationResult.dosageAdjustments.length,
+                    validityWarnings: this.pkCalculator.checkModelValidity(patient, model.id)
+                };
             } catch (error) {
-                // Skip if calculation fails
-                console.warn(`Comparison calculation failed for ${testBolus}mg:`, error);
+                console.warn(`Model comparison failed for ${model.id}:`, error);
+                return null;
             }
-        }
+        }).filter(result => result !== null);
+    }
+    
+    // Reach time for the initial rate: the first target segment may be shorter than targetReachTime
+    getInitialReachTime(targetCe, protocolParams) {
+        return TargetSchedule.from(targetCe, protocolParams.targetSchedule)
+            .getReachTime(0, protocolParams.targetReachTime);
+    }
+}
+
+// 旧V3.3導出（総体重比）と統一Masuiモデルの並列比較レポート
+class PKModelComparisonReport {
+    constructor() {
+        this.pkCalculator = new PKParameterCalculator();
+        this.legacyCalculator = new LegacyPKParameterCalculator();
+    }
+    
+    generate(patient, bolusDoseMg, targetCe, protocolParams) {
+        const masuiParams = this.pkCalculator.calculatePKParameters(patient, 'masui2022');
+        const legacyParams = this.legacyCalculator.calculatePKParameters(patient, masuiParams.ke0);
+        
+        const parameters = [
+            { key: 'v1', label: 'V1', unit: 'L' },
+            { key: 'v2', label: 'V2', unit: 'L' },
+            { key: 'v3', label: 'V3', unit: 'L' },
+            { key: 'cl', label: 'CL', unit: 'L/min' },
+            { key: 'q2', label: 'Q2', unit: 'L/min' },
+            { key: 'q3', label: 'Q3', unit: 'L/min' },
+            { key: 'ke0', label: 'ke0', unit: '/min' }
+        ].map(({ key, label, unit }) => {
+            const legacy = legacyParams[key];
+            const masui = masuiParams[key];
+            return {
+                parameter: label,
+                unit: unit,
+                legacy: legacy,
+                masui: masui,
+                difference: masui - legacy,
+                differencePercent: ((masui - legacy) / legacy) * 100
+            };
+        });
+        
+        // Old simulation: legacy parameters with the rate they recommended
+        const legacyRun = this.runProtocol(patient, legacyParams, bolusDoseMg, targetCe, protocolParams);
+        // Current simulation: Masui parameters with their own optimal rate
+        const masuiRun = this.runProtocol(patient, masuiParams, bolusDoseMg, targetCe, protocolParams);
+        // The regimen recommended by the old simulation, predicted with the Masui model
+        const legacyRegimenRun = this.runProtocol(
+            patient, masuiParams, bolusDoseMg, targetCe, protocolParams, legacyRun.optimalRate
+        );
         
-        return comparisonResults;
+        return {
+            parameters: parameters,
+            simulations: {
+                legacy: legacyRun.summary,
+                masui: masuiRun.summary,
+                legacyRegimenOnMasui: legacyRegimenRun.summary
+            },
+            ceDifference: this.compareTimeSeries(legacyRun.timeSeriesData, legacyRegimenRun.timeSeriesData)
+        };
     }
     
-    getRecommendationLevel(performance, adjustmentCount) {
-        const targetDeviation = Math.abs(performance.finalCe - 1.0);
-        const accuracy = performance.targetAccuracy;
+    runProtocol(patient, pkParams, bolusDoseMg, targetCe, protocolParams, fixedRate = null) {
+        const optimizer = new BolusOptimizer(patient, pkParams, protocolParams.engine);
+        const optimalRate = fixedRate !== null ? fixedRate :
+            optimizer.optimizeContinuousRate(
+                bolusDoseMg, targetCe,
+                TargetSchedule.from(targetCe, protocolParams.targetSchedule).getReachTime(0, protocolParams.targetReachTime)
+            ).optimalRate;
+        
+        const simulator = new BolusThresholdSimulator(patient, pkParams, protocolParams.engine);
+        const result = simulator.simulateCompleteProtocol(bolusDoseMg, optimalRate, protocolParams);
         
-        // Score based on accuracy and simplicity
-        let score = accuracy;
-        if (adjustmentCount === 1) score += 10; // Bonus for simplicity
-        if (targetDeviation < 0.1) score += 15; // Bonus for accuracy
+        return {
+            optimalRate: optimalRate,
+            timeSeriesData: result.timeSeriesData,
+            summary: {
+                optimalRate: optimalRate,
+                maxCe: result.performance.maxCe,
+                finalCe: result.performance.finalCe,
+                targetAccuracy: result.performance.targetAccuracy,
+                adjustmentCount: result.dosageAdjustments.length
+            }
+        };
+    }
+    
+    // Ce difference of the old prediction relative to the Masui prediction of the same regimen
+    compareTimeSeries(legacySeries, masuiSeries) {
+        let maxAbsDifference = 0;
+        let timeOfMaxDifference = 0;
+        let totalAbsDifference = 0;
+        
+        const count = Math.min(legacySeries.length, masuiSeries.length);
+        for (let i = 0; i < count; i++) {
+            const difference = Math.abs(legacySeries[i].ce - masuiSeries[i].ce);
+            totalAbsDifference += difference;
+            if (difference > maxAbsDifference) {
+                maxAbsDifference = difference;
+                timeOfMaxDifference = masuiSeries[i].time;
+            }
+        }
         
-        if (score >= 90) return '推奨';
-        if (score >= 75) return '良好';
-        if (score >= 60) return '可';
-        return '要検討';
+        return {
+            maxAbsDifference: maxAbsDifference,
+            timeOfMaxDifference: timeOfMaxDifference,
+            meanAbsDifference: count > 0 ? totalAbsDifference / count : 0
+        };
     }
 }
 
@@ -609,16 +1979,17 @@ class BolusAlertManager {
         this.isBolusAlertEnabled = enable;
     }
     
-    generateBolusAlerts(dosageAdjustments, clinicalProtocol) {
+    generateBolusAlerts(dosageAdjustments, clinicalProtocol, includeBolus = this.isBolusAlertEnabled, syringeChanges = []) {
         this.alerts = [];
+        const pumpSetting = row => row && row.pumpSetting ? I18n.t('alert.pumpSetting', { setting: row.pumpSetting }) : '';
         
         // Bolus administration alert
-        if (this.isBolusAlertEnabled) {
+        if (includeBolus) {
             this.alerts.push({
                 time: 0,
                 type: 'bolus',
-                title: 'ボーラス投与実行',
-                message: `${clinicalProtocol[0].dose}を瞬時静脈内投与してください。`,
+                title: I18n.t('alert.bolus.title'),
+                message: I18n.t('alert.bolus.message', { dose: clinicalProtocol[0].dose, pump: pumpSetting(clinicalProtocol[0]) }),
                 protocol: clinicalProtocol[0]
             });
             
@@ -626,31 +1997,144 @@ class BolusAlertManager {
             this.alerts.push({
                 time: 0.5, // 30 seconds after bolus
                 type: 'continuous_start',
-                title: '持続投与開始',
-                message: `${clinicalProtocol[1].dose}で持続投与を開始してください。`,
+                title: I18n.t('alert.continuousStart.title'),
+                message: I18n.t('alert.continuousStart.message', { dose: clinicalProtocol[1].dose, pump: pumpSetting(clinicalProtocol[1]) }),
                 protocol: clinicalProtocol[1]
             });
         }
         
         // Threshold adjustment alerts
         dosageAdjustments.forEach((adjustment, index) => {
+            if (adjustment.type === 'tci_update') {
+                // TCI pump changes the rate itself; notify without a pre-warning
+                this.alerts.push({
+                    time: adjustment.time,
+                    type: 'adjustment',
+                    title: I18n.t('alert.tciUpdate.title'),
+                    message: I18n.t('alert.tciUpdate.message', {
+                        rate: adjustment.newRate,
+                        pump: pumpSetting(clinicalProtocol[index + 2]),
+                        change: BolusProtocolCalculator.describeAdjustment(adjustment).notes
+                    }),
+                    adjustment: adjustment
+                });
+                return;
+            }
+            
+            if (adjustment.type === 'flumazenil_reversal') {
+                this.alerts.push({
+                    time: adjustment.time - 2, // 2 minutes before
+                    type: 'warning',
+                    title: I18n.t('alert.flumazenilWarning.title'),
+                    message: I18n.t('alert.flumazenilWarning.message', { dose: adjustment.flumazenilDose }),
+                    adjustment: adjustment
+                });
+                this.alerts.push({
+                    time: adjustment.time,
+                    type: 'adjustment',
+                    title: I18n.t('alert.flumazenil.title'),
+                    message: I18n.t('alert.flumazenil.message', { dose: adjustment.flumazenilDose }) +
+                        (adjustment.newRate === 0 ? I18n.t('alert.flumazenil.stopRemimazolam') : ''),
+                    adjustment: adjustment
+                });
+                return;
+            }
+            
+            if (adjustment.type === 'resedation_risk') {
+                this.alerts.push({
+                    time: adjustment.time,
+                    type: 'warning',
+                    title: I18n.t('alert.resedation.title'),
+                    message: I18n.t('alert.resedation.message', { resedationCe: adjustment.resedationCe, ce: adjustment.ceAtEvent }),
+                    adjustment: adjustment
+                });
+                return;
+            }
+            
+            if (adjustment.type === 'segment_correction') {
+                const pump = pumpSetting(clinicalProtocol[index + 2]);
+                this.alerts.push({
+                    time: adjustment.time - 2, // 2 minutes before
+                    type: 'warning',
+                    title: I18n.t('alert.segmentCorrectionWarning.title'),
+                    message: I18n.t('alert.segmentCorrectionWarning.message', {
+                        rate: adjustment.newRate, pump: pump, target: adjustment.targetCe
+                    }),
+                    adjustment: adjustment
+                });
+                this.alerts.push({
+                    time: adjustment.time,
+                    type: 'adjustment',
+                    title: I18n.t('alert.segmentCorrection.title'),
+                    message: I18n.t('alert.segmentCorrection.message', {
+                        rate: adjustment.newRate, pump: pump, change: BolusProtocolCalculator.describeRateChange(adjustment)
+                    }),
+                    adjustment: adjustment
+                });
+                return;
+            }
+            
+            if (adjustment.type === 'target_change') {
+                this.alerts.push({
+                    time: adjustment.time - 2, // 2 minutes before
+                    type: 'warning',
+                    title: I18n.t('alert.targetChangeWarning.title'),
+                    message: I18n.t('alert.targetChangeWarning.message', { target: adjustment.newTargetCe }),
+                    adjustment: adjustment
+                });
+                this.alerts.push({
+                    time: adjustment.time,
+                    type: 'adjustment',
+                    title: I18n.t('alert.targetChange.title'),
+                    message: I18n.t('alert.targetChange.message', {
+                        target: adjustment.newTargetCe, rate: adjustment.newRate, pump: pumpSetting(clinicalProtocol[index + 2])
+                    }),
+                    adjustment: adjustment
+                });
+                return;
+            }
+            
             this.alerts.push({
                 time: adjustment.time - 2, // 2 minutes before
                 type: 'warning',
-                title: '投与量変更予告',
-                message: `2分後に投与量を${adjustment.newRate.toFixed(2)} mg/kg/hrに減量してください。`,
+                title: I18n.t('alert.reductionWarning.title'),
+                message: I18n.t('alert.reductionWarning.message', { rate: adjustment.newRate, pump: pumpSetting(clinicalProtocol[index + 2]) }),
                 adjustment: adjustment
             });
             
             this.alerts.push({
                 time: adjustment.time,
                 type: 'adjustment',
-                title: '投与量減量実行',
-                message: `投与量を${adjustment.newRate.toFixed(2)} mg/kg/hrに変更してください（${adjustment.reductionPercent.toFixed(0)}%減量）。`,
+                title: I18n.t('alert.reduction.title'),
+                message: I18n.t('alert.reduction.message', {
+                    rate: adjustment.newRate, pump: pumpSetting(clinicalProtocol[index + 2]), percent: adjustment.reductionPercent
+                }),
                 adjustment: adjustment
             });
         });
         
+        // Syringe run-out predicted from the planned cumulative dose
+        syringeChanges.forEach(change => {
+            const warningTime = Math.max(0, change.time - DrugPreparation.SYRINGE_WARNING_MINUTES);
+            this.alerts.push({
+                time: warningTime,
+                type: 'warning',
+                title: I18n.t('alert.syringeWarning.title'),
+                message: I18n.t('alert.syringeWarning.message', { minutes: change.time - warningTime, syringe: change.syringeNumber }),
+                syringeChange: change
+            });
+            this.alerts.push({
+                time: change.time,
+                type: 'syringe_change',
+                title: I18n.t('alert.syringeChange.title'),
+                message: I18n.t('alert.syringeChange.message', {
+                    syringe: change.syringeNumber, cumulativeDose: change.cumulativeDose, next: change.syringeNumber + 1
+                }),
+                syringeChange: change
+            });
+        });
+        
+        this.alerts.sort((a, b) => a.time - b.time);
         return this.alerts;
     }
     
@@ -708,16 +2192,29 @@ class BolusAlertManager {
             Notification.requestPermission();
         }
     }
+    
+    showNotification(title, message) {
+        if ('Notification' in window && Notification.permission === 'granted') {
+            new Notification(title, { body: message });
+        }
+    }
 }
 
-// Export for use in main application
-window.RemimazolamV33 = {
-    MasuiModelConstants,
-    Patient,
-    PKParameters,
-    PKParameterCalculator,
-    BolusOptimizer,
-    BolusThresholdSimulator,
-    BolusProtocolCalculator,
-    BolusAlertManager
-};
\ No newline at end of file
+// Export for use in main application (Node.js loads this file through index.js)
+if (typeof window !== 'undefined') {
+    window.RemimazolamV33 = {
+        MasuiModelConstants,
+        Patient,
+        PKParameters,
+        PKParameterCalculator,
+        TargetSchedule,
+        BolusOptimizer,
+        BolusDoseOptimizer,
+        EffectSiteTCIController,
+        BolusThresholdSimulator,
+        BolusProtocolCalculator,
+        LegacyPKParameterCalculator,
+        PKModelComparisonReport,
+        BolusAlertManager
+    };
+}
@@ -0,0 +1,54 @@
+/**
+ * Schüttler/Eisenried 2020 Remimazolam PK Model
+ * 健常男性ボランティアにおける持続投与試験の三区画モデル（比較用）
+ *
+ * Schüttler, J., Eisenried, A., Lerch, M., et al. (2020). Pharmacokinetics and
+ * pharmacodynamics of remimazolam (CNS 7056) after continuous infusion in healthy
+ * male volunteers: Part I. Anesthesiology 132(4), 636-651.
+ *
+ * 共変量を含まない典型値（CL 1.15 L/min, Vss 35.4 L）。研究利用の際は原著の推定値を確認すること。
+ */
+
+class SchuttlerPKModel {
+    static TYPICAL_VALUES = {
+        V1: 4.7,   // L
+        V2: 14.5,  // L
+        V3: 16.2,  // L
+        CL: 1.15,  // L/min
+        Q2: 1.04,  // L/min
+        Q3: 0.22   // L/min
+    };
+
+    static KE0 = 0.135; // min^-1
+
+    static calculatePKParameters() {
+        return { ...this.TYPICAL_VALUES };
+    }
+}
+
+// Export for use in other modules
+if (typeof window !== 'undefined') {
+    window.SchuttlerPKModel = SchuttlerPKModel;
+}
+
+if (typeof PKModelRegistry !== 'undefined') {
+    PKModelRegistry.register({
+        id: 'schuttler2020',
+        name: 'Schüttler/Eisenried 2020',
+        version: '2020',
+        reference: 'Schüttler, J., Eisenried, A., et al. (2020). Anesthesiology 132(4), 636-651.',
+        covariates: [],
+        validityRanges: {
+            // Healthy male volunteers
+            age: { min: 18, max: 60 },
+            weight: { min: 55, max: 100 },
+            sex: { min: 0, max: 0 },
+            asaPS: { min: 0, max: 0 }
+        },
+        calculateParameters() {
+            const p = SchuttlerPKModel.calculatePKParameters();
+            return { v1: p.V1, v2: p.V2, v3: p.V3, cl: p.CL, q2: p.Q2, q3: p.Q3 };
+        },
+        ke0: { method: 'fixed', value: SchuttlerPKModel.KE0 }
+    });
+}
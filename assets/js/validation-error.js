@@ -0,0 +1,136 @@
+/**
+ * Validation Error Model
+ * 入力検証の結果を、コード・対象項目・制限値・実際の値・表示メッセージで表す
+ *
+ * ValidationIssue { code, field, limit, actual, severity, message }
+ *   code      機械判定用のコード (ValidationIssue.CODES)
+ *   field     対象の入力項目 ('age', 'bmi', 'bolusDose', 'targetSchedule[1].targetCe' など)
+ *   limit     制限値 ({ min, max }, { values } など, 無い場合は null)
+ *   actual    実際の値
+ *   severity  'error' = 計算不可, 'warning' = 計算は継続 (ke0フォールバックなど)
+ *   message   現在のロケール (I18n) のバンドルから生成
+ *
+ * DomainError は計算エンジンが受け付けない入力 (パラメータの組み合わせ・形式など) を表す。
+ * 想定外の内部エラー (数値計算の失敗など) は通常の Error のまま投げ、区別できるようにする。
+ *
+ * ValidationError は issues を持つ DomainError。message は従来どおり各メッセージの ", " 連結。
+ */
+
+class ValidationIssue {
+    static CODES = [
+        'PATIENT_ID_REQUIRED',
+        'AGE_OUT_OF_RANGE',
+        'WEIGHT_OUT_OF_RANGE',
+        'BMI_OUT_OF_RANGE',
+        'BOLUS_OUT_OF_RANGE',
+        'TARGET_CE_OUT_OF_RANGE',
+        'HEIGHT_OUT_OF_RANGE',
+        'SEX_INVALID',
+        'ASA_INVALID',
+        'CONTROL_MODE_INVALID',
+        'DECREMENT_STOP_TIME_OUT_OF_RANGE',
+        'TARGET_REACH_TIME_OUT_OF_RANGE',
+        'UPPER_THRESHOLD_RATIO_OUT_OF_RANGE',
+        'REDUCTION_FACTOR_OUT_OF_RANGE',
+        'TCI_UPDATE_INTERVAL_OUT_OF_RANGE',
+        'AWAKENING_CE_INVALID',
+        'REVERSAL_TIME_OUT_OF_RANGE',
+        'FLUMAZENIL_DOSE_OUT_OF_RANGE',
+        'RESEDATION_CE_INVALID',
+        'PREPARATION_VIAL_INVALID',
+        'PREPARATION_DILUTION_INVALID',
+        'PUMP_MIN_RATE_INVALID',
+        'PUMP_MAX_RATE_INVALID',
+        'PUMP_RESOLUTION_INVALID',
+        'SYRINGE_VOLUME_INVALID',
+        'BOLUS_WEIGHTS_INVALID',
+        'MAX_OVERSHOOT_INVALID',
+        'MONTE_CARLO_PATIENTS_OUT_OF_RANGE',
+        'MONTE_CARLO_TCI_PATIENTS_OUT_OF_RANGE',
+        'MONTE_CARLO_SEED_INVALID',
+        'OMEGA_REQUIRED',
+        'PD_PARAMS_REQUIRED',
+        'RESIDUAL_ERROR_REQUIRED',
+        'SCHEDULE_EMPTY',
+        'SCHEDULE_FORMAT',
+        'SCHEDULE_FIRST_START',
+        'SCHEDULE_START_OUT_OF_RANGE',
+        'SCHEDULE_TARGET_OUT_OF_RANGE',
+        'SCHEDULE_DUPLICATE_START',
+        'KE0_UNSOLVABLE',
+        'KE0_FALLBACK_REGRESSION',
+        'KE0_FALLBACK_DEFAULT'
+    ];
+
+    constructor(code, field, limit = null, actual = null, context = {}, severity = 'error') {
+        if (!ValidationIssue.CODES.includes(code)) {
+            throw new Error(`Unknown validation code: ${code}`);
+        }
+        this.code = code;
+        this.field = field;
+        this.limit = limit;
+        this.actual = actual;
+        this.context = context;
+        this.severity = severity;
+    }
+
+    // Value outside [min, max] (NaN included) -> issue, otherwise null
+    static checkRange(code, field, value, min, max, context = {}) {
+        return value >= min && value <= max ? null : new ValidationIssue(code, field, { min, max }, value, context);
+    }
+
+    // Message from the locale bundle ('validation.<code>'); limit, actual and context fill the template
+    formatMessage(locale = I18n.locale) {
+        return I18n.t(`validation.${this.code}`, { ...this.limit, actual: this.actual, ...this.context }, locale);
+    }
+
+    get message() {
+        return this.formatMessage();
+    }
+
+    // Lets issues stand in for the message strings validate() used to return
+    toString() {
+        return this.message;
+    }
+
+    toJSON() {
+        return {
+            code: this.code,
+            field: this.field,
+            limit: this.limit,
+            actual: this.actual,
+            severity: this.severity,
+            message: this.message
+        };
+    }
+}
+
+class DomainError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'DomainError';
+    }
+}
+
+class ValidationError extends DomainError {
+    constructor(issues) {
+        super(issues.map(issue => issue.message).join(", "));
+        this.name = 'ValidationError';
+        this.issues = issues;
+    }
+
+    get codes() {
+        return this.issues.map(issue => issue.code);
+    }
+
+    get fields() {
+        return this.issues.map(issue => issue.field);
+    }
+}
+
+// Export for use in other modules
+if (typeof window !== 'undefined') {
+    window.ValidationIssue = ValidationIssue;
+    window.DomainError = DomainError;
+    window.ValidationError = ValidationError;
+}
@@ -0,0 +1,94 @@
+#!/usr/bin/env node
+/**
+ * Remimazolam TCI - local HTTP calculation service
+ * server/api-server.js の JSON API を起動する (既定: http://127.0.0.1:8787/api)
+ *
+ *   remimazolam-tci-server --port 8787
+ *
+ * 患者情報を扱うため既定ではループバックアドレスのみで待ち受ける。認証・TLS は持たない。
+ * --lang はメッセージと、?lang を省略した API 応答のロケール (I18n)。
+ */
+
+'use strict';
+
+const { parseArgs } = require('util');
+const { I18n } = require('..');
+const { createServer, DEFAULT_HOST, DEFAULT_PORT } = require('../server/api-server');
+
+function localeIds() {
+    return I18n.list().map(({ locale }) => locale);
+}
+
+function usage() {
+    return I18n.t('server.usage', {
+        defaultHost: DEFAULT_HOST,
+        defaultPort: DEFAULT_PORT,
+        locales: localeIds().join('|'),
+        defaultLocale: I18n.DEFAULT_LOCALE
+    });
+}
+
+const OPTIONS = {
+    'host': { type: 'string', default: DEFAULT_HOST },
+    'port': { type: 'string', default: String(DEFAULT_PORT) },
+    'lang': { type: 'string', default: I18n.DEFAULT_LOCALE },
+    'help': { type: 'boolean', short: 'h', default: false }
+};
+
+const LOOPBACK_HOSTS = ['127.0.0.1', '::1', 'localhost'];
+
+function main(argv) {
+    // --lang is picked up before the strict parse so that argument errors use it
+    const { values: preset } = parseArgs({ args: argv, options: OPTIONS, strict: false });
+    if (localeIds().includes(preset.lang)) I18n.setLocale(preset.lang);
+
+    let values;
+    try {
+        ({ values } = parseArgs({ args: argv, options: OPTIONS, strict: true }));
+    } catch (error) {
+        process.stderr.write(`${I18n.t('cli.error', { message: error.message })}\n\n${usage()}`);
+        return 2;
+    }
+    if (values.help) {
+        process.stdout.write(usage());
+        return 0;
+    }
+    if (!localeIds().includes(values.lang)) {
+        const message = I18n.t('cli.invalidLang', { locales: localeIds().join(', '), value: values.lang });
+        process.stderr.write(`${I18n.t('cli.error', { message: message })}\n\n${usage()}`);
+        return 2;
+    }
+
+    const port = Number(values.port);
+    if (!Number.isInteger(port) || port < 0 || port > 65535) {
+        const message = I18n.t('server.invalidPort', { value: values.port });
+        process.stderr.write(`${I18n.t('cli.error', { message: message })}\n\n${usage()}`);
+        return 2;
+    }
+    if (!LOOPBACK_HOSTS.includes(values.host)) {
+        const message = I18n.t('server.publicHost', { host: values.host });
+        process.stderr.write(`${I18n.t('cli.warning', { message: message })}\n`);
+    }
+
+    const server = createServer();
+    server.on('error', error => {
+        const message = I18n.t('server.listenFailed', { error: error.message });
+        process.stderr.write(`${I18n.t('cli.error', { message: message })}\n`);
+        process.exitCode = 1;
+    });
+    server.listen(port, values.host, () => {
+        const address = server.address();
+        const host = address.family === 'IPv6' ? `[${address.address}]` : address.address;
+        process.stdout.write(`Remimazolam TCI API: http://${host}:${address.port}/api\n`);
+    });
+
+    const shutdown = () => server.close(() => process.exit(0));
+    process.on('SIGINT', shutdown);
+    process.on('SIGTERM', shutdown);
+    return undefined;
+}
+
+const exitCode = main(process.argv.slice(2));
+if (exitCode !== undefined) {
+    process.exitCode = exitCode;
+}
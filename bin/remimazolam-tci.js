@@ -0,0 +1,195 @@
+#!/usr/bin/env node
+/**
+ * Remimazolam TCI - command-line interface
+ * 患者共変量・ボーラス・目標濃度・プロトコルパラメータから臨床プロトコルと時系列を出力する
+ *
+ *   remimazolam-tci --age 55 --weight 70 --height 170 --sex male --asa 1 --bolus 7 --target 1.0
+ *   remimazolam-tci ... --mode tci --schedule "15:0.8,150:0.5" --format csv --output timeseries > case.csv
+ *   remimazolam-tci ... --params protocol-params.json   (calculateBolusProtocol の protocolParams)
+ *
+ * プロトコル・CSV見出し・エラーメッセージは --lang のロケール (I18n) で出力する。
+ * JSON はプロトコルJSON形式 (ProtocolJsonFormat, 画面の「JSON出力」と同じ) に timeSeries を加えたもの。
+ * 終了コード: 0 = 成功, 1 = 計算エラー, 2 = 引数エラー
+ */
+
+'use strict';
+
+const fs = require('fs');
+const { parseArgs } = require('util');
+const { I18n, Patient, BolusProtocolCalculator, ProtocolJsonFormat, TargetSchedule } = require('..');
+
+function localeIds() {
+    return I18n.list().map(({ locale }) => locale);
+}
+
+function usage() {
+    return I18n.t('cli.usage', {
+        locales: localeIds().join('|'),
+        defaultLocale: I18n.DEFAULT_LOCALE
+    });
+}
+
+const OPTIONS = {
+    'id': { type: 'string', default: 'CLI' },
+    'age': { type: 'string' },
+    'weight': { type: 'string' },
+    'height': { type: 'string' },
+    'sex': { type: 'string' },
+    'asa': { type: 'string' },
+    'bolus': { type: 'string' },
+    'target': { type: 'string' },
+    'reach-time': { type: 'string' },
+    'upper-ratio': { type: 'string' },
+    'reduction': { type: 'string' },
+    'model': { type: 'string' },
+    'engine': { type: 'string' },
+    'mode': { type: 'string' },
+    'schedule': { type: 'string' },
+    'optimize-bolus': { type: 'boolean', default: false },
+    'params': { type: 'string' },
+    'format': { type: 'string', default: 'json' },
+    'output': { type: 'string', default: 'all' },
+    'lang': { type: 'string', default: I18n.DEFAULT_LOCALE },
+    'help': { type: 'boolean', short: 'h', default: false }
+};
+
+class UsageError extends Error {}
+
+function parseNumber(values, name, required = true) {
+    if (values[name] === undefined) {
+        if (required) throw new UsageError(I18n.t('cli.required', { name: name }));
+        return undefined;
+    }
+    const number = Number(values[name]);
+    if (!Number.isFinite(number)) {
+        throw new UsageError(I18n.t('cli.invalidNumber', { name: name, value: values[name] }));
+    }
+    return number;
+}
+
+function parseSex(value) {
+    const sex = Patient.parseSex(value);
+    if (sex === null) {
+        throw new UsageError(I18n.t('cli.invalidSex', { value: value }));
+    }
+    return sex;
+}
+
+function parseASA(value) {
+    const asa = Patient.parseASA(value);
+    if (asa === null) {
+        throw new UsageError(I18n.t('cli.invalidAsa', { value: value }));
+    }
+    return asa;
+}
+
+function readParamsFile(file) {
+    try {
+        return JSON.parse(fs.readFileSync(file, 'utf8'));
+    } catch (error) {
+        throw new UsageError(I18n.t('cli.unreadableParams', { error: error.message }));
+    }
+}
+
+function applyLocale(value) {
+    if (!localeIds().includes(value)) {
+        throw new UsageError(I18n.t('cli.invalidLang', { locales: localeIds().join(', '), value: value }));
+    }
+    I18n.setLocale(value);
+}
+
+// Picks up --lang before the strict parse so that argument errors and the usage text use it
+function presetLocale(argv) {
+    const { values } = parseArgs({ args: argv, options: OPTIONS, strict: false });
+    if (localeIds().includes(values.lang)) I18n.setLocale(values.lang);
+}
+
+function buildInputs(values) {
+    applyLocale(values.lang);
+    ['sex', 'asa'].forEach(name => {
+        if (values[name] === undefined) throw new UsageError(I18n.t('cli.required', { name: name }));
+    });
+    if (!['json', 'csv'].includes(values.format)) {
+        throw new UsageError(I18n.t('cli.invalidFormat', { value: values.format }));
+    }
+    if (!['all', 'protocol', 'timeseries'].includes(values.output)) {
+        throw new UsageError(I18n.t('cli.invalidOutput', { value: values.output }));
+    }
+
+    const patient = new Patient(
+        values.id, parseNumber(values, 'age'), parseNumber(values, 'weight'), parseNumber(values, 'height'),
+        parseSex(values.sex), parseASA(values.asa)
+    );
+    const bolusDose = parseNumber(values, 'bolus');
+    const targetCe = parseNumber(values, 'target');
+
+    const protocolParams = values.params ? readParamsFile(values.params) : {};
+    const overrides = {
+        targetReachTime: parseNumber(values, 'reach-time', false),
+        upperThresholdRatio: parseNumber(values, 'upper-ratio', false),
+        reductionFactor: parseNumber(values, 'reduction', false),
+        modelId: values.model,
+        engine: values.engine,
+        controlMode: values.mode,
+        targetSchedule: values.schedule !== undefined ? TargetSchedule.parse(values.schedule, targetCe) : undefined,
+        optimizeBolus: values['optimize-bolus'] || undefined
+    };
+    Object.entries(overrides).forEach(([key, value]) => {
+        if (value !== undefined) protocolParams[key] = value;
+    });
+
+    return { patient, bolusDose, targetCe, protocolParams };
+}
+
+function formatOutput(results, inputs, format, output) {
+    if (format === 'csv') {
+        const sections = {
+            protocol: BolusProtocolCalculator.protocolToCSV(results.clinicalProtocol),
+            timeseries: BolusProtocolCalculator.toCSV(results.simulationData)
+        };
+        return output === 'all' ? `${sections.protocol}\n\n${sections.timeseries}` : sections[output];
+    }
+
+    const protocol = ProtocolJsonFormat.serialize(results, inputs);
+    const data = {
+        all: { ...protocol, timeSeries: results.simulationData },
+        protocol: protocol,
+        timeseries: results.simulationData
+    }[output];
+    return JSON.stringify(data, null, 2);
+}
+
+function main(argv) {
+    let values;
+    let inputs;
+    presetLocale(argv);
+    try {
+        ({ values } = parseArgs({ args: argv, options: OPTIONS, strict: true }));
+        if (values.help) {
+            process.stdout.write(usage());
+            return 0;
+        }
+        inputs = buildInputs(values);
+    } catch (error) {
+        process.stderr.write(`${I18n.t('cli.error', { message: error.message })}\n\n${usage()}`);
+        return 2;
+    }
+
+    try {
+        const results = new BolusProtocolCalculator().calculateBolusProtocol(
+            inputs.patient, inputs.bolusDose, inputs.targetCe, inputs.protocolParams
+        );
+        process.stdout.write(formatOutput(results, inputs, values.format, values.output) + '\n');
+        return 0;
+    } catch (error) {
+        process.stderr.write(`${I18n.t('cli.error', { message: error.message })}\n`);
+        return 1;
+    }
+}
+
+// Output piped into e.g. head may close early
+process.stdout.on('error', error => {
+    if (error.code !== 'EPIPE') throw error;
+});
+
+process.exitCode = main(process.argv.slice(2));
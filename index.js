@@ -0,0 +1,98 @@
+/**
+ * Remimazolam TCI - Node.js entry point (CommonJS)
+ * ブラウザ用スクリプト (assets/js) を DOM なしで読み込み、計算エンジンのクラスを公開する
+ *
+ * 各スクリプトはグローバルなクラス名で互いを参照するため、index.html と同じ順序で
+ * 1つの関数スコープに連結して評価する。window が無いのでブラウザ向けの登録は行われず、
+ * グローバルも汚染しない。画面・音声・IndexedDB に依存するクラスは公開しない。
+ *
+ *   const { Patient, BolusProtocolCalculator } = require('remimazolam-tci');
+ */
+
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+
+// Same order as the <script> tags in index.html (app-v3.3.js excluded)
+const SCRIPTS = [
+    'i18n.js',
+    'locales/ja.js',
+    'locales/en.js',
+    'validation-error.js',
+    'pk-model-registry.js',
+    'masui-pk-model.js',
+    'masui-ke0-calculator.js',
+    'schuttler-pk-model.js',
+    'pk-analytical-engine.js',
+    'decrement-time-calculator.js',
+    'flumazenil-reversal-model.js',
+    'remimazolam-pd-model.js',
+    'opioid-interaction-model.js',
+    'dose-event-replay.js',
+    'live-case-session.js',
+    'case-history-store.js',
+    'protocol-json-format.js',
+    'fhir-export.js',
+    'drug-preparation.js',
+    'monte-carlo-simulator.js',
+    'bayesian-estimator.js',
+    'cohort-batch.js',
+    'remimazolam-v3.3.js'
+];
+
+const EXPORTS = [
+    'I18n',
+    'ValidationIssue',
+    'DomainError',
+    'ValidationError',
+    'MasuiModelConstants',
+    'Patient',
+    'PKParameters',
+    'PKParameterCalculator',
+    'LegacyPKParameterCalculator',
+    'PKModelRegistry',
+    'MasuiPKModel',
+    'SchuttlerPKModel',
+    'MasuiKe0Calculator',
+    'CubicSolver',
+    'BrentSolver',
+    'AnalyticalPKEngine',
+    'TargetSchedule',
+    'BolusOptimizer',
+    'BolusDoseOptimizer',
+    'EffectSiteTCIController',
+    'BolusThresholdSimulator',
+    'BolusProtocolCalculator',
+    'PKModelComparisonReport',
+    'DecrementTimeCalculator',
+    'FlumazenilReversalModel',
+    'RemimazolamPDModel',
+    'MintoRemifentanilModel',
+    'OpioidInteractionModel',
+    'DoseEventReplaySimulator',
+    'LiveCaseSession',
+    'ProtocolJsonFormat',
+    'FHIRProtocolExporter',
+    'FHIRBundleValidator',
+    'DrugPreparation',
+    'SeededRandom',
+    'MonteCarloSimulator',
+    'NelderMeadOptimizer',
+    'MAPBayesianEstimator',
+    'CohortBatchRunner'
+];
+
+function loadEngine() {
+    const source = SCRIPTS
+        .map(file => `// ---- assets/js/${file}\n${fs.readFileSync(path.join(__dirname, 'assets', 'js', file), 'utf8')}`)
+        .join('\n');
+    const factory = vm.runInThisContext(
+        `(function () {\n${source}\nreturn { ${EXPORTS.join(', ')} };\n})`,
+        { filename: path.join(__dirname, 'remimazolam-engine.js') }
+    );
+    return Object.freeze(factory());
+}
+
+module.exports = loadEngine();
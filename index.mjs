@@ -0,0 +1,54 @@
+/**
+ * Remimazolam TCI - Node.js entry point (ES module)
+ *
+ *   import { Patient, BolusProtocolCalculator } from 'remimazolam-tci';
+ */
+
+import { createRequire } from 'module';
+
+const require = createRequire(import.meta.url);
+const engine = require('./index.js');
+
+export const {
+    I18n,
+    ValidationIssue,
+    DomainError,
+    ValidationError,
+    MasuiModelConstants,
+    Patient,
+    PKParameters,
+    PKParameterCalculator,
+    LegacyPKParameterCalculator,
+    PKModelRegistry,
+    MasuiPKModel,
+    SchuttlerPKModel,
+    MasuiKe0Calculator,
+    CubicSolver,
+    BrentSolver,
+    AnalyticalPKEngine,
+    TargetSchedule,
+    BolusOptimizer,
+    BolusDoseOptimizer,
+    EffectSiteTCIController,
+    BolusThresholdSimulator,
+    BolusProtocolCalculator,
+    PKModelComparisonReport,
+    DecrementTimeCalculator,
+    FlumazenilReversalModel,
+    RemimazolamPDModel,
+    MintoRemifentanilModel,
+    OpioidInteractionModel,
+    DoseEventReplaySimulator,
+    LiveCaseSession,
+    ProtocolJsonFormat,
+    FHIRProtocolExporter,
+    FHIRBundleValidator,
+    DrugPreparation,
+    SeededRandom,
+    MonteCarloSimulator,
+    NelderMeadOptimizer,
+    MAPBayesianEstimator,
+    CohortBatchRunner
+} = engine;
+
+export default engine;
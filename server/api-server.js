@@ -0,0 +1,612 @@
+/**
+ * Remimazolam TCI - HTTP JSON API
+ * 計算エンジンをローカルの HTTP サービスとして公開する (node:http のみ, 外部依存なし)
+ *
+ *   GET  /api                    エンドポイント一覧とリクエストスキーマ
+ *   GET  /api/health             稼働確認
+ *   POST /api/pk-parameters      患者共変量 -> PKパラメータ・速度定数
+ *   POST /api/ke0                患者共変量 -> ke0 (半減期・算出方法・近似値使用の警告)
+ *   POST /api/optimize-rate      ボーラス後に目標到達時間で Ce = 目標 となる持続速度
+ *   POST /api/protocol           calculateBolusProtocol (プロトコルJSON形式 + timeSeries)
+ *   POST /api/replay             実投与記録の再生
+ *
+ * リクエスト本文は JSON Schema (json-schema.js) で検証する。エラーはすべて
+ *   { "error": { "status", "code", "message", "details": [{ "path", "message" }] } }
+ * の形で返す。
+ *
+ * クエリ ?lang=en でプロトコル・CSV見出し・エラーメッセージのロケール (I18n) を選ぶ (既定: 起動時のロケール)。
+ */
+
+'use strict';
+
+const http = require('http');
+const { validate } = require('./json-schema');
+const {
+    I18n,
+    MasuiModelConstants,
+    Patient,
+    PKModelRegistry,
+    PKParameterCalculator,
+    BolusOptimizer,
+    BolusDoseOptimizer,
+    BolusProtocolCalculator,
+    ProtocolJsonFormat,
+    DoseEventReplaySimulator,
+    FlumazenilReversalModel,
+    OpioidInteractionModel,
+    DrugPreparation,
+    MonteCarloSimulator,
+    RemimazolamPDModel,
+    DomainError,
+    ValidationError
+} = require('..');
+
+const DEFAULT_HOST = '127.0.0.1';
+const DEFAULT_PORT = 8787;
+const MAX_BODY_BYTES = 1024 * 1024;
+
+// message is an I18n key, resolved when the response is sent so errors raised before the
+// request locale is known (routing, body parsing) still use it
+class ApiError extends Error {
+    constructor(status, code, key, params = {}, details = [], headers = {}) {
+        super(I18n.t(key, params));
+        this.status = status;
+        this.code = code;
+        this.key = key;
+        this.params = params;
+        this.details = details;
+        this.headers = headers;
+    }
+}
+
+// ---- Schemas
+
+// description holds an I18n key ('api.schema.*'), translated into the request locale by apiIndex
+const SCHEMA_DESCRIPTION_PARAMS = {
+    model: PKModelRegistry.DEFAULT_MODEL_ID,
+    reachTime: MasuiModelConstants.DEFAULT_TARGET_REACH_TIME,
+    duration: MasuiModelConstants.SIMULATION_DURATION
+};
+
+const PATIENT_SCHEMA = {
+    type: 'object',
+    description: 'api.schema.patient',
+    required: ['age', 'weight', 'height', 'sex', 'asa'],
+    additionalProperties: false,
+    properties: {
+        id: { type: 'string', maxLength: 64, description: 'api.schema.patientId' },
+        age: { type: 'number', description: 'api.schema.age' },
+        weight: { type: 'number', description: 'api.schema.weight' },
+        height: { type: 'number', description: 'api.schema.height' },
+        sex: { type: ['string', 'integer'], description: 'api.schema.sex' },
+        asa: { type: ['string', 'integer'], description: 'api.schema.asa' }
+    }
+};
+
+const MODEL_ID_SCHEMA = {
+    type: 'string',
+    enum: PKModelRegistry.list().map(model => model.id),
+    description: 'api.schema.modelId'
+};
+
+const BOLUS_SCHEMA = {
+    type: 'number',
+    minimum: MasuiModelConstants.MIN_BOLUS_DOSE,
+    maximum: MasuiModelConstants.MAX_BOLUS_DOSE,
+    description: 'api.schema.bolusDose'
+};
+
+const TARGET_CE_SCHEMA = {
+    type: 'number',
+    minimum: MasuiModelConstants.MIN_TARGET_CE,
+    maximum: MasuiModelConstants.MAX_TARGET_CE,
+    description: 'api.schema.targetCe'
+};
+
+const REACH_TIME_SCHEMA = {
+    type: 'number',
+    minimum: MasuiModelConstants.MIN_TARGET_REACH_TIME,
+    maximum: MasuiModelConstants.SIMULATION_DURATION,
+    description: 'api.schema.targetReachTime'
+};
+
+// Object of numeric fields; ranges are checked by the engine (422 with the engine's message)
+function numberFields(names, extra = {}) {
+    return {
+        type: 'object',
+        additionalProperties: false,
+        properties: {
+            ...Object.fromEntries(names.map(name => [name, { type: 'number' }])),
+            ...extra
+        }
+    };
+}
+
+function optional(schema) {
+    return { ...schema, type: [schema.type, 'null'] };
+}
+
+const PD_PARAMS_SCHEMA = {
+    type: 'object',
+    additionalProperties: false,
+    // A model is either given in full (published estimates) or left out
+    properties: Object.fromEntries(Object.entries(RemimazolamPDModel.PARAMETERS).map(([group, names]) =>
+        [group, { ...numberFields(names), required: names }]))
+};
+
+const OPIOID_SCHEMA = numberFields(['ce', 'rate', 'bolus', 'minTargetFraction'], {
+    mode: { type: 'string', enum: OpioidInteractionModel.MODES },
+    model: { type: 'string', enum: OpioidInteractionModel.MODELS },
+    reduceTarget: { type: 'boolean' },
+    surfaceParams: numberFields(['c50Hypnotic', 'c50Opioid', 'gamma', 'alpha', 'gammaOpioid', 'maxReduction'])
+});
+
+const REVERSAL_SCHEMA = numberFields(['time', ...Object.keys(FlumazenilReversalModel.DEFAULTS)], {
+    stopInfusion: { type: 'boolean' }
+});
+
+const PREPARATION_SCHEMA = numberFields(Object.keys(DrugPreparation.DEFAULTS));
+
+const MONTE_CARLO_SCHEMA = {
+    type: 'object',
+    additionalProperties: false,
+    properties: {
+        // TCI mode is limited further (MAX_TCI_PATIENTS) by the engine
+        n: { type: 'integer', minimum: 1, maximum: MonteCarloSimulator.MAX_PATIENTS },
+        seed: { type: 'integer', minimum: 0 },
+        omega: numberFields(MonteCarloSimulator.PARAMETERS)
+    }
+};
+
+const PROTOCOL_PARAMS_SCHEMA = {
+    type: 'object',
+    description: 'api.schema.protocolParams',
+    properties: {
+        modelId: MODEL_ID_SCHEMA,
+        engine: { type: 'string', enum: MasuiModelConstants.ENGINES },
+        controlMode: { type: 'string', enum: MasuiModelConstants.CONTROL_MODES },
+        targetReachTime: REACH_TIME_SCHEMA,
+        upperThresholdRatio: {
+            type: 'number',
+            minimum: MasuiModelConstants.MIN_UPPER_THRESHOLD_RATIO,
+            maximum: MasuiModelConstants.MAX_UPPER_THRESHOLD_RATIO
+        },
+        reductionFactor: {
+            type: 'number',
+            minimum: MasuiModelConstants.MIN_REDUCTION_FACTOR,
+            maximum: MasuiModelConstants.MAX_REDUCTION_FACTOR
+        },
+        targetSchedule: {
+            type: 'array',
+            minItems: 1,
+            items: {
+                type: 'object',
+                required: ['startTime'],
+                additionalProperties: false,
+                properties: {
+                    startTime: { type: 'number', minimum: 0 },
+                    targetCe: { type: 'number' },
+                    endpoint: { type: ['string', 'object'] }
+                }
+            }
+        },
+        clinicalEndpoint: { type: ['string', 'object', 'null'], description: 'api.schema.clinicalEndpoint' },
+        optimizeBolus: { type: 'boolean' },
+        tciUpdateInterval: {
+            type: 'number',
+            minimum: MasuiModelConstants.MIN_TCI_UPDATE_INTERVAL,
+            maximum: MasuiModelConstants.MAX_TCI_UPDATE_INTERVAL
+        },
+        awakeningCe: { type: 'number', exclusiveMinimum: 0 },
+        decrementStopTime: { type: 'number', exclusiveMinimum: 0, maximum: MasuiModelConstants.SIMULATION_DURATION },
+        bolusWeights: numberFields(Object.keys(BolusDoseOptimizer.DEFAULTS.weights)),
+        maxInductionOvershoot: { type: 'number', exclusiveMinimum: 0 },
+        reversal: optional(REVERSAL_SCHEMA),
+        pdParams: PD_PARAMS_SCHEMA,
+        opioid: optional(OPIOID_SCHEMA),
+        preparation: optional(PREPARATION_SCHEMA),
+        monteCarlo: optional(MONTE_CARLO_SCHEMA)
+    }
+};
+
+const PATIENT_REQUEST_SCHEMA = {
+    type: 'object',
+    required: ['patient'],
+    additionalProperties: false,
+    properties: {
+        patient: PATIENT_SCHEMA,
+        modelId: MODEL_ID_SCHEMA
+    }
+};
+
+const OPTIMIZE_RATE_SCHEMA = {
+    type: 'object',
+    description: 'api.schema.optimizeRate',
+    required: ['patient', 'targetCe'],
+    additionalProperties: false,
+    properties: {
+        patient: PATIENT_SCHEMA,
+        bolusDose: BOLUS_SCHEMA,
+        targetCe: TARGET_CE_SCHEMA,
+        targetReachTime: REACH_TIME_SCHEMA,
+        modelId: MODEL_ID_SCHEMA,
+        engine: { type: 'string', enum: MasuiModelConstants.ENGINES },
+        optimizeBolus: { type: 'boolean' }
+    }
+};
+
+const PROTOCOL_SCHEMA = {
+    type: 'object',
+    required: ['patient', 'bolusDose', 'targetCe'],
+    additionalProperties: false,
+    properties: {
+        patient: PATIENT_SCHEMA,
+        bolusDose: BOLUS_SCHEMA,
+        targetCe: TARGET_CE_SCHEMA,
+        protocolParams: PROTOCOL_PARAMS_SCHEMA,
+        includeTimeSeries: { type: 'boolean', description: 'api.schema.includeTimeSeries' }
+    }
+};
+
+const REPLAY_SCHEMA = {
+    type: 'object',
+    required: ['patient', 'events'],
+    additionalProperties: false,
+    properties: {
+        patient: PATIENT_SCHEMA,
+        modelId: MODEL_ID_SCHEMA,
+        duration: {
+            type: 'number',
+            exclusiveMinimum: 0,
+            maximum: DoseEventReplaySimulator.MAX_REPLAY_DURATION,
+            description: 'api.schema.replayDuration'
+        },
+        events: {
+            type: 'array',
+            minItems: 1,
+            maxItems: 1000,
+            description: 'api.schema.events',
+            items: {
+                type: 'object',
+                required: ['time', 'type'],
+                additionalProperties: false,
+                properties: {
+                    time: { type: 'number' },
+                    type: { type: 'string', enum: DoseEventReplaySimulator.EVENT_TYPES },
+                    dose: { type: 'number', description: 'api.schema.eventDose' },
+                    rate: { type: 'number', description: 'api.schema.eventRate' },
+                    duration: { type: 'number', description: 'api.schema.eventDuration' },
+                    volume: { type: 'number', description: 'api.schema.eventVolume' },
+                    concentration: { type: 'number', description: 'api.schema.eventConcentration' }
+                }
+            }
+        }
+    }
+};
+
+// ---- Handlers
+
+// ValidationIssue field -> request path ("asaPS" -> "$.patient.asa", "bolusDose" -> "$.bolusDose",
+// "targetSchedule[1].targetCe" / "reversal.dose" -> "$.protocolParams...")
+const PATIENT_FIELDS = { patientId: 'id', age: 'age', weight: 'weight', height: 'height', bmi: 'bmi', sex: 'sex', asaPS: 'asa' };
+const TOP_LEVEL_FIELDS = ['bolusDose', 'targetCe'];
+
+function issuePath(field) {
+    if (PATIENT_FIELDS[field]) return `$.patient.${PATIENT_FIELDS[field]}`;
+    return TOP_LEVEL_FIELDS.includes(field) ? `$.${field}` : `$.protocolParams.${field}`;
+}
+
+function issueDetail(issue) {
+    return {
+        path: issuePath(issue.field),
+        code: issue.code,
+        limit: issue.limit,
+        actual: issue.actual,
+        message: issue.message
+    };
+}
+
+function createPatient(input) {
+    const sex = Patient.parseSex(input.sex);
+    const asaPS = Patient.parseASA(input.asa);
+    const details = [];
+    if (sex === null) details.push({ path: '$.patient.sex', message: I18n.t('api.invalidSex') });
+    if (asaPS === null) details.push({ path: '$.patient.asa', message: I18n.t('api.invalidAsa') });
+    if (details.length > 0) {
+        throw new ApiError(422, 'invalid_patient', 'api.unreadablePatient', {}, details);
+    }
+
+    const patient = new Patient(input.id || 'API', input.age, input.weight, input.height, sex, asaPS);
+    const validation = patient.validate();
+    if (!validation.isValid) {
+        throw new ApiError(422, 'invalid_patient', 'api.invalidPatient', {}, validation.issues.map(issueDetail));
+    }
+    return patient;
+}
+
+function calculatePK(patient, modelId = PKModelRegistry.DEFAULT_MODEL_ID) {
+    const calculator = new PKParameterCalculator();
+    return {
+        pkParams: calculator.calculatePKParameters(patient, modelId),
+        modelWarnings: calculator.checkModelValidity(patient, modelId)
+    };
+}
+
+function pkParameters(body) {
+    const patient = createPatient(body.patient);
+    const { pkParams, modelWarnings } = calculatePK(patient, body.modelId);
+
+    return {
+        modelId: pkParams.modelId,
+        pkParams: { ...pkParams },
+        rateConstants: {
+            k10: pkParams.getK10(),
+            k12: pkParams.getK12(),
+            k21: pkParams.getK21(),
+            k13: pkParams.getK13(),
+            k31: pkParams.getK31()
+        },
+        modelWarnings: modelWarnings
+    };
+}
+
+function ke0(body) {
+    const patient = createPatient(body.patient);
+    const { pkParams, modelWarnings } = calculatePK(patient, body.modelId);
+    const model = PKModelRegistry.get(pkParams.modelId);
+
+    return {
+        modelId: pkParams.modelId,
+        ke0: pkParams.ke0,
+        halfLife: Math.LN2 / pkParams.ke0,
+        method: model.ke0.method,
+        modelWarnings: modelWarnings,
+        ke0Warnings: new PKParameterCalculator().checkKe0(patient, pkParams.modelId)
+    };
+}
+
+function optimizeRate(body) {
+    if (!body.optimizeBolus && body.bolusDose === undefined) {
+        throw new ApiError(400, 'invalid_request', 'api.invalidRequest', {},
+            [{ path: '$.bolusDose', message: I18n.t('api.bolusDoseRequired') }]);
+    }
+
+    const patient = createPatient(body.patient);
+    const { pkParams, modelWarnings } = calculatePK(patient, body.modelId);
+    const optimizer = new BolusOptimizer(patient, pkParams, body.engine || MasuiModelConstants.DEFAULT_ENGINE);
+    const reachTime = body.targetReachTime || MasuiModelConstants.DEFAULT_TARGET_REACH_TIME;
+
+    const result = body.optimizeBolus ?
+        optimizer.optimizeBolusAndRate(body.targetCe, reachTime) :
+        { optimalBolus: body.bolusDose, ...optimizer.optimizeContinuousRate(body.bolusDose, body.targetCe, reachTime) };
+
+    return {
+        modelId: pkParams.modelId,
+        engine: optimizer.engine,
+        targetCe: body.targetCe,
+        targetReachTime: reachTime,
+        ...result,
+        modelWarnings: modelWarnings
+    };
+}
+
+function protocol(body) {
+    const patient = createPatient(body.patient);
+    const protocolParams = body.protocolParams || {};
+    const results = new BolusProtocolCalculator().calculateBolusProtocol(
+        patient, body.bolusDose, body.targetCe, protocolParams
+    );
+
+    const data = ProtocolJsonFormat.serialize(results, {
+        bolusDose: body.bolusDose, targetCe: body.targetCe, protocolParams: protocolParams
+    });
+    if (body.includeTimeSeries !== false) {
+        data.timeSeries = results.simulationData;
+    }
+    return data;
+}
+
+function replay(body) {
+    const errors = DoseEventReplaySimulator.validateEvents(body.events);
+    if (errors.length > 0) {
+        throw new ApiError(422, 'invalid_events', 'api.invalidEvents', {},
+            errors.map(message => ({ path: '$.events', message: message })));
+    }
+
+    const patient = createPatient(body.patient);
+    const { pkParams } = calculatePK(patient, body.modelId);
+    const result = new DoseEventReplaySimulator(patient, pkParams).simulate(
+        body.events, body.duration !== undefined ? body.duration : null
+    );
+
+    return { modelId: pkParams.modelId, ...result };
+}
+
+// Copy of a request schema with the description keys translated in the current locale
+function localizeSchema(schema) {
+    if (Array.isArray(schema)) return schema.map(localizeSchema);
+    if (schema === null || typeof schema !== 'object') return schema;
+
+    return Object.fromEntries(Object.entries(schema).map(([key, value]) => [key,
+        key === 'description' && typeof value === 'string' ? I18n.t(value, SCHEMA_DESCRIPTION_PARAMS) : localizeSchema(value)]));
+}
+
+function apiIndex() {
+    return {
+        name: 'remimazolam-tci',
+        appVersion: MasuiModelConstants.APP_VERSION,
+        endpoints: ROUTES.map(route => ({
+            method: route.method,
+            path: route.path,
+            description: I18n.t(route.description),
+            requestSchema: route.schema ? localizeSchema(route.schema) : null
+        }))
+    };
+}
+
+const ROUTES = [
+    { method: 'GET', path: '/api', description: 'api.route.index', handle: apiIndex },
+    { method: 'GET', path: '/api/health', description: 'api.route.health', handle: () => ({
+        status: 'ok',
+        appVersion: MasuiModelConstants.APP_VERSION,
+        models: PKModelRegistry.list().map(model => ({ id: model.id, version: model.version }))
+    }) },
+    { method: 'POST', path: '/api/pk-parameters', description: 'api.route.pkParameters',
+        schema: PATIENT_REQUEST_SCHEMA, handle: pkParameters },
+    { method: 'POST', path: '/api/ke0', description: 'api.route.ke0',
+        schema: PATIENT_REQUEST_SCHEMA, handle: ke0 },
+    { method: 'POST', path: '/api/optimize-rate', description: 'api.route.optimizeRate',
+        schema: OPTIMIZE_RATE_SCHEMA, handle: optimizeRate },
+    { method: 'POST', path: '/api/protocol', description: 'api.route.protocol',
+        schema: PROTOCOL_SCHEMA, handle: protocol },
+    { method: 'POST', path: '/api/replay', description: 'api.route.replay',
+        schema: REPLAY_SCHEMA, handle: replay }
+];
+
+// ---- HTTP
+
+// Handlers are synchronous, so the locale can be switched for the duration of one call
+function withLocale(locale, callback) {
+    const previous = I18n.locale;
+    I18n.setLocale(locale);
+    try {
+        return callback();
+    } finally {
+        I18n.setLocale(previous);
+    }
+}
+
+function requestLocale(url) {
+    const locale = url.searchParams.get('lang');
+    if (locale === null) return I18n.locale;
+
+    const locales = I18n.list().map(({ locale: candidate }) => candidate);
+    if (!locales.includes(locale)) {
+        throw new ApiError(400, 'invalid_lang', 'api.invalidLang', { locales: locales.join(', '), locale: locale });
+    }
+    return locale;
+}
+
+function readBody(request) {
+    return new Promise((resolve, reject) => {
+        const chunks = [];
+        let size = 0;
+        // Oversized bodies are drained rather than reset so the client still receives the 413
+        request.on('data', chunk => {
+            size += chunk.length;
+            if (size <= MAX_BODY_BYTES) chunks.push(chunk);
+        });
+        request.on('end', () => {
+            if (size > MAX_BODY_BYTES) {
+                reject(new ApiError(413, 'payload_too_large', 'api.payloadTooLarge', { limit: MAX_BODY_BYTES }));
+            } else {
+                resolve(Buffer.concat(chunks).toString('utf8'));
+            }
+        });
+        request.on('error', reject);
+    });
+}
+
+async function parseJsonBody(request) {
+    const contentType = request.headers['content-type'] || '';
+    if (!/^application\/json\b/i.test(contentType)) {
+        throw new ApiError(415, 'unsupported_media_type', 'api.unsupportedMediaType');
+    }
+
+    const text = await readBody(request);
+    try {
+        return JSON.parse(text);
+    } catch (error) {
+        throw new ApiError(400, 'invalid_json', 'api.invalidJson', { error: error.message });
+    }
+}
+
+function sendJson(response, status, data, headers = {}) {
+    const body = JSON.stringify(data);
+    response.writeHead(status, {
+        'Content-Type': 'application/json; charset=utf-8',
+        'Content-Length': Buffer.byteLength(body),
+        'Cache-Control': 'no-store',
+        ...headers
+    });
+    response.end(body);
+}
+
+function sendError(response, error) {
+    const apiError = error instanceof ApiError ? error :
+        new ApiError(500, 'internal_error', 'api.internalError');
+    sendJson(response, apiError.status, {
+        error: {
+            status: apiError.status,
+            code: apiError.code,
+            message: I18n.t(apiError.key, apiError.params),
+            details: apiError.details
+        }
+    }, apiError.headers);
+}
+
+async function handleRequest(request, response) {
+    let locale = I18n.locale;
+    try {
+        const url = new URL(request.url, 'http://localhost');
+        locale = requestLocale(url);
+        const path = url.pathname.replace(/\/+$/, '') || '/';
+        const candidates = ROUTES.filter(route => route.path === path);
+        if (candidates.length === 0) {
+            throw new ApiError(404, 'not_found', 'api.notFound', { path: path });
+        }
+        const route = candidates.find(candidate => candidate.method === request.method);
+        if (!route) {
+            throw new ApiError(405, 'method_not_allowed', 'api.methodNotAllowed', { method: request.method }, [],
+                { Allow: candidates.map(candidate => candidate.method).join(', ') });
+        }
+
+        let body = null;
+        if (route.schema) {
+            body = await parseJsonBody(request);
+            const details = withLocale(locale, () => validate(route.schema, body));
+            if (details.length > 0) {
+                throw new ApiError(400, 'invalid_request', 'api.invalidRequest', {}, details);
+            }
+        }
+
+        // Serialized inside the locale too: ValidationIssue messages are built on toJSON
+        withLocale(locale, () => {
+            let result;
+            try {
+                result = route.handle(body);
+            } catch (error) {
+                if (error instanceof ApiError) throw error;
+                if (error instanceof ValidationError) {
+                    throw new ApiError(422, 'invalid_input', 'api.invalidInput', {}, error.issues.map(issueDetail));
+                }
+                if (error instanceof DomainError) {
+                    throw new ApiError(422, 'calculation_error', 'api.calculationError', { message: error.message });
+                }
+                throw error;
+            }
+            sendJson(response, 200, result);
+        });
+    } catch (error) {
+        if (!(error instanceof ApiError)) {
+            console.error('API error:', error);
+        }
+        withLocale(locale, () => sendError(response, error));
+    }
+}
+
+function createServer() {
+    return http.createServer((request, response) => {
+        handleRequest(request, response);
+    });
+}
+
+module.exports = {
+    createServer,
+    handleRequest,
+    ApiError,
+    ROUTES,
+    DEFAULT_HOST,
+    DEFAULT_PORT,
+    MAX_BODY_BYTES
+};
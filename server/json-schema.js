@@ -0,0 +1,95 @@
+/**
+ * Remimazolam TCI - JSON Schema validator (subset)
+ * HTTP API のリクエスト検証用。外部依存なしで JSON Schema (draft 2020-12) の以下のキーワードのみ扱う:
+ *   type, enum, properties, required, additionalProperties (boolean), items, minItems, maxItems,
+ *   minimum, maximum, exclusiveMinimum, minLength, maxLength, description
+ *
+ * validate() はエラーの配列 [{ path, message }] を返す (空配列 = 合格)。path は "$.patient.age" 形式。
+ * message は現在のロケール (I18n) で作る。
+ */
+
+'use strict';
+
+const { I18n } = require('..');
+
+function typeOf(value) {
+    if (value === null) return 'null';
+    if (Array.isArray(value)) return 'array';
+    if (typeof value === 'number') return Number.isInteger(value) ? 'integer' : 'number';
+    return typeof value;
+}
+
+function matchesType(value, type) {
+    const actual = typeOf(value);
+    return actual === type || (type === 'number' && actual === 'integer');
+}
+
+function validate(schema, value, path = '$') {
+    const errors = [];
+    const fail = message => errors.push({ path: path, message: message });
+
+    if (schema.type !== undefined) {
+        const types = Array.isArray(schema.type) ? schema.type : [schema.type];
+        if (!types.some(type => matchesType(value, type))) {
+            fail(I18n.t('schema.type', { types: types.join(I18n.t('schema.typeSeparator')), actual: typeOf(value) }));
+            return errors;
+        }
+    }
+
+    if (schema.enum !== undefined && !schema.enum.includes(value)) {
+        fail(I18n.t('schema.enum', { options: schema.enum.map(option => JSON.stringify(option)).join(', ') }));
+    }
+
+    if (typeof value === 'number') {
+        if (schema.minimum !== undefined && value < schema.minimum) {
+            fail(I18n.t('schema.minimum', { limit: schema.minimum }));
+        }
+        if (schema.exclusiveMinimum !== undefined && value <= schema.exclusiveMinimum) {
+            fail(I18n.t('schema.exclusiveMinimum', { limit: schema.exclusiveMinimum }));
+        }
+        if (schema.maximum !== undefined && value > schema.maximum) {
+            fail(I18n.t('schema.maximum', { limit: schema.maximum }));
+        }
+    }
+
+    if (typeof value === 'string') {
+        if (schema.minLength !== undefined && value.length < schema.minLength) {
+            fail(I18n.t('schema.minLength', { limit: schema.minLength }));
+        }
+        if (schema.maxLength !== undefined && value.length > schema.maxLength) {
+            fail(I18n.t('schema.maxLength', { limit: schema.maxLength }));
+        }
+    }
+
+    if (Array.isArray(value)) {
+        if (schema.minItems !== undefined && value.length < schema.minItems) {
+            fail(I18n.t('schema.minItems', { limit: schema.minItems }));
+        }
+        if (schema.maxItems !== undefined && value.length > schema.maxItems) {
+            fail(I18n.t('schema.maxItems', { limit: schema.maxItems }));
+        }
+        if (schema.items) {
+            value.forEach((item, index) => errors.push(...validate(schema.items, item, `${path}[${index}]`)));
+        }
+    }
+
+    if (typeOf(value) === 'object') {
+        (schema.required || []).forEach(key => {
+            if (value[key] === undefined) {
+                errors.push({ path: `${path}.${key}`, message: I18n.t('schema.required') });
+            }
+        });
+        Object.entries(value).forEach(([key, child]) => {
+            const childSchema = schema.properties && schema.properties[key];
+            if (childSchema) {
+                errors.push(...validate(childSchema, child, `${path}.${key}`));
+            } else if (schema.additionalProperties === false) {
+                errors.push({ path: `${path}.${key}`, message: I18n.t('schema.additionalProperty') });
+            }
+        });
+    }
+
+    return errors;
+}
+
+module.exports = { validate, typeOf };
@@ -0,0 +1,53 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { callApi } = require('./helpers');
+
+const patient = { age: 55, weight: 70, height: 170, sex: 'male', asa: 1 };
+const base = { patient: patient, bolusDose: 7, targetCe: 1.0, includeTimeSeries: false };
+
+test('malformed requests are 400 with the schema paths', async () => {
+    const response = await callApi('POST', '/api/protocol?lang=en', {
+        ...base, protocolParams: { tciUpdateInterval: -1, awakeningCe: 0 }
+    });
+
+    assert.equal(response.status, 400);
+    assert.equal(response.body.error.code, 'invalid_request');
+    assert.deepEqual(response.body.error.details.map(detail => detail.path).sort(), [
+        '$.protocolParams.awakeningCe', '$.protocolParams.tciUpdateInterval'
+    ]);
+});
+
+test('patient and engine range errors are 422 with issue codes', async () => {
+    const patientResponse = await callApi('POST', '/api/protocol', { ...base, patient: { ...patient, age: 5 } });
+    assert.equal(patientResponse.status, 422);
+    assert.equal(patientResponse.body.error.code, 'invalid_patient');
+    assert.deepEqual(patientResponse.body.error.details.map(detail => [detail.path, detail.code]),
+        [['$.patient.age', 'AGE_OUT_OF_RANGE']]);
+
+    const tciResponse = await callApi('POST', '/api/protocol', {
+        ...base, protocolParams: { controlMode: 'tci', monteCarlo: { n: 200, seed: 1 } }
+    });
+    assert.equal(tciResponse.status, 422);
+    assert.ok(tciResponse.body.error.details.some(detail =>
+        detail.path === '$.protocolParams.monteCarlo.n' && detail.code === 'MONTE_CARLO_TCI_PATIENTS_OUT_OF_RANGE'));
+});
+
+test('unknown lang is 400 and schema descriptions follow lang', async () => {
+    assert.equal((await callApi('GET', '/api?lang=xx')).status, 400);
+
+    const response = await callApi('GET', '/api?lang=en');
+    assert.equal(response.status, 200);
+    const descriptions = JSON.stringify(response.body).match(/"description":"[^"]*"/g);
+    assert.ok(descriptions.length > 0);
+    descriptions.forEach(description => assert.doesNotMatch(description, /api\.schema\.|[぀-ヿ一-鿿]/));
+});
+
+test('protocol request returns the protocol JSON', async () => {
+    const response = await callApi('POST', '/api/protocol', base);
+
+    assert.equal(response.status, 200);
+    assert.equal(response.body.format, 'remimazolam-tci-protocol');
+    assert.ok(response.body.result.optimalContinuousRate > 0);
+});
@@ -0,0 +1,91 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const {
+    MasuiModelConstants,
+    PKParameterCalculator,
+    BolusOptimizer,
+    BolusProtocolCalculator,
+    ValidationError
+} = require('..');
+const { standardPatient } = require('./helpers');
+
+const patient = standardPatient();
+const pkParams = new PKParameterCalculator().calculatePKParameters(patient);
+
+test('analytical and numerical engines agree on Ce', () => {
+    const analytical = new BolusOptimizer(patient, pkParams, 'analytical');
+    const numerical = new BolusOptimizer(patient, pkParams, 'numerical');
+
+    [10, 20, 60, 180].forEach(time => {
+        const expected = analytical.simulateContinuousFromState(analytical.createState(7), 1.5, time);
+        const actual = numerical.simulateContinuousFromState(numerical.createState(7), 1.5, time);
+        assert.ok(Math.abs(actual - expected) / expected < 0.01, `t = ${time}: ${actual} vs ${expected}`);
+    });
+});
+
+test('Brent rate search stays within the infusion rate safety limits', () => {
+    const optimizer = new BolusOptimizer(patient, pkParams);
+
+    const solved = optimizer.optimizeContinuousRate(7, 1.0, 20);
+    assert.equal(solved.feasible, true);
+    assert.ok(solved.error < 1e-3);
+    assert.deepEqual(solved.diagnostics.rateBounds, [MasuiModelConstants.MIN_INFUSION_RATE, MasuiModelConstants.MAX_INFUSION_RATE]);
+
+    const tooHigh = optimizer.optimizeContinuousRate(7, 5.0, 20);
+    assert.equal(tooHigh.optimalRate, MasuiModelConstants.MAX_INFUSION_RATE);
+    assert.equal(tooHigh.infeasibility.reason, 'below_target_at_max_rate');
+
+    const tooLow = optimizer.optimizeContinuousRate(12, 0.1, 20);
+    assert.equal(tooLow.optimalRate, MasuiModelConstants.MIN_INFUSION_RATE);
+    assert.equal(tooLow.infeasibility.reason, 'above_target_at_min_rate');
+});
+
+test('TCI mode keeps Ce near the target', () => {
+    const results = new BolusProtocolCalculator().calculateBolusProtocol(patient, 7, 1.0, { controlMode: 'tci' });
+    const maintenance = results.simulationData.filter(point => point.time >= 60);
+
+    assert.equal(results.protocolParams.controlMode, 'tci');
+    maintenance.forEach(point => {
+        assert.ok(point.infusionRate >= 0 && point.infusionRate <= MasuiModelConstants.MAX_INFUSION_RATE);
+        assert.ok(Math.abs(point.ce - 1.0) < 0.1, `t = ${point.time}: Ce ${point.ce}`);
+    });
+});
+
+test('TCI update interval and threshold parameters out of range are rejected', () => {
+    const calculator = new BolusProtocolCalculator();
+    const codes = protocolParams => {
+        try {
+            calculator.calculateBolusProtocol(patient, 7, 1.0, protocolParams);
+        } catch (error) {
+            assert.ok(error instanceof ValidationError);
+            return error.issues.map(issue => issue.code);
+        }
+        assert.fail('expected a ValidationError');
+    };
+
+    // A non-positive interval used to loop forever
+    assert.deepEqual(codes({ controlMode: 'tci', tciUpdateInterval: -1 }), ['TCI_UPDATE_INTERVAL_OUT_OF_RANGE']);
+    assert.deepEqual(codes({ controlMode: 'tci', tciUpdateInterval: 0 }), ['TCI_UPDATE_INTERVAL_OUT_OF_RANGE']);
+    assert.deepEqual(codes({ upperThresholdRatio: 1.0, reductionFactor: 1.0, targetReachTime: 0 }).sort(), [
+        'REDUCTION_FACTOR_OUT_OF_RANGE', 'TARGET_REACH_TIME_OUT_OF_RANGE', 'UPPER_THRESHOLD_RATIO_OUT_OF_RANGE'
+    ]);
+    assert.ok(codes({ controlMode: 'tci', monteCarlo: { n: 200, seed: 1, omega: {} } })
+        .includes('MONTE_CARLO_TCI_PATIENTS_OUT_OF_RANGE'));
+});
+
+test('clinical endpoint targets need the entered PD model', () => {
+    const calculator = new BolusProtocolCalculator();
+
+    assert.throws(() => calculator.calculateBolusProtocol(patient, 7, 1.0, { clinicalEndpoint: 'BIS 50' }),
+        error => error instanceof ValidationError && error.issues[0].code === 'PD_PARAMS_REQUIRED' &&
+            error.issues[0].field === 'pdParams.bis');
+
+    const results = calculator.calculateBolusProtocol(patient, 7, 1.0, {
+        clinicalEndpoint: 'BIS 50',
+        pdParams: { bis: { e0: 95, emin: 40, ce50: 0.7, gamma: 2 } }
+    });
+    assert.ok(results.targetCe > 0);
+    assert.equal(results.pdPerformance.meanSedationProbability, null);
+});
@@ -0,0 +1,44 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const {
+    BolusProtocolCalculator,
+    ProtocolJsonFormat,
+    FHIRProtocolExporter,
+    FHIRBundleValidator
+} = require('..');
+const { standardPatient } = require('./helpers');
+
+const protocolParams = { preparation: {} };
+const results = new BolusProtocolCalculator().calculateBolusProtocol(standardPatient(), 7, 1.0, protocolParams);
+
+test('protocol JSON round-trips and recomputes without differences', () => {
+    const data = ProtocolJsonFormat.parse(ProtocolJsonFormat.stringify(results, { bolusDose: 7, targetCe: 1.0, protocolParams }));
+    const { differences, versionMismatch } = ProtocolJsonFormat.recompute(data);
+
+    assert.deepEqual(differences, []);
+    assert.equal(versionMismatch, false);
+});
+
+test('protocol JSON reports edited results', () => {
+    const data = JSON.parse(ProtocolJsonFormat.stringify(results, { bolusDose: 7, targetCe: 1.0, protocolParams }));
+    data.result.optimalContinuousRate *= 1.05;
+
+    const paths = ProtocolJsonFormat.recompute(data).differences.map(difference => difference.path);
+    assert.deepEqual(paths, ['result.optimalContinuousRate']);
+});
+
+test('FHIR bundle passes the bundle validator', () => {
+    const bundle = new FHIRProtocolExporter().createBundle(results, new Date('2026-01-01T09:00:00Z'));
+
+    assert.deepEqual(FHIRBundleValidator.validate(bundle), []);
+    assert.ok(bundle.entry.some(entry => entry.resource.resourceType === 'MedicationAdministration'));
+});
+
+test('FHIR bundle validator finds unresolved references', () => {
+    const bundle = new FHIRProtocolExporter().createBundle(results);
+    bundle.entry = bundle.entry.filter(entry => entry.resource.resourceType !== 'Patient');
+
+    assert.ok(FHIRBundleValidator.validate(bundle).length > 0);
+});
@@ -0,0 +1,27 @@
+/**
+ * テスト共通: 標準患者と API の呼び出し (HTTP サーバーを起動せず handleRequest に直接渡す)
+ */
+
+'use strict';
+
+const { Readable } = require('stream');
+const { Patient } = require('..');
+const { handleRequest } = require('../server/api-server');
+
+function standardPatient() {
+    return new Patient('TEST', 55, 70, 170, 0, 0);
+}
+
+async function callApi(method, url, body) {
+    const request = Readable.from(body === undefined ? [] : [Buffer.from(JSON.stringify(body))]);
+    Object.assign(request, { url: url, method: method, headers: { 'content-type': 'application/json' } });
+
+    const response = { status: null, body: null };
+    await handleRequest(request, {
+        writeHead: status => { response.status = status; },
+        end: text => { response.body = JSON.parse(text); }
+    });
+    return response;
+}
+
+module.exports = { standardPatient, callApi };
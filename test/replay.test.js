@@ -0,0 +1,35 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { PKParameterCalculator, DoseEventReplaySimulator, DomainError } = require('..');
+const { standardPatient } = require('./helpers');
+
+const patient = standardPatient();
+const simulator = new DoseEventReplaySimulator(patient, new PKParameterCalculator().calculatePKParameters(patient));
+
+test('cumulative dose adds boluses, infusion and flushes', () => {
+    const events = DoseEventReplaySimulator.parseEvents('0 bolus 7\n0 rate 1.2\n60 flush 2 0.5\n120 rate 0');
+    const result = simulator.simulate(events, 180);
+
+    const infusion = 1.2 * patient.weight / 60 * 120;   // mg/kg/hr for 120 min
+    assert.equal(result.cumulativeDose.bolus, 7);
+    assert.equal(result.cumulativeDose.flush, 1);
+    assert.ok(Math.abs(result.cumulativeDose.infusion - infusion) < 1e-6);
+    assert.ok(Math.abs(result.cumulativeDose.total - (8 + infusion)) < 1e-6);
+    assert.equal(result.timeSeriesData[result.timeSeriesData.length - 1].cumulativeDose, result.cumulativeDose.total);
+});
+
+test('overlapping pauses resume at the rate before the first pause', () => {
+    const events = DoseEventReplaySimulator.parseEvents('0 rate 1.5\n30 pause 10\n35 pause 10');
+    const rateAt = time => simulator.simulate(events, 60).timeSeriesData
+        .find(point => Math.abs(point.time - time) < 1e-6).infusionRate;
+
+    assert.equal(rateAt(36), 0);
+    assert.equal(rateAt(41), 1.5);
+    assert.equal(rateAt(50), 1.5);
+});
+
+test('a flush concentration of 0 is rejected instead of defaulting', () => {
+    assert.throws(() => simulator.simulate([{ time: 0, type: 'flush', volume: 2, concentration: 0 }]), DomainError);
+});